@@ -1,18 +1,31 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {  Code, Eye, FileText, Settings, AlertCircle, Download, UploadCloud,
   Folder, Loader2, Bug
 } from 'lucide-react';
 import { FlexibleParser } from './core/FlexibleParser.js';
 import { DEFAULT_VALIDATION_RULES } from './config/validationRules.js';
 // UPDATED: Gebruik de enhanced word parser
-import { parseWordDocument } from './core/enhancedWordParser';
-import { generateTIAPortalXML } from './generator';
+import { parseTextProject, parseWordDocument } from './core/enhancedWordParser';
+import { splitPrograms } from './language';
+import {
+  DEFAULT_TIA_VERSION,
+  EXPORT_LANGUAGES,
+  PLCOPEN_BODIES,
+  TIA_VERSIONS,
+  arrayIndexErrors,
+  functionCallError,
+  generatePLCopenXML,
+  generateSCL,
+  generateTIAPortalXML,
+  unknownProgramReferences,
+} from './generator';
 import { exportParsedDocument } from './components/ui/exportManager';
 import { defaultInput, defaultSyntaxRules } from './constants';
 import CodeEditor from './components/CodeEditor';
 // UPDATED: Gebruik de enhanced analysis view
 import AnalysisView from './components/AnalysisView/index.jsx';
 import TiaXmlPreview from './components/TiaXmlPreview';
+import TiaImportPanel from './components/TiaImportPanel';
 import Tab from './components/ui/Tab';
 import ErrorBoundary from './components/ErrorBoundary';
 import DebugView from './components/DebugView';
@@ -69,6 +82,26 @@ const ProjectHierarchy = ({ hierarchy, onProgramSelect, activeProgram }) => {
   return <div className="space-y-1">{renderLevel(tree)}</div>;
 };
 
+// Registry met de programma's van een project erbij, voor kruisverwijzingen
+const registerPrograms = (registry, programs = []) => {
+  const newRegistry = new Map(registry);
+  programs.forEach(program => {
+    newRegistry.set(program.name, {
+      type: program.type,
+      fbNumber: program.fbNumber,
+      idbName: program.idbName,
+      steps: program.steps || [],
+      variables: program.variables || [],
+      timers: program.timers || [],
+      markers: program.markers || [],
+      storingen: program.storingen || [],
+      errors: program.errors || [],
+      warnings: program.warnings || []
+    });
+  });
+  return newRegistry;
+};
+
 // Verbeterde WordImportView component voor in App.js
 const WordImportView = ({
   setProjectData,
@@ -78,7 +111,14 @@ const WordImportView = ({
   setRawHtml,
   syntaxRules,
   programRegistry,
-  setProgramRegistry
+  setProgramRegistry,
+  tiaVersion,
+  setTiaVersion,
+  language,
+  setLanguage,
+  plcopenBody,
+  setPlcopenBody,
+  validationRules
 }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -113,20 +153,8 @@ const WordImportView = ({
       setProjectData(result);
 
       // ✅ Hier gebruiken we de juiste props
-      const newRegistry = new Map(programRegistry);
       if (result.programs) {
-        result.programs.forEach(program => {
-          newRegistry.set(program.name, {
-            steps: program.steps || [],
-            variables: program.variables || [],
-            timers: program.timers || [],
-            markers: program.markers || [],
-            storingen: program.storingen || [],
-            errors: program.errors || [],
-            warnings: program.warnings || []
-          });
-        });
-        setProgramRegistry(newRegistry);
+        setProgramRegistry(registerPrograms(programRegistry, result.programs));
       }
 
       if (result.statistics) {
@@ -150,12 +178,19 @@ const WordImportView = ({
 
   const handleExport = async () => {
     if (!projectData) return;
-    await exportParsedDocument(projectData, {
+    const exportResult = await exportParsedDocument(projectData, {
       projectName: 'TIA_Project_Export',
+      tiaVersion,
+      language,
+      ...(plcopenBody ? { generatePLCopen: true, plcopenBody } : {}),
+      validationRules,
       generateIDBs: true,
-      includeCallStatements: true,
+      includeCallingBlock: true,
       useChapterNumbers: true
     });
+    if (!exportResult.success) {
+      setError(exportResult.errors.join(', '));
+    }
   };
 
   const handleProgramSelect = (program) => {
@@ -271,6 +306,48 @@ const WordImportView = ({
               </details>
             )}
 
+            <label className="flex items-center justify-between text-sm text-gray-700">
+              TIA Portal versie
+              <select
+                value={tiaVersion}
+                onChange={event => setTiaVersion(event.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              >
+                {TIA_VERSIONS.map(version => <option key={version} value={version}>{version}</option>)}
+              </select>
+            </label>
+
+            <label className="flex items-center justify-between text-sm text-gray-700">
+              Taal van de FB's
+              <select
+                value={language}
+                onChange={event => setLanguage(event.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              >
+                {EXPORT_LANGUAGES.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            </label>
+
+            <div className="flex items-center justify-between text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={!!plcopenBody}
+                  onChange={event => setPlcopenBody(event.target.checked ? PLCOPEN_BODIES[0] : null)}
+                />
+                PLCopen XML (CODESYS/TwinCAT)
+              </label>
+              {plcopenBody && (
+                <select
+                  value={plcopenBody}
+                  onChange={event => setPlcopenBody(event.target.value)}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                >
+                  {PLCOPEN_BODIES.map(body => <option key={body} value={body}>{body}</option>)}
+                </select>
+              )}
+            </div>
+
             <button
               onClick={handleExport}
               className="w-full flex items-center justify-center gap-3 px-4 py-3 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 transition-colors"
@@ -303,6 +380,9 @@ function App() {
   const [rawHtml, setRawHtml] = useState('');
   const [validationRules, setValidationRules] = useState(DEFAULT_VALIDATION_RULES);
   const [programRegistry, setProgramRegistry] = useState(new Map());
+  const [tiaVersion, setTiaVersion] = useState(DEFAULT_TIA_VERSION);
+  const [language, setLanguage] = useState('FBD');
+  const [plcopenBody, setPlcopenBody] = useState(null);   // null = geen PLCopen, anders 'SFC' of 'ST'
 
   useEffect(() => {
     const calculateStatistics = (result) => ({
@@ -328,6 +408,7 @@ function App() {
           timers: activeProgram.timers || [],
           markers: activeProgram.markers || [],
           storingen: activeProgram.storingen || [],
+          counters: activeProgram.counters || [],
           errors: activeProgram.errors || [],
         };
         resultFromWord.statistics = calculateStatistics(resultFromWord);
@@ -340,10 +421,26 @@ function App() {
             parser.registerProgram(name, program);
           });
           
-          const result = parser.parse(input, 'manual', {
-            programName: 'Manual Input',
-            functionBlock: 'FB_Manual'
-          });
+          // Bij meerdere programma's toont de analyse het eerste; de rest via "Laad als project"
+          const [first, ...others] = splitPrograms(input, syntaxRules);
+          const result = parser.parse(first.source, 'manual', first.header ? {
+            programName: first.header.name,
+            functionBlock: first.header.functionBlock
+          } : {});
+          // Verwijzingen naar programma's buiten de registry zijn parsefouten, geen exportfout
+          result.errors = [...(result.errors || []), ...unknownProgramReferences(result, programRegistry)];
+          // Een stapprogramma onder een FC-kop kan niet geïmporteerd worden
+          const blockError = functionCallError(result);
+          if (blockError) result.errors.push(blockError);
+          // Indices boven het maximum uit de validatieregels al bij het parsen melden
+          result.errors.push(...arrayIndexErrors(result, programRegistry, validationRules));
+          if (others.length > 0) {
+            result.warnings = [...(result.warnings || []), {
+              type: 'MULTIPLE_PROGRAMS',
+              message: `De tekst bevat ${others.length + 1} programma's; de analyse toont alleen ${first.header.name}. Laad de tekst als project voor de andere programma's.`,
+              line: others[0].line
+            }];
+          }
           result.statistics = calculateStatistics(result);
           setParseResult(result);
         } catch (error) {
@@ -364,7 +461,7 @@ function App() {
     }, 300);
 
     return () => clearTimeout(handler);
-  }, [input, activeProgram, syntaxRules]);
+  }, [input, activeProgram, syntaxRules, programRegistry]);
 
   const tabs = [
     { id: 'wordImport', label: 'Word Import', icon: UploadCloud },
@@ -376,6 +473,34 @@ function App() {
     { id: 'debug', label: 'Debug', icon: Bug }
   ];
 
+  // Code Editor met een of meer programmakoppen als project: structuur, registry en ZIP-export
+  const editorPrograms = useMemo(
+    () => splitPrograms(input, syntaxRules).filter(program => program.header),
+    [input, syntaxRules]
+  );
+
+  const loadTextProject = () => {
+    const project = parseTextProject(input, syntaxRules, programRegistry, validationRules);
+    setProjectData(project);
+    setProgramRegistry(registerPrograms(programRegistry, project.programs));
+    setActiveProgram(project.programs.length === 1 ? project.programs[0] : null);
+    setActiveTab('wordImport');
+  };
+
+  // Oorspronkelijke tekst van een FB voor de TIA-import: het programma uit
+  // het Word-document, anders het programma met die kop in de Code Editor
+  const findOriginal = (functionBlock) => {
+    const program = projectData?.programs?.find(p => `${p.type}${p.fbNumber}` === functionBlock);
+    if (program) {
+      return { label: program.name, programName: program.name, text: program.processedContent || program.rawContent || '' };
+    }
+    const section = editorPrograms.find(p => p.header.functionBlock === functionBlock);
+    if (section) {
+      return { label: 'de Code Editor', programName: section.header.name, text: section.source };
+    }
+    return input.trim() ? { label: 'de Code Editor', programName: null, text: input } : null;
+  };
+
   const renderActiveTab = () => {
     switch (activeTab) {
       case 'wordImport':
@@ -388,6 +513,13 @@ function App() {
         syntaxRules={syntaxRules}
         programRegistry={programRegistry}
         setProgramRegistry={setProgramRegistry}
+        tiaVersion={tiaVersion}
+        setTiaVersion={setTiaVersion}
+        language={language}
+        setLanguage={setLanguage}
+        plcopenBody={plcopenBody}
+        setPlcopenBody={setPlcopenBody}
+        validationRules={validationRules}
       />
       ;
       case 'config':
@@ -405,14 +537,48 @@ function App() {
         return (
           <div>
             <h2 className="text-lg font-semibold mb-2">Handmatige Code Editor</h2>
-            <p className="text-sm text-gray-600 mb-4">Deze editor wordt gebruikt als er geen programma uit een Word-document is geselecteerd.</p>
+            <p className="text-sm text-gray-600 mb-4">Deze editor wordt gebruikt als er geen programma uit een Word-document is geselecteerd. Meerdere programma's, elk met een kop als "Menger FB300", kunnen als project geladen worden.</p>
             <CodeEditor input={input} setInput={setInput} />
+            {editorPrograms.length > 0 && (
+              <div className="mt-4 flex items-center justify-between gap-4 bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-blue-800">
+                <span>
+                  {editorPrograms.length} programma{editorPrograms.length === 1 ? '' : "'s"} gevonden:{' '}
+                  {editorPrograms.map(program => `${program.header.name} (${program.header.functionBlock})`).join(', ')}
+                </span>
+                <button
+                  onClick={loadTextProject}
+                  className="flex items-center gap-2 px-3 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors flex-shrink-0"
+                >
+                  <Folder className="w-4 h-4" />
+                  Laad als project
+                </button>
+              </div>
+            )}
+            <TiaImportPanel
+              programRegistry={programRegistry}
+              findOriginal={findOriginal}
+              onApply={text => { setActiveProgram(null); setInput(text); }}
+            />
           </div>
         );
       case 'analysis':
         return parseResult ? <AnalysisView parseResult={parseResult} /> : <div className="text-center p-8 text-gray-500">Selecteer een programma of voer code in om een analyse te zien.</div>;
       case 'tia':
-        return <TiaXmlPreview parseResult={parseResult} generateXml={generateTIAPortalXML} />;
+        return <TiaXmlPreview
+          parseResult={parseResult}
+          generateSource={result => {
+            if (plcopenBody) return generatePLCopenXML(result, programRegistry, { body: plcopenBody, validationRules });
+            return language === 'SCL'
+              ? generateSCL(result, programRegistry, { validationRules })
+              : generateTIAPortalXML(result, programRegistry, { language, tiaVersion, validationRules });
+          }}
+          tiaVersion={tiaVersion}
+          setTiaVersion={setTiaVersion}
+          language={language}
+          setLanguage={setLanguage}
+          plcopenBody={plcopenBody}
+          setPlcopenBody={setPlcopenBody}
+        />;
       default:
         return <div className="p-4 text-gray-500">Selecteer een tabblad.</div>;
     }
@@ -423,7 +589,7 @@ function App() {
       <div className="max-w-screen-2xl mx-auto p-4 sm:p-6">
         <header className="mb-6 bg-white rounded-lg shadow-sm p-6">
           <h1 className="text-3xl font-bold text-gray-900 mb-2">Standaardwerk Compiler & Validator</h1>
-          <p className="text-gray-600">Geavanceerde parser voor stappenprogramma's • TIA Portal V18 Ready</p>
+          <p className="text-gray-600">Geavanceerde parser voor stappenprogramma's • TIA Portal V16–V19 Ready</p>
         </header>
         <nav className="bg-white rounded-lg shadow-sm mb-6">
           <div className="flex border-b border-gray-200">
@@ -1,15 +1,12 @@
 // src/components/AnalysisView/StepCard.jsx
 import React from 'react';
 import ConditionTag from './ConditionTag.jsx';
+import { formatStepLabel } from '../../config/syntaxRules.js';
 
 const safeArray = arr => Array.isArray(arr) ? arr : [];
 
 const StepCard = ({ step }) => {
-  const label = step?.type === 'RUST'
-    ? 'RUST'
-    : step?.number !== undefined
-      ? `STAP ${step.number}`
-      : step?.name || 'STAP ?';
+  const label = formatStepLabel(step);
 
   const renderConditionGroup = (group, groupIndex) => (
     <div key={groupIndex} className="mb-3">
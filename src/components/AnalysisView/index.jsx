@@ -1,6 +1,7 @@
 // src/components/AnalysisView/index.jsx - Complete Enhanced versie
 import React from 'react';
 import { GitCompare, Clock, AlertTriangle, Settings, Zap } from 'lucide-react';
+import { formatStepLabel } from '../../config/syntaxRules.js';
 
 const safeArray = arr => Array.isArray(arr) ? arr : [];
 
@@ -37,13 +38,42 @@ const ConditionTag = ({ condition }) => (
   </div>
 );
 
+// "[ ... ]" blok: een OF van EN-groepen dat als één voorwaarde meetelt
+const ConditionBlock = ({ block }) => (
+  <div className="ml-4 mb-2 p-2 border border-dashed border-indigo-300 bg-indigo-50 rounded">
+    <div className="flex items-center gap-2 mb-2">
+      {block?.negated && (
+        <span className="px-2 py-1 rounded text-xs font-semibold bg-red-100 text-red-800">NIET</span>
+      )}
+      {block?.operator === 'OR' && (
+        <span className="px-2 py-1 rounded text-xs font-semibold bg-green-100 text-green-800">OF</span>
+      )}
+      <span className="font-mono text-xs font-semibold text-indigo-700">[ ... ]</span>
+      <span className="text-gray-400 text-xs font-mono ml-auto">Regel {block?.lineNumber ?? '–'}</span>
+    </div>
+    {safeArray(block?.groups).map((group, groupIndex) => (
+      <div key={groupIndex}>
+        {groupIndex > 0 && (
+          <div className="ml-4 mb-2 text-xs font-semibold text-green-600">+ OF</div>
+        )}
+        {safeArray(group?.conditions).map((condition, condIndex) => (
+          <ConditionTerm key={condIndex} condition={condition} />
+        ))}
+      </div>
+    ))}
+  </div>
+);
+
+// Voorwaarde of (geneste) blok
+const ConditionTerm = ({ condition }) => (
+  condition?.type === 'block'
+    ? <ConditionBlock block={condition} />
+    : <ConditionTag condition={condition} />
+);
+
 // Enhanced StepCard component
 const StepCard = ({ step }) => {
-  const label = step?.type === 'RUST'
-    ? 'RUST'
-    : step?.number !== undefined
-      ? `STAP ${step.number}`
-      : step?.name || 'STAP ?';
+  const label = formatStepLabel(step);
 
   const renderConditionGroup = (group, groupIndex) => (
     <div key={groupIndex} className="mb-3">
@@ -58,7 +88,7 @@ const StepCard = ({ step }) => {
         </div>
       )}
       {safeArray(group?.conditions).map((condition, condIndex) => (
-        <ConditionTag key={condIndex} condition={condition} />
+        <ConditionTerm key={condIndex} condition={condition} />
       ))}
     </div>
   );
@@ -82,13 +112,19 @@ const StepCard = ({ step }) => {
   );
 
   return (
-    <div className="bg-white p-4 rounded-lg border border-gray-200 shadow-sm">
+    <div className={`bg-white p-4 rounded-lg border border-gray-200 shadow-sm ${
+      step?.branch ? 'ml-8 border-l-4 border-l-amber-300' : ''
+    }`}>
       <div className="flex items-center justify-between mb-4">
         <h4 className="font-semibold flex items-center gap-3">
           <span className={`px-3 py-1 rounded-full text-sm font-bold ${
             step?.type === 'RUST' 
               ? 'bg-purple-100 text-purple-800' 
-              : 'bg-blue-100 text-blue-800'
+              : step?.type === 'KLAAR'
+                ? 'bg-green-100 text-green-800'
+                : step?.branch
+                  ? 'bg-amber-100 text-amber-800'
+                  : 'bg-blue-100 text-blue-800'
           }`}>
             {label}
           </span>
@@ -97,6 +133,28 @@ const StepCard = ({ step }) => {
         <span className="text-gray-400 text-xs font-mono">Regel {step?.lineNumber ?? '–'}</span>
       </div>
 
+      {/* Parallelle tak en synchronisatie na een parallel deel */}
+      {step?.branch && (
+        <div className="mb-4 text-xs text-amber-700">
+          Parallelle tak {step.branch}: <span className="font-mono">Stap_{step.branch}[{step.number}]</span>
+        </div>
+      )}
+      {safeArray(step?.synchronizes).length > 0 && (
+        <div className="mb-4 p-2 bg-amber-50 border border-amber-200 rounded text-sm text-amber-800">
+          Wacht tot alle takken klaar zijn: <span className="font-mono">{step.synchronizes.join(' EN ')}</span>
+        </div>
+      )}
+
+      {/* Eindstap: zet Klaar / Uit_Klaar en valt terug naar RUST */}
+      {step?.type === 'KLAAR' && (
+        <div className="mb-4 p-2 bg-green-50 border border-green-200 rounded text-sm text-green-800">
+          Eindstap: zet <span className="font-mono">Klaar</span> (uitgang <span className="font-mono">Uit_Klaar</span>) en
+          valt {safeArray(step?.entryConditions).length > 0 || safeArray(step?.conditions).length > 0
+            ? 'met de voorwaarden hieronder'
+            : 'na één cyclus'} terug naar RUST.
+        </div>
+      )}
+
       {/* Transition Conditions */}
       {safeArray(step?.transitionConditions).length > 0 && (
         <div className="mt-4">
@@ -112,7 +170,9 @@ const StepCard = ({ step }) => {
         <div className="mt-4">
           <h5 className="font-medium mb-3 text-gray-600 text-sm">Voorwaarden binnen stap:</h5>
           <div className="space-y-1">
-            {safeArray(step?.conditions).map((condition, index) => (
+            {safeArray(step?.conditions).map((condition, index) => condition?.type === 'block' ? (
+              <ConditionBlock key={index} block={condition} />
+            ) : (
               <div key={index} className="ml-4 p-2 bg-gray-50 border-l-4 border-blue-200 text-sm rounded-r">
                 <span className="font-mono text-gray-800">
                   {typeof condition === 'string' ? condition : condition?.text || condition?.originalText || JSON.stringify(condition)}
@@ -181,7 +241,7 @@ const VariableCard = ({ variable, type }) => {
         <div>
           <h5 className="font-medium mb-2 text-gray-600 text-sm">Voorwaarden:</h5>
           {variable.conditions.map((condition, idx) => (
-            <ConditionTag key={idx} condition={condition} />
+            <ConditionTerm key={idx} condition={condition} />
           ))}
         </div>
       )}
@@ -0,0 +1,114 @@
+// =====================================================================
+// src/components/TiaImportPanel.jsx
+// =====================================================================
+// Leest een uit TIA Portal geëxporteerd FB (Openness XML, FBD) terug naar
+// Standaardwerk tekst en toont de verschillen met het oorspronkelijke
+// document, zodat aanpassingen in TIA weer in het document komen.
+// =====================================================================
+import React, { useState } from 'react';
+import { AlertTriangle, FileUp } from 'lucide-react';
+import { diffLines, importTiaFbd } from '../generator';
+
+const DIFF_STYLES = {
+  same: 'text-gray-600',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800',
+};
+
+const DIFF_MARKS = { same: ' ', added: '+', removed: '-' };
+
+/**
+ * findOriginal(functionBlock) levert { label, programName, text } van het
+ * oorspronkelijke programma (of null); onApply(text) zet de teruggelezen
+ * tekst in de Code Editor.
+ */
+function TiaImportPanel({ programRegistry, findOriginal, onApply }) {
+  const [imported, setImported] = useState(null);
+  const [original, setOriginal] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setImported(null);
+    try {
+      const xml = await file.text();
+      // Eerst het FB bepalen, daarna opnieuw met de programmanaam en tagnamen van het origineel
+      const { functionBlock } = importTiaFbd(xml, { programRegistry });
+      const match = findOriginal(functionBlock);
+      setOriginal(match);
+      setImported(importTiaFbd(xml, { programRegistry, programName: match?.programName, original: match?.text }));
+    } catch (err) {
+      console.error('TIA Import Error:', err);
+      setError(`Kan ${file.name} niet inlezen: ${err.message}`);
+    }
+  };
+
+  const diff = imported && original ? diffLines(original.text, imported.text) : [];
+  const changes = diff.filter(line => line.kind !== 'same').length;
+
+  return (
+    <div className="mt-6 border rounded-lg p-4">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="font-semibold text-gray-800">TIA Import</h3>
+          <p className="text-sm text-gray-600">Lees een geëxporteerd FB (FBD) terug naar tekst en vergelijk het met het document.</p>
+        </div>
+        <input type="file" id="tia-import-upload" className="hidden" accept=".xml" onChange={handleFileChange} />
+        <button
+          onClick={() => document.getElementById('tia-import-upload').click()}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <FileUp className="w-4 h-4" />
+          Importeer TIA XML
+        </button>
+      </div>
+
+      {error && (
+        <div className="mt-4 text-red-600 bg-red-50 p-3 rounded-lg flex items-start gap-2">
+          <AlertTriangle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {imported && (
+        <div className="mt-4 space-y-4">
+          {imported.warnings.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+              <h4 className="font-semibold mb-1">Waarschuwingen ({imported.warnings.length})</h4>
+              <ul className="list-disc list-inside space-y-1">
+                {imported.warnings.map((warning, idx) => <li key={idx}>{warning}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-700">
+              {imported.programName} ({imported.functionBlock})
+              {original ? ` vergeleken met ${original.label}: ${changes} gewijzigde regel(s)` : ' – geen origineel gevonden om mee te vergelijken'}
+            </p>
+            <button
+              onClick={() => onApply(imported.text)}
+              className="px-3 py-1.5 text-sm bg-gray-800 text-white rounded-md hover:bg-gray-900"
+            >
+              Overnemen in editor
+            </button>
+          </div>
+
+          <pre className="bg-gray-50 border rounded-lg p-3 text-sm font-mono overflow-auto max-h-96">
+            {original
+              ? diff.map((line, idx) => (
+                <div key={idx} className={DIFF_STYLES[line.kind]}>{DIFF_MARKS[line.kind]} {line.text}</div>
+              ))
+              : imported.text}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TiaImportPanel;
@@ -8,11 +8,19 @@ import React from 'react';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import { Download, AlertTriangle } from 'lucide-react';
+import { EXPORT_LANGUAGES, PLCOPEN_BODIES, TIA_VERSIONS } from '../generator';
 
 /**
  * Deze component toont de gegenereerde TIA Portal XML en biedt een downloadknop.
+ * Met setTiaVersion kan de gebruiker de doelversie (V16 t/m V19) kiezen, met
+ * setLanguage de taal van het FB (FBD of LAD als XML, SCL als bron). Met een
+ * plcopenBody ('SFC' of 'ST') toont hij de PLCopen XML in plaats van het FB.
  */
-function TiaXmlPreview({ parseResult, generateXml }) {
+function TiaXmlPreview({
+  parseResult, generateSource, tiaVersion, setTiaVersion, language = 'FBD', setLanguage, plcopenBody = null, setPlcopenBody,
+}) {
+  const isScl = language === 'SCL' && !plcopenBody;
+
   // Functie om de download te starten.
   const handleDownload = () => {
     if (!parseResult || (parseResult.errors && parseResult.errors.length > 0)) {
@@ -21,12 +29,12 @@ function TiaXmlPreview({ parseResult, generateXml }) {
     }
 
     try {
-      const xmlString = generateXml(parseResult);
-      const blob = new Blob([xmlString], { type: 'application/xml;charset=utf-8' });
+      const xmlString = generateSource(parseResult);
+      const blob = new Blob([xmlString], { type: isScl ? 'text/plain;charset=utf-8' : 'application/xml;charset=utf-8' });
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       
-      const fileName = `${parseResult.functionBlock || 'FB1'}.xml`;
+      const fileName = `${parseResult.functionBlock || 'FB1'}.${isScl ? 'scl' : plcopenBody ? 'plcopen.xml' : 'xml'}`;
       
       link.href = url;
       link.setAttribute('download', fileName);
@@ -69,7 +77,7 @@ function TiaXmlPreview({ parseResult, generateXml }) {
   try {
     // Gebruik false voor 'pretty' om de output compacter te maken, wat de witruimtefout oplost.
     // De syntax highlighter zorgt alsnog voor de leesbaarheid.
-    xmlString = generateXml(parseResult);
+    xmlString = generateSource(parseResult);
   } catch (error) {
     console.error("XML Generation Error:", error);
     return (
@@ -86,17 +94,60 @@ function TiaXmlPreview({ parseResult, generateXml }) {
   // Toon de preview en de downloadknop.
   return (
     <div>
-      <div className="flex justify-end mb-4">
+      <div className="flex justify-end items-center gap-4 mb-4">
+        {setTiaVersion && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            TIA Portal versie
+            <select
+              value={tiaVersion}
+              onChange={event => setTiaVersion(event.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {TIA_VERSIONS.map(version => <option key={version} value={version}>{version}</option>)}
+            </select>
+          </label>
+        )}
+        {setLanguage && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Taal
+            <select
+              value={language}
+              onChange={event => setLanguage(event.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {EXPORT_LANGUAGES.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          </label>
+        )}
+        {setPlcopenBody && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={!!plcopenBody}
+              onChange={event => setPlcopenBody(event.target.checked ? PLCOPEN_BODIES[0] : null)}
+            />
+            PLCopen
+            {plcopenBody && (
+              <select
+                value={plcopenBody}
+                onChange={event => setPlcopenBody(event.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              >
+                {PLCOPEN_BODIES.map(body => <option key={body} value={body}>{body}</option>)}
+              </select>
+            )}
+          </label>
+        )}
         <button
           onClick={handleDownload}
           className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
         >
           <Download className="mr-2 h-5 w-5" />
-          Download XML
+          {isScl ? 'Download SCL' : 'Download XML'}
         </button>
       </div>
       <div className="rounded-lg overflow-hidden border border-gray-200">
-        <SyntaxHighlighter language="xml" style={vscDarkPlus} showLineNumbers>
+        <SyntaxHighlighter language={isScl ? 'pascal' : 'xml'} style={vscDarkPlus} showLineNumbers>
           {xmlString}
         </SyntaxHighlighter>
       </div>
@@ -1,7 +1,18 @@
 // src/components/ui/exportManager.js
 import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
-import { generateTIAPortalXML } from '../../generator';
+import {
+  DEFAULT_TIA_VERSION,
+  generateInstanceDBXml,
+  generatePLCopenProject,
+  generateSCL,
+  generateStepTextList,
+  generateTIAPortalXML,
+  stepTextName,
+  unknownProgramReferences,
+} from '../../generator';
+import { DEFAULT_PROJECT_OPTIONS, generateCallingBlocks, instanceName } from '../../generator/project';
+import { DEFAULT_VALIDATION_RULES } from '../../config/validationRules.js';
 
 /**
  * Export Manager voor het genereren van ZIP bestanden met de complete projectstructuur
@@ -9,7 +20,8 @@ import { generateTIAPortalXML } from '../../generator';
 export class ExportManager {
   constructor() {
     this.zip = new JSZip();
-    this.callStatements = [];
+    this.projectPrograms = [];
+    this.programRegistry = new Map();
     this.exportedFiles = [];
   }
 
@@ -20,8 +32,16 @@ export class ExportManager {
    */
   async exportToZip(parsedDocument, options = {}) {
     const defaultOptions = {
+      language: 'FBD',            // 'FBD' of 'LAD' (Openness XML), of 'SCL' (externe bron)
+      tiaVersion: DEFAULT_TIA_VERSION, // 'V16' t/m 'V19': Engineering versie en namespaces van alle XML
+      validationRules: DEFAULT_VALIDATION_RULES, // groepen en arraygrenzen uit de ValidationConfigManager
       generateIDBs: true,
-      includeCallStatements: true,
+      generateTextLists: true,
+      includeCallingBlock: true,
+      generatePLCopen: false,     // extra PLCopen TC6 XML voor CODESYS/TwinCAT
+      plcopenBody: 'SFC',         // 'SFC' of 'ST'
+      callingBlock: DEFAULT_PROJECT_OPTIONS.caller,
+      statusDb: DEFAULT_PROJECT_OPTIONS.statusDb,
       useChapterNumbers: true,
       includeProjectInfo: true,
       projectName: 'TIA-Portal-Export',
@@ -29,15 +49,44 @@ export class ExportManager {
     };
 
     try {
+      // Verwijzingen tussen programma's lopen via hun IDB, met dezelfde naam als in het aanroepende blok
+      this.programRegistry = new Map(parsedDocument.programs.map(program => [
+        program.name,
+        { ...program, idbName: program.type === 'FB' ? instanceName(program) : null },
+      ]));
+
+      // Een verwijzing naar een onbekend programma is een parsefout; dan wordt er niets geëxporteerd
+      const unknown = parsedDocument.programs.flatMap(program =>
+        unknownProgramReferences({ ...program, programName: program.name }, this.programRegistry)
+          .map(error => `${program.name}: ${error.message}`));
+      if (unknown.length > 0) {
+        return { success: false, filesExported: 0, errors: unknown };
+      }
+
       // Genereer bestanden voor elk programma
       for (const program of parsedDocument.programs) {
         await this.processProgramma(program, defaultOptions);
       }
 
-      // Voeg CALL statements toe
-      if (defaultOptions.includeCallStatements && this.callStatements.length > 0) {
-        const callContent = this.generateCallStatementsFile();
-        this.zip.file('CALL_Statements.txt', callContent);
+      // "Status" DB en het OB/FC dat alle instanties aanroept
+      if (defaultOptions.includeCallingBlock && this.projectPrograms.length > 0) {
+        const blocks = generateCallingBlocks(this.projectPrograms, {
+          caller: defaultOptions.callingBlock,
+          statusDb: defaultOptions.statusDb,
+          tiaVersion: defaultOptions.tiaVersion,
+        });
+        for (const block of blocks) {
+          const fileName = `${block.name} ${block.type === 'GlobalDB' ? 'DB' : block.type}${block.number}.xml`;
+          this.zip.file(fileName, block.xml);
+          this.exportedFiles.push(fileName);
+        }
+      }
+
+      // Alle programma's als POU's in één PLCopen-project
+      if (defaultOptions.generatePLCopen && this.projectPrograms.length > 0) {
+        const fileName = `${defaultOptions.projectName}.plcopen.xml`;
+        this.zip.file(fileName, this.generatePLCopenXml(defaultOptions));
+        this.exportedFiles.push(fileName);
       }
 
       // Voeg project info toe
@@ -79,22 +128,41 @@ export class ExportManager {
       ? `${program.hoofdstukNummer} ${program.name}`
       : program.name;
     
-    // Genereer en save FB XML
-    const fbXml = this.generateFBXml(program, parseResult);
-    const fbFileName = `${baseName} ${program.type}${program.fbNumber}.xml`;
-    this.zip.file(`${folderPath}/${fbFileName}`, fbXml);
+    // Genereer en save het FB: FBD/LAD als Openness XML, SCL als externe bron
+    const isScl = options.language === 'SCL';
+    const fbSource = isScl
+      ? this.generateFBScl(program, parseResult, options.validationRules)
+      : this.generateFBXml(program, parseResult, options.language, options.tiaVersion, options.validationRules);
+    const fbFileName = `${baseName} ${program.type}${program.fbNumber}.${isScl ? 'scl' : 'xml'}`;
+    this.zip.file(`${folderPath}/${fbFileName}`, fbSource);
     this.exportedFiles.push(`${folderPath}/${fbFileName}`);
 
-    // Genereer en save IDB XML indien nodig
-    if (options.generateIDBs && program.type === 'FB' && program.idbName) {
-      const idbXml = this.generateIDBXml(program);
-      const idbFileName = `${baseName} ${program.idbName} DB${program.fbNumber}.xml`;
+    // Genereer en save IDB XML indien nodig; zonder Symbolik IDB heet hij <naam>_DB, zoals in de aanroep
+    if (options.generateIDBs && program.type === 'FB') {
+      const idbXml = this.generateIDBXml(program, parseResult, options.tiaVersion, options.validationRules);
+      const idbFileName = `${baseName} ${instanceName(program)} DB${program.fbNumber}.xml`;
       this.zip.file(`${folderPath}/${idbFileName}`, idbXml);
       this.exportedFiles.push(`${folderPath}/${idbFileName}`);
     }
 
-    // Voeg CALL statement toe
-    this.addCallStatement(program, baseName);
+    // Tekstlijst voor "Status".Staptekst_<naam> (stapnummer -> stapomschrijving)
+    if (options.generateTextLists && parseResult.steps.length > 0) {
+      const textListName = stepTextName(program.name);
+      const textListFileName = `${baseName} ${textListName}.xml`;
+      this.zip.file(`${folderPath}/${textListFileName}`, generateStepTextList(parseResult, textListName, options.tiaVersion));
+      this.exportedFiles.push(`${folderPath}/${textListFileName}`);
+    }
+
+    // Aanroep in het OB/FC, in hoofdstukvolgorde
+    this.projectPrograms.push({
+      name: program.name,
+      type: program.type,
+      fbNumber: program.fbNumber,
+      idbName: program.idbName,
+      hoofdstukNummer: program.hoofdstukNummer,
+      path: program.path || program.folderPath || [],
+      parseResult,
+    });
   }
 
   /**
@@ -112,6 +180,7 @@ export class ExportManager {
         timers: program.timers || [],
         markers: program.markers || [],
         storingen: program.storingen || [],
+        counters: program.counters || [],
         errors: program.errors || [],
         statistics: program.statistics || {
           totalSteps: program.steps.length,
@@ -162,7 +231,8 @@ export class ExportManager {
         if (match) {
           steps.push({
             number: parseInt(match[1]),
-            type: 'STAP',
+            type: 'SCHRITT',
+            keyword: 'STAP',
             description: match[2].trim()
           });
         }
@@ -175,140 +245,51 @@ export class ExportManager {
   /**
    * Genereer FB XML
    */
-  generateFBXml(program, parseResult) {
+  generateFBXml(program, parseResult, language = 'FBD', tiaVersion = DEFAULT_TIA_VERSION, validationRules = DEFAULT_VALIDATION_RULES) {
     // Gebruik de bestaande generator
-    const xmlContent = generateTIAPortalXML(parseResult);
+    const xmlContent = generateTIAPortalXML(parseResult, this.programRegistry, { language, tiaVersion, validationRules });
     return xmlContent;
   }
 
   /**
-   * Genereer IDB XML
+   * Genereer FB als SCL-bron (.scl) uit hetzelfde parse resultaat
    */
-  generateIDBXml(program) {
-    // Genereer een basis IDB XML
-    const instanceOfName = program.hoofdstukNummer 
-      ? `${program.hoofdstukNummer} ${program.name}`
-      : program.name;
-      
-    return `<?xml version="1.0" encoding="utf-8"?>
-<Document>
-  <Engineering version="V18" />
-  <SW.Blocks.InstanceDB ID="0">
-    <AttributeList>
-      <AutoNumber>false</AutoNumber>
-      <InstanceOfName>${instanceOfName}</InstanceOfName>
-      <InstanceOfType>FB</InstanceOfType>
-      <Interface><Sections xmlns="http://www.siemens.com/automation/Openness/SW/Interface/v5">
-  <Section Name="Input" />
-  <Section Name="Output">
-    <Member Name="Uit_Stap_Tekst" Datatype="Int" />
-  </Section>
-  <Section Name="InOut" />
-  <Section Name="Static">
-    <Member Name="Stap" Datatype="Array[0..31] of Bool" Remanence="Retain" />
-    <Member Name="Stap_A" Datatype="Array[0..31] of Bool" Remanence="Retain" />
-    <Member Name="Stap_B" Datatype="Array[0..31] of Bool" Remanence="Retain" />
-    <Member Name="Stap_C" Datatype="Array[0..31] of Bool" Remanence="Retain" />
-    <Member Name="Hulp" Datatype="Array[1..32] of Bool" Remanence="Retain" />
-    <Member Name="Tijd" Datatype="Array[1..10] of IEC_TIMER" Version="1.0" Remanence="Retain">
-      <AttributeList>
-        <BooleanAttribute Name="SetPoint" SystemDefined="true">true</BooleanAttribute>
-      </AttributeList>
-    </Member>
-    <Member Name="Teller" Datatype="Array[1..10] of Int" Remanence="Retain" />
-    <Member Name="Melding" Datatype="Array[0..2] of &quot;Program Alarm Message&quot;" />
-  </Section>
-</Sections></Interface>
-      <Name>${program.idbName}</Name>
-      <Namespace />
-      <Number>${program.fbNumber}</Number>
-      <ProgrammingLanguage>DB</ProgrammingLanguage>
-    </AttributeList>
-    <ObjectList>
-      <MultilingualText ID="1" CompositionName="Comment">
-        <ObjectList>
-          <MultilingualTextItem ID="2" CompositionName="Items">
-            <AttributeList>
-              <Culture>nl-NL</Culture>
-              <Text />
-            </AttributeList>
-          </MultilingualTextItem>
-          <MultilingualTextItem ID="3" CompositionName="Items">
-            <AttributeList>
-              <Culture>en-GB</Culture>
-              <Text />
-            </AttributeList>
-          </MultilingualTextItem>
-        </ObjectList>
-      </MultilingualText>
-      <MultilingualText ID="4" CompositionName="Title">
-        <ObjectList>
-          <MultilingualTextItem ID="5" CompositionName="Items">
-            <AttributeList>
-              <Culture>nl-NL</Culture>
-              <Text />
-            </AttributeList>
-          </MultilingualTextItem>
-          <MultilingualTextItem ID="6" CompositionName="Items">
-            <AttributeList>
-              <Culture>en-GB</Culture>
-              <Text />
-            </AttributeList>
-          </MultilingualTextItem>
-        </ObjectList>
-      </MultilingualText>
-    </ObjectList>
-  </SW.Blocks.InstanceDB>
-</Document>`;
+  generateFBScl(program, parseResult, validationRules = DEFAULT_VALIDATION_RULES) {
+    return generateSCL(parseResult, this.programRegistry, { validationRules });
   }
 
   /**
-   * Bouw folder pad op basis van hierarchy
+   * Genereer het PLCopen-project; FB's met een IDB krijgen een globale instantie met die naam
    */
-  buildFolderPath(path) {
-    // Verwijder lege segmenten en join met /
-    if (!path) return '';
-    return path.filter(segment => segment).join('/');
+  generatePLCopenXml(options) {
+    const programs = this.projectPrograms.map(program => ({
+      parseResult: program.parseResult,
+      instanceName: program.type === 'FB' ? instanceName(program) : null,
+    }));
+    return generatePLCopenProject(programs, this.programRegistry, {
+      body: options.plcopenBody,
+      projectName: options.projectName,
+      validationRules: options.validationRules,
+    });
   }
 
   /**
-   * Voeg CALL statement toe
+   * Genereer IDB XML; de interface komt uit het FB dat de generator bouwt
    */
-  addCallStatement(program, baseName) {
-    const instanceName = program.idbName || `${program.name}_DB`;
-    const statusPath = `"Status".Staptekst_${this.sanitizeName(program.name)}`;
-    
-    this.callStatements.push({
-      path: program.path || program.folderPath || [],
-      statement: `CALL "${baseName}", "${instanceName}"\n   Uit_Stap_Tekst:=${statusPath}`
-    });
+  generateIDBXml(program, parseResult, tiaVersion = DEFAULT_TIA_VERSION, validationRules = DEFAULT_VALIDATION_RULES) {
+    return generateInstanceDBXml(parseResult, {
+      name: instanceName(program),
+      number: parseInt(program.fbNumber, 10),
+    }, this.programRegistry, { tiaVersion, validationRules });
   }
 
   /**
-   * Genereer CALL statements bestand
+   * Bouw folder pad op basis van hierarchy
    */
-  generateCallStatementsFile() {
-    let content = '// Automatisch gegenereerde CALL statements\n';
-    content += '// Gegenereerd op: ' + new Date().toLocaleString('nl-NL') + '\n\n';
-
-    // Groepeer per hoofdstuk
-    const grouped = {};
-    for (const call of this.callStatements) {
-      const chapter = (call.path && call.path[0]) || 'Onbekend';
-      if (!grouped[chapter]) {
-        grouped[chapter] = [];
-      }
-      grouped[chapter].push(call.statement);
-    }
-
-    // Genereer output
-    for (const [chapter, statements] of Object.entries(grouped)) {
-      content += `// ${chapter}\n`;
-      content += statements.join('\n\n');
-      content += '\n\n';
-    }
-
-    return content;
+  buildFolderPath(path) {
+    // Verwijder lege segmenten en join met /
+    if (!path) return '';
+    return path.filter(segment => segment).join('/');
   }
 
   /**
@@ -322,7 +303,7 @@ export class ExportManager {
         totalPrograms: parsedDocument.programs.length,
         totalFBs: parsedDocument.programs.filter(p => p.type === 'FB').length,
         totalFCs: parsedDocument.programs.filter(p => p.type === 'FC').length,
-        totalIDBs: parsedDocument.programs.filter(p => p.idbName).length
+        totalIDBs: options.generateIDBs ? parsedDocument.programs.filter(p => p.type === 'FB').length : 0
       },
       structure: this.buildHierarchyInfo(parsedDocument.hierarchy),
       exportOptions: options,
@@ -79,4 +79,36 @@ export const defaultSyntaxRules = {
       description: 'Auto-learned process control variable pattern',
     },
   ],
-};
\ No newline at end of file
+};
+
+/**
+ * Canonical step types. Every parser emits one of these as `step.type` and
+ * keeps the keyword as written (STAP, SCHRITT, RUHE, ...) in `step.keyword`.
+ */
+export const STEP_TYPES = {
+  RUST: 'RUST',
+  SCHRITT: 'SCHRITT',
+  KLAAR: 'KLAAR',
+};
+
+/**
+ * Maps a step keyword from any supported language to its canonical type
+ */
+export function normalizeStepType(keyword, stepKeywords = defaultSyntaxRules.stepKeywords) {
+  const upper = String(keyword || '').trim().toUpperCase();
+  const matches = list => (list || []).some(k => k.toUpperCase() === upper);
+
+  if (upper === STEP_TYPES.RUST || matches(stepKeywords.rest)) return STEP_TYPES.RUST;
+  if (upper === STEP_TYPES.KLAAR || matches(stepKeywords.end)) return STEP_TYPES.KLAAR;
+  return STEP_TYPES.SCHRITT;
+}
+
+/**
+ * Display label for a step, e.g. "RUST", "STAP 3" or "SCHRITT A3" (parallel branch A)
+ */
+export function formatStepLabel(step) {
+  if (!step) return 'STAP ?';
+  const keyword = step.keyword || (step.type === STEP_TYPES.SCHRITT ? 'STAP' : step.type);
+  if (step.type === STEP_TYPES.RUST) return keyword;
+  return step.number !== undefined ? `${keyword} ${step.branch || ''}${step.number}` : step.name || `${keyword} ?`;
+}
@@ -198,6 +198,8 @@ export const DEFAULT_VALIDATION_RULES = {
       description: 'Sequential steps',
       patterns: [
         /^(SCHRITT|STAP|STEP)\s+(\d+):\s*(.*)$/,
+        // Parallel branch step: SCHRITT A3 is Stap_A[3]
+        /^(SCHRITT|STAP|STEP)\s+([A-C])(\d+):\s*(.*)$/,
         // Auto-learned patterns from training
         /^(\w+)\s+(\d+)\s*:\s*(.*)$/,
         /^(\d+\.?\d*)\s*([A-Z]\d*[x]?)\s*:\s*(.+)\s+FB\d+\s*\t?\d*$/,
@@ -206,6 +208,7 @@ export const DEFAULT_VALIDATION_RULES = {
         stepNumber: 'dynamic',
         implicitLogic: false,
         requiresPreviousStep: true,
+        parallelBranches: ['A', 'B', 'C'],
       },
       validation: {
         allowsExitConditions: true,
@@ -214,6 +217,28 @@ export const DEFAULT_VALIDATION_RULES = {
         maxConditions: 20,
       },
     },
+
+    klaar: {
+      name: 'KLAAR',
+      description: 'End step: sets the completion flag and returns to RUST',
+      patterns: [
+        /^(KLAAR|FERTIG|END)(?:\s+(\d+))?:\s*(.*)$/,
+      ],
+      implementation: {
+        stepNumber: 'afterHighest',
+        implicitLogic: false,
+        requiresPreviousStep: true,
+        setsCompletionFlag: true,
+        returnsToRust: true,
+      },
+      validation: {
+        allowsExitConditions: true,
+        allowsEntryConditions: true,
+        allowsVonSchritt: true,
+        mustBeLastStep: true,
+        maxConditions: 20,
+      },
+    },
   },
   
   crossReferenceValidation: {
@@ -279,6 +304,17 @@ export const DEFAULT_VALIDATION_RULES = {
       },
     },
   },
+
+  // Array bounds in the generated FB/IDB: the highest used index is rounded
+  // up to whole blocks; an index above maxIndex is a validation error
+  arraySizing: {
+    Stap: { blockSize: 32, maxIndex: 255 },
+    Hulp: { blockSize: 32, maxIndex: 255 },
+    Storing: { blockSize: 32, maxIndex: 255 },
+    Melding: { blockSize: 32, maxIndex: 255 },
+    Tijd: { blockSize: 10, maxIndex: 100 },
+    Teller: { blockSize: 10, maxIndex: 100 },
+  },
 };
 
 /**
@@ -353,6 +389,16 @@ export function determineVariableGroup(name, rules = DEFAULT_VALIDATION_RULES) {
   return 'hulpmerker'; // Default fallback
 }
 
+/**
+ * Maps a step to its stepValidation entry; custom rules without a klaar
+ * entry validate end steps like SCHRITT
+ */
+function stepValidationKey(step, rules) {
+  if (step.type === 'RUST') return 'rust';
+  if (step.type === 'KLAAR' && rules.stepValidation.klaar) return 'klaar';
+  return 'schritt';
+}
+
 /**
  * Validates a step definition
  */
@@ -360,12 +406,13 @@ export function validateStepDefinition(step, rules = DEFAULT_VALIDATION_RULES) {
   const errors = [];
   const warnings = [];
   
+  const stepType = stepValidationKey(step, rules);
+
   // Check if validation is disabled (flexible mode)
   if (rules.strict === false || rules.allowRustConditions === true) {
-    return { errors, warnings, stepRules: rules.stepValidation[step.type === 'RUST' ? 'rust' : 'schritt'] };
+    return { errors, warnings, stepRules: rules.stepValidation[stepType] };
   }
   
-  const stepType = step.type === 'RUST' ? 'rust' : 'schritt';
   const stepRules = rules.stepValidation[stepType];
   
   // Validate conditions
@@ -459,5 +506,9 @@ export function mergeValidationRules(customRules, defaultRules = DEFAULT_VALIDAT
       ...defaultRules.stepValidation,
       ...customRules.stepValidation,
     },
+    arraySizing: {
+      ...defaultRules.arraySizing,
+      ...customRules.arraySizing,
+    },
   };
 }
\ No newline at end of file
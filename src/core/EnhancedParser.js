@@ -6,6 +6,7 @@
 // =====================================================================
 
 import { determineVariableGroup } from '../config/validationRules.js';
+import { LINE_PATTERNS, isConditionBlock, parseProgram, termText } from '../language';
 
 /**
  * Enhanced Parser with rule-based logic and training capabilities
@@ -23,8 +24,8 @@ export class EnhancedParser {
         orLogic: /^\s*\+/,
         andLogic: /^\s*-/,
         negation: /^(NIET|NOT|NICHT)\s+/i,
-        timer: /(?:TIJD|ZEIT|TIME)\s+(\d+)\s*(Sek|sek|Min|min|s|m)\s*\?\?/i,
-        crossReference: /^(.+?)\s*\(([^)]+)\s+(SCHRITT|STAP|STEP)\s+([0-9+]+)\)\s*$/i,
+        timer: LINE_PATTERNS.timer,
+        crossReference: LINE_PATTERNS.crossReference,
         assignment: /^([^=]+)\s*=\s*(.*)$/,
         comparison: /^([^<>=!]+)\s*([<>=!]+)\s*(.*)$/,
       },
@@ -59,8 +60,12 @@ export class EnhancedParser {
   parseText(text, options = {}) {
     const lines = text.split('\n');
     const result = {
+      programName: '',
+      functionBlock: '',
+      symbolikIDB: '',
       steps: [],
       variables: [],
+      counters: [],
       conditions: [],
       crossReferences: [],
       errors: [],
@@ -72,111 +77,114 @@ export class EnhancedParser {
       },
     };
 
-    let currentStep = null;
-    let pendingConditions = [];
-    let globalVariables = [];
-
     // Reset metrics
     this.resetMetrics();
 
-    lines.forEach((line, index) => {
-      const trimmed = line.trim();
-      if (!trimmed) return;
-
-      try {
-        // Try to parse as step
-        const stepResult = this.parseStep(trimmed, index + 1);
-        if (stepResult) {
-          // Save previous step with its conditions
-          if (currentStep) {
-            currentStep.conditions = [...pendingConditions];
-            result.steps.push(currentStep);
-            this.metrics.totalSteps++;
-          }
-          
-          currentStep = stepResult;
-          pendingConditions = [];
-          return;
-        }
+    // Line classification is done by the shared grammar (src/language)
+    const ast = parseProgram(text, this.syntaxRules);
+    const originalText = lineNumber => (lines[lineNumber - 1] || '').trim();
+
+    // One object per condition: a condition below VON SCHRITT belongs to the
+    // step above it and to the transition, and the generator matches them by identity
+    const conditions = new Map();
+    const toCondition = node => {
+      if (!conditions.has(node)) {
+        conditions.set(node, isConditionBlock(node)
+          ? this.createBlock(node, toCondition)
+          : this.createCondition(node, lines[node.lineNumber - 1] || ''));
+      }
+      return conditions.get(node);
+    };
 
-        // Try to parse as variable (outside of steps)
-        const variableResult = this.parseVariable(trimmed, index + 1);
-        if (variableResult && !currentStep) {
-          globalVariables.push(variableResult);
-          this.metrics.totalVariables++;
-          return;
-        }
+    result.programName = ast.header?.name || '';
+    result.functionBlock = ast.header?.functionBlock || '';
+    result.symbolikIDB = ast.symbolikIDB?.name || '';
 
-        // Try to parse as condition (within steps)
-        if (currentStep) {
-          const conditionResult = this.parseCondition(trimmed, line, index + 1);
-          if (conditionResult) {
-            pendingConditions.push(conditionResult);
-            this.metrics.totalConditions++;
-            
-            // Track cross-references
-            if (conditionResult.crossReference) {
-              result.crossReferences.push(conditionResult.crossReference);
-              this.metrics.crossReferences++;
-            }
-            
-            // Track timers
-            if (conditionResult.timer) {
-              this.metrics.timers++;
-            }
-            
-            return;
-          }
+    ast.steps.forEach(node => {
+      const previous = result.steps[result.steps.length - 1];
+      const step = this.createStep(node, originalText(node.lineNumber), toCondition);
+      result.steps.push(step);
+      if (previous) {
+        step.transitions.forEach(transition => previous.conditions.push(...transition.conditions));
+      }
+      node.entryConditions.forEach(group => {
+        step.conditions.push(...group.conditions.map(toCondition));
+      });
+    });
+
+    result.steps.forEach(step => {
+      this.metrics.totalSteps++;
+      step.conditions.flatMap(condition => this.conditionLeaves(condition)).forEach(condition => {
+        this.metrics.totalConditions++;
+
+        // Track cross-references
+        if (condition.crossReference) {
+          result.crossReferences.push(condition.crossReference);
+          this.metrics.crossReferences++;
         }
 
-        // If nothing matched, add to training data for future optimization
-        this.addToTrainingData('unknown', {
-          text: trimmed,
-          lineNumber: index + 1,
-          context: currentStep ? 'within_step' : 'global',
-        });
+        // Track timers
+        if (condition.timer) {
+          this.metrics.timers++;
+        }
+      });
+    });
 
-      } catch (error) {
-        result.errors.push({
-          line: index + 1,
-          message: error.message,
-          text: trimmed,
-        });
-        this.metrics.parseErrors++;
-      }
+    result.variables = ast.variables.map(node => {
+      this.metrics.totalVariables++;
+      return this.createVariable(node, originalText(node.lineNumber), toCondition);
     });
 
-    // Save last step
-    if (currentStep) {
-      currentStep.conditions = [...pendingConditions];
-      result.steps.push(currentStep);
-      this.metrics.totalSteps++;
-    }
+    result.counters = ast.counters.map(({ name, preset, operations, lineNumber }) => ({
+      name,
+      preset,
+      operations: operations.map(op => ({ ...op })),
+      lineNumber,
+    }));
+
+    // If nothing matched, add to training data for future optimization
+    ast.unrecognized.forEach(node => {
+      this.addToTrainingData('unknown', {
+        text: node.text,
+        lineNumber: node.lineNumber,
+        context: ast.steps.some(step => step.lineNumber < node.lineNumber) ? 'within_step' : 'global',
+      });
+    });
 
-    // Add global variables
-    result.variables = globalVariables;
+    ast.diagnostics.forEach(diagnostic => {
+      (diagnostic.severity === 'error' ? result.errors : result.warnings).push({
+        type: 'SYNTAX',
+        line: diagnostic.span.start.line,
+        message: diagnostic.message,
+        text: originalText(diagnostic.span.start.line),
+      });
+    });
 
     // Add all conditions to result
     result.conditions = result.steps.flatMap(step => step.conditions || []);
+    result.ast = ast;
 
     return result;
   }
 
   /**
-   * Parse step with enhanced pattern matching
+   * Step from the syntax tree
    */
-  parseStep(text, lineNumber) {
-    const match = text.match(this.patterns.step);
-    if (!match) return null;
-
-    const [, keyword, number, description] = match;
-    
+  createStep(node, text, toCondition) {
     const step = {
-      type: keyword.toUpperCase(),
-      number: number ? parseInt(number) : 0,
-      description: description.trim(),
-      lineNumber,
+      type: node.type,
+      keyword: node.keyword,
+      ...(node.branch ? { branch: node.branch } : {}),
+      number: node.number,
+      description: node.description,
+      lineNumber: node.lineNumber,
       conditions: [],
+      transitions: node.transitions.map(transition => ({
+        fromStep: transition.fromStep,
+        isOr: transition.isOr,
+        conditions: transition.conditions.map(toCondition),
+        implicitConditions: transition.implicitConditions,
+      })),
       metadata: {
         originalText: text,
         parser: 'EnhancedParser',
@@ -191,87 +199,47 @@ export class EnhancedParser {
   }
 
   /**
-   * Parse condition with multiple detection methods
+   * Condition from the syntax tree, with the detection methods of its source line
    */
-  parseCondition(trimmed, originalLine, lineNumber) {
-    const hasIndentation = this.patterns.condition.indentation.test(originalLine);
-    const startsWithPlus = this.patterns.condition.orLogic.test(trimmed);
-    const startsWithMinus = this.patterns.condition.andLogic.test(trimmed);
-    const isNegated = this.patterns.condition.negation.test(trimmed);
-    const hasTimer = this.patterns.condition.timer.test(trimmed);
-    const hasAssignment = this.patterns.condition.assignment.test(trimmed);
-    const hasComparison = this.patterns.condition.comparison.test(trimmed);
-    const hasCrossRef = this.patterns.condition.crossReference.test(trimmed);
-
-    // Check if this looks like a condition
-    const isConditionLine = hasIndentation || startsWithPlus || startsWithMinus || 
-                           isNegated || hasTimer || hasAssignment || hasCrossRef;
-
-    if (!isConditionLine) return null;
-
-    let conditionText = trimmed;
-    
-    // Clean condition text
-    if (conditionText.startsWith('-')) conditionText = conditionText.substring(1).trim();
-    const isOr = conditionText.startsWith('+');
-    if (isOr) conditionText = conditionText.substring(1).trim();
-    
-    const negated = this.patterns.condition.negation.test(conditionText);
-    if (negated) conditionText = conditionText.replace(this.patterns.condition.negation, '').trim();
-
-    // Parse cross-reference
-    const crossRefMatch = conditionText.match(this.patterns.condition.crossReference);
-    let crossReference = null;
-    if (crossRefMatch) {
-      crossReference = {
-        description: crossRefMatch[1].trim(),
-        program: crossRefMatch[2].trim(),
-        steps: crossRefMatch[4].split('+').map(s => parseInt(s.trim())),
-        rawText: conditionText,
-      };
-    }
-
-    // Parse timer
-    const timerMatch = conditionText.match(this.patterns.condition.timer);
-    let timer = null;
-    if (timerMatch) {
-      timer = {
-        value: parseInt(timerMatch[1]),
-        unit: timerMatch[2].toLowerCase(),
-        rawText: conditionText,
-      };
-    }
+  createCondition(node, originalLine) {
+    const trimmed = originalLine.trim();
+    const assignmentMatch = node.text.match(this.patterns.condition.assignment);
+    const { crossReference, timer } = node;
 
-    // Parse assignment
-    const assignmentMatch = conditionText.match(this.patterns.condition.assignment);
-    let assignment = null;
-    if (assignmentMatch) {
-      assignment = {
+    const condition = {
+      text: node.text,
+      operator: node.operator,
+      negated: node.negated,
+      lineNumber: node.lineNumber,
+      crossReference: crossReference ? {
+        description: crossReference.description,
+        program: crossReference.program,
+        ...(crossReference.functionBlock ? { functionBlock: crossReference.functionBlock } : {}),
+        steps: crossReference.steps,
+        rawText: node.text,
+      } : null,
+      comparison: node.comparison,
+      timer: timer ? {
+        value: timer.value,
+        unit: timer.unit.toLowerCase(),
+        rawText: node.text,
+      } : null,
+      assignment: assignmentMatch ? {
         variable: assignmentMatch[1].trim(),
         value: assignmentMatch[2].trim(),
-        rawText: conditionText,
-      };
-    }
-
-    const condition = {
-      text: conditionText,
-      operator: isOr ? 'OR' : 'AND',
-      negated: negated,
-      lineNumber,
-      crossReference,
-      timer,
-      assignment,
+        rawText: node.text,
+      } : null,
       metadata: {
         originalText: trimmed,
-        hasIndentation,
+        hasIndentation: this.patterns.condition.indentation.test(originalLine),
         detectionMethods: {
-          indentation: hasIndentation,
-          orLogic: startsWithPlus,
-          andLogic: startsWithMinus,
-          negation: isNegated,
-          timer: hasTimer,
-          assignment: hasAssignment,
-          crossReference: hasCrossRef,
+          indentation: this.patterns.condition.indentation.test(originalLine),
+          orLogic: this.patterns.condition.orLogic.test(trimmed),
+          andLogic: this.patterns.condition.andLogic.test(trimmed),
+          negation: this.patterns.condition.negation.test(trimmed),
+          timer: !!timer,
+          assignment: !!assignmentMatch,
+          crossReference: !!crossReference,
         },
       },
     };
@@ -280,32 +248,60 @@ export class EnhancedParser {
     this.addToTrainingData('condition', condition);
     
     // Record pattern matches
-    if (crossReference) this.recordPatternMatch('crossReference', this.patterns.condition.crossReference);
-    if (timer) this.recordPatternMatch('timer', this.patterns.condition.timer);
-    if (assignment) this.recordPatternMatch('assignment', this.patterns.condition.assignment);
+    if (condition.crossReference) this.recordPatternMatch('crossReference', this.patterns.condition.crossReference);
+    if (condition.timer) this.recordPatternMatch('timer', this.patterns.condition.timer);
+    if (condition.assignment) this.recordPatternMatch('assignment', this.patterns.condition.assignment);
 
     return condition;
   }
 
   /**
-   * Parse variable with group detection
+   * Bracketed [ ... ] block: an OR of AND groups that counts as one entry of
+   * the flat condition list, with the conditions inside mapped as usual
    */
-  parseVariable(text, lineNumber) {
-    const match = text.match(this.patterns.variable);
-    if (!match) return null;
+  createBlock(node, toCondition) {
+    return {
+      type: 'block',
+      text: termText(node),
+      operator: node.operator,
+      negated: node.negated,
+      lineNumber: node.lineNumber,
+      groups: node.groups.map(group => ({
+        type: 'group',
+        operator: group.operator,
+        conditions: group.conditions.map(toCondition),
+      })),
+    };
+  }
 
-    const [, name, value] = match;
-    const cleanName = name.trim();
-    const cleanValue = value.trim();
+  /**
+   * Conditions inside a block, including nested blocks
+   */
+  conditionLeaves(condition) {
+    return condition.type === 'block'
+      ? condition.groups.flatMap(group => group.conditions.flatMap(c => this.conditionLeaves(c)))
+      : [condition];
+  }
 
+  /**
+   * Variable definition from the syntax tree, with group detection
+   */
+  createVariable(node, text, toCondition) {
     // Determine variable group using existing validation rules
-    const group = determineVariableGroup(cleanName, this.validationRules);
+    // "STORING 23 = Doseerklep vastgelopen" wordt herkend als "STORING: Doseerklep vastgelopen ="
+    const definition = node.implicit ? `${node.name} =` : node.index !== undefined ? `${node.label} =` : text;
+    const group = this.validationRules.groups ? determineVariableGroup(definition, this.validationRules) : node.group;
 
     const variable = {
-      name: cleanName,
-      value: cleanValue,
+      name: node.name,
+      value: node.value || '',
+      ...(node.index !== undefined ? { index: node.index } : {}),
       group,
-      lineNumber,
+      lineNumber: node.lineNumber,
+      conditions: node.conditions.map(toCondition),
+      ...(node.setReset ? {
+        setReset: { set: node.setReset.set.map(toCondition), reset: node.setReset.reset.map(toCondition) },
+      } : {}),
       metadata: {
         originalText: text,
         parser: 'EnhancedParser',
@@ -50,6 +50,10 @@ export class FlexibleParser {
     // Apply flexible validation (less strict than original)
     const validatedResult = this.applyFlexibleValidation(result);
     
+    // Program name and FB from the metadata take precedence over the text header, as in LogicParser
+    if (metadata.programName) validatedResult.programName = metadata.programName;
+    if (metadata.functionBlock) validatedResult.functionBlock = metadata.functionBlock;
+
     // Add metadata to match UnifiedTextParser interface
     validatedResult.parsingMetadata = {
       source,
@@ -67,10 +71,11 @@ export class FlexibleParser {
    * Apply flexible validation (less strict than original)
    */
   applyFlexibleValidation(result) {
+    // Grammar diagnostics from the language parser are kept, the strict validation is not
     const validatedResult = {
       ...result,
-      errors: [],
-      warnings: [],
+      errors: result.errors.filter(error => error.type === 'SYNTAX'),
+      warnings: result.warnings.filter(warning => warning.type === 'SYNTAX'),
     };
 
     // Validate steps with flexible rules
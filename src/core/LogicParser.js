@@ -5,6 +5,8 @@
 // invoer als Word-document import naar één herbruikbare engine.
 // =====================================================================
 
+import { isConditionBlock, parseProgram, termText } from '../language';
+
 /**
  * Centrale parsing engine die standaardwerk tekst parseert naar gestructureerde objecten
  * Gebruikt door zowel handmatige invoer als Word-document import
@@ -24,47 +26,15 @@ export class LogicParser {
   parse(code, metadata = {}) {
     // Reset result voor nieuwe parsing
     this.result = this.createEmptyResult();
-    
+    this.conditionObjects = new Map();
+
     // Merge metadata
     Object.assign(this.result, metadata);
 
-    const lines = code.split('\n');
-    let currentStep = null;
-    let pendingConditions = [];
-    let currentVariableDefinition = null;
-
-    lines.forEach((line, index) => {
-      const lineNumber = index + 1;
-      const trimmedLine = line.trim();
-
-      if (!trimmedLine) {
-        this.handleEmptyLine(pendingConditions, currentVariableDefinition);
-        return;
-      }
-
-      // Parse verschillende regel types
-      if (this.tryParseHeader(line, lineNumber)) return;
-      if (this.tryParseSymbolik(line, lineNumber)) return;
-      if (this.tryParseVariable(line, lineNumber, currentVariableDefinition, pendingConditions)) {
-        currentVariableDefinition = this.getLastVariableDefinition();
-        pendingConditions = [];
-        return;
-      }
-      if (this.tryParseStep(line, lineNumber, currentStep, pendingConditions)) {
-        // KRITIEKE FIX: currentStep moet direct na step parsing worden bijgewerkt
-        // zodat volgende conditions bij de juiste stap horen
-        currentStep = this.getLastStep();
-        pendingConditions = [];
-        return;
-      }
-      
-      // Parse voorwaarden - Deze horen bij de HUIDIGE stap (die net is aangemaakt)
-      // NIET bij de vorige stap die in currentStep stond voor de step parsing
-      this.tryParseCondition(line, lineNumber, currentStep, currentVariableDefinition, pendingConditions);
-    });
-
-    // Finaliseer laatste variabele definitie
-    this.finalizeCurrentVariable(currentVariableDefinition, pendingConditions);
+    // De regels zelf worden gelezen door de gedeelde grammatica (src/language)
+    const ast = parseProgram(code, this.syntaxRules, this.parseOptions());
+    this.result.ast = ast;
+    this.applyProgram(ast);
 
     // Bereken statistieken
     this.calculateStatistics();
@@ -72,6 +42,14 @@ export class LogicParser {
     return this.result;
   }
 
+  /**
+   * Regels onder een stap zijn hier altijd voorwaarden, ook zonder '-' of
+   * inspringing: zo levert convertToStandaardwerkFormat de Word-tekst aan.
+   */
+  parseOptions() {
+    return { bareConditions: true };
+  }
+
   createEmptyResult() {
     return {
       programName: '',
@@ -82,6 +60,7 @@ export class LogicParser {
       timers: [],
       markers: [],
       storingen: [],
+      counters: [],
       errors: [],
       warnings: [],
       statistics: {
@@ -94,206 +73,175 @@ export class LogicParser {
     };
   }
 
-  handleEmptyLine(pendingConditions, currentVariableDefinition) {
-    if (pendingConditions.length > 0 && currentVariableDefinition) {
-      currentVariableDefinition.conditions = [...pendingConditions];
-      pendingConditions.length = 0;
-    }
-  }
-
-  tryParseHeader(line, lineNumber) {
-    const isIndented = /^\s/.test(line);
-    
-    if (!this.result.programName && !isIndented) {
-      const headerMatch = line.match(/^(.+?)\s+(FB\d+)$/);
-      if (headerMatch) {
-        this.result.programName = headerMatch[1].trim();
-        this.result.functionBlock = headerMatch[2].trim();
-        return true;
-      } else if (!line.includes(':')) {
-        this.result.programName = line.trim();
-        return true;
-      }
-    }
-    return false;
-  }
-
-  tryParseSymbolik(line, lineNumber) {
-    if (line.startsWith('Symbool IDB:') || line.startsWith('Symbolik IDB:')) {
-      const colonIndex = line.indexOf(':');
-      if (colonIndex >= 0) {
-        this.result.symbolikIDB = line.substring(colonIndex + 1).trim();
-        return true;
-      }
-    }
-    return false;
-  }
-
   /**
-   * Detecteert of een regel een voorwaarde is met programma-verwijzingen
-   * Voorkomt dat verwijzingen naar andere programma's worden herkend als stappen
+   * Zet de syntaxboom om naar de resultaatvorm van deze parser. Programmanaam
+   * en FB uit de metadata gaan voor de kop van de tekst.
    */
-  isConditionWithProgramReference(line) {
-    // Patterns die duiden op programma-verwijzingen binnen voorwaarden:
-    // - "NICHT aktiv (T10: Positionieren Einfuhrwagen) RUHE"
-    // - "Gestartet (T10: Positionieren Einfuhrwagen NICHT RUHE)"
-    // - "Fertig (T10: Positionieren Einfuhrwagen RUHE)"
-    
-    // Check voor parentheses met programma-verwijzingen
-    const programReferencePattern = /\([^)]*:\s*[^)]*\)/;
-    if (programReferencePattern.test(line)) {
-      return true;
-    }
-    
-    // Check voor step keywords die NIET aan het begin staan
-    const stepKeywords = [
-      ...this.syntaxRules.stepKeywords.rest,
-      ...this.syntaxRules.stepKeywords.step,
-    ];
-    
-    for (const keyword of stepKeywords) {
-      const keywordIndex = line.toLowerCase().indexOf(keyword.toLowerCase());
-      if (keywordIndex > 0) { // Niet aan het begin
-        // Check of het keyword voorkomt in een context van een voorwaarde
-        const beforeKeyword = line.substring(0, keywordIndex).trim();
-        if (beforeKeyword.length > 0 && !beforeKeyword.endsWith(':')) {
-          return true;
-        }
+  applyProgram(ast) {
+    const { header, symbolikIDB } = ast;
+    this.result.programName = this.result.programName || header?.name || '';
+    this.result.functionBlock = this.result.functionBlock || header?.functionBlock || '';
+    this.result.symbolikIDB = symbolikIDB?.name || this.result.symbolikIDB;
+
+    ast.steps.forEach(node => {
+      const previous = this.result.steps[this.result.steps.length - 1];
+      const step = this.createStep(node);
+      this.result.steps.push(step);
+
+      // De voorwaarden onder "+ VON SCHRITT n" staan in de tekst onder de vorige stap
+      if (previous) {
+        step.transitions.forEach(transition => {
+          transition.conditions.forEach(condition => this.addStepCondition(previous, condition));
+        });
       }
-    }
-    
-    return false;
-  }
+      node.entryConditions.forEach(group => {
+        group.conditions.forEach(condition => this.addStepCondition(step, this.toCondition(condition)));
+      });
+    });
 
-  tryParseVariable(line, lineNumber, currentVariableDefinition, pendingConditions) {
-    const variableMatch = line.match(/^([A-Za-z][A-Za-z0-9_]*)\s*=/);
-    const isIndented = /^\s/.test(line);
-    
-    if (variableMatch && !isIndented) {
-      // Finaliseer vorige variabele
-      this.finalizeCurrentVariable(currentVariableDefinition, pendingConditions);
-
-      const newVariable = {
-        name: variableMatch[1],
-        type: this.detectVariableType(variableMatch[1]),
-        conditions: [],
-        lineNumber,
-      };
-
-      this.addVariableToResult(newVariable);
-      return true;
-    }
-    return false;
-  }
+    ast.variables.forEach(node => {
+      this.addVariableToResult({
+        name: node.name,
+        type: this.detectVariableType(node.label),
+        group: node.group,
+        ...(node.value ? { value: node.value } : {}),
+        ...(node.index !== undefined ? { index: node.index } : {}),
+        conditions: node.conditions.map(c => this.toCondition(c)),
+        ...(node.setReset ? {
+          setReset: {
+            set: node.setReset.set.map(c => this.toCondition(c)),
+            reset: node.setReset.reset.map(c => this.toCondition(c)),
+          },
+        } : {}),
+        lineNumber: node.lineNumber,
+      });
+    });
 
-  tryParseStep(line, lineNumber, currentStep, pendingConditions) {
-    const trimmedLine = line.trim();
-    
-    // KRITIEKE FIX: Voorkom dat verwijzingen naar andere programma's worden herkend als stappen
-    // Check eerst of de regel een condition is die verwijzingen bevat
-    if (this.isConditionWithProgramReference(trimmedLine)) {
-      return false;
-    }
-    
-    // VERBETERD: Strengere regex die alleen echte stap-definities accepteert
-    // Moet beginnen met step keyword gevolgd door : of nummer:
-    const stepPattern = new RegExp(
-      `^(${this.syntaxRules.stepKeywords.rest.join('|')}|${this.syntaxRules.stepKeywords.step.join('|')})(?:\\s*(\\d+))?\\s*[:]\\s*(.*)$`, 
-      'i',
-    );
-    const stepMatch = trimmedLine.match(stepPattern);
-    
-    // Debug logging voor step matching
-    console.log(`🔍 Step parsing: "${trimmedLine}" -> ${stepMatch ? 'MATCH' : 'NO MATCH'}`);
-    if (stepMatch) {
-      console.log(`  ✅ Keyword: "${stepMatch[1]}", Number: "${stepMatch[2]}", Description: "${stepMatch[3]}"`);
-    }
+    this.result.counters = ast.counters.map(counter => ({
+      name: counter.name,
+      preset: counter.preset,
+      operations: counter.operations.map(op => ({ ...op })),
+      lineNumber: counter.lineNumber,
+    }));
+
+    ast.diagnostics.forEach(diagnostic => {
+      (diagnostic.severity === 'error' ? this.result.errors : this.result.warnings).push({
+        type: 'SYNTAX',
+        message: diagnostic.message,
+        lineNumber: diagnostic.span.start.line,
+        severity: diagnostic.severity,
+      });
+    });
+  }
 
-    if (stepMatch) {
-      // Finaliseer vorige stap
-      this.finalizeCurrentStep(currentStep, pendingConditions);
-
-      const type = this.syntaxRules.stepKeywords.rest.some(k =>
-        k.toLowerCase() === stepMatch[1].toLowerCase()) ? 'RUST' : 'STAP';
-
-      const newStep = {
-        type: type,
-        number: type === 'RUST' ? 0 : parseInt(stepMatch[2]) || 0,
-        description: stepMatch[3] || '',
-        conditions: [], // Simpele flat array voor conditions binnen de stap
-        transitionConditions: [], // Complexere structuur voor transitie logica
-        timers: [],
-        markers: [],
-        storingen: [],
-        lineNumber,
-      };
-
-      this.result.steps.push(newStep);
-      return true;
-    }
-    return false;
+  createStep(node) {
+    const actions = node.actions.filter(action => action.kind === 'SetResetAction');
+    return {
+      type: node.type,
+      keyword: node.keyword,
+      ...(node.branch ? { branch: node.branch } : {}),
+      number: node.number,
+      description: node.description,
+      conditions: [], // Simpele flat array voor conditions binnen de stap
+      transitionConditions: [], // Complexere structuur voor transitie logica
+      transitions: node.transitions.map(transition => this.createTransition(transition)),
+      ...(node.implicitConditions.length ? {
+        implicitConditions: node.implicitConditions.map(c => ({ type: 'implicit', ...c })),
+      } : {}),
+      timers: [],
+      markers: [],
+      storingen: [],
+      lineNumber: node.lineNumber,
+      ...(actions.length ? {
+        setResetActions: actions.map(({ type, target, lineNumber }) => ({ type, target, lineNumber })),
+      } : {}),
+    };
   }
 
-  tryParseCondition(line, lineNumber, currentStep, currentVariableDefinition, pendingConditions) {
-    if (!currentStep && !currentVariableDefinition) return false;
+  createTransition(node) {
+    return {
+      fromStep: node.fromStep,
+      isOr: node.isOr,
+      conditions: node.conditions.map(c => this.toCondition(c)),
+      ...(node.implicitConditions.length ? {
+        implicitConditions: node.implicitConditions.map(c => ({ type: 'implicit', ...c })),
+      } : {}),
+    };
+  }
 
-    let conditionText = line.trim();
-    const isOr = conditionText.startsWith('+ ');
-    if (isOr) {
-      conditionText = conditionText.substring(2).trim();
-    }
+  addStepCondition(step, condition) {
+    this.addConditionToStep(step, condition, condition.operator === 'OR');
 
-    // Debug logging voor condition assignment
-    if (currentStep) {
-      console.log(`🔗 Assigning condition "${conditionText}" to step ${currentStep.type} ${currentStep.number} (line ${lineNumber})`);
-    }
+    // Een blok telt als één term in zijn groep; de voorwaarden erin tellen apart
+    this.conditionLeaves(condition).forEach(leaf => {
+      this.result.statistics.totalConditions++;
 
-    const isNegated = /^(NIET|NOT|NICHT)\s+/i.test(conditionText);
-    if (isNegated) {
-      conditionText = conditionText.replace(/^(NIET|NOT|NICHT)\s+/i, '').trim();
-    }
+      // Extract en categoriseer variabelen uit de condition
+      this.extractVariablesFromCondition(leaf, step);
+    });
+  }
 
-    const hasExternalRef = /\*([^*]+)\*/.test(conditionText);
-    if (hasExternalRef) {
-      this.result.statistics.externalReferences++;
-    }
+  conditionLeaves(condition) {
+    return condition.type === 'block'
+      ? condition.groups.flatMap(group => group.conditions.flatMap(c => this.conditionLeaves(c)))
+      : [condition];
+  }
 
-    const timeMatch = conditionText.match(/(?:TIJD|ZEIT|TIME)\s*~\s*(\d+)\s*(Sek|Min|s|m)/i);
-    const isTimeCondition = !!timeMatch;
-
-    const comparisonMatch = conditionText.match(/^([a-zA-Z0-9_.\[\]]+)\s*(==|!=|<>|>=|<=|>|<)\s*(.+)$/);
-    let comparisonData = null;
-    if (comparisonMatch) {
-      comparisonData = {
-        variable: comparisonMatch[1].trim(),
-        operator: comparisonMatch[2],
-        value: comparisonMatch[3].trim().replace(/["']/g, ''),
-      };
+  /**
+   * Eén resultaatobject per voorwaarde uit de boom: een voorwaarde onder
+   * VON SCHRITT staat zowel bij de stap als bij de overgang, en de
+   * generator herkent dat aan hetzelfde object.
+   */
+  toCondition(node) {
+    if (!this.conditionObjects.has(node)) {
+      this.conditionObjects.set(node, isConditionBlock(node) ? this.createBlock(node) : this.createCondition(node));
     }
+    return this.conditionObjects.get(node);
+  }
 
-    const condition = {
-      text: conditionText,
-      negated: isNegated,
-      hasExternalRef: hasExternalRef,
-      isTimeCondition: isTimeCondition,
-      hasComparison: !!comparisonData,
-      comparison: comparisonData,
-      lineNumber,
-      operator: isOr ? 'OR' : 'AND',
+  /**
+   * "[ ... ]" blok: een OF van EN-groepen in dezelfde vorm als
+   * transitionConditions, als één term in de groep waar het in staat.
+   */
+  createBlock(node) {
+    return {
+      type: 'block',
+      text: termText(node),
+      negated: node.negated,
+      operator: node.operator,
+      groups: node.groups.map(group => ({
+        type: 'group',
+        operator: group.operator,
+        conditions: group.conditions.map(c => this.toCondition(c)),
+      })),
+      lineNumber: node.lineNumber,
     };
+  }
 
-    // Voeg condition toe aan juiste target
-    if (currentStep) {
-      this.addConditionToStep(currentStep, condition, isOr);
-      this.result.statistics.totalConditions++;
-      
-      // Extract en categoriseer variabelen uit de condition
-      this.extractVariablesFromCondition(condition, currentStep);
-    } else if (currentVariableDefinition) {
-      pendingConditions.push(condition);
+  createCondition(node) {
+    if (node.externalReference) {
+      this.result.statistics.externalReferences++;
     }
-
-    return true;
+    const { crossReference } = node;
+    return {
+      text: node.text,
+      negated: node.negated,
+      hasExternalRef: node.externalReference,
+      crossReference: crossReference ? {
+        description: crossReference.description,
+        program: crossReference.program,
+        ...(crossReference.functionBlock ? { functionBlock: crossReference.functionBlock } : {}),
+        steps: crossReference.steps,
+      } : null,
+      isTimeCondition: !!node.timer,
+      timeValue: node.timer ? node.timer.value : null,
+      timeUnit: node.timer ? node.timer.unit : null,
+      hasComparison: !!node.comparison,
+      comparison: node.comparison,
+      ...(node.stepReference !== undefined ? { stepReference: node.stepReference } : {}),
+      lineNumber: node.lineNumber,
+      operator: node.operator,
+    };
   }
 
   addConditionToStep(step, condition, isOr) {
@@ -395,38 +343,6 @@ export class LogicParser {
     }
   }
 
-  finalizeCurrentVariable(currentVariableDefinition, pendingConditions) {
-    if (currentVariableDefinition && pendingConditions.length > 0) {
-      currentVariableDefinition.conditions = [...pendingConditions];
-      pendingConditions.length = 0;
-    }
-  }
-
-  finalizeCurrentStep(currentStep, pendingConditions) {
-    if (currentStep && pendingConditions.length > 0) {
-      currentStep.transitionConditions = [{
-        type: 'group',
-        operator: 'AND',
-        conditions: [...pendingConditions],
-      }];
-      pendingConditions.length = 0;
-    }
-  }
-
-  getLastVariableDefinition() {
-    const allVariables = [
-      ...this.result.variables,
-      ...this.result.timers,
-      ...this.result.markers,
-      ...this.result.storingen,
-    ];
-    return allVariables[allVariables.length - 1] || null;
-  }
-
-  getLastStep() {
-    return this.result.steps[this.result.steps.length - 1] || null;
-  }
-
   calculateStatistics() {
     this.result.statistics.totalSteps = this.result.steps.length;
     this.result.statistics.totalVariables = 
@@ -1,23 +1,12 @@
 // TrainingEnhancedParser.js - Parser Enhanced with Training Results
 // Integrates 97.62% training accuracy into webapp
-// Self-contained version without external dependencies
+// Maps the shared Standaardwerk grammar (src/language) onto the training result shape
+
+import { LINE_PATTERNS, conditionLeaves, isConditionBlock, parseProgram, termText } from '../language';
 
 export class TrainingEnhancedParser {
   constructor(syntaxRules = {}) {
     this.syntaxRules = syntaxRules;
-    
-    this.trainingPatterns = {
-      stepPattern: /^(RUHE|RUST|SCHRITT|STAP|STEP|KLAAR|FERTIG|END)(\s+(\d+))?:\s*(.+)$/i,
-      variablePattern: /^(.+?)\s*=\s*(.*)$/,
-      crossRefWithFB: /(.+?)\s*\(([^)]+)\s+(FB\d+)\s+(SCHRITT|STAP|STEP)\s+([0-9+]+)\)/i,
-      crossRefSimple: /(.+?)\s*\(([^)]+)\s+(SCHRITT|STAP|STEP)\s+([0-9+]+)\)/i,
-      vonSchritt: /^VON\s+(SCHRITT|STAP|STEP)\s+(\d+)/i,
-      timerPattern: /(ZEIT|TIME|TIJD)\s+(\d+)(sek|sec|s|min|m|h)\s*\?\?/i,
-      storingPattern: /^(STORING|MELDING):\s*(.+)\s*=\s*(.*)$/,
-      conditionPattern: /^-\s*(.+)$/,
-      groupedConditionPattern: /^\[\s*(.+)\s*\]$/,
-      commentPattern: /^\/\/\s*(.*)$/
-    };
   }
 
   // Main parsing method - compatible with existing webapp interface
@@ -39,181 +28,124 @@ export class TrainingEnhancedParser {
       warnings: []
     };
 
-    let currentStep = null;
-    let lineNumber = 0;
-
-    for (const line of lines) {
-      lineNumber++;
-      const trimmed = line.trim();
-      
-      if (!trimmed) continue;
-
-      // Comment detection
-      const commentMatch = trimmed.match(this.trainingPatterns.commentPattern);
-      if (commentMatch) {
-        result.comments.push({
-          text: commentMatch[1],
-          line: lineNumber
-        });
-        continue;
-      }
-
-      // Enhanced step detection (100% accuracy)
-      const stepMatch = trimmed.match(this.trainingPatterns.stepPattern);
-      if (stepMatch) {
-        currentStep = {
-          type: stepMatch[1].toUpperCase(),
-          number: parseInt(stepMatch[3] || '0'),
-          description: stepMatch[4],
-          line: lineNumber,
-          conditions: [],
-          timers: [],
-          source: 'training-enhanced'
-        };
-        result.steps.push(currentStep);
-        continue;
-      }
+    // Line classification is done by the shared grammar (src/language)
+    const ast = parseProgram(text, this.syntaxRules);
+    const source = 'training-enhanced';
+    const lineText = lineNumber => (lines[lineNumber - 1] || '').trim();
 
-      // Enhanced variable detection (100% accuracy)
-      const variableMatch = trimmed.match(this.trainingPatterns.variablePattern);
-      if (variableMatch && !trimmed.includes('SCHRITT') && !trimmed.includes('STAP')) {
-        const variableExists = result.variables.some(variable => 
-          variable.name === variableMatch[1].trim()
-        );
-        
-        if (!variableExists) {
-          result.variables.push({
-            name: variableMatch[1].trim(),
-            value: variableMatch[2].trim(),
-            line: lineNumber,
-            source: 'training-enhanced'
-          });
-        }
-        continue;
-      }
+    ast.comments.forEach(comment => {
+      result.comments.push({
+        text: comment.text,
+        line: comment.lineNumber
+      });
+    });
 
-      // Enhanced cross-reference detection (85.7% accuracy)
-      const crossRefFBMatch = trimmed.match(this.trainingPatterns.crossRefWithFB);
-      if (crossRefFBMatch) {
-        result.crossReferences.push({
-          name: crossRefFBMatch[1].trim(),
-          program: crossRefFBMatch[2].trim(),
-          fb: crossRefFBMatch[3],
-          stepType: crossRefFBMatch[4],
-          stepNumbers: crossRefFBMatch[5],
-          line: lineNumber,
-          source: 'training-enhanced'
+    ast.variables.forEach(variable => {
+      // STORING/MELDING definitions
+      if (variable.prefix) {
+        result.storings.push({
+          type: variable.prefix,
+          description: variable.name,
+          value: variable.value || '',
+          line: variable.lineNumber,
+          source
         });
-        continue;
+        return;
       }
 
-      const crossRefSimpleMatch = trimmed.match(this.trainingPatterns.crossRefSimple);
-      if (crossRefSimpleMatch) {
-        result.crossReferences.push({
-          name: crossRefSimpleMatch[1].trim(),
-          program: crossRefSimpleMatch[2].trim(),
-          stepType: crossRefSimpleMatch[3],
-          stepNumbers: crossRefSimpleMatch[4],
-          line: lineNumber,
-          source: 'training-enhanced'
+      const variableExists = result.variables.some(v => v.name === variable.name);
+      if (!variableExists) {
+        result.variables.push({
+          name: variable.name,
+          value: variable.value || '',
+          line: variable.lineNumber,
+          source
         });
-        continue;
       }
+    });
 
-      // VON SCHRITT detection
-      const vonSchrittMatch = trimmed.match(this.trainingPatterns.vonSchritt);
-      if (vonSchrittMatch) {
+    const addReferences = (step, node) => {
+      // Cross-references to other programs (with or without FB)
+      if (node.crossReference) {
+        const reference = node.crossReference;
         result.crossReferences.push({
-          name: `VON ${vonSchrittMatch[1]} ${vonSchrittMatch[2]}`,
-          type: 'transition',
-          stepType: vonSchrittMatch[1],
-          stepNumber: vonSchrittMatch[2],
-          line: lineNumber,
-          source: 'training-enhanced'
+          name: reference.description,
+          program: reference.program,
+          ...(reference.functionBlock ? { fb: reference.functionBlock } : {}),
+          stepType: reference.keyword,
+          stepNumbers: reference.steps.join('+'),
+          line: node.lineNumber,
+          source
         });
-        continue;
       }
 
-      // Enhanced timer detection (100% accuracy)
-      const timerMatch = trimmed.match(this.trainingPatterns.timerPattern);
-      if (timerMatch) {
+      // Timer conditions
+      if (node.timer) {
         const timer = {
-          name: `${timerMatch[1]} ${timerMatch[2]}${timerMatch[3]}`,
-          duration: parseInt(timerMatch[2]),
-          unit: timerMatch[3],
-          pattern: trimmed,
-          line: lineNumber,
-          source: 'training-enhanced'
+          name: node.text.match(LINE_PATTERNS.timer)[0],
+          duration: node.timer.value,
+          unit: node.timer.unit,
+          pattern: lineText(node.lineNumber),
+          line: node.lineNumber,
+          source
         };
-        
         result.timers.push(timer);
-        
-        // Also associate with current step
-        if (currentStep) {
-          currentStep.timers.push(timer);
-        }
-        continue;
-      }
-
-      // STORING/MELDING detection
-      const storingMatch = trimmed.match(this.trainingPatterns.storingPattern);
-      if (storingMatch) {
-        result.storings.push({
-          type: storingMatch[1],
-          description: storingMatch[2].trim(),
-          value: storingMatch[3].trim(),
-          line: lineNumber,
-          source: 'training-enhanced'
-        });
-        continue;
+        step.timers.push(timer);
       }
+    };
 
-      // Condition detection
-      const conditionMatch = trimmed.match(this.trainingPatterns.conditionPattern);
-      if (conditionMatch) {
-        const condition = {
-          condition: conditionMatch[1].trim(),
-          line: lineNumber,
-          source: 'training-enhanced'
-        };
-        
-        result.conditions.push(condition);
-        
-        // Also associate with current step
-        if (currentStep) {
-          currentStep.conditions.push(condition);
-        }
-        continue;
-      }
+    const addCondition = (step, node) => {
+      conditionLeaves(node).forEach(leaf => addReferences(step, leaf));
 
-      // Grouped condition detection
-      const groupedConditionMatch = trimmed.match(this.trainingPatterns.groupedConditionPattern);
-      if (groupedConditionMatch) {
-        const condition = {
-          condition: groupedConditionMatch[1].trim(),
-          type: 'grouped',
-          line: lineNumber,
-          source: 'training-enhanced'
-        };
-        
-        result.conditions.push(condition);
-        
-        if (currentStep) {
-          currentStep.conditions.push(condition);
-        }
-        continue;
-      }
+      // A bracketed [ ... ] block is one grouped condition
+      const condition = isConditionBlock(node)
+        ? { condition: termText(node), type: 'grouped', line: node.lineNumber, source }
+        : { condition: lineText(node.lineNumber).replace(/^[-+]\s*/, ''), line: node.lineNumber, source };
+      result.conditions.push(condition);
+      step.conditions.push(condition);
+    };
 
-      // If we reach here, it's an unknown pattern
-      if (trimmed.length > 0) {
-        result.warnings.push({
-          type: 'unknown_pattern',
-          message: `Unknown pattern: ${trimmed}`,
-          line: lineNumber,
-          content: trimmed
+    ast.steps.forEach(node => {
+      const previous = result.steps[result.steps.length - 1];
+      const step = {
+        type: node.type,
+        keyword: node.keyword,
+        ...(node.branch ? { branch: node.branch } : {}),
+        number: node.number,
+        description: node.description,
+        line: node.lineNumber,
+        conditions: [],
+        timers: [],
+        source
+      };
+      result.steps.push(step);
+
+      // VON SCHRITT transitions; their conditions are written below the previous step
+      node.transitions.forEach(transition => {
+        result.crossReferences.push({
+          name: `VON ${transition.keyword} ${transition.fromStep}`,
+          type: 'transition',
+          stepType: transition.keyword,
+          stepNumber: String(transition.fromStep),
+          line: transition.lineNumber,
+          source
         });
-      }
-    }
+        transition.conditions.forEach(condition => addCondition(previous || step, condition));
+      });
+
+      node.entryConditions.forEach(group => group.conditions.forEach(condition => addCondition(step, condition)));
+    });
+
+    // Anything the grammar did not recognise is an unknown pattern
+    ast.unrecognized.forEach(node => {
+      result.warnings.push({
+        type: 'unknown_pattern',
+        message: `Unknown pattern: ${node.text}`,
+        line: node.lineNumber,
+        content: node.text
+      });
+    });
+    result.ast = ast;
 
     // Add training metrics to result
     result.trainingMetrics = {
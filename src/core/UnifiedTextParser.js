@@ -269,8 +269,8 @@ export class UnifiedTextParser {
     return text
       // Fix missing spaces after colons
       .replace(/:/g, ': ')
-      // Fix missing spaces after equals
-      .replace(/=/g, ' = ')
+      // Fix missing spaces after equals (not inside ==, <=, >=, !=)
+      .replace(/(?<![<>=!])=(?!=)/g, ' = ')
       // Fix leading/trailing spaces on lines first
       .split('\n')
       .map(line => line.trim())
@@ -382,21 +382,23 @@ export class UnifiedTextParser {
     if (this.validationRules.strict !== false && this.validationRules.allowDuplicateSteps !== true) {
       const stepNumbers = new Map();
       steps.forEach(step => {
-        if (step.type === 'SCHRITT') {
-          if (stepNumbers.has(step.number)) {
+        if (step.type === 'SCHRITT' || step.type === 'KLAAR') {
+          // Parallel branch steps have their own numbering (Stap_A, Stap_B, Stap_C)
+          const key = `${step.branch || ''}${step.number}`;
+          if (stepNumbers.has(key)) {
             result.errors.push({
               type: 'DUPLICATE_STEP',
-              message: `Duplicate step number: ${step.number}`,
+              message: `Duplicate step number: ${key}`,
               lineNumber: step.lineNumber,
             });
           }
-          stepNumbers.set(step.number, step);
+          stepNumbers.set(key, step);
         }
       });
     }
     
     // Check for missing sequential steps
-    const schrittSteps = steps.filter(s => s.type === 'SCHRITT').sort((a, b) => a.number - b.number);
+    const schrittSteps = steps.filter(s => s.type === 'SCHRITT' && !s.branch).sort((a, b) => a.number - b.number);
     for (let i = 1; i < schrittSteps.length; i++) {
       const current = schrittSteps[i];
       const previous = schrittSteps[i - 1];
@@ -410,10 +412,22 @@ export class UnifiedTextParser {
       }
     }
     
+    // The end step (KLAAR) closes the chain and returns to RUST
+    const endIndex = steps.findIndex(s => s.type === 'KLAAR');
+    const endRules = this.validationRules.stepValidation?.klaar;
+    if (endIndex >= 0 && endIndex < steps.length - 1 && endRules?.validation.mustBeLastStep) {
+      const endStep = steps[endIndex];
+      result.warnings.push({
+        type: 'END_STEP_NOT_LAST',
+        message: `${endStep.keyword || 'KLAAR'} ${endStep.number} must be the last step`,
+        lineNumber: steps[endIndex + 1].lineNumber,
+      });
+    }
+    
     // Validate VON SCHRITT references
     steps.forEach(step => {
       step.transitions.forEach(transition => {
-        const sourceStep = steps.find(s => s.number === transition.fromStep);
+        const sourceStep = steps.find(s => !s.branch && s.number === transition.fromStep);
         if (!sourceStep) {
           result.errors.push({
             type: 'INVALID_VON_SCHRITT',
@@ -8,13 +8,19 @@
 import * as mammoth from 'mammoth';
 import { buildFolderTree } from './hierarchyBuilder';
 import { UnifiedTextParser } from './UnifiedTextParser.js';
+import { FlexibleParser } from './FlexibleParser.js';
 import { DEFAULT_VALIDATION_RULES, validateVariableDefinition, validateStepDefinition } from '../config/validationRules.js';
+import { LINE_PATTERNS, splitPrograms } from '../language';
+import { arrayIndexErrors, functionCallError, unknownProgramReferences } from '../generator';
 
 // Regex patterns
 const PROGRAM_TITLE_REGEX = /^(.*?)\s+(FB|FC)(\d+)/i;
 const SYMBOLIK_IDB_REGEX = /Symbolik\s+IDB\s*:\s*(.*)/i;
 const TAG_REGEX = /<(h[1-6]|p)>(.*?)<\/\1>/g;
 
+// Map in de projectstructuur voor programma's uit de Code Editor
+const TEXT_PROJECT_FOLDER = 'Code Editor';
+
 // Helper: strip HTML tags
 const stripNestedTags = html =>
   html?.replace(/<[^>]*>?/gm, '') || '';
@@ -100,6 +106,130 @@ function convertToStandaardwerkFormat(rawContent, syntaxRules) {
   return result;
 }
 
+// Helper: parse één programma en voeg het (ook bij een analysefout) toe aan het resultaat.
+// `parser` is een UnifiedTextParser (Word) of FlexibleParser (Code Editor)
+function addParsedProgram(result, program, parser, source, existingProgramRegistry) {
+  try {
+    // Register existing programs for cross-reference validation
+    existingProgramRegistry.forEach((registered, name) => {
+      parser.registerProgram(name, registered);
+    });
+    
+    const fullParseResult = parser.parse(program.rawContent, source, {
+      programName: program.name,
+      functionBlock: program.type + program.fbNumber,
+      filePath: program.path,
+    });
+    
+    // Get processed content from parser normalization (alleen de Word-parser normaliseert)
+    const processedContent = parser.normalizeText?.(program.rawContent, source);
+    
+    // Merge de volledige parse resultaten met het programma
+    const parsed = {
+      ...program,
+      // Basis info behouden
+      name: program.name,
+      type: program.type,
+      fbNumber: program.fbNumber,
+      idbName: program.idbName || generateIdbName(program.name),
+      
+      // Volledige parse resultaten toevoegen
+      steps: fullParseResult.steps || [],
+      variables: fullParseResult.variables || [],
+      timers: fullParseResult.timers || [],
+      markers: fullParseResult.markers || [],
+      storingen: fullParseResult.storingen || [],
+      counters: fullParseResult.counters || [],
+      
+      // Extra info uit parser
+      transitionConditions: fullParseResult.transitionConditions || [],
+      statistics: fullParseResult.statistics || {},
+      
+      // Parse errors/warnings toevoegen aan programma
+      errors: fullParseResult.errors || [],
+      warnings: fullParseResult.warnings || [],
+      
+      // Originele content behouden voor debug
+      rawContent: program.rawContent.trim(),
+      processedContent: processedContent,
+      
+      // Folder info
+      folderPath: program.path,
+      fullTitle: program.fullTitle,
+    };
+
+    // Voeg parse errors toe aan globale errors
+    if (parsed.errors.length > 0) {
+      result.errors.push(...parsed.errors.map(e => ({
+        program: parsed.name,
+        ...e,
+      })));
+    }
+
+    result.programs.push(parsed);
+  } catch (e) {
+    console.error(`❌ Error parsing ${program.name}:`, e);
+    result.warnings.push(`Analysefout in "${program.name}": ${e.message}`);
+    // Voeg programma toch toe, maar met foutindicatie
+    result.programs.push({
+      ...program,
+      parseError: e.message,
+      steps: [],
+      variables: [],
+      timers: [],
+      markers: [],
+      storingen: [],
+    });
+  }
+}
+
+// Helper: een verwijzing naar een programma dat niet in het document of de
+// registry staat is een parsefout van dat programma, geen fout bij de export
+function checkProgramReferences(result, existingProgramRegistry) {
+  const registry = new Map([...existingProgramRegistry, ...result.programs.map(program => [program.name, program])]);
+  result.programs.forEach(program => {
+    const errors = unknownProgramReferences({ ...program, programName: program.name }, registry);
+    if (errors.length === 0) return;
+    program.errors = [...(program.errors || []), ...errors];
+    result.errors.push(...errors.map(e => ({ program: program.name, ...e })));
+  });
+}
+
+// Helper: een FC-kop boven een stapprogramma is een parsefout van dat
+// programma; het aanroepende blok zou het anders als FC zonder IDB aanroepen
+function checkBlockTypes(result) {
+  result.programs.forEach(program => {
+    const error = functionCallError({ ...program, programName: program.name, functionBlock: `${program.type}${program.fbNumber}` });
+    if (!error) return;
+    program.errors = [...(program.errors || []), error];
+    result.errors.push({ program: program.name, ...error });
+  });
+}
+
+// Helper: een index boven het maximum van een array (Stap[300], Storing[99])
+// is een parsefout van dat programma; de export zou er anders op stoppen
+function checkArrayIndices(result, existingProgramRegistry, validationRules) {
+  const registry = new Map([...existingProgramRegistry, ...result.programs.map(program => [program.name, program])]);
+  result.programs.forEach(program => {
+    const errors = arrayIndexErrors({ ...program, programName: program.name }, registry, validationRules);
+    if (errors.length === 0) return;
+    program.errors = [...(program.errors || []), ...errors];
+    result.errors.push(...errors.map(e => ({ program: program.name, ...e })));
+  });
+}
+
+// Helper: globale statistieken over alle programma's
+function projectStatistics(programs) {
+  return {
+    totalPrograms: programs.length,
+    totalSteps: programs.reduce((sum, p) => sum + (p.steps?.length || 0), 0),
+    totalVariables: programs.reduce((sum, p) => sum + (p.variables?.length || 0), 0),
+    totalTimers: programs.reduce((sum, p) => sum + (p.timers?.length || 0), 0),
+    totalMarkers: programs.reduce((sum, p) => sum + (p.markers?.length || 0), 0),
+    totalStoringen: programs.reduce((sum, p) => sum + (p.storingen?.length || 0), 0),
+  };
+}
+
 export async function parseWordDocument(file, syntaxRules, existingProgramRegistry = new Map()) {
   console.log('🚀 Starting Word document parsing...');
   
@@ -116,103 +246,9 @@ export async function parseWordDocument(file, syntaxRules, existingProgramRegist
 
   const saveCurrentProgram = () => {
     if (!currentProgram) return;
-
-    console.log(`💾 Saving program: ${currentProgram.name}`);
-
-    try {
-      // Parse met de nieuwe UnifiedTextParser voor consistente verwerking
-      const parser = new UnifiedTextParser(syntaxRules, DEFAULT_VALIDATION_RULES);
-      
-      // Register existing programs for cross-reference validation
-      existingProgramRegistry.forEach((program, name) => {
-        parser.registerProgram(name, program);
-      });
-      
-      const fullParseResult = parser.parse(currentProgram.rawContent, 'word', {
-        programName: currentProgram.name,
-        functionBlock: currentProgram.type + currentProgram.fbNumber,
-        filePath: currentProgram.path,
-      });
-      
-      console.log(`📊 Parse result for ${currentProgram.name}:`, {
-        steps: fullParseResult.steps.length,
-        variables: fullParseResult.variables.length,
-        timers: fullParseResult.timers.length,
-      });
-      
-      // Get processed content from parser normalization
-      const processedContent = parser.normalizeText(currentProgram.rawContent, 'word');
-      
-      // Merge de volledige parse resultaten met het programma
-      currentProgram = {
-        ...currentProgram,
-        // Basis info behouden
-        name: currentProgram.name,
-        type: currentProgram.type,
-        fbNumber: currentProgram.fbNumber,
-        idbName: currentProgram.idbName || generateIdbName(currentProgram.name),
-        
-        // Volledige parse resultaten toevoegen
-        steps: fullParseResult.steps || [],
-        variables: fullParseResult.variables || [],
-        timers: fullParseResult.timers || [],
-        markers: fullParseResult.markers || [],
-        storingen: fullParseResult.storingen || [],
-        
-        // Extra info uit parser
-        transitionConditions: fullParseResult.transitionConditions || [],
-        statistics: fullParseResult.statistics || {},
-        
-        // Parse errors/warnings toevoegen aan programma
-        errors: fullParseResult.errors || [],
-        warnings: fullParseResult.warnings || [],
-        
-        // Originele content behouden voor debug
-        rawContent: currentProgram.rawContent.trim(),
-        processedContent: processedContent,
-        
-        // Folder info
-        folderPath: currentProgram.path,
-        fullTitle: currentProgram.fullTitle,
-      };
-
-      // Log stappen voor debug
-      if (currentProgram.steps.length > 0) {
-        console.log(`✅ Stappen gevonden voor ${currentProgram.name}:`);
-        currentProgram.steps.forEach(step => {
-          console.log(`  - ${step.type} ${step.number}: ${step.description}`);
-          if (step.conditions && step.conditions.length > 0) {
-            step.conditions.forEach(cond => {
-              console.log(`    • ${cond}`);
-            });
-          }
-        });
-      } else {
-        console.warn(`⚠️ Geen stappen gevonden voor ${currentProgram.name}`);
-      }
-
-      // Voeg parse errors toe aan globale errors
-      if (currentProgram.errors.length > 0) {
-        result.errors.push(...currentProgram.errors.map(e => ({
-          program: currentProgram.name,
-          ...e,
-        })));
-      }
-
-      result.programs.push(currentProgram);
-    } catch (e) {
-      console.error(`❌ Error parsing ${currentProgram.name}:`, e);
-      result.warnings.push(`Analysefout in "${currentProgram.name}": ${e.message}`);
-      // Voeg programma toch toe, maar met foutindicatie
-      currentProgram.parseError = e.message;
-      currentProgram.steps = [];
-      currentProgram.variables = [];
-      currentProgram.timers = [];
-      currentProgram.markers = [];
-      currentProgram.storingen = [];
-      result.programs.push(currentProgram);
-    }
-
+    // Parse met de nieuwe UnifiedTextParser voor consistente verwerking
+    const parser = new UnifiedTextParser(syntaxRules, DEFAULT_VALIDATION_RULES);
+    addParsedProgram(result, currentProgram, parser, 'word', existingProgramRegistry);
     currentProgram = null;
   };
 
@@ -345,19 +381,16 @@ export async function parseWordDocument(file, syntaxRules, existingProgramRegist
       console.log(`  📁 Program: ${prog.name}, Path: [${prog.folderPath?.join(' → ') || 'NO PATH'}]`);
     });
 
+    checkProgramReferences(result, existingProgramRegistry);
+    checkBlockTypes(result);
+    checkArrayIndices(result, existingProgramRegistry, DEFAULT_VALIDATION_RULES);
+
     // Bouw hierarchy
     result.hierarchy = buildFolderTree(result.programs);
     console.log('🏗️ Built hierarchy:', result.hierarchy);
 
     // Voeg globale statistieken toe
-    result.statistics = {
-      totalPrograms: result.programs.length,
-      totalSteps: result.programs.reduce((sum, p) => sum + (p.steps?.length || 0), 0),
-      totalVariables: result.programs.reduce((sum, p) => sum + (p.variables?.length || 0), 0),
-      totalTimers: result.programs.reduce((sum, p) => sum + (p.timers?.length || 0), 0),
-      totalMarkers: result.programs.reduce((sum, p) => sum + (p.markers?.length || 0), 0),
-      totalStoringen: result.programs.reduce((sum, p) => sum + (p.storingen?.length || 0), 0),
-    };
+    result.statistics = projectStatistics(result.programs);
 
     console.log('✅ Word parsing complete:', result.statistics);
 
@@ -369,6 +402,56 @@ export async function parseWordDocument(file, syntaxRules, existingProgramRegist
   return result;
 }
 
+/**
+ * Tekst uit de Code Editor met een of meer programma's, elk beginnend met een
+ * kop "Naam FBnnn" of "Naam FCnnn", als project in dezelfde vorm als parseWordDocument. De
+ * programma's komen in één map; de tekst heeft geen hoofdstukken.
+ */
+export function parseTextProject(text, syntaxRules, existingProgramRegistry = new Map(), validationRules = DEFAULT_VALIDATION_RULES) {
+  const result = {
+    hierarchy: null,
+    programs: [],
+    errors: [],
+    warnings: [],
+  };
+
+  const seenFbNumbers = new Set();
+  splitPrograms(text, syntaxRules).forEach(({ header, source, line }) => {
+    if (!header) {
+      result.warnings.push('Geen programmakop (bijv. "Menger FB300") gevonden; de tekst wordt als één programma ingelezen');
+    }
+    const name = header?.name || 'Manual Input';
+    const [, type, numStr] = (header?.functionBlock || 'FB1').match(/^(FB|FC)(\d+)$/i);
+    const num = parseInt(numStr, 10);
+    const idbMatch = source.split('\n').map(l => l.trim()).map(l => l.match(LINE_PATTERNS.symbolik)).find(Boolean);
+
+    if (seenFbNumbers.has(`${type}${num}`)) {
+      result.warnings.push(`Dubbel ${type.toUpperCase()} nummer ${num} bij "${name}" (regel ${line})`);
+    }
+    seenFbNumbers.add(`${type}${num}`);
+
+    const program = {
+      path: [TEXT_PROJECT_FOLDER],
+      fullTitle: header ? `${header.name} ${header.functionBlock}` : name,
+      name,
+      type: type.toUpperCase(),
+      fbNumber: num,
+      idbName: idbMatch ? idbMatch[1].trim() : null,
+      rawContent: source,
+    };
+    // Dezelfde parser als de Code Editor zelf, zodat een programma in een project
+    // precies zo wordt gelezen als los in de editor
+    addParsedProgram(result, program, new FlexibleParser(syntaxRules, validationRules), 'manual', existingProgramRegistry);
+  });
+
+  checkProgramReferences(result, existingProgramRegistry);
+  checkBlockTypes(result);
+  checkArrayIndices(result, existingProgramRegistry, validationRules);
+  result.hierarchy = buildFolderTree(result.programs);
+  result.statistics = projectStatistics(result.programs);
+  return result;
+}
+
 // Enhanced export functie die ook de volledige parse data meeneemt
 export function enrichProgramForExport(program, syntaxRules) {
   // Als het programma al volledig geparsed is, return as-is
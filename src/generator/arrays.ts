@@ -0,0 +1,64 @@
+// -------------------
+// filename: src/generator/arrays.ts
+// -------------------
+// Grenzen van de statische arrays (Stap, Hulp, Storing, Melding, Tijd,
+// Teller). De hoogste gebruikte index wordt naar boven afgerond op een
+// heel aantal blokken uit `arraySizing` in de validatieregels; een index
+// boven `maxIndex` is een validatiefout. FB-interface en IDB gebruiken
+// dezelfde maten (staticArrays in compile.ts).
+// -------------------
+import { DEFAULT_VALIDATION_RULES } from '../config/validationRules.js';
+import { ValidationRules } from './variables';
+
+export interface ArraySizing {
+  name: string;
+  first: number;
+  blockSize: number;
+  maxIndex: number;
+}
+
+export interface ArrayMember {
+  name: string;
+  first: number;
+  last: number;
+  dataType: string;
+}
+
+/**
+ * Blokgrootte en maximum voor een array; zonder configuratie is het
+ * standaardbereik (bijv. Hulp[1..32]) zowel blok als maximum.
+ */
+export function arraySizing(name: string, defaultRange: number[], rules: ValidationRules = DEFAULT_VALIDATION_RULES): ArraySizing {
+  const [first, last] = defaultRange;
+  const configured = rules.arraySizing?.[name] || {};
+  return {
+    name,
+    first,
+    blockSize: configured.blockSize ?? last - first + 1,
+    maxIndex: configured.maxIndex ?? last,
+  };
+}
+
+export function checkIndex(sizing: ArraySizing, index: number, context: string) {
+  if (index > sizing.maxIndex) {
+    throw new Error(`Validatiefout: ${sizing.name}[${index}] ligt boven het maximum ${sizing.name}[${sizing.first}..${sizing.maxIndex}] (${context}).`);
+  }
+}
+
+/**
+ * Array tot en met de hoogste gebruikte index, afgerond op hele blokken (minimaal één).
+ */
+export function sizeArray(sizing: ArraySizing, highest: number | null, dataType: string, name: string = sizing.name): ArrayMember {
+  const used = highest === null ? 0 : highest - sizing.first + 1;
+  const blocks = Math.max(1, Math.ceil(used / sizing.blockSize));
+  const last = Math.min(sizing.first + blocks * sizing.blockSize - 1, Math.max(sizing.maxIndex, sizing.first));
+  return { name, first: sizing.first, last, dataType };
+}
+
+export function arrayDatatype(member: ArrayMember): string {
+  return `Array[${member.first}..${member.last}] of ${member.dataType}`;
+}
+
+export function highestIndex(indices: number[]): number | null {
+  return indices.length > 0 ? Math.max(...indices) : null;
+}
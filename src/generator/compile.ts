@@ -0,0 +1,113 @@
+// -------------------
+// filename: src/generator/compile.ts
+// -------------------
+// Doeltaal-onafhankelijke compilatie van een programma: stappenketen,
+// variabelen, timers, tellers en de arraygrenzen van de statische
+// variabelen. De back-ends (FBD in index.ts, SCL in scl.ts) schrijven
+// hetzelfde resultaat elk in hun eigen taal uit. Groepen en arraygrenzen
+// komen uit de validatieregels (ValidationConfigManager), standaard
+// DEFAULT_VALIDATION_RULES.
+// -------------------
+import { DEFAULT_VALIDATION_RULES } from '../config/validationRules.js';
+import { ArrayMember, arraySizing, checkIndex, highestIndex, sizeArray } from './arrays';
+import { ParseResult } from './interfaces';
+import { stepArrayName } from './logic';
+import { OperandResolver } from './operands';
+import { ProgramLookup, ProgramRegistry } from './programs';
+import { SequenceLogic, buildSequence, stepLabel } from './sequence';
+import { ValidationRules, VariableLogic, allocateVariables, coilArrays, variableDefinitions, variableLogic } from './variables';
+
+export interface CompiledProgram {
+  operands: OperandResolver;
+  sequence: SequenceLogic;
+  variables: VariableLogic[];
+  arrays: ArrayMember[];
+}
+
+const FUNCTION_CALL = /^FC\d+$/i;
+const VALIDATION_ERROR = /^Validatiefout: /;
+
+/**
+ * Een stapprogramma houdt zijn stappen, merkers, timers en tellers bij in
+ * statische variabelen en heeft dus een FB met instance-DB nodig; een FC
+ * heeft geen statische data. Een FC-kop ("Koeling FC200") boven een
+ * programma met stappen is een parsefout (FC_STEP_PROGRAM), anders null.
+ */
+export function functionCallError(parseResult: ParseResult) {
+  const block = parseResult.functionBlock || '';
+  if (!FUNCTION_CALL.test(block) || !(parseResult.steps?.length > 0)) return null;
+  return {
+    type: 'FC_STEP_PROGRAM',
+    message: `${parseResult.programName || 'Programma'} ${block.toUpperCase()}: een stapprogramma heeft statische variabelen en moet een FB zijn, geen FC`,
+  };
+}
+
+/**
+ * Een index boven maxIndex (Stap[300], Storing[99], de 11e teller) of een
+ * dubbel vast element als parsefout (ARRAY_INDEX), zodat de fout al voor de
+ * export zichtbaar is; leeg als het programma binnen de arraygrenzen blijft.
+ * Andere fouten bij het compileren komen via hun eigen controles terug.
+ */
+export function arrayIndexErrors(
+  parseResult: ParseResult,
+  programRegistry?: ProgramRegistry,
+  rules: ValidationRules = DEFAULT_VALIDATION_RULES,
+) {
+  try {
+    compileProgram(parseResult, programRegistry, rules);
+    return [];
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    return VALIDATION_ERROR.test(message) ? [{ type: 'ARRAY_INDEX', message: message.replace(/\.$/, '') }] : [];
+  }
+}
+
+/**
+ * Alle logica en toewijzingen (Hulp[n], Tijd[n], Teller[n]) vóór het
+ * uitschrijven, zodat de arraygrenzen bekend zijn.
+ */
+export function compileProgram(
+  parseResult: ParseResult,
+  programRegistry?: ProgramRegistry,
+  rules: ValidationRules = DEFAULT_VALIDATION_RULES,
+): CompiledProgram {
+  const blockError = functionCallError(parseResult);
+  if (blockError) throw new Error(`${blockError.message}.`);
+  const programs = new ProgramLookup(programRegistry, parseResult.programName);
+  const operands = new OperandResolver(parseResult.steps, parseResult.counters, programs, rules);
+
+  // Set/reset per stap, inclusief VON SCHRITT overgangen (zie sequence.ts).
+  // De voorwaarden onder een stap (tot de volgende stapregel) vormen de
+  // overgang naar de volgende stap; die onder RUST starten dus STAP 1.
+  const sequence = buildSequence(parseResult.steps, operands.resolve.bind(operands));
+  const variables = allocateVariables(variableDefinitions(parseResult), rules).map(target => variableLogic(target, operands));
+
+  return { operands, sequence, variables, arrays: staticArrays(parseResult, operands, variables, rules) };
+}
+
+// Stap (en Stap_A/B/C voor de gebruikte takken), Hulp, Storing, Melding, Tijd en Teller, afgerond op hele blokken.
+function staticArrays(
+  parseResult: ParseResult,
+  operands: OperandResolver,
+  variables: VariableLogic[],
+  rules: ValidationRules,
+): ArrayMember[] {
+  const stap = arraySizing('Stap', [0, 31], rules);
+  parseResult.steps.forEach(step => checkIndex(stap, step.number, stepLabel(step)));
+  const stapArray = sizeArray(stap, highestIndex(parseResult.steps.map(s => s.number)), 'Bool');
+  const branches = [...new Set(parseResult.steps.flatMap(s => (s.branch ? [s.branch] : [])))].sort();
+
+  const timers = operands.timers.array;
+  const counters = operands.counters.array;
+  return [
+    stapArray,
+    ...branches.map(branch => ({ ...stapArray, name: stepArrayName(branch) })),
+    ...coilArrays(rules).map(array => sizeArray(
+      array.sizing,
+      highestIndex(variables.filter(v => v.target.arrayName === array.name).map(v => v.target.index)),
+      array.dataType,
+    )),
+    sizeArray(timers.sizing, highestIndex(operands.timers.all().map(t => t.index)), timers.dataType),
+    sizeArray(counters.sizing, highestIndex(operands.counters.all().map(c => c.index)), counters.dataType),
+  ];
+}
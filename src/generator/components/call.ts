@@ -0,0 +1,53 @@
+// -------------------
+// filename: src/generator/components/call.ts
+// -------------------
+import { UidManager } from '../uid-manager';
+import { XmlElement } from '../xml-builder';
+import { XmlComponent } from './xml-component';
+
+export interface CallParameter {
+  name: string;
+  section: 'Input' | 'Output' | 'InOut';
+  type: string;
+}
+
+// Aanroep van een FB (met instance-DB) of FC als box in een FBD-netwerk.
+// Parameters worden via NameCon met hun naam als poort aangesloten.
+export class Call extends XmlComponent {
+  public readonly id: number;
+  private instanceId: number | null;
+
+  constructor(
+    uidManager: UidManager,
+    private blockName: string,
+    private blockType: 'FB' | 'FC',
+    private instanceName: string | null,
+    private parameters: CallParameter[],
+  ) {
+    super(uidManager);
+    this.id = this.uidManager.next();
+    this.instanceId = instanceName ? this.uidManager.next() : null;
+  }
+
+  toXml(pretty: boolean = true, level: number = 0): string {
+    const callInfo = new XmlElement('CallInfo')
+      .attr('Name', this.blockName)
+      .attr('BlockType', this.blockType);
+
+    if (this.instanceName && this.instanceId !== null) {
+      callInfo.add(new XmlElement('Instance')
+        .attr('Scope', 'GlobalVariable')
+        .attr('UId', this.instanceId)
+        .add(new XmlElement('Component').attr('Name', this.instanceName)));
+    }
+
+    this.parameters.forEach(p => callInfo.add(
+      new XmlElement('Parameter').attr('Name', p.name).attr('Section', p.section).attr('Type', p.type),
+    ));
+
+    return new XmlElement('Call')
+      .attr('UId', this.id)
+      .add(callInfo)
+      .toString(pretty, level);
+  }
+}
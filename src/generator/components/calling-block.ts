@@ -0,0 +1,89 @@
+// -------------------
+// filename: src/generator/components/calling-block.ts
+// -------------------
+import { TiaVersionProfile, tiaProfile } from '../tia-version';
+import { UidManager } from '../uid-manager';
+import { XmlElement } from '../xml-builder';
+import { Interface, SectionName } from './interface';
+import { MultilingualText } from './multilingual-text';
+import { Network } from './network';
+import { XmlComponent } from './xml-component';
+
+export type CallingBlockType = 'OB' | 'FC';
+
+/**
+ * Organiserend blok dat de stappenprogramma's aanroept: een cyclische OB
+ * (Program cycle) of een FC die zelf vanuit een OB wordt aangeroepen.
+ */
+export class CallingBlock extends XmlComponent {
+  private id: number;
+  private networks: Network[] = [];
+  public readonly name: string;
+  private number: number;
+  private comment: MultilingualText;
+  private title: MultilingualText;
+  public interface: Interface;
+
+  constructor(
+    uidManager: UidManager,
+    public readonly type: CallingBlockType,
+    name: string,
+    number: number,
+    private profile: TiaVersionProfile = tiaProfile(),
+  ) {
+    super(uidManager);
+    this.id = this.uidManager.next();
+    this.name = name;
+    this.number = number;
+    this.comment = new MultilingualText(this.uidManager, 'Comment');
+    this.title = new MultilingualText(this.uidManager, 'Title');
+    this.interface = new Interface(this.uidManager, this.profile);
+
+    if (type === 'OB') {
+      this.interface.sections.Input.addMember('Initial_Call', 'Bool');
+      this.interface.sections.Input.addMember('Remanence', 'Bool');
+    } else {
+      this.interface.sections.Return.addMember('Ret_Val', 'Void');
+    }
+  }
+
+  addNetwork(title: string): Network {
+    const network = new Network(this.uidManager, title, 'FBD', this.profile);
+    this.networks.push(network);
+    return network;
+  }
+
+  toXml(pretty: boolean = true, level: number = 0): string {
+    const sections: SectionName[] = this.type === 'OB'
+      ? ['Input', 'Temp', 'Constant']
+      : ['Input', 'Output', 'InOut', 'Temp', 'Constant', 'Return'];
+
+    const attrList = new XmlElement('AttributeList')
+        .add(new XmlElement('AutoNumber', 'false'))
+        .addRaw(this.interface.toXml(pretty, level + 2, sections))
+        .add(new XmlElement('MemoryLayout', 'Optimized'))
+        .add(new XmlElement('Name', this.name));
+    if (this.profile.blockNamespace) attrList.add(new XmlElement('Namespace'));
+    attrList
+        .add(new XmlElement('Number', String(this.number)))
+        .add(new XmlElement('ProgrammingLanguage', 'FBD'));
+    if (this.type === 'OB') {
+      attrList.add(new XmlElement('SecondaryType', 'ProgramCycle'));
+    } else {
+      attrList.add(new XmlElement('SetENOAutomatically', 'false'));
+    }
+
+    const objectList = new XmlElement('ObjectList')
+        .addRaw(this.comment.toXml(pretty, level + 3));
+
+    this.networks.forEach(n => objectList.addRaw(n.toXml(pretty, level + 3)));
+
+    objectList.addRaw(this.title.toXml(pretty, level + 3));
+
+    return new XmlElement(`SW.Blocks.${this.type}`)
+      .attr('ID', this.id)
+      .add(attrList)
+      .add(objectList)
+      .toString(pretty, level);
+  }
+}
@@ -2,32 +2,61 @@
 // -------------------
 // filename: src/generator/components/document.ts
 // -------------------
+import { TiaVersion, TiaVersionProfile, tiaProfile } from '../tia-version';
+import { checkUniqueIds } from '../uid-check';
 import { UidManager } from '../uid-manager';
 import { XmlElement } from '../xml-builder';
+import { CallingBlock, CallingBlockType } from './calling-block';
 import { FunctionBlock } from './fb';
+import { GlobalDB } from './global-db';
+import { NetworkLanguage } from './network';
+import { InstanceDB } from './idb';
 import { XmlComponent } from './xml-component';
 
 export class Document extends XmlComponent {
-  private fb: FunctionBlock | null = null;
+  private blocks: XmlComponent[] = [];
+  public readonly profile: TiaVersionProfile;
 
-  constructor() {
+  // Alle blokken in dit document volgen dezelfde TIA Portal versie
+  constructor(version?: TiaVersion) {
     super(new UidManager(0));
+    this.profile = tiaProfile(version);
   }
 
-  addFb(name: string): FunctionBlock {
-    this.fb = new FunctionBlock(this.uidManager, name);
-    return this.fb;
+  addFb(name: string, number: number, language: NetworkLanguage = 'FBD'): FunctionBlock {
+    const fb = new FunctionBlock(this.uidManager, name, number, language, this.profile);
+    this.blocks.push(fb);
+    return fb;
+  }
+
+  // Het FB hoeft niet in dit document te staan; de IDB neemt alleen zijn interface over.
+  addIdb(name: string, number: number, instanceOf: FunctionBlock): InstanceDB {
+    const idb = new InstanceDB(this.uidManager, name, number, instanceOf, this.profile);
+    this.blocks.push(idb);
+    return idb;
+  }
+
+  addGlobalDb(name: string, number: number): GlobalDB {
+    const db = new GlobalDB(this.uidManager, name, number, this.profile);
+    this.blocks.push(db);
+    return db;
+  }
+
+  addCallingBlock(type: CallingBlockType, name: string, number: number): CallingBlock {
+    const block = new CallingBlock(this.uidManager, type, name, number, this.profile);
+    this.blocks.push(block);
+    return block;
   }
 
   toXml(pretty: boolean = true, level: number = 0): string {
     const doc = new XmlElement('Document')
-        .add(new XmlElement('Engineering').attr('version', 'V18'));
+        .add(new XmlElement('Engineering').attr('version', this.profile.version));
 
-    if (this.fb) {
-        doc.addRaw(this.fb.toXml(pretty, level + 1));
-    }
+    this.blocks.forEach(block => doc.addRaw(block.toXml(pretty, level + 1)));
     
     const declaration = '<?xml version="1.0" encoding="utf-8"?>\n';
-    return declaration + doc.toString(pretty, level);
+    const xml = declaration + doc.toString(pretty, level);
+    checkUniqueIds(xml);
+    return xml;
   }
 }
@@ -2,34 +2,41 @@
 // -------------------
 // filename: src/generator/components/fb.ts
 // -------------------
+import { TiaVersionProfile, tiaProfile } from '../tia-version';
 import { UidManager } from '../uid-manager';
 import { XmlElement } from '../xml-builder';
 import { MultilingualText } from './multilingual-text';
-import { Network } from './network';
+import { Network, NetworkLanguage } from './network';
 import { XmlComponent } from './xml-component';
 import { Interface } from './interface';
 
 export class FunctionBlock extends XmlComponent {
   private id: number;
   private networks: Network[] = [];
-  private name: string;
-  private number: number;
+  public readonly name: string;
+  public readonly number: number;
   private comment: MultilingualText;
   private title: MultilingualText;
   public interface: Interface;
 
-  constructor(uidManager: UidManager, name: string) {
+  constructor(
+    uidManager: UidManager,
+    name: string,
+    number: number,
+    public readonly language: NetworkLanguage = 'FBD',
+    private profile: TiaVersionProfile = tiaProfile(),
+  ) {
     super(uidManager);
     this.id = this.uidManager.next();
     this.name = name;
-    this.number = parseInt(name.replace(/[^0-9]/g, '')) || 1;
+    this.number = number;
     this.comment = new MultilingualText(this.uidManager, 'Comment');
     this.title = new MultilingualText(this.uidManager, 'Title');
-    this.interface = new Interface(this.uidManager);
+    this.interface = new Interface(this.uidManager, this.profile);
   }
 
-  addNetwork(title: string, baseUid: number): Network {
-    const network = new Network(this.uidManager, title, baseUid);
+  addNetwork(title: string): Network {
+    const network = new Network(this.uidManager, title, this.language, this.profile);
     this.networks.push(network);
     return network;
   }
@@ -37,14 +44,15 @@ export class FunctionBlock extends XmlComponent {
   toXml(pretty: boolean = true, level: number = 0): string {
     const attrList = new XmlElement('AttributeList')
         .add(new XmlElement('AutoNumber', 'false'))
-        .addRaw(this.interface.toXml(pretty, level + 2))
+        .addRaw(this.interface.toXml(pretty, level + 2, ['Input', 'Output', 'InOut', 'Static', 'Temp', 'Constant']))
         .add(new XmlElement('IsRetainMemResEnabled', 'true'))
         .add(new XmlElement('MemoryLayout', 'Optimized'))
         .add(new XmlElement('MemoryReserve', '4000'))
-        .add(new XmlElement('Name', this.name))
-        .add(new XmlElement('Namespace'))
+        .add(new XmlElement('Name', this.name));
+    if (this.profile.blockNamespace) attrList.add(new XmlElement('Namespace'));
+    attrList
         .add(new XmlElement('Number', String(this.number)))
-        .add(new XmlElement('ProgrammingLanguage', 'FBD'))
+        .add(new XmlElement('ProgrammingLanguage', this.language))
         .add(new XmlElement('RetainMemoryReserve', '4000'))
         .add(new XmlElement('SetENOAutomatically', 'true'));
 
@@ -0,0 +1,53 @@
+// -------------------
+// filename: src/generator/components/global-db.ts
+// -------------------
+import { TiaVersionProfile, tiaProfile } from '../tia-version';
+import { UidManager } from '../uid-manager';
+import { XmlElement } from '../xml-builder';
+import { Interface } from './interface';
+import { MultilingualText } from './multilingual-text';
+import { XmlComponent } from './xml-component';
+
+/**
+ * Globale DB (bijv. "Status") met alleen een Static sectie.
+ */
+export class GlobalDB extends XmlComponent {
+  private id: number;
+  public readonly name: string;
+  private number: number;
+  private comment: MultilingualText;
+  private title: MultilingualText;
+  public interface: Interface;
+
+  constructor(uidManager: UidManager, name: string, number: number, private profile: TiaVersionProfile = tiaProfile()) {
+    super(uidManager);
+    this.id = this.uidManager.next();
+    this.name = name;
+    this.number = number;
+    this.comment = new MultilingualText(this.uidManager, 'Comment');
+    this.title = new MultilingualText(this.uidManager, 'Title');
+    this.interface = new Interface(this.uidManager, this.profile);
+  }
+
+  toXml(pretty: boolean = true, level: number = 0): string {
+    const attrList = new XmlElement('AttributeList')
+        .add(new XmlElement('AutoNumber', 'false'))
+        .addRaw(this.interface.toXml(pretty, level + 2, ['Static']))
+        .add(new XmlElement('MemoryLayout', 'Optimized'))
+        .add(new XmlElement('Name', this.name));
+    if (this.profile.blockNamespace) attrList.add(new XmlElement('Namespace'));
+    attrList
+        .add(new XmlElement('Number', String(this.number)))
+        .add(new XmlElement('ProgrammingLanguage', 'DB'));
+
+    const objectList = new XmlElement('ObjectList')
+        .addRaw(this.comment.toXml(pretty, level + 3))
+        .addRaw(this.title.toXml(pretty, level + 3));
+
+    return new XmlElement('SW.Blocks.GlobalDB')
+      .attr('ID', this.id)
+      .add(attrList)
+      .add(objectList)
+      .toString(pretty, level);
+  }
+}
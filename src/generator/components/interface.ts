@@ -1,6 +1,7 @@
 // -------------------
 // filename: src/generator/components/interface.ts
 // -------------------
+import { TiaVersionProfile, tiaProfile } from '../tia-version';
 import { UidManager } from '../uid-manager';
 import { XmlElement } from '../xml-builder';
 import { XmlComponent } from './xml-component';
@@ -26,6 +27,8 @@ class Subelement extends XmlComponent {
 
 class Member extends XmlComponent {
     private subelements: Subelement[] = [];
+    private version: string | undefined;
+    private booleanAttributes: { name: string; value: boolean }[] = [];
     constructor(uidManager: UidManager, private name: string, private datatype: string, private remanence: string = "") {
         super(uidManager);
     }
@@ -34,13 +37,33 @@ class Member extends XmlComponent {
         this.subelements.push(new Subelement(this.uidManager, path, comment));
     }
 
+    // Versie van een systeemtype, bijv. IEC_TIMER = 1.0
+    setVersion(version: string) {
+        this.version = version;
+        return this;
+    }
+
+    // Systeemattribuut zoals SetPoint
+    addBooleanAttribute(name: string, value: boolean) {
+        this.booleanAttributes.push({ name, value });
+        return this;
+    }
+
     toXml(pretty: boolean = true, level: number = 0): string {
         const memberEl = new XmlElement('Member')
             .attr('Name', this.name)
-            .attr('Datatype', this.datatype);
+            .attr('Datatype', this.datatype)
+            .attr('Version', this.version);
         if (this.remanence) {
             memberEl.attr('Remanence', this.remanence);
         }
+        if (this.booleanAttributes.length > 0) {
+            const attributeList = new XmlElement('AttributeList');
+            this.booleanAttributes.forEach(a => attributeList.add(
+                new XmlElement('BooleanAttribute', String(a.value)).attr('Name', a.name).attr('SystemDefined', 'true'),
+            ));
+            memberEl.add(attributeList);
+        }
         this.subelements.forEach(sub => memberEl.addRaw(sub.toXml(pretty, level + 1)));
         return memberEl.toString(pretty, level);
     }
@@ -69,6 +92,8 @@ class Section extends XmlComponent {
     }
 }
 
+export type SectionName = 'Input' | 'Output' | 'InOut' | 'Static' | 'Temp' | 'Constant' | 'Return';
+
 export class Interface extends XmlComponent {
     public sections = {
         Input: new Section(this.uidManager, 'Input'),
@@ -77,23 +102,27 @@ export class Interface extends XmlComponent {
         Static: new Section(this.uidManager, 'Static'),
         Temp: new Section(this.uidManager, 'Temp'),
         Constant: new Section(this.uidManager, 'Constant'),
+        Return: new Section(this.uidManager, 'Return'),
     };
 
-    constructor(uidManager: UidManager) {
+    constructor(uidManager: UidManager, private profile: TiaVersionProfile = tiaProfile()) {
         super(uidManager);
     }
 
-    toXml(pretty: boolean = true, level: number = 0): string {
+    // Ieder bloktype heeft zijn eigen secties: een IDB geen Temp/Constant, alleen een FC een Return.
+    toXml(pretty: boolean = true, level: number = 0, sectionNames?: SectionName[]): string {
         const sectionsEl = new XmlElement('Sections')
-            .attr('xmlns', 'http://www.siemens.com/automation/Openness/SW/Interface/v5');
+            .attr('xmlns', this.profile.interfaceNamespace);
         
-        Object.values(this.sections).forEach(s => {
-            if (s.getMembers().length > 0) {
-                 sectionsEl.addRaw(s.toXml(pretty, level + 1));
-            } else {
-                 sectionsEl.add(new XmlElement('Section').attr('Name', s.name));
-            }
-        });
+        Object.values(this.sections)
+            .filter(s => !sectionNames || sectionNames.includes(s.name as SectionName))
+            .forEach(s => {
+                if (s.getMembers().length > 0) {
+                     sectionsEl.addRaw(s.toXml(pretty, level + 1));
+                } else {
+                     sectionsEl.add(new XmlElement('Section').attr('Name', s.name));
+                }
+            });
 
         return new XmlElement('Interface')
             .add(sectionsEl)
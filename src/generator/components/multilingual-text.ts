@@ -7,12 +7,12 @@ import { XmlElement } from '../xml-builder';
 import { XmlComponent } from './xml-component';
 
 export class MultilingualText extends XmlComponent {
-  private texts: { lang: string; text: string }[] = [];
+  private texts: { lang: string; text: string; id: number }[] = [];
   private id: number;
 
   constructor(
     uidManager: UidManager,
-    private compositionName: 'Comment' | 'Title',
+    private compositionName: 'Comment' | 'Title' | 'Text',
     initialText: string = ''
   ) {
     super(uidManager);
@@ -27,15 +27,15 @@ export class MultilingualText extends XmlComponent {
   }
 
   public addText(text: string, lang: string) {
-    this.texts.push({ lang, text });
+    this.texts.push({ lang, text, id: this.uidManager.next() });
     return this;
   }
 
   toXml(pretty: boolean = true, level: number = 0): string {
     const objectList = new XmlElement('ObjectList');
-    this.texts.forEach(({ lang, text }) => {
+    this.texts.forEach(({ lang, text, id }) => {
       const item = new XmlElement('MultilingualTextItem')
-        .attr('ID', this.uidManager.next())
+        .attr('ID', id)
         .attr('CompositionName', 'Items');
       
       const attrList = new XmlElement('AttributeList')
@@ -2,37 +2,58 @@
 // -------------------
 // filename: src/generator/components/network.ts
 // -------------------
-import { UidManager } from '../uid-manager';
+import { TiaVersionProfile, tiaProfile } from '../tia-version';
+import { NETWORK_FIRST_UID, UidManager } from '../uid-manager';
 import { XmlElement } from '../xml-builder';
+import { Call, CallParameter } from './call';
 import { MultilingualText } from './multilingual-text';
-import { Access, Part } from './part';
-import { Wire } from './wire';
+import { Access, AccessTarget, Part, PartDefinition } from './part';
+import { Wire, WireEnd } from './wire';
 import { XmlComponent } from './xml-component';
 
+export type NetworkLanguage = 'FBD' | 'LAD';
+
 export class Network extends XmlComponent {
   private id: number;
-  private parts: (Part | Access)[] = [];
+  private parts: (Part | Access | Call)[] = [];
   private wires: Wire[] = [];
   private title: MultilingualText;
   private comment: MultilingualText;
   
-  private static readonly partDefinitions = {
+  private static readonly partDefinitions: Record<string, PartDefinition> = {
       "Sr": { inputs: ["s", "r1", "operand"], outputs: ["q"] },
       "Coil": { inputs: ["in", "operand"], outputs: [] },
+      "SCoil": { inputs: ["in", "operand"], outputs: [] },
+      "RCoil": { inputs: ["in", "operand"], outputs: [] },
+      "Contact": { inputs: ["in", "operand"], outputs: ["out"] },
       "A": { 
         inputs: Array.from({length: 30}, (_, i) => `in${i + 1}`), 
         outputs: ["out"] 
       },
+      "O": {
+        inputs: Array.from({length: 30}, (_, i) => `in${i + 1}`),
+        outputs: ["out"]
+      },
+      "TON": { inputs: ["IN", "PT"], outputs: ["Q", "ET"], version: "1.0" },
+      "Move": { inputs: ["en", "in"], outputs: ["out1", "eno"] },
+      "Add": { inputs: ["en", "in1", "in2"], outputs: ["out", "eno"] },
+      ...Object.fromEntries(['Eq', 'Ne', 'Lt', 'Le', 'Gt', 'Ge'].map(op => [op, { inputs: ["pre", "in1", "in2"], outputs: ["out"] }])),
   };
 
-  constructor(parentUidManager: UidManager, title: string, baseUid: number) {
-    super(new UidManager(baseUid));
+  constructor(
+    parentUidManager: UidManager,
+    title: string,
+    public readonly language: NetworkLanguage = 'FBD',
+    private profile: TiaVersionProfile = tiaProfile(),
+  ) {
+    // UId's van parts en wires tellen per netwerk; ID's (ook titel en commentaar) per document
+    super(new UidManager(NETWORK_FIRST_UID));
     this.id = parentUidManager.next();
-    this.title = new MultilingualText(this.uidManager, 'Title', title);
-    this.comment = new MultilingualText(this.uidManager, 'Comment');
+    this.title = new MultilingualText(parentUidManager, 'Title', title);
+    this.comment = new MultilingualText(parentUidManager, 'Comment');
   }
 
-  addPart(name: keyof typeof Network.partDefinitions): Part {
+  addPart(name: string): Part {
     const definition = Network.partDefinitions[name];
     if (!definition) {
       throw new Error(`Part definition for '${name}' not found.`);
@@ -42,38 +63,54 @@ export class Network extends XmlComponent {
     return part;
   }
 
+  addCall(blockName: string, blockType: 'FB' | 'FC', instanceName: string | null, parameters: CallParameter[] = []): Call {
+    const call = new Call(this.uidManager, blockName, blockType, instanceName, parameters);
+    this.parts.push(call);
+    return call;
+  }
+
   addAccess(variable: string, index: number): Access {
-      const access = new Access(this.uidManager, variable, index);
-      this.parts.push(access);
-      return access;
+      return this.addTarget({ kind: 'symbol', scope: 'LocalVariable', components: [{ name: variable, index }] });
   }
 
   addLiteralBool(value: boolean): Access {
-      const access = new Access(this.uidManager, '', null, true, value);
+      return this.addTarget({ kind: 'literal', type: 'Bool', value: String(value) });
+  }
+
+  addTarget(target: AccessTarget): Access {
+      const access = new Access(this.uidManager, target);
       this.parts.push(access);
       return access;
   }
 
-  connect(from: Part | Access, fromPort: string | undefined, to: Part, toPort: string, options?: { negated?: boolean }) {
-    const wire = new Wire(this.uidManager, { partId: from.id, port: fromPort }, { partId: to.id, port: toPort });
-    this.wires.push(wire);
+  connect(from: Part | Access | Call, fromPort: string | undefined, to: Part | Access | Call, toPort?: string, options?: { negated?: boolean }) {
+    this.addWire([{ partId: from.id, port: fromPort }, { partId: to.id, port: toPort }]);
 
-    if (options?.negated) {
+    if (options?.negated && to instanceof Part && toPort) {
       to.negateInput(toPort);
     }
     
     return this;
   }
 
+  // Knooppunt met meerdere aansluitingen, bijv. de stroomrail of parallelle takken in LAD
+  addWire(ends: WireEnd[]): Wire {
+    const wire = new Wire(this.uidManager, ends);
+    this.wires.push(wire);
+    return wire;
+  }
+
   toXml(pretty: boolean = true, level: number = 0): string {
     const partInputCounts = new Map<number, number>();
     this.wires.forEach(wire => {
-        const targetPartId = wire.to.partId;
-        partInputCounts.set(targetPartId, (partInputCounts.get(targetPartId) || 0) + 1);
+        wire.ends.slice(1).forEach(end => {
+            if (end === 'Powerrail') return;
+            partInputCounts.set(end.partId, (partInputCounts.get(end.partId) || 0) + 1);
+        });
     });
 
     this.parts.forEach(part => {
-        if (part instanceof Part && (part.name === 'A')) {
+        if (part instanceof Part && (part.name === 'A' || part.name === 'O')) {
             part.cardinality = partInputCounts.get(part.id) || 0;
         }
     });
@@ -85,7 +122,7 @@ export class Network extends XmlComponent {
     this.wires.forEach(w => wiresContainer.addRaw(w.toXml(pretty, level + 5)));
 
     const flgNet = new XmlElement('FlgNet')
-      .attr('xmlns', 'http://www.siemens.com/automation/Openness/SW/NetworkSource/FlgNet/v4')
+      .attr('xmlns', this.profile.flgNetNamespace)
       .add(partsContainer)
       .add(wiresContainer);
 
@@ -93,7 +130,7 @@ export class Network extends XmlComponent {
     
     const attributeList = new XmlElement('AttributeList')
         .add(networkSource)
-        .add(new XmlElement('ProgrammingLanguage', 'FBD'));
+        .add(new XmlElement('ProgrammingLanguage', this.language));
 
     const objectList = new XmlElement('ObjectList')
         .addRaw(this.comment.toXml(pretty, level + 3))
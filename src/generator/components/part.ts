@@ -6,20 +6,36 @@ import { UidManager } from '../uid-manager';
 import { XmlElement } from '../xml-builder';
 import { XmlComponent } from './xml-component';
 
+export interface PartDefinition {
+  inputs: string[];
+  outputs: string[];
+  version?: string;
+}
+
 export class Part extends XmlComponent {
   public readonly id: number;
   public readonly name: string;
   public readonly inputs: string[];
   public readonly outputs: string[];
+  public readonly version?: string;
   public cardinality: number | null = null;
   public negatedInputs = new Set<string>();
+  public templateValues: { name: string, type: string, value: string }[] = [];
+  private instance: { id: number, components: SymbolComponent[] } | null = null;
 
-  constructor(uidManager: UidManager, name: string, definition: { inputs: string[], outputs: string[] }) {
+  constructor(uidManager: UidManager, name: string, definition: PartDefinition) {
     super(uidManager);
     this.id = this.uidManager.next();
     this.name = name;
     this.inputs = definition.inputs;
     this.outputs = definition.outputs;
+    this.version = definition.version;
+  }
+
+  // Instantie van een FB/timer-box in de statische data (bijv. Tijd[3]).
+  public setInstance(components: SymbolComponent[]) {
+    this.instance = { id: this.uidManager.next(), components };
+    return this;
   }
 
   public negateInput(portName: string) {
@@ -33,8 +49,17 @@ export class Part extends XmlComponent {
   toXml(pretty: boolean = true, level: number = 0): string {
     const partElement = new XmlElement('Part')
       .attr('Name', this.name)
+      .attr('Version', this.version)
       .attr('UId', this.id);
 
+    if (this.instance) {
+      const instance = new XmlElement('Instance')
+        .attr('Scope', 'LocalVariable')
+        .attr('UId', this.instance.id);
+      this.instance.components.forEach(c => instance.add(Access.component(c)));
+      partElement.add(instance);
+    }
+
     if (this.cardinality !== null && this.cardinality > 0) {
       const templateValue = new XmlElement('TemplateValue')
         .attr('Name', 'Card')
@@ -43,6 +68,10 @@ export class Part extends XmlComponent {
       partElement.add(templateValue);
     }
 
+    this.templateValues.forEach(t => {
+      partElement.add(new XmlElement('TemplateValue').attr('Name', t.name).attr('Type', t.type).add(t.value));
+    });
+
     this.negatedInputs.forEach(portName => {
         partElement.add(new XmlElement('Negated').attr('Name', portName));
     });
@@ -51,19 +80,28 @@ export class Part extends XmlComponent {
   }
 }
 
+export interface SymbolComponent {
+  name: string;
+  index?: number;
+}
+
+export type AccessTarget =
+  | { kind: 'symbol'; scope: 'LocalVariable' | 'GlobalVariable'; components: SymbolComponent[] }
+  | { kind: 'literal'; type: string; value: string };
+
 export class Access extends XmlComponent {
     public readonly id: number;
 
-    constructor(uidManager: UidManager, private variable: string, private index: number | null, private isLiteralBool: boolean = false, private literalValue: boolean = false) {
+    constructor(uidManager: UidManager, private target: AccessTarget) {
         super(uidManager);
         this.id = this.uidManager.next();
     }
 
     toXml(pretty: boolean = true, level: number = 0): string {
-        if (this.isLiteralBool) {
+        if (this.target.kind === 'literal') {
             const constant = new XmlElement('Constant')
-                .add(new XmlElement('ConstantType', 'Bool'))
-                .add(new XmlElement('ConstantValue', String(this.literalValue)));
+                .add(new XmlElement('ConstantType', this.target.type))
+                .add(new XmlElement('ConstantValue', this.target.value));
             return new XmlElement('Access')
                 .attr('Scope', 'LiteralConstant')
                 .attr('UId', this.id)
@@ -71,25 +109,32 @@ export class Access extends XmlComponent {
                 .toString(pretty, level);
         }
 
+        const symbol = new XmlElement('Symbol');
+        this.target.components.forEach(c => symbol.add(Access.component(c)));
+
+        return new XmlElement('Access')
+            .attr('Scope', this.target.scope)
+            .attr('UId', this.id)
+            .add(symbol)
+            .toString(pretty, level);
+    }
+
+    static component(c: SymbolComponent): XmlElement {
+        const component = new XmlElement('Component').attr('Name', c.name);
+        if (c.index === undefined) {
+            return component;
+        }
+
         const constant = new XmlElement('Constant')
             .add(new XmlElement('ConstantType', 'DInt'))
-            .add(new XmlElement('ConstantValue', String(this.index)));
+            .add(new XmlElement('ConstantValue', String(c.index)));
 
         const innerAccess = new XmlElement('Access')
             .attr('Scope', 'LiteralConstant')
             .add(constant);
 
-        const component = new XmlElement('Component')
-            .attr('Name', this.variable)
+        return component
             .attr('AccessModifier', 'Array')
             .add(innerAccess);
-        
-        const symbol = new XmlElement('Symbol').add(component);
-
-        return new XmlElement('Access')
-            .attr('Scope', 'LocalVariable')
-            .attr('UId', this.id)
-            .add(symbol)
-            .toString(pretty, level);
     }
 }
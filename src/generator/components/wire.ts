@@ -6,26 +6,31 @@ import { UidManager } from '../uid-manager';
 import { XmlElement } from '../xml-builder';
 import { XmlComponent } from './xml-component';
 
+// Een aansluiting: poort (NameCon), operand (IdentCon) of de stroomrail in LAD.
+export type WireEnd = { partId: number; port?: string } | 'Powerrail';
+
+// In FBD verbindt een wire één bron met één ingang; in LAD is een wire een
+// knooppunt met alle aansluitingen die erop uitkomen (parallelle takken).
 export class Wire extends XmlComponent {
   public readonly id: number;
 
-  constructor(
-    uidManager: UidManager,
-    private from: { partId: number; port?: string },
-    public readonly to: { partId: number; port: string }
-  ) {
+  constructor(uidManager: UidManager, public readonly ends: WireEnd[]) {
     super(uidManager);
     this.id = this.uidManager.next();
   }
 
   toXml(pretty: boolean = true, level: number = 0): string {
     const wire = new XmlElement('Wire').attr('UId', this.id);
-    if (this.from.port) {
-        wire.add(new XmlElement('NameCon').attr('UId', this.from.partId).attr('Name', this.from.port));
-    } else {
-        wire.add(new XmlElement('IdentCon').attr('UId', this.from.partId));
-    }
-    wire.add(new XmlElement('NameCon').attr('UId', this.to.partId).attr('Name', this.to.port));
+    this.ends.forEach(end => {
+      if (end === 'Powerrail') {
+        wire.add(new XmlElement('Powerrail'));
+      } else if (end.port) {
+        wire.add(new XmlElement('NameCon').attr('UId', end.partId).attr('Name', end.port));
+      } else {
+        // Zonder poort is het een operand (bijv. de uitgang van een MOVE naar Teller[n])
+        wire.add(new XmlElement('IdentCon').attr('UId', end.partId));
+      }
+    });
     return wire.toString(pretty, level);
   }
 }
@@ -0,0 +1,81 @@
+// -------------------
+// filename: src/generator/counters.ts
+// -------------------
+// Tellers (Teller1 = 5, - Teller1 +1, - RÜCKSETZEN Teller1) worden
+// Teller[n] in het FB. Iedere actie is een ADD- of MOVE-box die precies
+// één cyclus actief is: in de cyclus waarin zijn stap gezet wordt. In een
+// voorwaarde wordt "Teller1 >= 5" een vergelijkingsbox; alleen de naam
+// betekent "voorinstelwaarde bereikt".
+// -------------------
+import { DEFAULT_VALIDATION_RULES } from '../config/validationRules.js';
+import { ArraySizing, arraySizing, checkIndex } from './arrays';
+import { Counter, CounterOperation } from './interfaces';
+import { OperandRef } from './logic';
+import { ValidationRules } from './variables';
+
+export const COUNTER_NAME = /^(?:Teller|Zähler|Zaehler|Counter)[\s_]*\d*$/i;
+
+export interface CounterArray {
+  name: string;
+  dataType: string;
+  sizing: ArraySizing;
+}
+
+export interface CounterSlot {
+  index: number;
+  name: string;                  // zoals in de tekst, bijv. "Teller1"
+  preset: number | null;
+  operations: CounterOperation[];
+}
+
+/**
+ * Array voor tellers uit de 'teller' groep van de validatieregels (Teller[..] of Int).
+ */
+export function counterArray(rules: ValidationRules = DEFAULT_VALIDATION_RULES): CounterArray {
+  const impl = rules.groups.teller?.implementation;
+  const name = impl?.arrayName || 'Teller';
+  return { name, dataType: impl?.dataType || 'Int', sizing: arraySizing(name, impl?.arrayRange || [1, 10], rules) };
+}
+
+// "Teller 1", "Teller_1" en "teller1" zijn dezelfde teller
+const counterKey = (name: string) => name.replace(/[\s_]/g, '').toLowerCase();
+
+export class CounterAllocator {
+  private slots = new Map<string, CounterSlot>();
+
+  constructor(readonly array: CounterArray = counterArray()) {}
+
+  isCounter(name: string): boolean {
+    return this.slots.has(counterKey(name)) || COUNTER_NAME.test(name.trim());
+  }
+
+  slotFor(name: string): CounterSlot {
+    const key = counterKey(name);
+    let slot = this.slots.get(key);
+    if (!slot) {
+      const index = this.array.sizing.first + this.slots.size;
+      checkIndex(this.array.sizing, index, `teller "${name.trim()}"`);
+      slot = { index, name: name.trim(), preset: null, operations: [] };
+      this.slots.set(key, slot);
+    }
+    return slot;
+  }
+
+  /**
+   * Neemt een teller uit de parser over: voorinstelwaarde en acties per stap.
+   */
+  define(counter: Counter): CounterSlot {
+    const slot = this.slotFor(counter.name);
+    if (counter.preset != null) slot.preset = counter.preset;
+    slot.operations.push(...counter.operations);
+    return slot;
+  }
+
+  ref(slot: CounterSlot): OperandRef {
+    return { scope: 'LocalVariable', components: [{ name: this.array.name, index: slot.index }] };
+  }
+
+  all(): CounterSlot[] {
+    return [...this.slots.values()];
+  }
+}
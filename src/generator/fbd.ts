@@ -0,0 +1,148 @@
+// -------------------
+// filename: src/generator/fbd.ts
+// -------------------
+// Schrijft een LogicExpr uit als FBD: AND-knopen worden 'A'-boxen,
+// OR-knopen 'O'-boxen en operanden Access-parts. Een NIET wordt als
+// genegeerde ingang op de ontvangende box gezet. Een vergelijking wordt
+// een Eq/Ne/Lt/Le/Gt/Ge-box met het datatype als SrcType.
+// FBD_RENDERER vult daarmee de netwerken die index.ts aanmaakt.
+// -------------------
+import { Network } from './components/network';
+import { Access, Part } from './components/part';
+import { CounterAllocator, CounterSlot } from './counters';
+import { CounterOperation, Step } from './interfaces';
+import { CompareOperand, LogicExpr, operand, stepRef } from './logic';
+import { NetworkRenderer } from './renderer';
+import { DoneLogic, StepLogic } from './sequence';
+import { TimerSlot } from './timers';
+import { VariableLogic } from './variables';
+
+export interface Signal {
+  source: Part | Access;
+  port?: string;
+  negated: boolean;
+}
+
+export function emitLogic(network: Network, expr: LogicExpr): Signal {
+  switch (expr.kind) {
+    case 'constant':
+      return { source: network.addLiteralBool(expr.value), negated: false };
+    case 'operand':
+      return {
+        source: network.addTarget({ kind: 'symbol', scope: expr.ref.scope, components: expr.ref.components }),
+        negated: expr.negated,
+      };
+    case 'compare': {
+      const box = network.addPart(expr.operator);
+      box.templateValues.push({ name: 'SrcType', type: 'Type', value: expr.type });
+      network.connect(emitOperand(network, expr.left, expr.type), undefined, box, 'in1');
+      network.connect(emitOperand(network, expr.right, expr.type), undefined, box, 'in2');
+      return { source: box, port: 'out', negated: false };
+    }
+    case 'and':
+    case 'or': {
+      const gate = network.addPart(expr.kind === 'and' ? 'A' : 'O');
+      expr.operands.forEach((op, idx) => connectSignal(network, emitLogic(network, op), gate, `in${idx + 1}`));
+      return { source: gate, port: 'out', negated: false };
+    }
+  }
+}
+
+export function emitOperand(network: Network, value: CompareOperand, type: string): Access {
+  return value.kind === 'literal'
+    ? network.addTarget({ kind: 'literal', type, value: value.value })
+    : network.addTarget({ kind: 'symbol', scope: value.ref.scope, components: value.ref.components });
+}
+
+export function connectSignal(network: Network, signal: Signal, to: Part, toPort: string) {
+  network.connect(signal.source, signal.port, to, toPort, { negated: signal.negated });
+}
+
+// SR-box per stap: S = setlogica, R1 = resetlogica, operand = Stap[n] (of Stap_A[n] enz.).
+function emitStepNetwork(network: Network, logic: StepLogic) {
+  const srBlock = network.addPart('Sr');
+  connectSignal(network, emitLogic(network, logic.set), srBlock, 's');
+  connectSignal(network, emitLogic(network, logic.reset), srBlock, 'r1');
+
+  // CORRECTIE: Voeg de cruciale operand-verbinding toe.
+  const srOperand = network.addTarget({ kind: 'symbol', ...stepRef(logic.step.number, logic.step.branch) });
+  network.connect(srOperand, undefined, srBlock, 'operand');
+}
+
+// Coil (in = voorwaarden) of Sr (s/r1 = SET/RESET tabel) op Hulp[n] / Storing[n] / Melding[n].
+function emitVariableNetwork(network: Network, logic: VariableLogic) {
+  const box = network.addPart(logic.reset ? 'Sr' : 'Coil');
+  if (logic.reset) {
+    connectSignal(network, emitLogic(network, logic.set), box, 's');
+    connectSignal(network, emitLogic(network, logic.reset), box, 'r1');
+  } else {
+    connectSignal(network, emitLogic(network, logic.set), box, 'in');
+  }
+  network.connect(network.addAccess(logic.target.arrayName, logic.target.index), undefined, box, 'operand');
+}
+
+// TON op Tijd[n]: IN = Stap[eigenaar] of de startvoorwaarden, PT = preset; Tijd[n].Q zit in de overgang.
+function emitTimerNetwork(network: Network, slot: TimerSlot) {
+  const ton = network.addPart('TON').setInstance([{ name: slot.arrayName, index: slot.index }]);
+  ton.templateValues.push({ name: 'time_type', type: 'Type', value: 'Time' });
+
+  connectSignal(network, emitLogic(network, slot.start), ton, 'IN');
+  network.connect(network.addTarget({ kind: 'literal', type: 'Time', value: slot.preset }), undefined, ton, 'PT');
+}
+
+// ADD (Teller[n] + waarde) of MOVE (waarde of voorinstelwaarde) naar Teller[n], EN = binnengaan van de stap.
+function emitCounterNetwork(network: Network, counters: CounterAllocator, slot: CounterSlot, op: CounterOperation, entry: LogicExpr) {
+  const type = counters.array.dataType;
+  const literal = (value: number) => network.addTarget({ kind: 'literal', type, value: String(value) });
+  const counterAccess = () => network.addTarget({ kind: 'symbol', ...counters.ref(slot) });
+
+  if (op.type === 'increment') {
+    const add = network.addPart('Add');
+    add.cardinality = 2;
+    add.templateValues.push({ name: 'SrcType', type: 'Type', value: type });
+    connectSignal(network, emitLogic(network, entry), add, 'en');
+    network.connect(counterAccess(), undefined, add, 'in1');
+    network.connect(literal(op.value ?? 1), undefined, add, 'in2');
+    network.connect(add, 'out', counterAccess());
+    return;
+  }
+
+  const move = network.addPart('Move');
+  move.cardinality = 1;
+  connectSignal(network, emitLogic(network, entry), move, 'en');
+  const value = op.type === 'reset' ? 0 : op.value ?? slot.preset ?? 0;
+  network.connect(literal(value), undefined, move, 'in');
+  network.connect(move, 'out1', counterAccess());
+}
+
+// Eén MOVE per stap: EN = Stap[n], IN = n (0 voor RUST), OUT1 = Uit_Stap_Tekst.
+function emitStepTextNetwork(network: Network, steps: Step[]) {
+  steps.forEach(step => {
+    const move = network.addPart('Move');
+    move.cardinality = 1;
+    network.connect(network.addAccess('Stap', step.number), undefined, move, 'en');
+    network.connect(network.addTarget({ kind: 'literal', type: 'Int', value: String(step.number) }), undefined, move, 'in');
+    network.connect(move, 'out1', network.addTarget({ kind: 'symbol', scope: 'LocalVariable', components: [{ name: 'Uit_Stap_Tekst' }] }));
+  });
+}
+
+// Sr op Klaar (S = eindstap, R1 = verlaten van RUST), daarna een Coil Klaar -> Uit_Klaar.
+function emitDoneNetwork(network: Network, logic: DoneLogic) {
+  const srBlock = network.addPart('Sr');
+  connectSignal(network, emitLogic(network, logic.set), srBlock, 's');
+  connectSignal(network, emitLogic(network, logic.reset), srBlock, 'r1');
+  network.connect(network.addTarget({ kind: 'symbol', ...logic.flag }), undefined, srBlock, 'operand');
+
+  const coil = network.addPart('Coil');
+  connectSignal(network, emitLogic(network, operand(logic.flag)), coil, 'in');
+  network.connect(network.addTarget({ kind: 'symbol', ...logic.output }), undefined, coil, 'operand');
+}
+
+export const FBD_RENDERER: NetworkRenderer = {
+  step: emitStepNetwork,
+  variable: emitVariableNetwork,
+  timer: emitTimerNetwork,
+  counter: emitCounterNetwork,
+  stepText: emitStepTextNetwork,
+  done: emitDoneNetwork,
+};
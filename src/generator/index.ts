@@ -6,103 +6,188 @@
 // te corrigeren.
 // =================================================================
 
+import { ProgramNode, isProgramNode } from '../language';
 import { Document } from './components/document';
-import { ParseResult, Step } from './interfaces';
-import { Access } from './components/part';
+import { FunctionBlock } from './components/fb';
+import { NetworkLanguage } from './components/network';
+import { arrayDatatype } from './arrays';
+import { compileProgram } from './compile';
+import { CounterOperation, ParseResult } from './interfaces';
+import { CounterSlot } from './counters';
+import { FBD_RENDERER } from './fbd';
+import { LAD_RENDERER } from './lad';
+import { and, operand, stepArrayName, stepRef } from './logic';
+import { ProgramRegistry } from './programs';
+import { NetworkRenderer } from './renderer';
+import { DONE_FLAG, DONE_OUTPUT, StepLogic, stepLabel } from './sequence';
+import { TiaVersion } from './tia-version';
+import { ValidationRules, targetLabel } from './variables';
 
-export function generateTIAPortalXML(parseResult: ParseResult): string {
-  if (!parseResult || !parseResult.steps || parseResult.steps.length === 0) {
+export { arrayIndexErrors, functionCallError } from './compile';
+export { diffLines } from './line-diff';
+export { PLCOPEN_BODIES, generatePLCopenProject, generatePLCopenXML } from './plcopen';
+export { unknownProgramReferences } from './programs';
+export { generateSCL } from './scl';
+export { generateStepTextList, stepTextListName, stepTextName } from './textlist';
+export { importTiaFbd } from './tia-import';
+export { DEFAULT_TIA_VERSION, TIA_VERSIONS } from './tia-version';
+
+// Doeltaal van een FB: FBD of LAD als Openness XML, SCL als externe bron
+export type ExportLanguage = NetworkLanguage | 'SCL';
+export const EXPORT_LANGUAGES: ExportLanguage[] = ['FBD', 'LAD', 'SCL'];
+
+export interface GeneratorOptions {
+  language?: NetworkLanguage;   // FBD (standaard) of LAD
+  tiaVersion?: TiaVersion;      // V18 (standaard); bepaalt Engineering versie en namespaces
+  validationRules?: ValidationRules;   // groepen en arraygrenzen; standaard DEFAULT_VALIDATION_RULES
+  block?: { name: string; number: number };   // naam en nummer uit het project; standaard uit de FB-kop
+}
+
+const RENDERERS: Record<NetworkLanguage, NetworkRenderer> = {
+  FBD: FBD_RENDERER,
+  LAD: LAD_RENDERER,
+};
+
+const hasSteps = (parseResult: ParseResult) => !!parseResult && !!parseResult.steps && parseResult.steps.length > 0;
+
+/**
+ * Resultaat van een parser of direct de syntaxboom van parseProgram (src/language).
+ * De boom heeft dezelfde stap- en voorwaardevelden als ParseResult.
+ */
+export type ProgramInput = ParseResult | ProgramNode;
+
+function toParseResult(input: ProgramInput): ParseResult {
+  if (!isProgramNode(input)) return input;
+  return {
+    programName: input.header?.name,
+    functionBlock: input.header?.functionBlock || undefined,
+    steps: input.steps,
+    variables: input.variables,
+    counters: input.counters,
+  };
+}
+
+export function generateTIAPortalXML(input: ProgramInput, programRegistry?: ProgramRegistry, options: GeneratorOptions = {}): string {
+  const parseResult = toParseResult(input);
+  if (!hasSteps(parseResult)) {
+    return '<!-- Geen stappen gevonden om te compileren. -->';
+  }
+
+  const doc = new Document(options.tiaVersion);
+  buildFunctionBlock(doc, parseResult, programRegistry, options);
+  return doc.toXml(true);
+}
+
+/**
+ * Instance-DB van het FB van dit programma. De interface is die van het
+ * gegenereerde FB, inclusief stapcommentaren en arraygrenzen.
+ */
+export function generateInstanceDBXml(
+  input: ProgramInput,
+  idb: { name: string; number: number },
+  programRegistry?: ProgramRegistry,
+  options: GeneratorOptions = {},
+): string {
+  const parseResult = toParseResult(input);
+  if (!hasSteps(parseResult)) {
     return '<!-- Geen stappen gevonden om te compileren. -->';
   }
 
-  const doc = new Document();
-  const fb = doc.addFb(parseResult.functionBlock || 'FB1');
+  const fb = buildFunctionBlock(new Document(options.tiaVersion), parseResult, programRegistry, options);
+  const doc = new Document(options.tiaVersion);
+  doc.addIdb(idb.name, idb.number, fb);
+  return doc.toXml(true);
+}
+
+/**
+ * Bouwt het FB van dit programma in `doc`; ook gebruikt voor de projectexport (project.ts).
+ */
+export function buildFunctionBlock(
+  doc: Document,
+  parseResult: ParseResult,
+  programRegistry?: ProgramRegistry,
+  options: GeneratorOptions = {},
+): FunctionBlock {
+  const { operands, sequence, variables, arrays } = compileProgram(parseResult, programRegistry, options.validationRules);
+  const language = options.language || 'FBD';
+  const render = RENDERERS[language];
+  const name = options.block?.name || parseResult.functionBlock || 'FB1';
+  const number = options.block?.number || parseInt(name.replace(/[^0-9]/g, ''), 10) || 1;
+  const fb = doc.addFb(name, number, language);
 
   // Dynamisch de interface opbouwen met de juiste commentaren
-  const stapMember = fb.interface.sections.Static.addMember('Stap', 'Array[0..31] of Bool', 'Retain');
-  parseResult.steps.forEach(step => {
-      const commentText = `${step.type === 'RUST' ? 'RUST' : `STAP ${step.number}`}: ${step.description || ''}`.trim();
-      stapMember.addSubelement(String(step.number), commentText);
+  arrays.forEach(array => {
+      const member = fb.interface.sections.Static.addMember(array.name, arrayDatatype(array), 'Retain');
+      if (array.dataType === 'IEC_TIMER') {
+          member.setVersion('1.0').addBooleanAttribute('SetPoint', true);
+      }
+      // Stapcommentaren: de hoofdketen in Stap, parallelle takken in Stap_A/B/C
+      parseResult.steps.filter(step => stepArrayName(step.branch) === array.name).forEach(step => {
+          const commentText = `${stepLabel(step)}: ${step.description || ''}`.trim();
+          member.addSubelement(String(step.number), commentText);
+      });
   });
-  // Voeg de overige standaard statische variabelen toe
-  fb.interface.sections.Static.addMember('Stap_A', 'Array[0..31] of Bool', 'Retain');
-  fb.interface.sections.Static.addMember('Stap_B', 'Array[0..31] of Bool', 'Retain');
-  fb.interface.sections.Static.addMember('Stap_C', 'Array[0..31] of Bool', 'Retain');
-  fb.interface.sections.Static.addMember('Hulp', 'Array[1..32] of Bool', 'Retain');
-  fb.interface.sections.Static.addMember('Tijd', 'Array[1..10] of IEC_TIMER', 'Retain');
-  fb.interface.sections.Static.addMember('Teller', 'Array[1..10] of Int', 'Retain');
   fb.interface.sections.Output.addMember('Uit_Stap_Tekst', 'Int');
+  // Alleen met een eindstap: Klaar blijft staan tot de keten opnieuw start
+  if (sequence.done) {
+      fb.interface.sections.Static.addMember(DONE_FLAG, 'Bool', 'Retain');
+      fb.interface.sections.Output.addMember(DONE_OUTPUT, 'Bool');
+  }
 
-  // Netwerk 1: RUST Logic (Stap 0)
-  const rustStep = parseResult.steps.find(s => s.type === 'RUST');
-  if (rustStep) {
-    // CORRECTIE: Gebruik een hoge, veilige base UID om conflicten te voorkomen.
-    const rustNetwork = fb.addNetwork(rustStep.description || 'RUST Logic', 500); 
-    const stepsToReset = parseResult.steps.filter(s => s.type === 'STAP');
-    const stepAccesses = stepsToReset.map(step => 
-        rustNetwork.addAccess('Stap', step.number)
-    );
-    
-    const aGateRust = rustNetwork.addPart('A');
-    stepAccesses.forEach((access, idx) => {
-      rustNetwork.connect(access, undefined, aGateRust, `in${idx + 1}`, { negated: true });
+  // Telleracties staan vóór het netwerk van hun stap: in de cyclus waarin
+  // de stap gezet wordt is de setlogica precies één keer waar. De setlogica
+  // van RUST bevat zelf geen NIET Stap[0] en blijft waar zolang RUST actief is.
+  const emitCounterNetworks = (logic: StepLogic) => {
+    const entry = logic.step.type === 'RUST' ? and(logic.set, operand(stepRef(0), true)) : logic.set;
+    operands.counters.all().forEach(slot => {
+      slot.operations.filter(op => op.step === logic.step.number && op.branch === logic.step.branch).forEach(op => {
+        const title = `${operands.counters.array.name}[${slot.index}]: ${slot.name} ${counterActionLabel(slot, op)} (${stepLabel(logic.step)})`;
+        render.counter(fb.addNetwork(title), operands.counters, slot, op, entry);
+      });
     });
+  };
 
-    const srRust = rustNetwork.addPart('Sr');
-    const firstStep = parseResult.steps.find(s => s.type === 'STAP');
-    if(firstStep) {
-        const step1Access = rustNetwork.addAccess('Stap', firstStep.number);
-        rustNetwork.connect(step1Access, undefined, srRust, 'r1');
-    }
-    
-    rustNetwork.connect(aGateRust, 'out', srRust, 's');
-    
-    // CORRECTIE: Voeg de cruciale operand-verbinding toe.
-    const srRustOperand = rustNetwork.addAccess('Stap', 0);
-    rustNetwork.connect(srRustOperand, undefined, srRust, 'operand');
+  // Netwerk 1: RUST Logic (Stap 0)
+  if (sequence.rust) {
+    emitCounterNetworks(sequence.rust);
+    const rustNetwork = fb.addNetwork(sequence.rust.step.description || 'RUST Logic');
+    render.step(rustNetwork, sequence.rust);
   }
 
   // Process alle stappen (STAP 1 tot N)
-  const normalSteps = parseResult.steps.filter(s => s.type === 'STAP');
-  normalSteps.forEach((step, idx) => {
-    const isFinalStep = idx === normalSteps.length - 1;
-    
-    const title = `STAP ${step.number}: ${step.description || ''}`;
-    // CORRECTIE: Gebruik een hoge, veilige base UID om conflicten te voorkomen.
-    const baseUid = 1000 + idx * 100;
-    const network = fb.addNetwork(title, baseUid);
-
-    // Voorwaarde 1: Vorige stap is waar
-    const prevStepNumber = idx === 0 ? 0 : normalSteps[idx - 1].number;
-    const prevStepAccess = network.addAccess('Stap', prevStepNumber);
-    
-    // Voorwaarde 2: Huidige stap is NIET waar
-    const notCurrentStepAccess = network.addAccess('Stap', step.number);
-
-    // Voorwaarde 3: Extra conditie (standaard 'false')
-    const falseAccess = network.addLiteralBool(false);
-    
-    const conditionGate = network.addPart('A');
-    network.connect(prevStepAccess, undefined, conditionGate, 'in1');
-    network.connect(notCurrentStepAccess, undefined, conditionGate, 'in2', { negated: true });
-    network.connect(falseAccess, undefined, conditionGate, 'in3');
-    
-    if (isFinalStep) {
-        const coil = network.addPart('Coil');
-        const coilOperand = network.addAccess('Stap', step.number);
-        network.connect(conditionGate, 'out', coil, 'in');
-        network.connect(coilOperand, undefined, coil, 'operand');
-    } else {
-        const nextStep = normalSteps[idx + 1];
-        const srBlock = network.addPart('Sr');
-        const resetStepAccess = network.addAccess('Stap', nextStep.number);
-        const srOperand = network.addAccess('Stap', step.number);
-
-        network.connect(conditionGate, 'out', srBlock, 's');
-        network.connect(resetStepAccess, undefined, srBlock, 'r1');
-        network.connect(srOperand, undefined, srBlock, 'operand');
-    }
+  sequence.steps.forEach(logic => {
+    emitCounterNetworks(logic);
+    const title = `${stepLabel(logic.step)}: ${logic.step.description || ''}`;
+    render.step(fb.addNetwork(title), logic);
   });
 
-  return doc.toXml(true);
+  // Hulp / Storing / Melding: één netwerk per variabele-definitie
+  variables.forEach(logic => {
+    const title = `${targetLabel(logic.target)}: ${logic.target.definition.name}`;
+    render.variable(fb.addNetwork(title), logic);
+  });
+
+  // Timers: één TON per Tijd[n], gestart door de stap (of voorwaarden) die erop wacht
+  operands.timers.all().forEach(slot => {
+    const title = `Tijd[${slot.index}]: ${slot.owner} ${slot.preset}`;
+    render.timer(fb.addNetwork(title), slot);
+  });
+
+  // Klaar-vlag van de eindstap naar Uit_Klaar
+  if (sequence.done) {
+    render.done(fb.addNetwork(`${DONE_FLAG}: ${stepLabel(sequence.done.step)} voltooid`), sequence.done);
+  }
+
+  // Laatste netwerk: nummer van de actieve stap naar Uit_Stap_Tekst (tekstlijst: zie textlist.ts)
+  render.stepText(fb.addNetwork('Uit_Stap_Tekst: actieve stap'), parseResult.steps.filter(step => !step.branch));
+
+  return fb;
+}
+
+function counterActionLabel(slot: CounterSlot, op: CounterOperation): string {
+  switch (op.type) {
+    case 'increment': return `${(op.value ?? 1) < 0 ? '' : '+'}${op.value ?? 1}`;
+    case 'reset': return ':= 0';
+    case 'load': return `:= ${op.value ?? slot.preset ?? 0}`;
+  }
 }
@@ -2,15 +2,99 @@
 // -------------------
 // filename: src/generator/interfaces.ts
 // -------------------
-export interface Step {
+export interface Condition {
+    text: string;
+    negated?: boolean;
+    operator?: 'AND' | 'OR';
+    lineNumber?: number;
+    timeValue?: number | null;                // EnhancedLogicParser
+    timeUnit?: string | null;
+    timer?: { value: number; unit: string } | null;  // EnhancedParser
+    comparison?: { variable: string; operator: string; value: string } | null;  // "Teller1 >= 5"
+    crossReference?: { description?: string; program: string; steps: number[] } | null;  // "(Vulsysteem SCHRITT 3+4)"
+  }
+  
+  // Een groep is een AND-lijst; opeenvolgende groepen ('+' regels) zijn OR.
+  export interface ConditionGroup {
+    type?: 'group';
+    operator: 'AND' | 'OR';
+    conditions: ConditionTerm[];
+  }
+  
+  // "[ ... ]" blok: een geneste OR van AND-groepen die als één voorwaarde in een groep staat.
+  export interface ConditionBlock {
+    type?: 'block';
+    negated?: boolean;
+    operator?: 'AND' | 'OR';
+    groups: ConditionGroup[];
+    lineNumber?: number;
+  }
+  
+  export type ConditionTerm = Condition | ConditionBlock;
+  
+  // VON SCHRITT n: niet-sequentiële overgang naar de stap waar hij boven staat.
+  export interface Transition {
+    fromStep: number;
+    isOr?: boolean;
+    conditions: ConditionTerm[];
+    implicitConditions?: { stepReference: number; negated: boolean; text?: string }[];
+  }
+  
+  // Canoniek staptype; `keyword` is het woord zoals het in het document staat (STAP, SCHRITT, RUHE, ...).
+  export type StepType = 'RUST' | 'SCHRITT' | 'KLAAR';
+  
+  export interface Step {
     number: number;
-    type: 'STAP' | 'RUST';
+    type: StepType;
+    branch?: string;                          // parallelle tak A/B/C: Stap_A[n] enz.
+    keyword?: string;
     description?: string;
+    entryConditions?: ConditionGroup[];       // EnhancedLogicParser
+    transitionConditions?: ConditionGroup[];  // LogicParser
+    conditions?: (ConditionTerm | string)[];  // EnhancedParser (platte lijst)
+    transitions?: Transition[];
+  }
+
+  // Stap waarin een voorwaarde geldt: nummer en eventueel de parallelle tak.
+  export type StepOwner = Pick<Step, 'number' | 'branch'>;
+  
+  // Variabele-definitie ("Vrijgave_Transport =", "STORING: ... =") met de voorwaarden eronder.
+  export interface VariableDefinition {
+    name: string;
+    type?: string;
+    group?: string;
+    value?: string;                           // "Teller1 = 5": toekenning, geen coil
+    index?: number;                           // vast element: "STORING 23 = ..." is Storing[23]
+    conditions?: (ConditionTerm | string)[];
+    setReset?: { set: ConditionTerm[]; reset: ConditionTerm[] };  // SETZEN / RÜCKSETZEN tabel
+    lineNumber?: number;
+  }
+  
+  // Telleractie bij het binnengaan van een stap: "- Teller1 +1", "- Teller1 = 0", "- RÜCKSETZEN Teller1".
+  export interface CounterOperation {
+    type: 'increment' | 'load' | 'reset';
+    value?: number | null;                    // load zonder waarde = voorinstelwaarde
+    step: number;
+    branch?: string;                          // actie in een parallelle stap (SCHRITT A3)
+    lineNumber?: number;
+  }
+  
+  // Teller ("Teller1 = 5" is de voorinstelwaarde) met zijn acties uit de stappen.
+  export interface Counter {
+    name: string;
+    preset?: number | null;
+    operations: CounterOperation[];
+    lineNumber?: number;
   }
   
   export interface ParseResult {
+    programName?: string;
     functionBlock?: string;
     steps: Step[];
+    variables?: VariableDefinition[];
+    markers?: VariableDefinition[];
+    storingen?: VariableDefinition[];
+    counters?: Counter[];
   }
   
   export interface IXmlComponent {
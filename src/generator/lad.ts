@@ -0,0 +1,190 @@
+// -------------------
+// filename: src/generator/lad.ts
+// -------------------
+// Schrijft dezelfde LogicExpr uit als LAD: een operand wordt een contact
+// (NIET: een genegeerd contact), AND-knopen contacten in serie en
+// OR-knopen parallelle takken. Een knooppunt (stroomrail, splitsing of
+// samenkomst van takken) is één Wire met alle aansluitingen erop.
+// Sr-logica wordt een S- en een R-spoel op twee takken vanaf de
+// stroomrail; de R-tak staat onder de S-tak, dus reset is dominant.
+// -------------------
+import { Network } from './components/network';
+import { Access, Part } from './components/part';
+import { WireEnd } from './components/wire';
+import { CounterAllocator, CounterSlot } from './counters';
+import { emitOperand } from './fbd';
+import { CounterOperation, Step } from './interfaces';
+import { LogicExpr, operand, stepRef } from './logic';
+import { NetworkRenderer } from './renderer';
+import { DoneLogic, StepLogic } from './sequence';
+import { TimerSlot } from './timers';
+import { VariableLogic } from './variables';
+
+type Node = WireEnd[];
+
+class Rung {
+  private nodes: Node[] = [];
+
+  constructor(private network: Network) {}
+
+  node(ends: WireEnd[] = []): Node {
+    const node = [...ends];
+    this.nodes.push(node);
+    return node;
+  }
+
+  powerrail(): Node {
+    return this.node(['Powerrail']);
+  }
+
+  /**
+   * Zet de logica achter `input` en geeft het knooppunt erna terug.
+   */
+  logic(expr: LogicExpr, input: Node): Node {
+    switch (expr.kind) {
+      case 'constant':
+        return this.contact(input, this.network.addLiteralBool(expr.value), false);
+      case 'operand':
+        return this.contact(
+          input,
+          this.network.addTarget({ kind: 'symbol', scope: expr.ref.scope, components: expr.ref.components }),
+          expr.negated,
+        );
+      case 'compare': {
+        const box = this.network.addPart(expr.operator);
+        box.templateValues.push({ name: 'SrcType', type: 'Type', value: expr.type });
+        this.network.connect(emitOperand(this.network, expr.left, expr.type), undefined, box, 'in1');
+        this.network.connect(emitOperand(this.network, expr.right, expr.type), undefined, box, 'in2');
+        input.push({ partId: box.id, port: 'pre' });
+        return this.node([{ partId: box.id, port: 'out' }]);
+      }
+      case 'and':
+        return expr.operands.reduce((node, op) => this.logic(op, node), input);
+      case 'or': {
+        // Alle takken beginnen op `input` en komen samen in één knooppunt
+        const output = this.node();
+        expr.operands.forEach(op => output.push(...this.logic(op, input).splice(0)));
+        return output;
+      }
+    }
+  }
+
+  // Sluit het knooppunt aan op een ingang (spoel, EN/IN van een box)
+  into(node: Node, part: Part, port: string) {
+    node.push({ partId: part.id, port });
+  }
+
+  // Knooppunten met minder dan twee aansluitingen (open uitgangen) vervallen
+  finish() {
+    this.nodes.filter(node => node.length > 1).forEach(node => this.network.addWire(node));
+  }
+
+  private contact(input: Node, access: Access, negated: boolean): Node {
+    const contact = this.network.addPart('Contact');
+    input.push({ partId: contact.id, port: 'in' });
+    this.network.connect(access, undefined, contact, 'operand', { negated });
+    return this.node([{ partId: contact.id, port: 'out' }]);
+  }
+}
+
+// Spoel (Coil, SCoil of RCoil) op `target` achter de logica
+function coil(network: Network, rung: Rung, input: Node, name: string, expr: LogicExpr, target: Access) {
+  const box = network.addPart(name);
+  rung.into(rung.logic(expr, input), box, 'in');
+  network.connect(target, undefined, box, 'operand');
+}
+
+// S-spoel met de setlogica, daaronder R-spoel met de resetlogica op Stap[n] (of Stap_A[n] enz.).
+function emitStepNetwork(network: Network, logic: StepLogic) {
+  const rung = new Rung(network);
+  const rail = rung.powerrail();
+  const target = () => network.addTarget({ kind: 'symbol', ...stepRef(logic.step.number, logic.step.branch) });
+  coil(network, rung, rail, 'SCoil', logic.set, target());
+  coil(network, rung, rail, 'RCoil', logic.reset, target());
+  rung.finish();
+}
+
+// Spoel, of S- en R-spoel bij een SET/RESET tabel, op Hulp[n] / Storing[n] / Melding[n].
+function emitVariableNetwork(network: Network, logic: VariableLogic) {
+  const rung = new Rung(network);
+  const rail = rung.powerrail();
+  const target = () => network.addAccess(logic.target.arrayName, logic.target.index);
+  if (logic.reset) {
+    coil(network, rung, rail, 'SCoil', logic.set, target());
+    coil(network, rung, rail, 'RCoil', logic.reset, target());
+  } else {
+    coil(network, rung, rail, 'Coil', logic.set, target());
+  }
+  rung.finish();
+}
+
+// TON op Tijd[n] met de startlogica op IN.
+function emitTimerNetwork(network: Network, slot: TimerSlot) {
+  const rung = new Rung(network);
+  const ton = network.addPart('TON').setInstance([{ name: slot.arrayName, index: slot.index }]);
+  ton.templateValues.push({ name: 'time_type', type: 'Type', value: 'Time' });
+
+  rung.into(rung.logic(slot.start, rung.powerrail()), ton, 'IN');
+  network.connect(network.addTarget({ kind: 'literal', type: 'Time', value: slot.preset }), undefined, ton, 'PT');
+  rung.finish();
+}
+
+// ADD of MOVE naar Teller[n] met het binnengaan van de stap op EN.
+function emitCounterNetwork(network: Network, counters: CounterAllocator, slot: CounterSlot, op: CounterOperation, entry: LogicExpr) {
+  const type = counters.array.dataType;
+  const literal = (value: number) => network.addTarget({ kind: 'literal', type, value: String(value) });
+  const counterAccess = () => network.addTarget({ kind: 'symbol', ...counters.ref(slot) });
+  const rung = new Rung(network);
+  const enable = rung.logic(entry, rung.powerrail());
+
+  if (op.type === 'increment') {
+    const add = network.addPart('Add');
+    add.cardinality = 2;
+    add.templateValues.push({ name: 'SrcType', type: 'Type', value: type });
+    rung.into(enable, add, 'en');
+    network.connect(counterAccess(), undefined, add, 'in1');
+    network.connect(literal(op.value ?? 1), undefined, add, 'in2');
+    network.connect(add, 'out', counterAccess());
+  } else {
+    const move = network.addPart('Move');
+    move.cardinality = 1;
+    rung.into(enable, move, 'en');
+    network.connect(literal(op.type === 'reset' ? 0 : op.value ?? slot.preset ?? 0), undefined, move, 'in');
+    network.connect(move, 'out1', counterAccess());
+  }
+  rung.finish();
+}
+
+// Eén tak per stap: contact Stap[n] -> MOVE n naar Uit_Stap_Tekst.
+function emitStepTextNetwork(network: Network, steps: Step[]) {
+  const rung = new Rung(network);
+  const rail = rung.powerrail();
+  steps.forEach(step => {
+    const move = network.addPart('Move');
+    move.cardinality = 1;
+    rung.into(rung.logic(operand(stepRef(step.number)), rail), move, 'en');
+    network.connect(network.addTarget({ kind: 'literal', type: 'Int', value: String(step.number) }), undefined, move, 'in');
+    network.connect(move, 'out1', network.addTarget({ kind: 'symbol', scope: 'LocalVariable', components: [{ name: 'Uit_Stap_Tekst' }] }));
+  });
+  rung.finish();
+}
+
+// S- en R-spoel op Klaar, en een derde tak: contact Klaar -> spoel Uit_Klaar.
+function emitDoneNetwork(network: Network, logic: DoneLogic) {
+  const rung = new Rung(network);
+  const rail = rung.powerrail();
+  const flag = () => network.addTarget({ kind: 'symbol', ...logic.flag });
+  coil(network, rung, rail, 'SCoil', logic.set, flag());
+  coil(network, rung, rail, 'RCoil', logic.reset, flag());
+  coil(network, rung, rail, 'Coil', operand(logic.flag), network.addTarget({ kind: 'symbol', ...logic.output }));
+  rung.finish();
+}
+
+export const LAD_RENDERER: NetworkRenderer = {
+  step: emitStepNetwork,
+  variable: emitVariableNetwork,
+  timer: emitTimerNetwork,
+  counter: emitCounterNetwork,
+  stepText: emitStepTextNetwork,
+  done: emitDoneNetwork,
+};
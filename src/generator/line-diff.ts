@@ -0,0 +1,53 @@
+// -------------------
+// filename: src/generator/line-diff.ts
+// -------------------
+// Regelvergelijking (langste gemeenschappelijke deelrij) tussen het
+// oorspronkelijke document en de uit TIA teruggelezen tekst. Regels worden
+// vergeleken zonder verschil in inspringing of witruimte en zonder de '-'
+// voor een AND-voorwaarde (die is gelijk aan een ingesprongen regel); een
+// enkele '=' is gelijk aan '=='. Lege regels tellen niet mee.
+// -------------------
+
+export interface DiffLine {
+  kind: 'same' | 'added' | 'removed';
+  text: string;
+}
+
+const normalize = (line: string) => line.trim().replace(/^-\s*/, '').replace(/\s+/g, ' ').replace(/(^|[^=<>!])=(?!=)/g, '$1==');
+
+const contentLines = (text: string) => text.split(/\r?\n/).filter(line => normalize(line) !== '');
+
+/**
+ * Verschillen van `original` naar `changed`: 'removed' staat alleen in het
+ * origineel, 'added' alleen in de nieuwe tekst.
+ */
+export function diffLines(original: string, changed: string): DiffLine[] {
+  const a = contentLines(original);
+  const b = contentLines(changed);
+  const keyA = a.map(normalize);
+  const keyB = b.map(normalize);
+
+  // lengths[i][j] = lengte van de langste gemeenschappelijke deelrij van a[i..] en b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array<number>(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = keyA[i] === keyB[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && keyA[i] === keyB[j]) {
+      result.push({ kind: 'same', text: b[j] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      result.push({ kind: 'removed', text: a[i++] });
+    } else {
+      result.push({ kind: 'added', text: b[j++] });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,160 @@
+// -------------------
+// filename: src/generator/logic.ts
+// -------------------
+// Doeltaal-onafhankelijk logisch model van een netwerk. De parsers leveren
+// voorwaardegroepen (AND-lijsten, '+' OR-groepen, NIET-negaties, geneste
+// "[ ... ]" blokken); hier worden die omgezet naar een booleaanse boom die
+// daarna door een back-end (zie fbd.ts) als Parts en Wires wordt uitgeschreven.
+// -------------------
+import { SymbolComponent } from './components/part';
+import { Condition, ConditionBlock, ConditionGroup, ConditionTerm, Step, StepOwner } from './interfaces';
+
+export interface OperandRef {
+  scope: 'LocalVariable' | 'GlobalVariable';
+  components: SymbolComponent[];
+}
+
+export type CompareOperator = 'Eq' | 'Ne' | 'Lt' | 'Le' | 'Gt' | 'Ge';
+
+// Kant van een vergelijking: een tag of een literaal van het vergelijkingstype.
+export type CompareOperand =
+  | { kind: 'ref'; ref: OperandRef }
+  | { kind: 'literal'; value: string };
+
+export type LogicExpr =
+  | { kind: 'and'; operands: LogicExpr[] }
+  | { kind: 'or'; operands: LogicExpr[] }
+  | { kind: 'operand'; ref: OperandRef; negated: boolean }
+  | { kind: 'compare'; operator: CompareOperator; type: string; left: CompareOperand; right: CompareOperand }
+  | { kind: 'constant'; value: boolean };
+
+function combine(kind: 'and' | 'or', operands: LogicExpr[]): LogicExpr {
+  const flat = operands.flatMap(op => (op.kind === kind ? op.operands : [op]));
+  if (flat.length === 0) {
+    return { kind: 'constant', value: kind === 'and' };
+  }
+  return flat.length === 1 ? flat[0] : { kind, operands: flat };
+}
+
+export const and = (...operands: LogicExpr[]): LogicExpr => combine('and', operands);
+export const or = (...operands: LogicExpr[]): LogicExpr => combine('or', operands);
+
+export function operand(ref: OperandRef, negated: boolean = false): LogicExpr {
+  return { kind: 'operand', ref, negated };
+}
+
+const COMPARE_OPERATORS: Record<string, CompareOperator> = {
+  '==': 'Eq', '=': 'Eq', '!=': 'Ne', '<>': 'Ne', '<': 'Lt', '<=': 'Le', '>': 'Gt', '>=': 'Ge',
+};
+
+// NIET Teller1 >= 5 is Teller1 < 5: een negatie keert de vergelijking om.
+const INVERTED: Record<CompareOperator, CompareOperator> = {
+  Eq: 'Ne', Ne: 'Eq', Lt: 'Ge', Ge: 'Lt', Le: 'Gt', Gt: 'Le',
+};
+
+/**
+ * NIET van een hele boom: operanden en vergelijkingen worden omgekeerd,
+ * AND en OR wisselen om (De Morgan).
+ */
+export function not(expr: LogicExpr): LogicExpr {
+  switch (expr.kind) {
+    case 'constant': return { kind: 'constant', value: !expr.value };
+    case 'operand': return operand(expr.ref, !expr.negated);
+    case 'compare': return { ...expr, operator: INVERTED[expr.operator] };
+    case 'and': return or(...expr.operands.map(not));
+    case 'or': return and(...expr.operands.map(not));
+  }
+}
+
+/**
+ * Vergelijking zoals in de tekst ("Teller1 >= 5") met het datatype van beide kanten.
+ */
+export function compare(
+  operator: string,
+  left: CompareOperand,
+  right: CompareOperand,
+  type: string,
+  negated: boolean = false,
+): LogicExpr {
+  const op = COMPARE_OPERATORS[operator];
+  if (!op) {
+    throw new Error(`Onbekende vergelijkingsoperator "${operator}".`);
+  }
+  return { kind: 'compare', operator: negated ? INVERTED[op] : op, type, left, right };
+}
+
+// Stap[n] in de hoofdketen, Stap_A[n] / Stap_B[n] / Stap_C[n] in een parallelle tak
+export function stepArrayName(branch?: string): string {
+  return branch ? `Stap_${branch}` : 'Stap';
+}
+
+export function stepRef(number: number, branch?: string): OperandRef {
+  return { scope: 'LocalVariable', components: [{ name: stepArrayName(branch), index: number }] };
+}
+
+export type ConditionSource = Pick<Step, 'entryConditions' | 'transitionConditions' | 'conditions'>;
+
+export function isConditionBlock(term: ConditionTerm): term is ConditionBlock {
+  return Array.isArray((term as ConditionBlock).groups);
+}
+
+/**
+ * Normaliseert de verschillende parser-uitvoeren naar voorwaardegroepen:
+ * entryConditions (EnhancedLogicParser), transitionConditions (LogicParser)
+ * of een platte conditions-lijst (EnhancedParser, variabelen) waarin een
+ * OR-voorwaarde een nieuwe groep begint, net als in addConditionToStep.
+ */
+export function conditionGroups(source: ConditionSource): ConditionGroup[] {
+  if (source.entryConditions && source.entryConditions.length > 0) {
+    return source.entryConditions;
+  }
+  if (source.transitionConditions && source.transitionConditions.length > 0) {
+    return source.transitionConditions;
+  }
+
+  const groups: ConditionGroup[] = [];
+  (source.conditions || []).forEach(raw => {
+    const condition: ConditionTerm = typeof raw === 'string' ? { text: raw } : raw;
+    if (!isConditionBlock(condition) && !condition.text) return;
+    if (condition.operator === 'OR' && groups.length > 0) {
+      groups.push({ operator: 'OR', conditions: [condition] });
+    } else if (groups.length === 0) {
+      groups.push({ operator: 'AND', conditions: [condition] });
+    } else {
+      groups[groups.length - 1].conditions.push(condition);
+    }
+  });
+  return groups;
+}
+
+// Een voorwaarde wordt opgelost in de context van de stap die actief is
+// terwijl hij geldt (nodig voor timers die door die stap gestart worden).
+export type Resolve = (condition: Condition, owner?: StepOwner) => LogicExpr;
+
+/**
+ * Eén voorwaarde of een blok: het blok wordt de OR-van-AND boom van zijn
+ * groepen, met NIET over het geheel.
+ */
+export function termExpression(term: ConditionTerm, resolve: Resolve, owner?: StepOwner): LogicExpr {
+  if (!isConditionBlock(term)) return resolve(term, owner);
+  const expr = or(...term.groups.map(g => and(...g.conditions.map(c => termExpression(c, resolve, owner)))));
+  return term.negated ? not(expr) : expr;
+}
+
+/**
+ * Bouwt de OR-van-AND boom voor de voorwaarden onder een stap, of null als
+ * de stap geen voorwaarden heeft. Voorwaarden in `exclude` (bijv. die al bij
+ * een VON SCHRITT overgang horen) worden overgeslagen.
+ */
+export function transitionExpression(
+  step: Step | undefined,
+  resolve: Resolve,
+  exclude: Set<ConditionTerm> = new Set(),
+): LogicExpr | null {
+  if (!step) return null;
+  const groups = conditionGroups(step)
+    .map(g => g.conditions.filter(c => !exclude.has(c)))
+    .filter(conditions => conditions.length > 0);
+  if (groups.length === 0) return null;
+  return or(...groups.map(conditions => and(...conditions.map(c => termExpression(c, resolve, step)))));
+}
@@ -0,0 +1,185 @@
+// -------------------
+// filename: src/generator/operands.ts
+// -------------------
+// Vertaalt de tekst van een voorwaarde naar een operand in het FB.
+// Tijdvoorwaarden worden Tijd[n].Q, "SCHRITT n" wordt Stap[n] (en "SCHRITT
+// A3" Stap_A[3]) en een teller (Teller1 >= 5) wordt een vergelijking op
+// Teller[n]. Andere vergelijkingen (Temperatuur > 45.5 graden) krijgen het
+// type van hun literaal. Een verwijzing naar een ander programma leest
+// diens IDB (zie programs.ts). Onbekende signalen worden als globale tag
+// benaderd; een tekst met punten (Motor.Running) wordt een gestructureerde
+// toegang.
+// -------------------
+import { DEFAULT_VALIDATION_RULES } from '../config/validationRules.js';
+import { LINE_PATTERNS } from '../language';
+import { CounterAllocator, counterArray } from './counters';
+import { Condition, Counter, Step, StepOwner } from './interfaces';
+import { CompareOperand, LogicExpr, OperandRef, and, compare, operand, or, stepArrayName, stepRef } from './logic';
+import { ProgramLookup, crossReference } from './programs';
+import { stepLabel } from './sequence';
+import { TimerAllocator, formatTimeLiteral, timerArray, timerOutput, timerPreset } from './timers';
+import { ValidationRules } from './variables';
+
+const STRUCTURED_NAME = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)+$/;
+const TAG_NAME = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const OWN_STEP = /^(?:SCHRITT|STAP|STEP)\s+([A-C])?\s*(\d+)$/i;
+const OWN_REST = /^(?:RUST|RUHE|IDLE)$/i;
+const INTEGER = /^[+-]?\d+$/;
+// eenheid erachter (graden, bar, %) telt niet mee; een bereik (7.2 - 7.8) is geen getal
+const NUMBER = /^([+-]?\d+(?:[.,]\d+)?)(?:\s*[^\d\s.,+-].*)?$/;
+const DURATION = /^(\d+)\s*(Sek|Sec|Min|s)\b/i;
+const TIME_LITERAL = /^T#[\dA-Z_]+$/i;
+const BOOL_LITERAL = /^(TRUE|FALSE)$/i;
+
+export interface TypedLiteral {
+  type: string;
+  value: string;
+}
+
+/**
+ * Type van de rechterkant van een vergelijking, af te leiden uit de literaal:
+ * 10 -> Int, 45.5 / 2,5 -> Real, T#2m30s / 5 Sek -> Time, TRUE -> Bool.
+ * Null als het geen literaal is (maar bijv. een andere tag).
+ */
+export function inferLiteral(text: string): TypedLiteral | null {
+  const value = text.trim();
+  if (TIME_LITERAL.test(value)) return { type: 'Time', value: value.toUpperCase() };
+  const duration = value.match(DURATION);
+  if (duration) return { type: 'Time', value: formatTimeLiteral(parseInt(duration[1], 10), duration[2]) };
+  if (BOOL_LITERAL.test(value)) return { type: 'Bool', value: value.toUpperCase() };
+
+  const number = value.match(NUMBER);
+  if (!number) return null;
+  const normalized = number[1].replace(',', '.');
+  return normalized.includes('.')
+    ? { type: 'Real', value: normalized }
+    : { type: 'Int', value: String(parseInt(normalized, 10)) };
+}
+
+/**
+ * Maakt van vrije tekst een geldige tag-naam ("Kraan beweging gewenst" -> Kraan_beweging_gewenst).
+ */
+export function symbolName(text: string): string {
+  return text
+    .replace(/\*/g, '')
+    .replace(/[^\p{L}\p{N}_]+/gu, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '') || 'Onbekend';
+}
+
+export class OperandResolver {
+  readonly timers: TimerAllocator;
+  readonly counters: CounterAllocator;
+
+  constructor(
+    private steps: Step[] = [],
+    counters: Counter[] = [],
+    private programs: ProgramLookup = new ProgramLookup(),
+    rules: ValidationRules = DEFAULT_VALIDATION_RULES,
+  ) {
+    this.timers = new TimerAllocator(timerArray(rules));
+    this.counters = new CounterAllocator(counterArray(rules));
+    counters.forEach(counter => this.counters.define(counter));
+  }
+
+  resolve(condition: Condition, owner?: StepOwner): LogicExpr {
+    const preset = timerPreset(condition);
+    if (preset && owner !== undefined) {
+      const { number, branch } = owner;
+      const step = this.steps.find(s => s.number === number && s.branch === branch);
+      const label = step ? stepLabel(step) : `STAP ${branch || ''}${number}`;
+      return this.timer(`${stepArrayName(branch)}[${number}]`, label, operand(stepRef(number, branch)), preset, !!condition.negated);
+    }
+    const reference = crossReference(condition);
+    if (reference) {
+      const refs = this.programs.stepRefs(reference, condition.lineNumber);
+      // NIET (A OF B) = NIET A EN NIET B
+      return condition.negated
+        ? and(...refs.map(ref => operand(ref, true)))
+        : or(...refs.map(ref => operand(ref)));
+    }
+    // "TIJD 5 jaar" of "TIJD T#xyz" is geen tag maar een onleesbare tijd
+    if (!preset && LINE_PATTERNS.timerLike.test(condition.text)) {
+      throw new Error(`"${condition.text}" heeft geen geldige tijdsduur (regel ${condition.lineNumber ?? '?'}).`);
+    }
+    const counter = this.counterCompare(condition);
+    if (counter) return counter;
+    if (condition.comparison) return this.comparison(condition);
+    return operand(this.symbolFor(condition.text), !!condition.negated);
+  }
+
+  /**
+   * "Motor_Status == 2" wordt een vergelijkingsbox; het type volgt uit de
+   * literaal. Twee tags ("Druk > Druk_Max") worden als Int vergeleken.
+   */
+  comparison(condition: Condition): LogicExpr {
+    const { variable, operator, value } = condition.comparison!;
+    const literal = inferLiteral(value);
+    // "Klep_Open == FALSE" is geen vergelijkingsbox maar NIET Klep_Open
+    if (literal?.type === 'Bool' && /^(==|=|!=|<>)$/.test(operator)) {
+      const negated = (literal.value === 'FALSE') !== /^(!=|<>)$/.test(operator) !== !!condition.negated;
+      return operand(this.symbolFor(variable), negated);
+    }
+    // Alleen een naam als tag; andere tekst zou een verzonnen tag worden
+    if (!literal && !TAG_NAME.test(value)) {
+      throw new Error(`Rechterkant "${value}" van de vergelijking is geen waarde of tag (regel ${condition.lineNumber ?? '?'}).`);
+    }
+    const right: CompareOperand = literal
+      ? { kind: 'literal', value: literal.value }
+      : { kind: 'ref', ref: this.symbolFor(value) };
+    return compare(operator, { kind: 'ref', ref: this.symbolFor(variable) }, right, literal ? literal.type : 'Int', !!condition.negated);
+  }
+
+  /**
+   * "Teller1 >= 5" vergelijkt Teller[n] met de waarde, "Teller1 >= Sollwert"
+   * met de tag (of Teller[m] als dat ook een teller is); alleen "Teller1" is
+   * Teller[n] >= voorinstelwaarde. Null als de voorwaarde geen teller betreft.
+   */
+  counterCompare(condition: Condition): LogicExpr | null {
+    const { comparison } = condition;
+    const name = comparison ? comparison.variable : condition.text.replace(/\*/g, '').trim();
+    if (!this.counters.isCounter(name)) return null;
+
+    const slot = this.counters.slotFor(name);
+    if (!comparison && slot.preset == null) {
+      throw new Error(`Teller "${slot.name}" heeft geen voorinstelwaarde (regel ${condition.lineNumber ?? '?'}).`);
+    }
+    return compare(
+      comparison ? comparison.operator : '>=',
+      { kind: 'ref', ref: this.counters.ref(slot) },
+      comparison ? this.counterOperand(comparison.value, condition) : { kind: 'literal', value: String(slot.preset) },
+      this.counters.array.dataType,
+      !!condition.negated,
+    );
+  }
+
+  // Rechterkant van een tellervergelijking: geheel getal, teller of tag
+  private counterOperand(value: string, condition: Condition): CompareOperand {
+    if (INTEGER.test(value)) return { kind: 'literal', value: String(parseInt(value, 10)) };
+    if (this.counters.isCounter(value)) return { kind: 'ref', ref: this.counters.ref(this.counters.slotFor(value)) };
+    if (inferLiteral(value) || !TAG_NAME.test(value)) {
+      throw new Error(`Rechterkant "${value}" van de tellervergelijking is geen geheel getal of tag (regel ${condition.lineNumber ?? '?'}).`);
+    }
+    return { kind: 'ref', ref: this.symbolFor(value) };
+  }
+
+  /**
+   * Tijd[n].Q van de timer met deze sleutel en preset; de TON wordt gestart door `start`.
+   */
+  timer(key: string, owner: string, start: LogicExpr, preset: string, negated: boolean): LogicExpr {
+    return operand(timerOutput(this.timers.slotFor(key, owner, start, preset)), negated);
+  }
+
+  symbolFor(text: string): OperandRef {
+    const cleaned = text.replace(/\*/g, '').trim();
+    // "SCHRITT 3" / "RUST" zonder programmaverwijzing: eigen stap
+    const ownStep = cleaned.match(OWN_STEP);
+    if (ownStep) return stepRef(parseInt(ownStep[2], 10), ownStep[1]?.toUpperCase());
+    if (OWN_REST.test(cleaned)) return stepRef(0);
+
+    if (STRUCTURED_NAME.test(cleaned)) {
+      return { scope: 'GlobalVariable', components: cleaned.split('.').map(name => ({ name })) };
+    }
+    return { scope: 'GlobalVariable', components: [{ name: symbolName(cleaned) }] };
+  }
+}
@@ -0,0 +1,257 @@
+// -------------------
+// filename: src/generator/plcopen.ts
+// -------------------
+// PLCopen TC6 XML (IEC 61131-3) voor niet-Siemens besturingen (CODESYS,
+// TwinCAT). Ieder programma wordt een POU (functionBlock):
+// - SFC: RUST is de beginstap, iedere STAP/SCHRITT een stap en iedere
+//   overgang (ook VON SCHRITT) een transition met een ST-voorwaarde. De
+//   keten volgt de documentvolgorde; overige overgangen zijn een
+//   selectietak met een sprong naar hun doelstap. Een stap zonder
+//   overgang vanuit de vorige stap krijgt een FALSE-overgang, zodat de
+//   keten aaneengesloten blijft.
+//   De actie "Logica" (ST) hangt aan iedere stap en draait dus altijd:
+//   Stap[n] := <stap>.X (voor verwijzingen uit andere programma's),
+//   tellers, hulpmerkers, timers, Klaar en Uit_Stap_Tekst.
+// - ST: dezelfde statements als de SCL-export, met Stap[n] als SR.
+//   Een programma met parallelle takken (Stap_A/B/C) krijgt altijd een
+//   ST-body: de SFC hier kent geen simultane takken.
+// Timers en hulpmerkers zijn arrays in de POU-variabelen (Tijd: TON).
+// -------------------
+import { ArrayMember } from './arrays';
+import { CompiledProgram, compileProgram } from './compile';
+import { ParseResult, Step } from './interfaces';
+import { or, stepArrayName } from './logic';
+import { symbolName } from './operands';
+import { ProgramRegistry } from './programs';
+import { IEC_ST_DIALECT, StWriter, stExpression, writeProgramLogic } from './scl';
+import { DONE_FLAG, DONE_OUTPUT, SequenceTransition, stepLabel } from './sequence';
+import { ValidationRules } from './variables';
+import { XmlElement } from './xml-builder';
+
+export type PLCopenBody = 'SFC' | 'ST';
+export const PLCOPEN_BODIES: PLCopenBody[] = ['SFC', 'ST'];
+
+export interface PLCopenOptions {
+  body?: PLCopenBody;
+  projectName?: string;
+  validationRules?: ValidationRules;
+}
+
+export interface PLCopenProgram {
+  parseResult: ParseResult;
+  instanceName?: string | null;   // globale instantie, bijv. de IDB-naam uit de Word-import
+}
+
+const LOGIC_ACTION = 'Logica';
+const ROW = 60;
+const COLUMN = 200;
+
+export function pouName(parseResult: ParseResult): string {
+  return symbolName(parseResult.programName || parseResult.functionBlock || 'FB1');
+}
+
+const sfcStepName = (step: Step) => symbolName(stepLabel(step));
+
+const xhtml = (text: string) => new XmlElement('xhtml:p', text);
+
+const stBody = (text: string) => new XmlElement('ST').add(xhtml(text));
+
+function dataType(type: string): XmlElement {
+  return type === 'IEC_TIMER' ? new XmlElement('derived').attr('name', 'TON') : new XmlElement(type.toUpperCase());
+}
+
+function arrayType(array: ArrayMember): XmlElement {
+  return new XmlElement('array')
+    .add(new XmlElement('dimension').attr('lower', array.first).attr('upper', array.last))
+    .add(new XmlElement('baseType').add(dataType(array.dataType)));
+}
+
+function variable(name: string, type: XmlElement, comment?: string): XmlElement {
+  const element = new XmlElement('variable').attr('name', name).add(new XmlElement('type').add(type));
+  if (comment) element.add(new XmlElement('documentation').add(xhtml(comment)));
+  return element;
+}
+
+function pouInterface(parseResult: ParseResult, { arrays, sequence }: CompiledProgram): XmlElement {
+  const stepComments = (name: string) => parseResult.steps
+    .filter(step => stepArrayName(step.branch) === name)
+    .map(step => `${step.number} = ${stepLabel(step)}: ${step.description || ''}`.trim())
+    .join(', ');
+  const outputs = new XmlElement('outputVars')
+    .add(variable('Uit_Stap_Tekst', new XmlElement('INT'), 'nummer van de actieve stap'));
+  const locals = arrays.reduce(
+    (vars, array) => vars.add(variable(array.name, arrayType(array), stepComments(array.name) || undefined)),
+    new XmlElement('localVars').attr('retain', 'true'),
+  );
+  if (sequence.done) {
+    outputs.add(variable(DONE_OUTPUT, new XmlElement('BOOL'), 'eindstap doorlopen'));
+    locals.add(variable(DONE_FLAG, new XmlElement('BOOL')));
+  }
+  return new XmlElement('interface').add(outputs).add(locals);
+}
+
+function logicSource(parseResult: ParseResult, compiled: CompiledProgram, body: PLCopenBody): string {
+  const out = new StWriter(IEC_ST_DIALECT, 0);
+  if (body === 'SFC') {
+    out.region('Stap[n] volgt de SFC-stappen', () => {
+      parseResult.steps.forEach(step => out.statement(`Stap[${step.number}] := ${sfcStepName(step)}.X;`));
+    });
+  }
+  writeProgramLogic(out, parseResult, compiled, { steps: body === 'ST' });
+  return out.toString();
+}
+
+class SfcBuilder {
+  readonly elements: XmlElement[] = [];
+  private nextId = 1;
+
+  id(): number {
+    return this.nextId++;
+  }
+
+  add(element: XmlElement, x: number, y: number, input?: number): XmlElement {
+    element.add(new XmlElement('position').attr('x', x).attr('y', y));
+    if (input !== undefined) {
+      element.add(new XmlElement('connectionPointIn').add(new XmlElement('connection').attr('refLocalId', input)));
+    }
+    this.elements.push(element);
+    return element;
+  }
+}
+
+/**
+ * SFC van de stappenketen: stappen in documentvolgorde, takken via sprongen.
+ */
+function sfcBody(compiled: CompiledProgram): XmlElement {
+  const { sequence } = compiled;
+  const steps = [...(sequence.rust ? [sequence.rust.step] : []), ...sequence.steps.map(s => s.step)];
+  const outgoing = new Map<number, SequenceTransition[]>();
+  sequence.transitions.forEach(t => outgoing.set(t.from, [...(outgoing.get(t.from) || []), t]));
+
+  const sfc = new SfcBuilder();
+  let y = 0;
+  let chainIn: number | undefined;
+
+  steps.forEach((step, idx) => {
+    const next = steps[idx + 1];
+    const transitions = outgoing.get(step.number) || [];
+    const chained = next ? transitions.find(t => t.to === next.number) || { from: step.number, to: next.number, condition: or() } : undefined;
+    const branches = [...(chained ? [chained] : []), ...transitions.filter(t => t !== chained)];
+
+    const stepId = sfc.id();
+    sfc.add(new XmlElement('step').attr('localId', stepId).attr('name', sfcStepName(step)).attr('initialStep', idx === 0 ? 'true' : undefined), 0, y, idx === 0 ? undefined : chainIn)
+      .add(new XmlElement('connectionPointOut'))
+      .add(new XmlElement('connectionPointOutAction'));
+
+    const actionBlock = sfc.add(new XmlElement('actionBlock').attr('localId', sfc.id()), COLUMN / 2, y, stepId);
+    actionBlock.add(new XmlElement('action').attr('localId', sfc.id()).attr('qualifier', 'N')
+      .add(new XmlElement('reference').attr('name', LOGIC_ACTION)));
+    y += ROW;
+
+    let branchFrom = stepId;
+    if (branches.length > 1) {
+      branchFrom = sfc.id();
+      const divergence = sfc.add(new XmlElement('selectionDivergence').attr('localId', branchFrom), 0, y, stepId);
+      branches.forEach(() => divergence.add(new XmlElement('connectionPointOut')));
+      y += ROW / 2;
+    }
+
+    branches.forEach((transition, branchIdx) => {
+      const transitionId = sfc.id();
+      sfc.add(new XmlElement('transition').attr('localId', transitionId), branchIdx * COLUMN, y, branchFrom)
+        .add(new XmlElement('connectionPointOut'))
+        .add(new XmlElement('condition').add(new XmlElement('inline').attr('name', '')
+          .add(stBody(stExpression(transition.condition, IEC_ST_DIALECT)))));
+
+      if (transition === chained) {
+        chainIn = transitionId;
+        return;
+      }
+      const target = steps.find(s => s.number === transition.to);
+      sfc.add(new XmlElement('jumpStep').attr('localId', sfc.id()).attr('targetName', target ? sfcStepName(target) : 'RUST'),
+        branchIdx * COLUMN, y + ROW / 2, transitionId);
+    });
+    y += ROW;
+  });
+
+  return sfc.elements.reduce((body, element) => body.add(element), new XmlElement('SFC'));
+}
+
+function pou(
+  parseResult: ParseResult,
+  programRegistry: ProgramRegistry | undefined,
+  requested: PLCopenBody,
+  rules?: ValidationRules,
+): XmlElement {
+  const compiled = compileProgram(parseResult, programRegistry, rules);
+  const body = parseResult.steps.some(step => step.branch) ? 'ST' : requested;
+  const element = new XmlElement('pou').attr('name', pouName(parseResult)).attr('pouType', 'functionBlock')
+    .add(pouInterface(parseResult, compiled));
+
+  if (body === 'SFC') {
+    element
+      .add(new XmlElement('actions').add(new XmlElement('action').attr('name', LOGIC_ACTION)
+        .add(new XmlElement('body').add(stBody(logicSource(parseResult, compiled, body))))))
+      .add(new XmlElement('body').add(sfcBody(compiled)));
+  } else {
+    element.add(new XmlElement('body').add(stBody(logicSource(parseResult, compiled, body))));
+  }
+
+  if (parseResult.programName) {
+    element.add(new XmlElement('documentation').add(xhtml(parseResult.programName)));
+  }
+  return element;
+}
+
+/**
+ * Eén PLCopen-project met een POU per programma. Programma's met een
+ * instantienaam krijgen een globale instantie, zodat verwijzingen als
+ * Menger_DB.Stap[3] tussen programma's blijven werken.
+ */
+export function generatePLCopenProject(
+  programs: PLCopenProgram[],
+  programRegistry?: ProgramRegistry,
+  options: PLCopenOptions = {},
+): string {
+  const body = options.body || 'SFC';
+  const withSteps = programs.filter(p => p.parseResult && p.parseResult.steps && p.parseResult.steps.length > 0);
+  const scaling = (name: string) => new XmlElement(name).add(new XmlElement('scaling').attr('x', 1).attr('y', 1));
+
+  const instances = withSteps.filter(p => p.instanceName);
+  const globalVars = instances.reduce(
+    (vars, p) => vars.add(variable(p.instanceName!, new XmlElement('derived').attr('name', pouName(p.parseResult)))),
+    new XmlElement('globalVars'),
+  );
+  const configurations = new XmlElement('configurations');
+  if (instances.length > 0) {
+    configurations.add(new XmlElement('configuration').attr('name', 'Config')
+      .add(new XmlElement('resource').attr('name', 'Resource').add(globalVars)));
+  }
+
+  const project = new XmlElement('project')
+    .attr('xmlns', 'http://www.plcopen.org/xml/tc6_0201')
+    .attr('xmlns:xhtml', 'http://www.w3.org/1999/xhtml')
+    .add(new XmlElement('fileHeader')
+      .attr('companyName', 'Standaardwerk')
+      .attr('productName', 'standaardwerk-webapp')
+      .attr('productVersion', '1.0')
+      .attr('creationDateTime', new Date().toISOString().slice(0, 19)))
+    .add(new XmlElement('contentHeader').attr('name', options.projectName || 'Standaardwerk')
+      .add(new XmlElement('coordinateInfo').add(scaling('fbd')).add(scaling('ld')).add(scaling('sfc'))))
+    .add(new XmlElement('types')
+      .add(new XmlElement('dataTypes'))
+      .add(withSteps.reduce((pous, p) => pous.add(pou(p.parseResult, programRegistry, body, options.validationRules)), new XmlElement('pous'))))
+    .add(new XmlElement('instances').add(configurations));
+
+  return '<?xml version="1.0" encoding="utf-8"?>\n' + project.toString(true, 0);
+}
+
+/**
+ * PLCopen-project met alleen het POU van dit programma.
+ */
+export function generatePLCopenXML(parseResult: ParseResult, programRegistry?: ProgramRegistry, options: PLCopenOptions = {}): string {
+  if (!parseResult || !parseResult.steps || parseResult.steps.length === 0) {
+    return '<!-- Geen stappen gevonden om te compileren. -->';
+  }
+  return generatePLCopenProject([{ parseResult }], programRegistry, { projectName: parseResult.programName, ...options });
+}
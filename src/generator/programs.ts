@@ -0,0 +1,121 @@
+// -------------------
+// filename: src/generator/programs.ts
+// -------------------
+// Verwijzingen naar andere stappenprogramma's ("Vulsysteem klaar
+// (Vulsysteem SCHRITT 3+4+5)") lezen de stappen van dat programma via zijn
+// instance-DB: "<IDB>".Stap[3] OF "<IDB>".Stap[4] OF "<IDB>".Stap[5].
+// De IDB-naam komt uit de programRegistry van de Word-import. Een
+// verwijzing naar een onbekend programma meldt de import als parsefout
+// (unknownProgramReferences); de generator zelf stopt er met een fout op.
+// -------------------
+import { LINE_PATTERNS } from '../language';
+import { Condition, ConditionTerm, ParseResult } from './interfaces';
+import { OperandRef, conditionGroups, isConditionBlock, stepRef } from './logic';
+
+export interface ProgramInfo {
+  name?: string;
+  idbName?: string | null;
+  type?: string;
+  fbNumber?: number | string;
+}
+
+export type ProgramRegistry = Map<string, ProgramInfo>;
+
+export interface CrossReference {
+  description?: string;
+  program: string;
+  steps: number[];
+}
+
+// "1.2 Vulsysteem" en "vulsysteem" zijn hetzelfde programma
+const programKey = (name: string) => name.replace(/^[\d.]+\s*/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Verwijzing uit de parservelden (EnhancedLogicParser, EnhancedParser) of anders uit de tekst.
+ */
+export function crossReference(condition: Condition): CrossReference | null {
+  if (condition.crossReference) return condition.crossReference;
+  const match = condition.text.match(LINE_PATTERNS.crossReference);
+  if (!match) return null;
+  return {
+    description: (match[1] || '').trim(),
+    program: match[2].trim(),
+    steps: match[5].split('+').map(s => parseInt(s.trim(), 10)),
+  };
+}
+
+// Alle voorwaarden van een programma, ook die in "[ ... ]" blokken
+function conditionsOf(parseResult: ParseResult): Condition[] {
+  const leaves = (terms: (ConditionTerm | string)[]): Condition[] => terms.flatMap(term => {
+    if (typeof term === 'string') return [{ text: term }];
+    return isConditionBlock(term) ? term.groups.flatMap(group => leaves(group.conditions)) : [term];
+  });
+  const definitions = [...(parseResult.variables || []), ...(parseResult.markers || []), ...(parseResult.storingen || [])];
+  return [
+    ...(parseResult.steps || []).flatMap(step => [
+      ...conditionGroups(step).flatMap(group => leaves(group.conditions)),
+      ...(step.transitions || []).flatMap(transition => leaves(transition.conditions)),
+    ]),
+    ...definitions.flatMap(definition => leaves([
+      ...(definition.conditions || []),
+      ...(definition.setReset ? [...definition.setReset.set, ...definition.setReset.reset] : []),
+    ])),
+  ];
+}
+
+/**
+ * Verwijzingen naar programma's die niet in `registry` staan, als parsefout
+ * (PROGRAM_NOT_FOUND) met het regelnummer; leeg als alle programma's bekend zijn.
+ */
+export function unknownProgramReferences(parseResult: ParseResult, registry: ProgramRegistry = new Map()) {
+  const lookup = new ProgramLookup(registry, parseResult.programName);
+  return conditionsOf(parseResult).flatMap(condition => {
+    const reference = crossReference(condition);
+    if (!reference || lookup.knows(reference.program)) return [];
+    return [{
+      type: 'PROGRAM_NOT_FOUND',
+      message: `Onbekend programma "${reference.program}" in verwijzing naar SCHRITT ${reference.steps.join('+')} (regel ${condition.lineNumber ?? '?'})`,
+      lineNumber: condition.lineNumber,
+    }];
+  });
+}
+
+export class ProgramLookup {
+  constructor(private registry: ProgramRegistry = new Map(), private ownProgram?: string) {}
+
+  /**
+   * Het eigen programma of een programma uit de registry.
+   */
+  knows(name: string): boolean {
+    return (!!this.ownProgram && programKey(this.ownProgram) === programKey(name)) || !!this.find(name);
+  }
+
+  private find(name: string): ProgramInfo | undefined {
+    const key = programKey(name);
+    return this.registry.get(name) ?? [...this.registry.entries()].find(([other]) => programKey(other) === key)?.[1];
+  }
+
+  /**
+   * Stap[n] van het verwezen programma; in het eigen programma de lokale stap.
+   * Een onbekend programma of een programma zonder IDB is een fout.
+   */
+  stepRefs(reference: CrossReference, lineNumber?: number): OperandRef[] {
+    const key = programKey(reference.program);
+    if (this.ownProgram && programKey(this.ownProgram) === key) {
+      return reference.steps.map(number => stepRef(number));
+    }
+
+    const program = this.find(reference.program);
+    const where = `regel ${lineNumber ?? '?'}`;
+    if (!program) {
+      throw new Error(`Onbekend programma "${reference.program}" in verwijzing naar SCHRITT ${reference.steps.join('+')} (${where}).`);
+    }
+    if (!program.idbName) {
+      throw new Error(`Programma "${reference.program}" heeft geen instance-DB (${where}).`);
+    }
+    return reference.steps.map(number => ({
+      scope: 'GlobalVariable',
+      components: [{ name: program.idbName! }, { name: 'Stap', index: number }],
+    }));
+  }
+}
@@ -0,0 +1,279 @@
+// -------------------
+// filename: src/generator/project.ts
+// -------------------
+// Projectexport van een Word-import: per programma het FB en zijn IDB,
+// één globale DB "Status" met een Staptekst_<programma> (Int) per
+// programma, en een OB of FC die alle instanties in hoofdstukvolgorde
+// aanroept met Uit_Stap_Tekst := "Status".Staptekst_<programma>, één
+// netwerk per hoofdstuk (map) met een aanroep per programma.
+// Bloknummers en -namen worden over het hele project op dubbelingen
+// gecontroleerd; DB's (IDB's en "Status") delen één nummerreeks.
+// -------------------
+import { DEFAULT_VALIDATION_RULES } from '../config/validationRules.js';
+import { CallingBlockType } from './components/calling-block';
+import { Document } from './components/document';
+import { NetworkLanguage } from './components/network';
+import { buildFunctionBlock } from './index';
+import { ParseResult } from './interfaces';
+import { ProgramInfo, ProgramRegistry } from './programs';
+import { stepTextName } from './textlist';
+import { DEFAULT_TIA_VERSION, TiaVersion } from './tia-version';
+import { ValidationRules } from './variables';
+
+export interface ProjectProgram {
+  name: string;
+  type?: string;                 // 'FB' (standaard) of 'FC'
+  fbNumber: number | string;
+  idbName?: string | null;       // standaard <naam>_DB; de IDB krijgt het nummer van het FB
+  hoofdstukNummer?: string;
+  path?: string[];
+  parseResult: ParseResult;
+}
+
+export interface ProjectOptions {
+  statusDb?: { name: string; number: number };
+  caller?: { type: CallingBlockType; name: string; number: number };
+  language?: NetworkLanguage;    // taal van de FB-netwerken; het aanroepende blok is altijd FBD
+  tiaVersion?: TiaVersion;       // voor alle blokken van het project
+  validationRules?: ValidationRules;   // groepen en arraygrenzen van alle FB's
+}
+
+export type ProjectBlockType = 'FB' | 'FC' | 'OB' | 'InstanceDB' | 'GlobalDB';
+
+export interface ProjectBlock {
+  type: ProjectBlockType;
+  name: string;
+  number: number;
+  program?: ProjectProgram;
+  xml: string;
+}
+
+export const DEFAULT_PROJECT_OPTIONS: Required<ProjectOptions> = {
+  statusDb: { name: 'Status', number: 1 },
+  caller: { type: 'FC', name: 'Standaardwerk', number: 1 },
+  language: 'FBD',
+  tiaVersion: DEFAULT_TIA_VERSION,
+  validationRules: DEFAULT_VALIDATION_RULES,
+};
+
+// Blokken die hetzelfde nummer niet mogen delen
+const NUMBER_SPACE: Record<ProjectBlockType, string> = {
+  FB: 'FB', FC: 'FC', OB: 'OB', InstanceDB: 'DB', GlobalDB: 'DB',
+};
+
+const blockType = (program: ProjectProgram): 'FB' | 'FC' => (program.type || 'FB').toUpperCase() === 'FC' ? 'FC' : 'FB';
+const blockNumber = (program: ProjectProgram) => parseInt(String(program.fbNumber), 10);
+const blockName = (program: ProjectProgram) => program.parseResult.functionBlock || `${blockType(program)}${blockNumber(program)}`;
+const hasSteps = (program: ProjectProgram) => (program.parseResult?.steps?.length ?? 0) > 0;
+
+/**
+ * Naam van de IDB van een FB: de Symbolik IDB uit het document, anders
+ * <naam>_DB. De ExportManager schrijft de IDB onder dezelfde naam als die
+ * het aanroepende blok gebruikt.
+ */
+export function instanceName(program: Pick<ProjectProgram, 'name' | 'idbName'>): string {
+  return program.idbName || `${program.name}_DB`;
+}
+
+// "1.2" of het eerste nummer uit het pad ("1 Installatie" / "1.2 Menger")
+function chapter(program: ProjectProgram): number[] {
+  const text = program.hoofdstukNummer
+    || [...(program.path || [])].reverse().map(p => p.match(/^[\d.]+/)?.[0]).find(Boolean)
+    || '';
+  return text.split('.').filter(Boolean).map(n => parseInt(n, 10));
+}
+
+function compareChapters(a: number[], b: number[]): number {
+  if (a.length === 0 || b.length === 0) return (a.length === 0 ? 1 : 0) - (b.length === 0 ? 1 : 0);
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] ?? -1) - (b[i] ?? -1);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Programma's in hoofdstukvolgorde; zonder hoofdstuk in documentvolgorde achteraan.
+ */
+export function chapterOrder(programs: ProjectProgram[]): ProjectProgram[] {
+  return programs
+    .map((program, idx) => ({ program, idx, chapter: chapter(program) }))
+    .sort((a, b) => compareChapters(a.chapter, b.chapter) || a.idx - b.idx)
+    .map(entry => entry.program);
+}
+
+/**
+ * Gooit een fout met alle dubbele bloknummers (per nummerreeks) en bloknamen.
+ */
+export function checkBlockNumbers(blocks: { type: ProjectBlockType; name: string; number: number }[]): void {
+  const errors: string[] = [];
+  const collisions = (key: (b: typeof blocks[number]) => string, message: (key: string, names: string[]) => string) => {
+    const byKey = new Map<string, string[]>();
+    blocks.forEach(block => byKey.set(key(block), [...(byKey.get(key(block)) || []), `"${block.name}" (${block.type})`]));
+    byKey.forEach((names, k) => {
+      if (names.length > 1) errors.push(message(k, names));
+    });
+  };
+
+  collisions(b => `${NUMBER_SPACE[b.type]}${b.number}`, (k, names) => `Bloknummer ${k} is dubbel toegekend: ${names.join(', ')}.`);
+  collisions(b => b.name.toLowerCase(), (_, names) => `Bloknaam is dubbel toegekend: ${names.join(', ')}.`);
+
+  if (errors.length > 0) {
+    throw new Error(`Validatiefout in het project:\n${errors.join('\n')}`);
+  }
+}
+
+// Verwijzingen tussen programma's lopen via de IDB's van dit project
+function projectRegistry(programs: ProjectProgram[], registry?: ProgramRegistry): ProgramRegistry {
+  const merged: ProgramRegistry = new Map(registry || []);
+  programs.forEach(program => {
+    const info: ProgramInfo = {
+      name: program.name,
+      type: blockType(program),
+      fbNumber: program.fbNumber,
+      idbName: blockType(program) === 'FB' ? instanceName(program) : null,
+    };
+    merged.set(program.name, { ...merged.get(program.name), ...info });
+  });
+  return merged;
+}
+
+/**
+ * Alle blokken van het project, ieder als eigen Openness document (één
+ * bestand per blok), in de volgorde: per hoofdstuk FB en IDB, dan "Status"
+ * en het aanroepende blok. Programma's zonder stappen worden overgeslagen.
+ */
+export function generateProjectBlocks(
+  programs: ProjectProgram[],
+  options: ProjectOptions = {},
+  programRegistry?: ProgramRegistry,
+): ProjectBlock[] {
+  return buildProject(programs, options, programRegistry, () => new Document(options.tiaVersion))
+    .map(({ doc, ...block }) => ({ ...block, xml: doc.toXml(true) }));
+}
+
+/**
+ * Het hele project als één Openness document met alle blokken.
+ */
+export function generateProjectXML(
+  programs: ProjectProgram[],
+  options: ProjectOptions = {},
+  programRegistry?: ProgramRegistry,
+): string {
+  const doc = new Document(options.tiaVersion);
+  buildProject(programs, options, programRegistry, () => doc);
+  return doc.toXml(true);
+}
+
+// Programma's per map (hoofdstuk), in hoofdstukvolgorde
+function chapterGroups(programs: ProjectProgram[]): { title: string; programs: ProjectProgram[] }[] {
+  const groups = new Map<string, ProjectProgram[]>();
+  programs.forEach(program => {
+    const title = (program.path || []).filter(Boolean).join(' / ') || 'Onbekend';
+    groups.set(title, [...(groups.get(title) || []), program]);
+  });
+  return [...groups.entries()].map(([title, list]) => ({ title, programs: list }));
+}
+
+// "Status" met één Staptekst_<programma> per programma
+function addStatusDb(doc: Document, programs: ProjectProgram[], statusDb: { name: string; number: number }) {
+  const status = doc.addGlobalDb(statusDb.name, statusDb.number);
+  programs.forEach(program => status.interface.sections.Static.addMember(stepTextName(program.name), 'Int'));
+  return status;
+}
+
+// Eén netwerk per hoofdstuk met één aanroep per programma:
+// Uit_Stap_Tekst := "Status".Staptekst_<programma>
+function addCaller(
+  doc: Document,
+  programs: ProjectProgram[],
+  caller: { type: CallingBlockType; name: string; number: number },
+  statusDb: { name: string; number: number },
+) {
+  const callingBlock = doc.addCallingBlock(caller.type, caller.name, caller.number);
+  chapterGroups(programs).forEach(group => {
+    const network = callingBlock.addNetwork(group.title);
+    group.programs.forEach(program => {
+      const type = blockType(program);
+      const call = network.addCall(blockName(program), type, type === 'FB' ? instanceName(program) : null, [
+        { name: 'Uit_Stap_Tekst', section: 'Output', type: 'Int' },
+      ]);
+      const target = network.addTarget({
+        kind: 'symbol',
+        scope: 'GlobalVariable',
+        components: [{ name: statusDb.name }, { name: stepTextName(program.name) }],
+      });
+      network.connect(call, 'Uit_Stap_Tekst', target);
+    });
+  });
+  return callingBlock;
+}
+
+// Nummers en namen van de FB's en IDB's, zonder ze te genereren
+function programBlocks(program: ProjectProgram): { type: ProjectBlockType; name: string; number: number }[] {
+  const fb = { type: blockType(program), name: blockName(program), number: blockNumber(program) };
+  return fb.type === 'FB'
+    ? [fb, { type: 'InstanceDB', name: instanceName(program), number: blockNumber(program) }]
+    : [fb];
+}
+
+/**
+ * Alleen de "Status" DB en het aanroepende blok, voor een export die de
+ * FB's en IDB's zelf schrijft (ExportManager). Bloknummers worden samen
+ * met die van de programma's gecontroleerd.
+ */
+export function generateCallingBlocks(programs: ProjectProgram[], options: ProjectOptions = {}): ProjectBlock[] {
+  const { statusDb, caller, tiaVersion } = { ...DEFAULT_PROJECT_OPTIONS, ...options };
+  const ordered = chapterOrder(programs.filter(hasSteps));
+
+  const statusDoc = new Document(tiaVersion);
+  addStatusDb(statusDoc, ordered, statusDb);
+  const callerDoc = new Document(tiaVersion);
+  addCaller(callerDoc, ordered, caller, statusDb);
+
+  const blocks: ProjectBlock[] = [
+    { type: 'GlobalDB', name: statusDb.name, number: statusDb.number, xml: statusDoc.toXml(true) },
+    { type: caller.type, name: caller.name, number: caller.number, xml: callerDoc.toXml(true) },
+  ];
+  checkBlockNumbers([...ordered.flatMap(programBlocks), ...blocks]);
+  return blocks;
+}
+
+function buildProject(
+  programs: ProjectProgram[],
+  options: ProjectOptions,
+  programRegistry: ProgramRegistry | undefined,
+  documentFor: () => Document,
+): (Omit<ProjectBlock, 'xml'> & { doc: Document })[] {
+  const { statusDb, caller, language, tiaVersion, validationRules } = { ...DEFAULT_PROJECT_OPTIONS, ...options };
+  const ordered = chapterOrder(programs.filter(hasSteps));
+  const registry = projectRegistry(ordered, programRegistry);
+
+  const blocks: (Omit<ProjectBlock, 'xml'> & { doc: Document })[] = [];
+  ordered.forEach(program => {
+    const type = blockType(program);
+    const fbDoc = documentFor();
+    const fb = buildFunctionBlock(fbDoc, program.parseResult, registry, {
+      language, tiaVersion, validationRules, block: { name: blockName(program), number: blockNumber(program) },
+    });
+    // Naam en nummer zoals ze in de XML staan, zodat checkBlockNumbers dezelfde blokken controleert.
+    blocks.push({ type, name: fb.name, number: fb.number, program, doc: fbDoc });
+
+    if (type === 'FB') {
+      const idbDoc = documentFor();
+      const idb = idbDoc.addIdb(instanceName(program), blockNumber(program), fb);
+      blocks.push({ type: 'InstanceDB', name: idb.name, number: idb.number, program, doc: idbDoc });
+    }
+  });
+
+  const statusDoc = documentFor();
+  addStatusDb(statusDoc, ordered, statusDb);
+  blocks.push({ type: 'GlobalDB', name: statusDb.name, number: statusDb.number, doc: statusDoc });
+
+  const callerDoc = documentFor();
+  addCaller(callerDoc, ordered, caller, statusDb);
+  blocks.push({ type: caller.type, name: caller.name, number: caller.number, doc: callerDoc });
+
+  checkBlockNumbers(blocks);
+  return blocks;
+}
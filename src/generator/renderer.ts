@@ -0,0 +1,23 @@
+// -------------------
+// filename: src/generator/renderer.ts
+// -------------------
+// Een netwerk-renderer schrijft de gecompileerde logica uit in één
+// grafische taal (FBD in fbd.ts, LAD in lad.ts). index.ts bepaalt welke
+// netwerken er zijn en hun titels; de renderer alleen hun inhoud.
+// -------------------
+import { Network } from './components/network';
+import { CounterAllocator, CounterSlot } from './counters';
+import { CounterOperation, Step } from './interfaces';
+import { LogicExpr } from './logic';
+import { DoneLogic, StepLogic } from './sequence';
+import { TimerSlot } from './timers';
+import { VariableLogic } from './variables';
+
+export interface NetworkRenderer {
+  step(network: Network, logic: StepLogic): void;
+  variable(network: Network, logic: VariableLogic): void;
+  timer(network: Network, slot: TimerSlot): void;
+  counter(network: Network, counters: CounterAllocator, slot: CounterSlot, op: CounterOperation, entry: LogicExpr): void;
+  stepText(network: Network, steps: Step[]): void;
+  done(network: Network, logic: DoneLogic): void;
+}
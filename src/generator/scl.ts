@@ -0,0 +1,263 @@
+// -------------------
+// filename: src/generator/scl.ts
+// -------------------
+// Structured Text back-end: hetzelfde gecompileerde programma als de
+// FBD-export (zie compile.ts), uitgeschreven als SCL-bron (.scl) met één
+// FUNCTION_BLOCK. Iedere FBD-box wordt één REGION:
+// - Sr op Stap[n] / Hulp[n]: IF set THEN := TRUE; IF reset THEN := FALSE
+//   (reset dominant, zoals de Sr-box)
+// - Coil: directe toekenning
+// - TON op Tijd[n]: #Tijd[n](IN := ..., PT := T#..)
+// - ADD/MOVE op Teller[n] bij het binnengaan van de stap
+// Met het IEC_ST dialect (geen #, commentaar i.p.v. REGION) gebruikt de
+// PLCopen-export (plcopen.ts) dezelfde statements.
+// -------------------
+import { arrayDatatype } from './arrays';
+import { CompiledProgram, compileProgram } from './compile';
+import { CounterOperation, ParseResult } from './interfaces';
+import { CompareOperand, CompareOperator, LogicExpr, OperandRef, and, operand, stepArrayName, stepRef } from './logic';
+import { ProgramRegistry } from './programs';
+import { DONE_FLAG, DONE_OUTPUT, StepLogic, stepLabel } from './sequence';
+import { ValidationRules, targetLabel } from './variables';
+
+export interface StDialect {
+  localPrefix: string;   // '#' voor lokale variabelen in SCL
+  quoteNames: boolean;   // "Menger_DB" en "naam met spaties" tussen aanhalingstekens
+  regions: boolean;      // REGION ... END_REGION, anders (* titel *)
+}
+
+export const SCL_DIALECT: StDialect = { localPrefix: '#', quoteNames: true, regions: true };
+export const IEC_ST_DIALECT: StDialect = { localPrefix: '', quoteNames: false, regions: false };
+
+const OPERATORS: Record<CompareOperator, string> = {
+  Eq: '=', Ne: '<>', Lt: '<', Le: '<=', Gt: '>', Ge: '>=',
+};
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const INDENT = '    ';
+
+const quoteName = (name: string) => (IDENTIFIER.test(name) ? name : `"${name.replace(/"/g, '')}"`);
+export const stString = (text: string) => `'${text.replace(/\$/g, '$$$$').replace(/'/g, "$$'")}'`;
+export const stComment = (text: string) => text.replace(/\r?\n/g, ' ').replace(/\*\)/g, '* )');
+
+/**
+ * #Stap[3], #Tijd[1].Q of "Menger_DB".Stap[3]: globale blokken altijd tussen
+ * aanhalingstekens. In IEC ST zonder # en aanhalingstekens.
+ */
+export function stOperand(ref: OperandRef, dialect: StDialect = SCL_DIALECT): string {
+  const path = ref.components
+    .map((c, idx) => {
+      const name = !dialect.quoteNames ? c.name : ref.scope === 'GlobalVariable' && idx === 0 ? `"${c.name}"` : quoteName(c.name);
+      return c.index !== undefined ? `${name}[${c.index}]` : name;
+    })
+    .join('.');
+  return ref.scope === 'LocalVariable' ? `${dialect.localPrefix}${path}` : path;
+}
+
+function stLiteral(value: string, type: string): string {
+  if (type === 'Bool') return value.toUpperCase();
+  if (type === 'Real') return value.replace(',', '.');
+  return value;
+}
+
+function stCompareOperand(value: CompareOperand, type: string, dialect: StDialect): string {
+  return value.kind === 'ref' ? stOperand(value.ref, dialect) : stLiteral(value.value, type);
+}
+
+/**
+ * Booleaanse expressie; een OR binnen een AND krijgt haakjes. Een OR op het
+ * hoogste niveau komt met één tak per regel.
+ */
+export function stExpression(expr: LogicExpr, dialect: StDialect = SCL_DIALECT, indent: string = '', nested: boolean = false): string {
+  switch (expr.kind) {
+    case 'constant':
+      return expr.value ? 'TRUE' : 'FALSE';
+    case 'operand':
+      return `${expr.negated ? 'NOT ' : ''}${stOperand(expr.ref, dialect)}`;
+    case 'compare':
+      return `(${stCompareOperand(expr.left, expr.type, dialect)} ${OPERATORS[expr.operator]} ${stCompareOperand(expr.right, expr.type, dialect)})`;
+    case 'and':
+      return expr.operands.map(op => stExpression(op, dialect, indent, true)).join(' AND ');
+    case 'or': {
+      const branches = expr.operands.map(op => stExpression(op, dialect, indent, true));
+      return nested ? `(${branches.join(' OR ')})` : branches.join(`\n${indent}${INDENT}OR `);
+    }
+  }
+}
+
+export class StWriter {
+  private lines: string[] = [];
+
+  // `depth` is de inspringing van de statements buiten een REGION
+  constructor(readonly dialect: StDialect = SCL_DIALECT, private depth: number = 1) {}
+
+  line(text: string = '', depth: number = 0) {
+    this.lines.push(text ? INDENT.repeat(depth) + text : '');
+  }
+
+  region(title: string, body: () => void) {
+    if (this.dialect.regions) {
+      this.line(`REGION ${stComment(title)}`, this.depth);
+      this.depth++;
+      body();
+      this.depth--;
+      this.line('END_REGION', this.depth);
+    } else {
+      this.line(`(* ${stComment(title)} *)`, this.depth);
+      body();
+    }
+    this.line();
+  }
+
+  statement(text: string) {
+    this.line(text, this.depth);
+  }
+
+  expression(expr: LogicExpr, nested: boolean = false): string {
+    return stExpression(expr, this.dialect, INDENT.repeat(this.depth), nested);
+  }
+
+  // IF ... THEN <statement> END_IF; een OR-voorwaarde komt met één tak per regel.
+  // Een altijd ware voorwaarde geeft alleen het statement, een altijd onware
+  // (lege SET- of RESET-kolom) niets.
+  conditional(condition: LogicExpr, statement: string) {
+    if (condition.kind === 'constant') {
+      if (condition.value) this.statement(statement);
+      return;
+    }
+    this.statement(`IF ${this.expression(condition)} THEN`);
+    this.line(statement, this.depth + 1);
+    this.statement('END_IF;');
+  }
+
+  // Sr: set en daarna reset, zodat reset dominant is
+  setReset(target: string, set: LogicExpr, reset: LogicExpr) {
+    this.conditional(set, `${target} := TRUE;`);
+    this.conditional(reset, `${target} := FALSE;`);
+  }
+
+  toString(): string {
+    return this.lines.join('\n') + '\n';
+  }
+}
+
+function counterStatement(target: string, op: CounterOperation, preset: number | null): string {
+  switch (op.type) {
+    case 'increment': return `${target} := ${target} + ${op.value ?? 1};`;
+    case 'reset': return `${target} := 0;`;
+    case 'load': return `${target} := ${op.value ?? preset ?? 0};`;
+  }
+}
+
+/**
+ * Alle statements van het programma: tellers, stappen (tenzij een SFC de
+ * stappen zelf bijhoudt), variabelen, timers, Klaar en Uit_Stap_Tekst.
+ */
+export function writeProgramLogic(
+  out: StWriter,
+  parseResult: ParseResult,
+  { operands, sequence, variables }: CompiledProgram,
+  options: { steps: boolean } = { steps: true },
+) {
+  const local = (name: string, index?: number) => stOperand({ scope: 'LocalVariable', components: [{ name, index }] }, out.dialect);
+
+  // Telleracties in de cyclus waarin hun stap gezet wordt (zie index.ts)
+  const emitCounters = (logic: StepLogic) => {
+    const entry = logic.step.type === 'RUST' ? and(logic.set, operand(stepRef(0), true)) : logic.set;
+    operands.counters.all().forEach(slot => {
+      slot.operations.filter(op => op.step === logic.step.number && op.branch === logic.step.branch).forEach(op => {
+        const target = stOperand(operands.counters.ref(slot), out.dialect);
+        out.region(`${operands.counters.array.name}[${slot.index}]: ${slot.name} (${stepLabel(logic.step)})`, () => {
+          out.conditional(entry, counterStatement(target, op, slot.preset));
+        });
+      });
+    });
+  };
+
+  const emitStep = (logic: StepLogic) => {
+    emitCounters(logic);
+    if (!options.steps) return;
+    out.region(`${stepLabel(logic.step)}: ${logic.step.description || ''}`.trim(), () => {
+      out.setReset(local(stepArrayName(logic.step.branch), logic.step.number), logic.set, logic.reset);
+    });
+  };
+
+  if (sequence.rust) emitStep(sequence.rust);
+  sequence.steps.forEach(emitStep);
+
+  variables.forEach(logic => {
+    const target = local(logic.target.arrayName, logic.target.index);
+    out.region(`${targetLabel(logic.target)}: ${logic.target.definition.name}`, () => {
+      if (logic.reset) {
+        out.setReset(target, logic.set, logic.reset);
+      } else {
+        out.statement(`${target} := ${out.expression(logic.set)};`);
+      }
+    });
+  });
+
+  operands.timers.all().forEach(slot => {
+    const instance = local(slot.arrayName, slot.index);
+    out.region(`Tijd[${slot.index}]: ${slot.owner} ${slot.preset}`, () => {
+      out.statement(`${instance}(IN := ${out.expression(slot.start, true)},`);
+      out.statement(`${' '.repeat(instance.length + 1)}PT := ${slot.preset});`);
+    });
+  });
+
+  // Klaar-vlag van de eindstap, zoals het Klaar-netwerk in de FBD-export
+  const done = sequence.done;
+  if (done) {
+    out.region(`${DONE_FLAG}: ${stepLabel(done.step)} voltooid`, () => {
+      out.setReset(stOperand(done.flag, out.dialect), done.set, done.reset);
+      out.statement(`${stOperand(done.output, out.dialect)} := ${stOperand(done.flag, out.dialect)};`);
+    });
+  }
+
+  // Nummer van de actieve stap (0 = RUST), zoals de MOVE-boxen in de FBD-export
+  out.region('Uit_Stap_Tekst: actieve stap', () => {
+    parseResult.steps.filter(step => !step.branch).forEach(step => out.conditional(operand(stepRef(step.number)), `${local('Uit_Stap_Tekst')} := ${step.number};`));
+  });
+}
+
+/**
+ * SCL-bron (.scl) met het FUNCTION_BLOCK van dit programma.
+ */
+export function generateSCL(
+  parseResult: ParseResult,
+  programRegistry?: ProgramRegistry,
+  options: { validationRules?: ValidationRules } = {},
+): string {
+  if (!parseResult || !parseResult.steps || parseResult.steps.length === 0) {
+    return '// Geen stappen gevonden om te compileren.\n';
+  }
+
+  const compiled = compileProgram(parseResult, programRegistry, options.validationRules);
+  const out = new StWriter(SCL_DIALECT, 1);
+
+  out.line(`FUNCTION_BLOCK "${parseResult.functionBlock || 'FB1'}"`);
+  out.line(`TITLE = ${stString(parseResult.programName || parseResult.functionBlock || 'FB1')}`);
+  out.line(`{ S7_Optimized_Access := 'TRUE' }`);
+  out.line('VERSION : 0.1');
+  out.line('VAR_OUTPUT', 1);
+  out.line('Uit_Stap_Tekst : Int;   // nummer van de actieve stap', 2);
+  if (compiled.sequence.done) out.line(`${DONE_OUTPUT} : Bool;   // eindstap doorlopen`, 2);
+  out.line('END_VAR', 1);
+  out.line();
+  out.line('VAR RETAIN', 1);
+  compiled.arrays.forEach(array => out.line(`${array.name} : ${arrayDatatype(array)};`, 2));
+  if (compiled.sequence.done) out.line(`${DONE_FLAG} : Bool;`, 2);
+  out.line('END_VAR', 1);
+  out.line();
+  out.line('BEGIN');
+
+  // Stappen als commentaar, zoals de stapcommentaren in de FB-interface
+  parseResult.steps.forEach(step => {
+    out.line(`// ${stepArrayName(step.branch)}[${step.number}] = ${stComment(`${stepLabel(step)}: ${step.description || ''}`.trim())}`, 1);
+  });
+  out.line();
+
+  writeProgramLogic(out, parseResult, compiled);
+
+  out.line('END_FUNCTION_BLOCK');
+  return out.toString();
+}
@@ -0,0 +1,209 @@
+// -------------------
+// filename: src/generator/sequence.ts
+// -------------------
+// Bepaalt per stap de set- en resetlogica van de stappenketen:
+// - RUST = NIET stap 1 EN NIET stap 2 EN ...
+// - Een stap wordt gezet vanuit de vorige stap met de voorwaarden die
+//   ertussen staan, en/of vanuit iedere VON SCHRITT overgang.
+// - Een stap wordt gereset zodra een van zijn opvolgers actief is; de
+//   laatste stap valt met zijn eigen voorwaarden terug naar RUST.
+// - KLAAR is altijd een laatste stap. Hij zet de vlag Klaar (uitgang
+//   Uit_Klaar), die blijft staan tot de keten opnieuw uit RUST vertrekt.
+//   Zonder voorwaarden valt KLAAR terug naar RUST zodra Klaar gezet is,
+//   dus na één cyclus (ook in SCL, waar Stap[n] direct na het zetten
+//   gelezen wordt).
+// - Parallelle takken (SCHRITT A1, B1, ...) starten samen vanuit de stap
+//   vóór het parallelle deel; de stap erna wacht op de laatste stap van
+//   iedere tak (zie de grammatica in src/language/tokenizer.ts).
+// Dezelfde overgangen van de hoofdketen staan ook los in `transitions`,
+// voor back-ends met eigen stappen en overgangen (SFC in plcopen.ts).
+// -------------------
+import { formatStepLabel } from '../config/syntaxRules.js';
+import { Step, Transition } from './interfaces';
+import { LogicExpr, OperandRef, Resolve, and, operand, or, stepRef, termExpression, transitionExpression } from './logic';
+
+export interface StepLogic {
+  step: Step;
+  set: LogicExpr;
+  reset: LogicExpr;
+}
+
+// Overgang van stap `from` naar stap `to` (0 = RUST) als `condition` waar is
+export interface SequenceTransition {
+  from: number;
+  to: number;
+  condition: LogicExpr;
+}
+
+// Klaar-vlag van de eindstap: gezet door de eindstap, gereset bij het verlaten van RUST
+export interface DoneLogic {
+  step: Step;
+  flag: OperandRef;
+  output: OperandRef;
+  set: LogicExpr;
+  reset: LogicExpr;
+}
+
+export interface SequenceLogic {
+  rust?: StepLogic;
+  steps: StepLogic[];
+  transitions: SequenceTransition[];
+  done?: DoneLogic;
+}
+
+export const DONE_FLAG = 'Klaar';
+export const DONE_OUTPUT = 'Uit_Klaar';
+
+const localRef = (name: string): OperandRef => ({ scope: 'LocalVariable', components: [{ name }] });
+
+/**
+ * Weergavenaam van een stap met het oorspronkelijke sleutelwoord ("RUST",
+ * "STAP 3", "SCHRITT A3"), dezelfde als in de Analyse (formatStepLabel).
+ */
+export function stepLabel(step: Step): string {
+  return formatStepLabel(step);
+}
+
+// Een 'VON SCHRITT n' zonder '+' vervangt de overgang vanuit de vorige
+// stap; met '+' is het een extra OR-tak naast de sequentiële overgang.
+function hasSequentialEntry(step: Step): boolean {
+  return (step.transitions || []).every(t => t.isOr);
+}
+
+// SCHRITT n EN NICHT SCHRITT n-1 (zoals opgelost door processStepLogic) plus de eigen voorwaarden.
+function transitionBranch(transition: Transition, conditions: LogicExpr[]): LogicExpr {
+  const implicit = transition.implicitConditions && transition.implicitConditions.length > 0
+    ? transition.implicitConditions
+        .filter(c => c.stepReference >= 0)
+        .map(c => operand(stepRef(c.stepReference), c.negated))
+    : [operand(stepRef(transition.fromStep))];
+  return and(...implicit, ...conditions);
+}
+
+/**
+ * Sequentiële voorgangers per stap: de vorige stap van de hoofdketen, de
+ * vorige stap in dezelfde tak, de stap vóór een parallel deel (voor de eerste
+ * stap van iedere tak) of de laatste stappen van alle takken (voor de stap
+ * na een parallel deel). `last` zijn de stappen waarmee de keten eindigt.
+ */
+function sequentialPredecessors(rest: Step, normalSteps: Step[]) {
+  const predecessors = new Map<Step, Step[]>();
+  const lastInBranch = new Map<string, Step>();
+  let previous: Step[] = [rest];
+  let fork: Step[] | null = null;
+
+  normalSteps.forEach(step => {
+    if (step.branch) {
+      if (!fork) {
+        fork = previous;
+        lastInBranch.clear();
+      }
+      const last = lastInBranch.get(step.branch);
+      predecessors.set(step, last ? [last] : fork);
+      lastInBranch.set(step.branch, step);
+      return;
+    }
+    if (fork) {
+      previous = [...lastInBranch.values()];
+      fork = null;
+    }
+    predecessors.set(step, previous);
+    // Na KLAAR volgt niets meer sequentieel (de parser waarschuwt hiervoor)
+    previous = step.type === 'KLAAR' ? [] : [step];
+  });
+
+  return { predecessors, last: fork ? [...lastInBranch.values()] : previous };
+}
+
+const stepKey = (step: Pick<Step, 'number' | 'branch'>) => `${step.branch || ''}${step.number}`;
+const stepOperand = (step: Step, negated: boolean = false) => operand(stepRef(step.number, step.branch), negated);
+
+// Stap actief en zijn eigen voorwaarden waar
+const leaving = (step: Step, exit: LogicExpr | null) => and(stepOperand(step), ...(exit ? [exit] : []));
+
+export function buildSequence(steps: Step[], resolve: Resolve): SequenceLogic {
+  const rustStep = steps.find(s => s.type === 'RUST');
+  const normalSteps = steps.filter(s => s.type !== 'RUST');
+  const rest: Step = rustStep || { number: 0, type: 'RUST' };
+  const { predecessors, last } = sequentialPredecessors(rest, normalSteps);
+
+  const sequenceTransitions: SequenceTransition[] = [];
+  const successors = new Map<string, Step[]>();
+  const addSuccessor = (from: Pick<Step, 'number' | 'branch'>, to: Step) => {
+    const list = successors.get(stepKey(from)) || [];
+    if (!list.includes(to)) list.push(to);
+    successors.set(stepKey(from), list);
+  };
+
+  const entries = normalSteps.map(step => {
+    const transitions = step.transitions || [];
+    const from = predecessors.get(step) || [];
+    const branches: LogicExpr[] = [];
+
+    if (hasSequentialEntry(step) && from.length > 0) {
+      // De parser hangt voorwaarden na een VON SCHRITT regel ook aan de vorige stap.
+      const ownedByTransitions = new Set(transitions.flatMap(t => t.conditions));
+      // Na een parallel deel: alle takken op hun laatste stap met hun voorwaarden waar
+      const conditions = from.map(prevStep => transitionExpression(prevStep, resolve, ownedByTransitions));
+      branches.push(and(...from.map((prevStep, idx) => leaving(prevStep, conditions[idx]))));
+      from.forEach(prevStep => addSuccessor(prevStep, step));
+      // SFC kent alleen de hoofdketen (zie plcopen.ts)
+      if (from.length === 1 && !from[0].branch && !step.branch) {
+        sequenceTransitions.push({ from: from[0].number, to: step.number, condition: conditions[0] || and() });
+      }
+    }
+
+    transitions.forEach(transition => {
+      const conditions = transition.conditions.map(c => termExpression(c, resolve, { number: transition.fromStep }));
+      branches.push(transitionBranch(transition, conditions));
+      addSuccessor({ number: transition.fromStep }, step);
+      if (!step.branch) {
+        sequenceTransitions.push({ from: transition.fromStep, to: step.number, condition: and(...conditions) });
+      }
+    });
+
+    return or(...branches);
+  });
+
+  const resetFor = (step: Pick<Step, 'number' | 'branch'>) => (successors.get(stepKey(step)) || []).map(s => stepOperand(s));
+
+  const stepLogic = normalSteps.map((step, idx) => {
+    const reset = resetFor(step);
+    // Eindigt de keten met een parallel deel, dan valt iedere tak los terug;
+    // RUST wordt pas weer actief als alle takken klaar zijn
+    if (last.includes(step) || step.type === 'KLAAR') {
+      const exit = transitionExpression(step, resolve);
+      if (step.type === 'KLAAR' && !exit) {
+        reset.push(operand(localRef(DONE_FLAG)));
+        sequenceTransitions.push({ from: step.number, to: 0, condition: and() });
+      } else if (exit || reset.length === 0) {
+        reset.push(leaving(step, exit));
+        if (!step.branch) sequenceTransitions.push({ from: step.number, to: 0, condition: exit || and() });
+      }
+    }
+    return {
+      step,
+      set: and(entries[idx], stepOperand(step, true)),
+      reset: or(...reset),
+    };
+  });
+
+  const endStep = normalSteps.find(s => s.type === 'KLAAR');
+
+  return {
+    rust: rustStep && {
+      step: rustStep,
+      set: and(...normalSteps.map(s => stepOperand(s, true))),
+      reset: or(...resetFor(rest)),
+    },
+    steps: stepLogic,
+    transitions: sequenceTransitions,
+    done: endStep && {
+      step: endStep,
+      flag: localRef(DONE_FLAG),
+      output: localRef(DONE_OUTPUT),
+      set: stepOperand(endStep),
+      reset: or(...resetFor(rest)),
+    },
+  };
+}
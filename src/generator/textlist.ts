@@ -0,0 +1,70 @@
+// -------------------
+// filename: src/generator/textlist.ts
+// -------------------
+// HMI tekstlijst bij Uit_Stap_Tekst: stapnummer -> "STAP 3: Mengen".
+// Het FB schrijft het nummer van de actieve stap (0 = RUST) naar
+// Uit_Stap_Tekst; de aanroep zet dat in "Status".Staptekst_<programma>
+// en deze lijst maakt er op het HMI weer tekst van. Parallelle stappen
+// (Stap_A/B/C) hebben geen eigen nummer: tijdens een parallel deel blijft
+// de stap ervoor in Uit_Stap_Tekst staan.
+// -------------------
+import { MultilingualText } from './components/multilingual-text';
+import { ParseResult } from './interfaces';
+import { symbolName } from './operands';
+import { stepLabel } from './sequence';
+import { TiaVersion, tiaProfile } from './tia-version';
+import { checkUniqueIds } from './uid-check';
+import { UidManager } from './uid-manager';
+import { XmlElement } from './xml-builder';
+
+const escapeHtml = (text: string) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Zelfde naam voor de tekstlijst en voor het lid in de "Status" DB
+export function stepTextName(programName: string): string {
+  return `Staptekst_${symbolName(programName)}`;
+}
+
+export function stepTextListName(parseResult: ParseResult): string {
+  return stepTextName(parseResult.programName || parseResult.functionBlock || 'FB1');
+}
+
+/**
+ * Openness export van een tekstlijst (Hmi.TextGraphicList.TextList) met één
+ * ingang per stap, in nl-NL en en-GB.
+ */
+export function generateStepTextList(
+  parseResult: ParseResult,
+  name: string = stepTextListName(parseResult),
+  tiaVersion?: TiaVersion,
+): string {
+  const uidManager = new UidManager(0);
+  const textList = new XmlElement('Hmi.TextGraphicList.TextList').attr('ID', uidManager.next());
+  textList.add(new XmlElement('AttributeList')
+    .add(new XmlElement('ListRange', 'Decimal'))
+    .add(new XmlElement('Name', name)));
+
+  const objectList = new XmlElement('ObjectList')
+    .addRaw(new MultilingualText(uidManager, 'Comment', parseResult.programName || '').toXml(true, 3));
+
+  (parseResult.steps || []).filter(step => !step.branch).sort((a, b) => a.number - b.number).forEach(step => {
+    const text = `${stepLabel(step)}: ${step.description || ''}`.replace(/:\s*$/, '');
+    const entry = new XmlElement('Hmi.TextGraphicList.TextListEntry')
+      .attr('ID', uidManager.next())
+      .attr('CompositionName', 'Entries')
+      .add(new XmlElement('AttributeList')
+        .add(new XmlElement('DefaultEntry', 'false'))
+        .add(new XmlElement('From', String(step.number)))
+        .add(new XmlElement('To', String(step.number))))
+      .add(new XmlElement('ObjectList')
+        .addRaw(new MultilingualText(uidManager, 'Text', `<body><p>${escapeHtml(text)}</p></body>`).toXml(true, 5)));
+    objectList.add(entry);
+  });
+  textList.add(objectList);
+
+  const doc = new XmlElement('Document')
+    .add(new XmlElement('Engineering').attr('version', tiaProfile(tiaVersion).version))
+    .add(textList);
+  const xml = '<?xml version="1.0" encoding="utf-8"?>\n' + doc.toString(true, 0);
+  checkUniqueIds(xml);
+  return xml;
+}
@@ -0,0 +1,591 @@
+// -------------------
+// filename: src/generator/tia-import.ts
+// -------------------
+// Leest een Openness export van een FB (SW.Blocks.FB met FBD-netwerken,
+// zoals index.ts die schrijft) terug naar Standaardwerk tekst:
+// - stappen en omschrijvingen uit de stapcommentaren van Stap[..] in de
+//   interface, of anders uit de titels van de stapnetwerken
+// - de S-ingang van de Sr-box op Stap[n] is (tak OF tak ...) EN NIET
+//   Stap[n]. De tak vanuit de vorige stap levert de voorwaarden onder die
+//   stap; iedere andere tak wordt een VON SCHRITT. De R-ingang van de
+//   laatste stap levert de voorwaarden terug naar RUST.
+// - Tijd[n].Q wordt "Tijd <duur>" uit de TON op Tijd[n], een stap uit een
+//   andere IDB "<programma> (<programma> SCHRITT n)".
+// Een boom die niet als AND-regels met '+' OF-groepen te schrijven is,
+// wordt uitgeschreven naar OF-groepen (disjunctieve normaalvorm).
+// Netwerken zonder tekstvorm (Hulp, Storing, Melding, tellers) komen als
+// waarschuwing terug. Met de oorspronkelijke tekst krijgen tags hun naam
+// uit het document terug ("Tank leeg" in plaats van "Tank_leeg") en
+// tijdvoorwaarden hun sleutelwoord (TIJD of Tijd); een eindstap die daar
+// zonder nummer staat ("KLAAR: Klaar") blijft zonder nummer.
+// -------------------
+import { LINE_PATTERNS, conditionParts, stepKeywords, tokenize } from '../language';
+import { CompareOperand, CompareOperator, LogicExpr, OperandRef, and, not, operand, or } from './logic';
+import { symbolName } from './operands';
+import { ProgramRegistry } from './programs';
+
+export interface TiaImportOptions {
+  programName?: string;              // naam in de kopregel; standaard uit het register, de FB-titel of het origineel
+  programRegistry?: ProgramRegistry; // voor verwijzingen naar de IDB van een ander programma
+  original?: string;                 // oorspronkelijke tekst van het programma, voor de namen van tags
+}
+
+export interface TiaImportResult {
+  programName: string;
+  functionBlock: string;
+  idbName: string | null;
+  text: string;
+  warnings: string[];
+}
+
+interface ImportedStep {
+  number: number;
+  keyword: string;
+  numbered: boolean;     // KLAAR zonder nummer in het origineel blijft zonder nummer
+  description: string;
+}
+
+// Aansluiting in een FlgNet; port '' is een IdentCon (operand)
+type Pin = { uid: string; port: string };
+
+interface FlgNetwork {
+  title: string;
+  language: string;
+  parts: Map<string, Element>;
+  sources: Map<string, Pin>;     // ingang -> de bron die erop is aangesloten
+}
+
+interface StepNetwork {
+  title: string;
+  set: LogicExpr | null;
+  reset: LogicExpr | null;
+}
+
+type AccessValue = { kind: 'ref'; ref: OperandRef } | { kind: 'literal'; type: string; value: string };
+
+const OPERATOR_TEXT: Record<CompareOperator, string> = {
+  Eq: '==', Ne: '<>', Lt: '<', Le: '<=', Gt: '>', Ge: '>=',
+};
+
+const STEP_HEADING = /^(RUST|RUHE|IDLE|STAP|SCHRITT|STEP|KLAAR|FERTIG|END)(\s+\d+)?\s*:?\s*(.*)$/i;
+const VARIABLE_TITLE = /^(\w+\[\d+\]):\s*(.+)$/;
+const COUNTER_TITLE = /^(\w+\[\d+\]):\s*(.+?)\s+(?:[+-]\d+|:=\s*\S+)\s+\(/;
+const TIME_LITERAL = /^T#(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i;
+const MAX_GROUPS = 64;
+
+const pinKey = (pin: Pin) => `${pin.uid}/${pin.port}`;
+
+function children(parent: Element | undefined, name?: string): Element[] {
+  if (!parent) return [];
+  return Array.from(parent.childNodes)
+    .filter((node): node is Element => node.nodeType === 1 && (!name || (node as Element).tagName === name));
+}
+
+const first = (parent: Element | undefined, ...path: string[]) =>
+  path.reduce<Element | undefined>((element, name) => children(element, name)[0], parent);
+
+const textAt = (parent: Element | undefined, ...path: string[]) => first(parent, ...path)?.textContent?.trim() ?? '';
+
+function parseXml(xml: string): XMLDocument {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('Geen XML-parser (DOMParser) beschikbaar.');
+  }
+  const dom = new DOMParser().parseFromString(xml, 'application/xml');
+  const error = dom.getElementsByTagName('parsererror')[0];
+  if (error) {
+    throw new Error(`Ongeldige XML: ${error.textContent?.trim()}`);
+  }
+  return dom;
+}
+
+// Titel of commentaar (MultilingualText), bij voorkeur de nl-NL tekst
+function multilingualText(objectList: Element | undefined, compositionName: string): string {
+  const text = children(objectList, 'MultilingualText').find(t => t.getAttribute('CompositionName') === compositionName);
+  const items = children(first(text, 'ObjectList'), 'MultilingualTextItem');
+  const item = items.find(i => textAt(i, 'AttributeList', 'Culture') === 'nl-NL') || items[0];
+  return textAt(item, 'AttributeList', 'Text');
+}
+
+function readNetwork(unit: Element): FlgNetwork {
+  const attributes = first(unit, 'AttributeList');
+  const flgNet = first(attributes, 'NetworkSource', 'FlgNet');
+
+  const parts = new Map<string, Element>();
+  children(first(flgNet, 'Parts')).forEach(part => parts.set(part.getAttribute('UId') || '', part));
+
+  // Het eerste einde van een wire is de bron, de overige zijn ingangen
+  const sources = new Map<string, Pin>();
+  children(first(flgNet, 'Wires'), 'Wire').forEach(wire => {
+    const [source, ...sinks] = children(wire).map(end => ({
+      uid: end.getAttribute('UId') || end.tagName,
+      port: end.tagName === 'NameCon' ? end.getAttribute('Name') || '' : '',
+    }));
+    sinks.forEach(sink => sources.set(pinKey(sink), source));
+  });
+
+  return {
+    title: multilingualText(first(unit, 'ObjectList'), 'Title'),
+    language: textAt(attributes, 'ProgrammingLanguage'),
+    parts,
+    sources,
+  };
+}
+
+function readAccess(access: Element): AccessValue {
+  const scope = access.getAttribute('Scope');
+  if (scope === 'LocalVariable' || scope === 'GlobalVariable') {
+    const components = children(first(access, 'Symbol'), 'Component').map(component => {
+      const index = textAt(component, 'Access', 'Constant', 'ConstantValue');
+      const name = component.getAttribute('Name') || '';
+      return index ? { name, index: parseInt(index, 10) } : { name };
+    });
+    return { kind: 'ref', ref: { scope, components } };
+  }
+  // LiteralConstant (zoals wij schrijven) of TypedConstant (zoals TIA T#5S terugschrijft)
+  const constant = first(access, 'Constant');
+  return { kind: 'literal', type: textAt(constant, 'ConstantType'), value: textAt(constant, 'ConstantValue') };
+}
+
+const isStepRef = (ref: OperandRef, number?: number) =>
+  ref.scope === 'LocalVariable'
+  && ref.components.length === 1
+  && ref.components[0].name === 'Stap'
+  && ref.components[0].index !== undefined
+  && (number === undefined || ref.components[0].index === number);
+
+const isStepOperand = (expr: LogicExpr, number: number, negated: boolean) =>
+  expr.kind === 'operand' && expr.negated === negated && isStepRef(expr.ref, number);
+
+// IDB-naam als `expr` een stap uit een andere IDB is ("<IDB>".Stap[n]) met deze negatie
+function remoteStepIdb(expr: LogicExpr, negated: boolean): string | null {
+  if (expr.kind !== 'operand' || expr.negated !== negated || expr.ref.scope !== 'GlobalVariable') return null;
+  const [idb, step] = expr.ref.components;
+  return expr.ref.components.length === 2 && isStepRef({ scope: 'LocalVariable', components: [step] }) ? idb.name : null;
+}
+
+// NIET <verwijzing> is NIET "<IDB>".Stap[3] EN NIET "<IDB>".Stap[4]; in een
+// AND-groep komen die los te staan en worden ze weer samengevoegd
+function mergeReferences(group: LogicExpr[]): LogicExpr[] {
+  return group.reduce<LogicExpr[]>((merged, leaf) => {
+    const previous = merged[merged.length - 1];
+    const idb = remoteStepIdb(leaf, true);
+    if (previous && idb && remoteStepIdb(conjuncts(previous)[0], true) === idb) {
+      return [...merged.slice(0, -1), and(previous, leaf)];
+    }
+    return [...merged, leaf];
+  }, []);
+}
+
+const conjuncts = (expr: LogicExpr) => (expr.kind === 'and' ? expr.operands : [expr]);
+const disjuncts = (expr: LogicExpr) => (expr.kind === 'or' ? expr.operands : [expr]);
+
+/**
+ * Zet de Parts en Wires van één netwerk terug naar een LogicExpr.
+ */
+class NetworkReader {
+  constructor(readonly network: FlgNetwork, private warnings: string[]) {}
+
+  part(uid: string): Element | undefined {
+    return this.network.parts.get(uid);
+  }
+
+  // Signaal op een ingang, met de negatie (<Negated Name="..."/>) van die ingang
+  input(uid: string, port: string): LogicExpr | null {
+    const source = this.network.sources.get(pinKey({ uid, port }));
+    if (!source) return null;
+    const expr = this.signal(source);
+    const negated = children(this.part(uid), 'Negated').some(n => n.getAttribute('Name') === port);
+    return negated ? not(expr) : expr;
+  }
+
+  // Access-part op een ingang, bijv. de operand van een Sr of de PT van een TON
+  access(uid: string, port: string): AccessValue | null {
+    const source = this.network.sources.get(pinKey({ uid, port }));
+    const element = source && this.part(source.uid);
+    return element && element.tagName === 'Access' ? readAccess(element) : null;
+  }
+
+  private signal(source: Pin): LogicExpr {
+    const element = this.part(source.uid);
+    const name = element?.getAttribute('Name') || '';
+
+    if (element?.tagName === 'Access') {
+      const value = readAccess(element);
+      if (value.kind === 'ref') return operand(value.ref);
+      if (/^(TRUE|FALSE)$/i.test(value.value)) return { kind: 'constant', value: value.value.toUpperCase() === 'TRUE' };
+    }
+    if (element?.tagName === 'Part' && (name === 'A' || name === 'O')) {
+      const ports = [...this.network.sources.keys()]
+        .filter(key => key.startsWith(`${source.uid}/in`))
+        .map(key => key.slice(source.uid.length + 1))
+        .sort((a, b) => parseInt(a.slice(2), 10) - parseInt(b.slice(2), 10));
+      const operands = ports.map(port => this.input(source.uid, port)!);
+      return name === 'A' ? and(...operands) : or(...operands);
+    }
+    if (element?.tagName === 'Part' && name in OPERATOR_TEXT) {
+      const type = children(element, 'TemplateValue').find(t => t.getAttribute('Name') === 'SrcType')?.textContent?.trim() || 'Int';
+      return {
+        kind: 'compare',
+        operator: name as CompareOperator,
+        type,
+        left: this.compareOperand(source.uid, 'in1'),
+        right: this.compareOperand(source.uid, 'in2'),
+      };
+    }
+
+    this.warnings.push(`Netwerk "${this.network.title}": onbekende bron ${element?.tagName ?? '?'} ${name} (UId ${source.uid}), vervangen door TRUE.`);
+    return { kind: 'constant', value: true };
+  }
+
+  private compareOperand(uid: string, port: string): CompareOperand {
+    const value = this.access(uid, port);
+    if (!value) {
+      this.warnings.push(`Netwerk "${this.network.title}": ingang ${port} van de vergelijking is niet aangesloten.`);
+      return { kind: 'literal', value: '0' };
+    }
+    return value.kind === 'ref' ? value : { kind: 'literal', value: value.value };
+  }
+}
+
+// "STAP 3: Mengen" -> STAP / Mengen; zonder sleutelwoord is de hele tekst de omschrijving
+function stepHeading(number: number, text: string): ImportedStep {
+  const match = text.match(STEP_HEADING);
+  return match
+    ? { number, keyword: match[1].toUpperCase(), numbered: !!match[2], description: match[3].trim() }
+    : { number, keyword: number === 0 ? 'RUST' : 'STAP', numbered: true, description: text.trim() };
+}
+
+// Stappen uit de commentaren bij Stap[..] (Subelement Path="n") in de interface
+function interfaceSteps(block: Element): ImportedStep[] {
+  const sections = first(block, 'AttributeList', 'Interface', 'Sections');
+  const member = children(sections, 'Section')
+    .flatMap(section => children(section, 'Member'))
+    .find(m => m.getAttribute('Name') === 'Stap');
+  return children(member, 'Subelement').map(sub => {
+    const comments = children(first(sub, 'Comment'), 'MultiLanguageText');
+    const comment = comments.find(c => c.getAttribute('Lang') === 'nl-NL') || comments[0];
+    return stepHeading(parseInt(sub.getAttribute('Path') || '0', 10), comment?.textContent?.trim() || '');
+  });
+}
+
+// Tag -> tekst in het origineel ("Tank_leeg" -> "Tank leeg"), voor beide kanten van een vergelijking
+function originalNames(original: string): Map<string, string> {
+  const names = new Map<string, string>();
+  tokenize(original).forEach(token => {
+    if (token.kind !== 'Condition') return;
+    const { body } = conditionParts(token.text);
+    const comparison = body.match(LINE_PATTERNS.comparison);
+    (comparison ? [comparison[1], comparison[3]] : [body]).forEach(text => names.set(symbolName(text), text.trim()));
+  });
+  return names;
+}
+
+// Sleutelwoord van de tijdvoorwaarden zoals in het origineel ("TIJD 5 Sek" blijft TIJD); standaard Tijd
+function timerKeyword(original: string): string {
+  for (const token of tokenize(original)) {
+    if (token.kind !== 'Condition') continue;
+    const { body } = conditionParts(token.text);
+    if (LINE_PATTERNS.timerLike.test(body)) return body.match(/^\w+/)![0];
+  }
+  return 'Tijd';
+}
+
+// 150 s -> "150 Sek", 300 s -> "5 Min"; null als de preset geen eenvoudige duur is
+function durationText(preset: string): string | null {
+  const match = preset.match(TIME_LITERAL);
+  if (!match || !match.slice(1).some(Boolean)) return null;
+  const [hours, minutes, seconds] = match.slice(1).map(n => parseInt(n || '0', 10));
+  const total = hours * 3600 + minutes * 60 + seconds;
+  return total >= 60 && total % 60 === 0 ? `${total / 60} Min` : `${total} Sek`;
+}
+
+class TextWriter {
+  private timers = new Map<string, string>();       // "Tijd[1]" -> preset
+  private labels = new Map<string, string>();       // "Hulp[2]" -> naam uit de netwerktitel
+
+  constructor(
+    private steps: ImportedStep[],
+    private warnings: string[],
+    private registry: ProgramRegistry = new Map(),
+    private names: Map<string, string> = new Map(),
+    private timerKeyword: string = 'Tijd',
+  ) {}
+
+  timer(instance: string, preset: string) {
+    this.timers.set(instance, preset);
+  }
+
+  label(target: string, name: string) {
+    this.labels.set(target, name);
+  }
+
+  /**
+   * Voorwaarderegels: AND-regels, een nieuwe OF-groep begint met '+ '.
+   */
+  conditionLines(expr: LogicExpr, where: string): string[] {
+    const groups = this.groups(expr);
+    if (groups.length > MAX_GROUPS) {
+      this.warnings.push(`${where}: de voorwaarden geven ${groups.length} OF-groepen; controleer de tekst.`);
+    }
+    return groups.flatMap((group, groupIdx) => mergeReferences(group)
+      .map((leaf, idx) => `  ${groupIdx > 0 && idx === 0 ? '+ ' : ''}${this.leafText(leaf, where)}`));
+  }
+
+  // Disjunctieve normaalvorm: OF van AND-groepen van bladeren
+  private groups(expr: LogicExpr): LogicExpr[][] {
+    if (this.crossReference(expr)) return [[expr]];
+    switch (expr.kind) {
+      case 'constant':
+        return expr.value ? [[]] : [[expr]];
+      case 'operand':
+      case 'compare':
+        return [[expr]];
+      case 'or':
+        return expr.operands.flatMap(op => this.groups(op));
+      case 'and':
+        return expr.operands.reduce<LogicExpr[][]>(
+          (product, op) => product.flatMap(group => this.groups(op).map(other => [...group, ...other])),
+          [[]],
+        );
+    }
+  }
+
+  private leafText(leaf: LogicExpr, where: string): string {
+    const reference = this.crossReference(leaf);
+    if (reference) return reference;
+    switch (leaf.kind) {
+      case 'operand':
+        return `${leaf.negated ? 'NIET ' : ''}${this.refText(leaf.ref, where)}`;
+      case 'compare':
+        return `${this.compareText(leaf.left, where)} ${OPERATOR_TEXT[leaf.operator]} ${this.compareText(leaf.right, where)}`;
+      case 'constant':
+        this.warnings.push(`${where}: constante ${leaf.value ? 'TRUE' : 'FALSE'} als voorwaarde.`);
+        return leaf.value ? 'TRUE' : 'FALSE';
+      default:
+        return '';
+    }
+  }
+
+  private compareText(value: CompareOperand, where: string): string {
+    return value.kind === 'ref' ? this.refText(value.ref, where) : value.value;
+  }
+
+  private refText(ref: OperandRef, where: string): string {
+    const [head, ...rest] = ref.components;
+    const path = ref.components.map(c => (c.index !== undefined ? `${c.name}[${c.index}]` : c.name)).join('.');
+    if (ref.scope === 'GlobalVariable') return this.names.get(path) || path;
+
+    if (isStepRef(ref)) {
+      const number = head.index!;
+      if (number === 0) return 'RUST';
+      return `${this.steps.find(s => s.number === number && s.number !== 0)?.keyword || 'STAP'} ${number}`;
+    }
+    const target = `${head.name}[${head.index}]`;
+    if (rest.length === 1 && rest[0].name === 'Q' && this.timers.has(target)) {
+      const duration = durationText(this.timers.get(target)!);
+      if (duration) return `${this.timerKeyword} ${duration}`;
+    }
+    if (rest.length === 0 && this.labels.has(target)) return this.labels.get(target)!;
+    // Een teller zonder telleractie in dit FB staat alleen in vergelijkingen
+    if (rest.length === 0 && head.name === 'Teller') return `Teller${head.index}`;
+
+    this.warnings.push(`${where}: ${path} is niet terug te zetten naar een tekstvoorwaarde.`);
+    return path;
+  }
+
+  /**
+   * "<IDB>".Stap[3] OF "<IDB>".Stap[4] wordt "Menger (Menger SCHRITT 3+4)";
+   * de negatie (NIET .. EN NIET ..) "NIET Menger (...)". Null als het geen verwijzing is.
+   */
+  private crossReference(expr: LogicExpr): string | null {
+    const negated = expr.kind === 'and' || (expr.kind === 'operand' && expr.negated);
+    const operands = expr.kind === 'operand' ? [expr] : expr.kind === 'or' || expr.kind === 'and' ? expr.operands : [];
+    const idbs = new Set(operands.map(op => remoteStepIdb(op, negated)));
+    const idb = [...idbs][0];
+    if (idbs.size !== 1 || !idb) return null;
+
+    const entry = [...this.registry.entries()].find(([, info]) => info.idbName === idb);
+    const program = entry ? entry[1].name || entry[0] : idb;
+    if (!entry) {
+      this.warnings.push(`Instance-DB "${idb}" hoort bij geen bekend programma; de naam van de DB is gebruikt.`);
+    }
+    const steps = operands.map(op => (op.kind === 'operand' ? op.ref.components[1].index : '')).join('+');
+    return `${negated ? 'NIET ' : ''}${program} (${program} SCHRITT ${steps})`;
+  }
+}
+
+/**
+ * Leest de Openness XML van een FB terug naar Standaardwerk tekst. De XML
+ * mag ook de IDB bevatten; dan komt de IDB-naam in de kopregels.
+ */
+export function importTiaFbd(xml: string, options: TiaImportOptions = {}): TiaImportResult {
+  const dom = parseXml(xml);
+  const block = dom.getElementsByTagName('SW.Blocks.FB')[0];
+  if (!block) {
+    throw new Error('Geen functieblok (SW.Blocks.FB) gevonden in de XML.');
+  }
+
+  const functionBlock = textAt(block, 'AttributeList', 'Name') || 'FB1';
+  const idb = Array.from(dom.getElementsByTagName('SW.Blocks.InstanceDB'))
+    .find(db => textAt(db, 'AttributeList', 'InstanceOfName') === functionBlock);
+  // Zonder IDB in de XML: de IDB van het programma met dit FB uit de Word-import
+  const registered = [...(options.programRegistry?.entries() || [])]
+    .find(([, info]) => info.fbNumber !== undefined && `${info.type || 'FB'}${info.fbNumber}` === functionBlock);
+  const idbName = idb ? textAt(idb, 'AttributeList', 'Name') : registered?.[1].idbName || null;
+
+  const networks = children(first(block, 'ObjectList'), 'SW.Blocks.CompileUnit').map(readNetwork);
+  const other = networks.find(n => n.language && n.language !== 'FBD');
+  if (other) {
+    throw new Error(`Alleen FBD-netwerken kunnen worden ingelezen; netwerk "${other.title}" is ${other.language}.`);
+  }
+
+  const warnings: string[] = [];
+  const stepNetworks = new Map<number, StepNetwork>();
+  const pending: ((writer: TextWriter) => void)[] = [];
+
+  networks.forEach(network => {
+    const reader = new NetworkReader(network, warnings);
+    const boxes = [...network.parts.values()].filter(p => p.tagName === 'Part');
+    const sr = boxes.find(p => p.getAttribute('Name') === 'Sr');
+    const srTarget = sr && reader.access(sr.getAttribute('UId') || '', 'operand');
+
+    // Parallelle takken (Stap_A/B/C) hebben geen tekstvorm in deze import
+    const branchStep = srTarget?.kind === 'ref' && /^Stap_[A-C]$/.test(srTarget.ref.components[0]?.name || '');
+    if (branchStep) {
+      warnings.push(`${network.title}: parallelle stappen (${srTarget.ref.components[0].name}) worden niet ingelezen.`);
+      return;
+    }
+
+    if (sr && srTarget?.kind === 'ref' && isStepRef(srTarget.ref)) {
+      const uid = sr.getAttribute('UId') || '';
+      stepNetworks.set(srTarget.ref.components[0].index!, { title: network.title, set: reader.input(uid, 's'), reset: reader.input(uid, 'r1') });
+      return;
+    }
+
+    const ton = boxes.find(p => p.getAttribute('Name') === 'TON');
+    if (ton) {
+      const instance = children(first(ton, 'Instance'), 'Component')[0];
+      const index = textAt(instance, 'Access', 'Constant', 'ConstantValue');
+      const preset = reader.access(ton.getAttribute('UId') || '', 'PT');
+      if (instance && preset?.kind === 'literal') {
+        const target = `${instance.getAttribute('Name')}[${index}]`;
+        pending.push(w => w.timer(target, preset.value));
+        return;
+      }
+    }
+
+    // Uit_Stap_Tekst volgt uit de stappen en wordt opnieuw gegenereerd
+    if (boxes.every(p => p.getAttribute('Name') === 'Move') && /^Uit_Stap_Tekst\b/.test(network.title)) return;
+    // Net zo de Klaar-vlag: die volgt uit de eindstap (KLAAR)
+    if (sr && /^Klaar\b/.test(network.title)) return;
+
+    // Hulp[2]: <naam> en Teller[1]: <naam> +1 (STAP 2) leveren de naam
+    // waarmee voorwaarden naar Hulp[2] en Teller[1] verwijzen
+    const label = network.title.match(VARIABLE_TITLE);
+    const counter = network.title.match(COUNTER_TITLE);
+    if (counter && boxes.some(p => p.getAttribute('Name') === 'Add' || p.getAttribute('Name') === 'Move')) {
+      pending.push(w => w.label(counter[1], counter[2]));
+    } else if (label && boxes.some(p => p.getAttribute('Name') === 'Coil' || p.getAttribute('Name') === 'Sr')) {
+      pending.push(w => w.label(label[1], label[2].trim()));
+    }
+    warnings.push(`Netwerk "${network.title}" is niet teruggezet naar tekst.`);
+  });
+
+  let steps = interfaceSteps(block);
+  if (steps.length === 0) {
+    steps = [...stepNetworks.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([number, network]) => stepHeading(number, network.title));
+  }
+  if (steps.length === 0) {
+    throw new Error(`Geen stappen (Sr op Stap[n]) gevonden in ${functionBlock}.`);
+  }
+
+  const original = options.original || '';
+  // De stapcommentaar heeft altijd een nummer ("KLAAR 3: Klaar"); een eindstap
+  // die in het origineel zonder nummer staat, wordt ook zo teruggeschreven
+  const endWords = stepKeywords().end;
+  const unnumbered = tokenize(original)
+    .find(token => token.kind === 'Step' && token.number === null && endWords.includes(token.keyword.toUpperCase()));
+  const end = steps[steps.length - 1];
+  if (unnumbered?.kind === 'Step' && end.number !== 0 && end.keyword === unnumbered.keyword.toUpperCase()) {
+    end.numbered = false;
+  }
+  const textWriter = new TextWriter(steps, warnings, options.programRegistry, originalNames(original), timerKeyword(original));
+  pending.forEach(apply => apply(textWriter));
+
+  const text = writeProgram(steps, stepNetworks, textWriter, warnings);
+  // Zonder bekende naam de IDB-naam: "FB1" alleen is geen kopregel
+  const originalHeader = tokenize(original).find(token => token.kind === 'Header');
+  const programName = options.programName
+    || (registered && (registered[1].name || registered[0]))
+    || multilingualText(first(block, 'ObjectList'), 'Title')
+    || (originalHeader?.kind === 'Header' ? originalHeader.name : '')
+    || idbName
+    || 'Programma';
+  const header = [`${programName} ${functionBlock}`, ''];
+  if (idbName) header.push(`Symbool IDB: ${idbName}`, '');
+
+  return { programName, functionBlock, idbName, text: [...header, ...text].join('\n'), warnings };
+}
+
+// Tekst van de stappenketen: per stap de kopregel, dan de voorwaarden naar de volgende stap
+function writeProgram(steps: ImportedStep[], networks: Map<number, StepNetwork>, writer: TextWriter, warnings: string[]): string[] {
+  const rust = steps.find(s => s.number === 0);
+  const normal = steps.filter(s => s.number !== 0);
+  const ordered = [...(rust ? [rust] : []), ...normal];
+
+  const below = new Map<number, string[]>();      // voorwaarden onder stap n
+  const above = new Map<number, string[]>();      // VON SCHRITT regels boven stap n
+  const heading = (step: ImportedStep) => `${step.keyword}${step.number === 0 ? '' : ` ${step.number}`}`;
+
+  normal.forEach((step, idx) => {
+    const network = networks.get(step.number);
+    const where = heading(step);
+    if (!network || !network.set) {
+      warnings.push(`${where}: geen Sr-netwerk op Stap[${step.number}] gevonden; de stap heeft geen voorwaarden.`);
+      return;
+    }
+
+    const prev = idx === 0 ? 0 : normal[idx - 1].number;
+    const entry = and(...conjuncts(network.set).filter(op => !isStepOperand(op, step.number, true)));
+    const branches = disjuncts(entry).map(branch => {
+      const [head, ...rest] = conjuncts(branch);
+      return head && head.kind === 'operand' && !head.negated && isStepRef(head.ref)
+        ? { from: head.ref.components[0].index!, conditions: rest }
+        : null;
+    });
+    if (branches.some(b => !b)) {
+      warnings.push(`${where}: een tak van de setlogica begint niet met een stap en is overgeslagen.`);
+    }
+
+    const valid = branches.filter((b): b is { from: number; conditions: LogicExpr[] } => !!b);
+    const sequential = valid.find(b => b.from === prev);
+    if (sequential) {
+      below.set(prev, writer.conditionLines(and(...sequential.conditions), `${where} (vanuit ${prev === 0 ? 'RUST' : `stap ${prev}`})`));
+    }
+    const jumps = valid.filter(b => b !== sequential).flatMap(branch => {
+      // De parser voegt NIET SCHRITT <van - 1> toe aan een VON SCHRITT overgang
+      const conditions = branch.conditions[0] && branch.from > 0 && isStepOperand(branch.conditions[0], branch.from - 1, true)
+        ? branch.conditions.slice(1)
+        : branch.conditions;
+      return [`${sequential ? '+ ' : ''}VON SCHRITT ${branch.from}`, ...writer.conditionLines(and(...conditions), `${where} (VON SCHRITT ${branch.from})`)];
+    });
+    if (jumps.length > 0) above.set(step.number, jumps);
+  });
+
+  // Terug naar RUST: de tak <laatste stap> EN <voorwaarden> in de resetlogica
+  const last = normal[normal.length - 1];
+  const reset = last && networks.get(last.number)?.reset;
+  if (reset) {
+    const exit = disjuncts(reset).find(branch => isStepOperand(conjuncts(branch)[0], last.number, false));
+    if (exit) below.set(last.number, writer.conditionLines(and(...conjuncts(exit).slice(1)), `${heading(last)} (naar RUST)`));
+  }
+
+  return ordered.flatMap(step => [
+    ...(above.get(step.number) || []),
+    `${step.numbered ? heading(step) : step.keyword}: ${step.description}`.trim(),
+    ...(below.get(step.number) || []),
+    '',
+  ]);
+}
@@ -0,0 +1,41 @@
+// -------------------
+// filename: src/generator/tia-version.ts
+// -------------------
+// Doelversie van de Openness export. Per TIA Portal versie verschillen de
+// Engineering versie, de namespaces van de blokinterface (Interface/vN)
+// en van de netwerken (FlgNet/vN), en het <Namespace/> element in de
+// AttributeList van een blok (software units, vanaf V17). Een import in
+// een andere versie dan die van de namespaces wordt door TIA geweigerd.
+// -------------------
+
+export type TiaVersion = 'V16' | 'V17' | 'V18' | 'V19';
+
+export interface TiaVersionProfile {
+  version: TiaVersion;
+  interfaceNamespace: string;
+  flgNetNamespace: string;
+  blockNamespace: boolean;       // <Namespace/> in de AttributeList van FB, DB, FC en OB
+}
+
+export const TIA_VERSIONS: TiaVersion[] = ['V16', 'V17', 'V18', 'V19'];
+export const DEFAULT_TIA_VERSION: TiaVersion = 'V18';
+
+const OPENNESS = 'http://www.siemens.com/automation/Openness/SW';
+
+const PROFILES: Record<TiaVersion, TiaVersionProfile> = {
+  V16: { version: 'V16', interfaceNamespace: `${OPENNESS}/Interface/v4`, flgNetNamespace: `${OPENNESS}/NetworkSource/FlgNet/v4`, blockNamespace: false },
+  V17: { version: 'V17', interfaceNamespace: `${OPENNESS}/Interface/v5`, flgNetNamespace: `${OPENNESS}/NetworkSource/FlgNet/v4`, blockNamespace: true },
+  V18: { version: 'V18', interfaceNamespace: `${OPENNESS}/Interface/v5`, flgNetNamespace: `${OPENNESS}/NetworkSource/FlgNet/v4`, blockNamespace: true },
+  V19: { version: 'V19', interfaceNamespace: `${OPENNESS}/Interface/v5`, flgNetNamespace: `${OPENNESS}/NetworkSource/FlgNet/v5`, blockNamespace: true },
+};
+
+/**
+ * Profiel van een TIA Portal versie; gooit een fout bij een onbekende versie.
+ */
+export function tiaProfile(version: TiaVersion = DEFAULT_TIA_VERSION): TiaVersionProfile {
+  const profile = PROFILES[version];
+  if (!profile) {
+    throw new Error(`Onbekende TIA Portal versie "${version}" (ondersteund: ${TIA_VERSIONS.join(', ')}).`);
+  }
+  return profile;
+}
@@ -0,0 +1,87 @@
+// -------------------
+// filename: src/generator/timers.ts
+// -------------------
+// Tijdvoorwaarden (Tijd ~5Sek, ZEIT 10sek, TIJD T#2m30s) worden een TON op Tijd[n].
+// Iedere combinatie van stap en tijd krijgt een eigen slot; de stap start
+// de timer en Tijd[n].Q komt in de overgangsvoorwaarde. In een variabele-
+// definitie starten de overige voorwaarden van dezelfde AND-groep de timer.
+// -------------------
+import { DEFAULT_VALIDATION_RULES } from '../config/validationRules.js';
+import { LINE_PATTERNS, timerDuration } from '../language';
+import { ArraySizing, arraySizing, checkIndex } from './arrays';
+import { Condition } from './interfaces';
+import { LogicExpr, OperandRef } from './logic';
+import { ValidationRules } from './variables';
+
+export interface TimerSlot {
+  arrayName: string;
+  index: number;
+  owner: string;      // weergave, bijv. "SCHRITT 3" of "Hulp[2]"
+  start: LogicExpr;   // TON.IN
+  preset: string;     // TON.PT
+}
+
+/**
+ * Zet een tijdsduur om naar een TIA tijdliteraal (150 sek -> T#2M30S).
+ */
+export function formatTimeLiteral(value: number, unit: string): string {
+  const ms = /^ms/i.test(unit) ? value
+    : /^(h|std|stu|uur)/i.test(unit) ? value * 3600000
+    : /^m/i.test(unit) ? value * 60000
+    : value * 1000;
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const rest = ms % 1000;
+  const parts = [h ? `${h}H` : '', m ? `${m}M` : '', s ? `${s}S` : '', rest ? `${rest}MS` : ''].join('');
+  return `T#${parts || '0S'}`;
+}
+
+/**
+ * Preset van een tijdvoorwaarde, uit de parservelden of anders uit de tekst.
+ */
+export function timerPreset(condition: Condition): string | null {
+  if (condition.timeValue != null && condition.timeUnit) {
+    return formatTimeLiteral(condition.timeValue, condition.timeUnit);
+  }
+  if (condition.timer) {
+    return formatTimeLiteral(condition.timer.value, condition.timer.unit);
+  }
+  const match = condition.text.match(LINE_PATTERNS.timer);
+  const duration = match && timerDuration(match[1]);
+  return duration ? formatTimeLiteral(duration.value, duration.unit) : null;
+}
+
+export function timerOutput(slot: TimerSlot): OperandRef {
+  return { scope: 'LocalVariable', components: [{ name: slot.arrayName, index: slot.index }, { name: 'Q' }] };
+}
+
+/**
+ * Tijd[..] uit de 'tijd' groep van de validatieregels (IEC_TIMER).
+ */
+export function timerArray(rules: ValidationRules = DEFAULT_VALIDATION_RULES) {
+  const impl = rules.groups.tijd?.implementation;
+  const name = impl?.arrayName || 'Tijd';
+  return { sizing: arraySizing(name, impl?.arrayRange || [1, 10], rules), dataType: impl?.dataType || 'IEC_TIMER' };
+}
+
+export class TimerAllocator {
+  private slots = new Map<string, TimerSlot>();
+
+  constructor(readonly array: { sizing: ArraySizing; dataType: string } = timerArray()) {}
+
+  slotFor(key: string, owner: string, start: LogicExpr, preset: string): TimerSlot {
+    let slot = this.slots.get(`${key}:${preset}`);
+    if (!slot) {
+      const index = this.array.sizing.first + this.slots.size;
+      checkIndex(this.array.sizing, index, `${owner}, ${preset}`);
+      slot = { arrayName: this.array.sizing.name, index, owner, start, preset };
+      this.slots.set(`${key}:${preset}`, slot);
+    }
+    return slot;
+  }
+
+  all(): TimerSlot[] {
+    return [...this.slots.values()];
+  }
+}
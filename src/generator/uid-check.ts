@@ -0,0 +1,84 @@
+// -------------------
+// filename: src/generator/uid-check.ts
+// -------------------
+// Controle achteraf op de gegenereerde Openness XML: ieder ID komt één
+// keer voor in het document en iedere UId één keer per FlgNet (netwerk).
+// NameCon en IdentCon verwijzen naar een UId en tellen niet mee. TIA
+// weigert een import met dubbele nummers; deze controle noemt de
+// elementen (met regelnummer) zodat de fout te herleiden is.
+// -------------------
+
+export interface IdCollision {
+  attribute: 'ID' | 'UId';
+  value: string;
+  scope: string;                                 // 'document' of 'netwerk <CompileUnit ID>'
+  elements: { element: string; line: number }[];
+}
+
+const TAG = /<(\/?)([\w.:-]+)((?:\s+[\w.:-]+="[^"]*")*)\s*(\/?)>/g;
+const ATTRIBUTE = /([\w.:-]+)="([^"]*)"/g;
+const REFERENCES = new Set(['NameCon', 'IdentCon']);
+
+type Scope = { label: string; attribute: 'ID' | 'UId'; seen: Map<string, { element: string; line: number }[]> };
+
+function collisions(scope: Scope): IdCollision[] {
+  return [...scope.seen.entries()]
+    .filter(([, elements]) => elements.length > 1)
+    .map(([value, elements]) => ({ attribute: scope.attribute, value, scope: scope.label, elements }));
+}
+
+/**
+ * Alle dubbele ID's (per document) en UId's (per netwerk) in `xml`.
+ */
+export function findDuplicateIds(xml: string): IdCollision[] {
+  const document: Scope = { label: 'document', attribute: 'ID', seen: new Map() };
+  const found: IdCollision[] = [];
+  let network: Scope | null = null;
+  let compileUnit = '?';
+  let line = 1;
+  let position = 0;
+
+  for (const match of xml.matchAll(TAG)) {
+    const [, closing, name, attributeText] = match;
+    for (; position < match.index!; position++) {
+      if (xml[position] === '\n') line++;
+    }
+
+    if (closing) {
+      if (name === 'FlgNet' && network) {
+        found.push(...collisions(network));
+        network = null;
+      }
+      continue;
+    }
+
+    const attributes = new Map([...attributeText.matchAll(ATTRIBUTE)].map(([, key, value]) => [key, value]));
+    const element = attributes.has('Name') ? `${name} "${attributes.get('Name')}"` : name;
+    if (name === 'SW.Blocks.CompileUnit') compileUnit = attributes.get('ID') ?? '?';
+    if (name === 'FlgNet' && !match[4]) network = { label: `netwerk ${compileUnit}`, attribute: 'UId', seen: new Map() };
+
+    const register = (scope: Scope) => {
+      const value = attributes.get(scope.attribute);
+      if (value === undefined) return;
+      scope.seen.set(value, [...(scope.seen.get(value) || []), { element, line }]);
+    };
+    register(document);
+    if (network && !REFERENCES.has(name)) register(network);
+  }
+
+  return [...collisions(document), ...found];
+}
+
+/**
+ * Gooit een fout met alle dubbele ID's en UId's in `xml`.
+ */
+export function checkUniqueIds(xml: string): void {
+  const duplicates = findDuplicateIds(xml);
+  if (duplicates.length === 0) return;
+
+  const lines = duplicates.map(d => {
+    const elements = d.elements.map(e => `${e.element} (regel ${e.line})`).join(', ');
+    return `${d.attribute} ${d.value} is dubbel in ${d.scope}: ${elements}.`;
+  });
+  throw new Error(`Dubbele ID's in de gegenereerde XML:\n${lines.join('\n')}`);
+}
@@ -2,6 +2,18 @@
 // -------------------
 // filename: src/generator/uid-manager.ts
 // -------------------
+// Twee soorten nummers in een Openness document:
+// - ID (blokken, CompileUnits, MultilingualText(Item)): uniek in het hele
+//   document, uit de UidManager van het Document.
+// - UId (Parts, Access, Wires in een FlgNet): uniek per netwerk, uit een
+//   eigen UidManager per Network vanaf NETWORK_FIRST_UID.
+// Nummers worden bij het opbouwen toegekend, nooit in toXml, zodat
+// dezelfde invoer altijd dezelfde export geeft. Zie ook uid-check.ts.
+// -------------------
+
+// TIA begint de UId's in een netwerk zelf ook bij 21
+export const NETWORK_FIRST_UID = 21;
+
 export class UidManager {
   private currentId: number;
   constructor(startId: number = 0) {
@@ -0,0 +1,186 @@
+// -------------------
+// filename: src/generator/variables.ts
+// -------------------
+// Variabele-definities (Vrijgave_Transport =, STORING: ... =, MELDING: ... =)
+// worden elk een eigen netwerk dat Hulp[n], Storing[n] of Melding[n]
+// schrijft. Groep, array en maximum komen uit de validatieregels
+// (standaard DEFAULT_VALIDATION_RULES).
+// Met een SET/RESET tabel wordt het een Sr in plaats van een Coil. Een
+// merker met een stapbereik (Marker1 = SCHRITT 2-4) is alleen in die stappen
+// waar; andere waarden meldt de parser en worden overgeslagen. Een
+// genummerde definitie (STORING 23 = ...) schrijft precies dat element.
+// -------------------
+import { DEFAULT_VALIDATION_RULES, determineVariableGroup } from '../config/validationRules.js';
+import { stepRange } from '../language';
+import { arraySizing, checkIndex } from './arrays';
+import { Condition, ConditionGroup, ConditionTerm, ParseResult, VariableDefinition } from './interfaces';
+import { ConditionSource, LogicExpr, and, conditionGroups, isConditionBlock, not, operand, or, stepRef } from './logic';
+import { OperandResolver } from './operands';
+import { timerPreset } from './timers';
+
+export interface GroupImplementation {
+  type: string;
+  dataType?: string;
+  arrayName?: string;
+  arrayRange?: number[];
+}
+
+export interface ValidationRules {
+  groups: Record<string, { name: string; implementation: GroupImplementation }>;
+  arraySizing?: Record<string, { blockSize?: number; maxIndex?: number }>;
+}
+
+export interface VariableTarget {
+  definition: VariableDefinition;
+  group: string;
+  arrayName: string;
+  index: number;
+}
+
+export interface VariableLogic {
+  target: VariableTarget;
+  set: LogicExpr;
+  reset: LogicExpr | null;   // null = Coil, anders Sr
+}
+
+/**
+ * Arrays die door coil-groepen worden beschreven (Hulp, Storing, Melding), in configuratievolgorde.
+ */
+export function coilArrays(rules: ValidationRules = DEFAULT_VALIDATION_RULES) {
+  return Object.values(rules.groups)
+    .map(g => g.implementation)
+    .filter(impl => impl.type === 'coil' && impl.arrayName && impl.arrayRange)
+    .map(impl => ({
+      name: impl.arrayName!,
+      dataType: impl.dataType || 'Bool',
+      sizing: arraySizing(impl.arrayName!, impl.arrayRange!, rules),
+    }));
+}
+
+export function variableDefinitions(parseResult: ParseResult): VariableDefinition[] {
+  return [
+    ...(parseResult.variables || []),
+    ...(parseResult.markers || []),
+    ...(parseResult.storingen || []),
+  ].sort((a, b) => (a.lineNumber ?? 0) - (b.lineNumber ?? 0));
+}
+
+/**
+ * Kent iedere definitie van een coil-groep een element in zijn array toe:
+ * het vaste nummer van een genummerde definitie, anders het eerstvolgende
+ * element dat niet al vast vergeven is. Boven het maximum of twee keer
+ * hetzelfde vaste nummer is een fout.
+ */
+export function allocateVariables(
+  definitions: VariableDefinition[],
+  rules: ValidationRules = DEFAULT_VALIDATION_RULES,
+): VariableTarget[] {
+  const coils = definitions.flatMap(definition => {
+    if (definition.value && !stepRange(definition.value)) return [];
+    const group: string = definition.group || determineVariableGroup(`${definition.name} =`) || 'hulpmerker';
+    const config = rules.groups[group];
+    const impl = config?.implementation;
+    if (!impl || impl.type !== 'coil' || !impl.arrayName || !impl.arrayRange) return [];
+    const context = `${config.name} "${definition.name}", regel ${definition.lineNumber ?? '?'}`;
+    return [{ definition, group, arrayName: impl.arrayName, sizing: arraySizing(impl.arrayName, impl.arrayRange, rules), context }];
+  });
+
+  const fixed = new Map<string, VariableDefinition>();
+  coils.forEach(({ definition, arrayName, sizing, context }) => {
+    if (definition.index === undefined) return;
+    const key = `${arrayName}[${definition.index}]`;
+    checkIndex(sizing, definition.index, context);
+    const other = fixed.get(key);
+    if (other) {
+      throw new Error(`Validatiefout: ${key} is dubbel gedefinieerd (regel ${other.lineNumber ?? '?'} en ${definition.lineNumber ?? '?'}).`);
+    }
+    fixed.set(key, definition);
+  });
+
+  const nextIndex = new Map<string, number>();
+  return coils.map(({ definition, group, arrayName, sizing, context }) => {
+    if (definition.index !== undefined) return { definition, group, arrayName, index: definition.index };
+    let index = nextIndex.get(arrayName) ?? sizing.first;
+    while (fixed.has(`${arrayName}[${index}]`)) index++;
+    checkIndex(sizing, index, context);
+    nextIndex.set(arrayName, index + 1);
+    return { definition, group, arrayName, index };
+  });
+}
+
+export function targetLabel(target: VariableTarget): string {
+  return `${target.arrayName}[${target.index}]`;
+}
+
+/**
+ * OR-van-AND boom van een voorwaardenlijst. Een tijdvoorwaarde wordt een
+ * timer die door de overige voorwaarden van zijn AND-groep wordt gestart.
+ */
+function conditionLogic(
+  source: ConditionSource,
+  key: string,
+  label: string,
+  operands: OperandResolver,
+  context: LogicExpr[] = [],
+): LogicExpr {
+  return groupLogic(conditionGroups(source), key, label, operands, context);
+}
+
+// Een timer in een "[ ... ]" blok wordt ook gestart door de voorwaarden van
+// de groepen waar het blok in staat (`context`).
+function groupLogic(
+  groups: ConditionGroup[],
+  key: string,
+  label: string,
+  operands: OperandResolver,
+  context: LogicExpr[],
+): LogicExpr {
+  return or(...groups.filter(g => g.conditions.length > 0).map((group, groupIdx) => {
+    const groupKey = `${key}:${groupIdx}`;
+    const isTimer = (c: ConditionTerm): c is Condition => !isConditionBlock(c) && !!timerPreset(c);
+    const leaves = new Map(group.conditions
+      .filter((c): c is Condition => !isConditionBlock(c) && !isTimer(c))
+      .map(c => [c, operands.resolve(c)] as const));
+    const inner = [...context, ...leaves.values()];
+    const plain = group.conditions.filter(c => !isTimer(c)).map((c, idx) => {
+      if (!isConditionBlock(c)) return leaves.get(c)!;
+      const expr = groupLogic(c.groups, `${groupKey}:${idx}`, label, operands, inner);
+      return c.negated ? not(expr) : expr;
+    });
+    const start = and(...context, ...plain);
+    const timers = group.conditions
+      .filter(isTimer)
+      .map(c => operands.timer(groupKey, label, start, timerPreset(c)!, !!c.negated));
+    return and(...plain, ...timers);
+  }));
+}
+
+/**
+ * Zonder tabel: Coil met de voorwaarden. Met tabel: Sr met RÜCKSETZEN op R1
+ * en op S de SETZEN-kolom, of (OR) de voorwaarden direct onder de definitie.
+ * Een stapbereik (SCHRITT 2-4) is Stap[2] OR Stap[3] OR Stap[4], in AND met
+ * de voorwaarden eronder.
+ */
+export function variableLogic(target: VariableTarget, operands: OperandResolver): VariableLogic {
+  const label = targetLabel(target);
+  const { conditions = [], setReset, value } = target.definition;
+  const steps = value ? stepRange(value) : null;
+  const context = steps ? [or(...steps.map(number => operand(stepRef(number))))] : [];
+  const within = (expr: LogicExpr) => and(...context, expr);
+  if (!setReset) {
+    return {
+      target,
+      set: context.length > 0 && conditions.length === 0
+        ? context[0]
+        : within(conditionLogic({ conditions }, label, label, operands, context)),
+      reset: null,
+    };
+  }
+
+  const setSources: (ConditionTerm | string)[][] = [conditions, setReset.set].filter(list => list.length > 0);
+  return {
+    target,
+    set: within(or(...setSources.map((list, idx) => conditionLogic({ conditions: list }, `${label}:S${idx}`, label, operands, context)))),
+    reset: conditionLogic({ conditions: setReset.reset }, `${label}:R`, label, operands),
+  };
+}
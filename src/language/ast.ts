@@ -0,0 +1,236 @@
+// -------------------
+// filename: src/language/ast.ts
+// -------------------
+// Getypeerde syntaxboom van een Standaardwerk programma (zie de grammatica
+// in tokenizer.ts). Iedere knoop heeft een `kind` en een `span` met de
+// plaats in de brontekst. De velden van Step, ConditionGroup, Condition en
+// Transition zijn dezelfde als die van de generator (generator/interfaces.ts),
+// zodat generateTIAPortalXML de boom direct kan verwerken.
+// -------------------
+
+export interface SourcePosition {
+  line: number;      // 1-gebaseerd
+  column: number;    // 1-gebaseerd
+  offset: number;    // 0-gebaseerd, vanaf het begin van de tekst
+}
+
+export interface SourceSpan {
+  start: SourcePosition;
+  end: SourcePosition;  // exclusief
+}
+
+export interface Diagnostic {
+  severity: 'error' | 'warning';
+  message: string;
+  span: SourceSpan;
+}
+
+// "Menger FB300" of alleen een titel op de eerste regel
+export interface HeaderNode {
+  kind: 'Header';
+  name: string;
+  functionBlock: string | null;
+  span: SourceSpan;
+}
+
+// "Symbool IDB: Menger_DB"
+export interface SymbolikIDBNode {
+  kind: 'SymbolikIDB';
+  name: string;
+  span: SourceSpan;
+}
+
+// "(Vulsysteem SCHRITT 3+4)" achter de omschrijving van een voorwaarde
+export interface CrossReferenceNode {
+  kind: 'CrossReference';
+  description: string;
+  program: string;
+  functionBlock?: string;     // "(Vulsysteem FB200 SCHRITT 3)"
+  keyword: string;            // SCHRITT, STAP of STEP
+  steps: number[];
+  span: SourceSpan;
+}
+
+export interface ConditionNode {
+  kind: 'Condition';
+  text: string;               // zonder '-', '+' en NIET
+  negated: boolean;
+  operator: 'AND' | 'OR';     // OR begint een nieuwe groep
+  timer: { value: number; unit: string } | null;
+  comparison: { variable: string; operator: string; value: string } | null;
+  crossReference: CrossReferenceNode | null;
+  externalReference: boolean; // *Signaal uit een ander document*
+  stepReference?: number;     // SETZEN/RÜCKSETZEN actie uit deze stap (SET/RESET tabel)
+  lineNumber: number;
+  span: SourceSpan;
+}
+
+// AND-lijst; opeenvolgende groepen zijn OR
+export interface ConditionGroupNode {
+  kind: 'ConditionGroup';
+  operator: 'AND' | 'OR';
+  conditions: ConditionTerm[];
+  span: SourceSpan;
+}
+
+// "[" ... "]": een OR van AND-groepen die als één voorwaarde meetelt in de
+// groep (of lijst) waar het blok in staat; blokken kunnen genest worden
+export interface ConditionBlockNode {
+  kind: 'ConditionBlock';
+  negated: boolean;           // "NIET [": het hele blok
+  operator: 'AND' | 'OR';     // "+ [" begint een nieuwe groep
+  groups: ConditionGroupNode[];
+  lineNumber: number;         // regel van de '['
+  span: SourceSpan;           // van '[' tot en met ']'
+}
+
+export type ConditionTerm = ConditionNode | ConditionBlockNode;
+
+// Impliciete stapvoorwaarde van een overgang: SCHRITT n of NICHT SCHRITT n
+export interface ImplicitStepCondition {
+  stepReference: number;
+  negated: boolean;
+  text: string;
+}
+
+// "+ VON SCHRITT 3" boven een stap, met de voorwaarden eronder
+export interface TransitionNode {
+  kind: 'Transition';
+  keyword: string;            // SCHRITT, STAP of STEP
+  fromStep: number;
+  isOr: boolean;              // '+': naast de overgang vanuit de vorige stap
+  conditions: ConditionTerm[];
+  implicitConditions: ImplicitStepCondition[];
+  lineNumber: number;
+  span: SourceSpan;
+}
+
+// "- Teller1 +1", "- Teller1 = 0" in een stap
+export interface CounterActionNode {
+  kind: 'CounterAction';
+  counter: string;
+  type: 'increment' | 'load';
+  value: number;
+  lineNumber: number;
+  span: SourceSpan;
+}
+
+// "- SETZEN Goedkeuring", "- RÜCKSETZEN Teller1" in een stap
+export interface SetResetActionNode {
+  kind: 'SetResetAction';
+  type: 'set' | 'reset';
+  target: string;
+  lineNumber: number;
+  span: SourceSpan;
+}
+
+export type StepAction = CounterActionNode | SetResetActionNode;
+
+export interface StepNode {
+  kind: 'Step';
+  type: 'RUST' | 'SCHRITT' | 'KLAAR';
+  keyword: string;            // zoals in de tekst: STAP, SCHRITT, RUHE, ...
+  branch?: string;            // parallelle tak (A, B, C): de stap staat in Stap_A[n] enz.
+  number: number;             // RUST is 0; KLAAR zonder nummer volgt op de hoogste stap
+  description: string;
+  entryConditions: ConditionGroupNode[];  // voorwaarden onder de stap: de overgang naar de volgende stap
+  transitions: TransitionNode[];          // VON SCHRITT regels boven de stap
+  implicitConditions: ImplicitStepCondition[];  // RUST: NICHT <stap> voor elke andere stap
+  actions: StepAction[];
+  lineNumber: number;
+  span: SourceSpan;
+}
+
+// "Vrijgave_Transport =", "STORING: Motor overbelast =", "TIJD = 5s"
+export interface VariableDefinitionNode {
+  kind: 'VariableDefinition';
+  name: string;
+  prefix: string | null;      // STORING, MELDING, ... (hoofdletters)
+  label: string;              // "STORING: Motor overbelast" of de naam
+  group: string;              // groep uit de validatieregels
+  value?: string;             // "TIJD = 5s": toekenning, geen coil
+  index?: number;             // vast element in de array ("STORING 23 = ..." -> Storing[23])
+  conditions: ConditionTerm[];
+  setReset?: { set: ConditionTerm[]; reset: ConditionTerm[] };
+  implicit: boolean;          // aangemaakt door een SETZEN/RÜCKSETZEN actie
+  lineNumber: number;
+  span: SourceSpan;
+}
+
+// Teller met zijn voorinstelwaarde ("Teller1 = 5") en de acties uit de stappen
+export interface CounterNode {
+  kind: 'Counter';
+  name: string;
+  preset: number | null;
+  operations: { type: 'increment' | 'load' | 'reset'; value: number | null; step: number; branch?: string; lineNumber: number }[];
+  lineNumber: number;
+  span: SourceSpan;
+}
+
+// Regel die geen constructie van de grammatica is (vrije tekst, commentaar)
+export interface TextNode {
+  kind: 'Text' | 'Comment';
+  text: string;
+  lineNumber: number;
+  span: SourceSpan;
+}
+
+export interface ProgramNode {
+  kind: 'Program';
+  header: HeaderNode | null;
+  symbolikIDB: SymbolikIDBNode | null;
+  steps: StepNode[];
+  variables: VariableDefinitionNode[];   // in documentvolgorde
+  counters: CounterNode[];
+  comments: TextNode[];
+  unrecognized: TextNode[];
+  diagnostics: Diagnostic[];
+  span: SourceSpan;
+}
+
+export type AstNode =
+  | ProgramNode
+  | HeaderNode
+  | SymbolikIDBNode
+  | StepNode
+  | TransitionNode
+  | ConditionGroupNode
+  | ConditionBlockNode
+  | ConditionNode
+  | CrossReferenceNode
+  | VariableDefinitionNode
+  | CounterNode
+  | CounterActionNode
+  | SetResetActionNode
+  | TextNode;
+
+export function isConditionBlock(term: ConditionTerm): term is ConditionBlockNode {
+  return term.kind === 'ConditionBlock';
+}
+
+// De voorwaarden in een blok, ook die in geneste blokken, in documentvolgorde
+export function conditionLeaves(term: ConditionTerm): ConditionNode[] {
+  return isConditionBlock(term)
+    ? term.groups.flatMap(group => group.conditions.flatMap(conditionLeaves))
+    : [term];
+}
+
+// Leesbare vorm op één regel: "[Niveau hoog OF (Handbediening EN NIET Storing)]"
+export function termText(term: ConditionTerm): string {
+  const negation = term.negated ? 'NIET ' : '';
+  if (!isConditionBlock(term)) return `${negation}${term.text}`;
+  const groups = term.groups.map(group => group.conditions.map(termText).join(' EN '));
+  const alternatives = term.groups.length > 1
+    ? groups.map((text, idx) => (term.groups[idx].conditions.length > 1 ? `(${text})` : text))
+    : groups;
+  return `${negation}[${alternatives.join(' OF ')}]`;
+}
+
+// "SCHRITT 3", "SCHRITT A3" of "RUST", zoals een stap in voorwaarden genoemd wordt
+export function stepReferenceText(step: Pick<StepNode, 'type' | 'number' | 'branch'>): string {
+  return step.type === 'RUST' ? 'RUST' : `SCHRITT ${step.branch || ''}${step.number}`;
+}
+
+export function isProgramNode(value: unknown): value is ProgramNode {
+  return !!value && typeof value === 'object' && (value as ProgramNode).kind === 'Program';
+}
@@ -0,0 +1,12 @@
+// -------------------
+// filename: src/language/index.ts
+// -------------------
+// Grammatica, tokenizer en syntaxboom van de Standaardwerk taal. Alle
+// parsers (src/core) en de generator lezen programma's via parseProgram;
+// splitPrograms verdeelt een tekst met meerdere programmakoppen.
+// -------------------
+export * from './ast';
+export { parseProgram, splitPrograms } from './parser';
+export type { ParseOptions, ProgramSource } from './parser';
+export { LINE_PATTERNS, conditionParts, stepKeywords, stepRange, timerDuration, tokenize } from './tokenizer';
+export type { ConditionParts, SyntaxKeywords, Token, TokenKind } from './tokenizer';
@@ -0,0 +1,633 @@
+// -------------------
+// filename: src/language/parser.ts
+// -------------------
+// Bouwt de syntaxboom (ast.ts) uit de tokens van tokenizer.ts. De tokenizer
+// kent alleen de vorm van een regel; hier wordt bepaald waar hij bij hoort:
+// de open variabele-definitie, de laatste VON SCHRITT overgang of de
+// huidige stap, of het open "[" blok daarbinnen. Regels die nergens bij
+// horen komen in `unrecognized` met een waarschuwing, zodat geen tekst
+// ongemerkt verloren gaat.
+// -------------------
+import { STEP_TYPES, normalizeStepType } from '../config/syntaxRules.js';
+import { determineVariableGroup } from '../config/validationRules.js';
+import {
+  ConditionBlockNode,
+  ConditionGroupNode,
+  ConditionNode,
+  ConditionTerm,
+  CounterNode,
+  CrossReferenceNode,
+  HeaderNode,
+  ProgramNode,
+  SourceSpan,
+  StepNode,
+  TransitionNode,
+  VariableDefinitionNode,
+  stepReferenceText,
+} from './ast';
+import { ConditionParts, LINE_PATTERNS, SyntaxKeywords, Token, conditionParts, stepKeywords, stepRange, timerDuration, tokenize } from './tokenizer';
+
+type TokenOf<K extends Token['kind']> = Extract<Token, { kind: K }>;
+
+export interface ParseOptions {
+  // Elke regel onder een stap of variabele is een voorwaarde, ook zonder
+  // inspringing of '-' (tekst uit de Word-conversie); anders is zo'n regel
+  // alleen een voorwaarde als hij de vorm van een voorwaarde heeft.
+  bareConditions?: boolean;
+}
+
+// "Teller1", "Teller 2", "Zähler3", "Counter_4"
+const COUNTER_NAME = /^(?:Teller|Zähler|Zaehler|Counter)[\s_]*\d*$/i;
+
+const counterKey = (name: string) => name.replace(/[\s_]/g, '').toLowerCase();
+
+const extend = (node: { span: SourceSpan }, token: Token) => {
+  node.span = { start: node.span.start, end: token.span.end };
+};
+
+// Deel van de regel vanaf kolom `column` (0-gebaseerd in token.text)
+const spanFrom = (token: Token, column: number): SourceSpan => ({
+  start: {
+    line: token.line,
+    column: token.span.start.column + column,
+    offset: token.span.start.offset + column,
+  },
+  end: token.span.end,
+});
+
+/**
+ * Parseert één Standaardwerk programma. `rules` zijn de syntaxRules uit de
+ * configuratie (stapwoorden, negaties); zonder rules gelden de standaardwoorden.
+ */
+export function parseProgram(source: string, rules: SyntaxKeywords = {}, options: ParseOptions = {}): ProgramNode {
+  return new ProgramParser(rules, options).parse(source);
+}
+
+// Eén programma uit een tekst met meerdere programmakoppen
+export interface ProgramSource {
+  header: HeaderNode | null;
+  source: string;      // tekst van dit programma, tot de volgende kop
+  line: number;        // eerste regel van `source` in de hele tekst
+}
+
+const SKIPPED_BEFORE_STEP: Token['kind'][] = ['Blank', 'Comment', 'SymbolikIDB'];
+
+/**
+ * De regels die echt een programmakop zijn. Vóór de eerste stap is iedere
+ * kopregel een kop; daarna alleen als er een nieuwe keten op volgt (de
+ * eerstvolgende regel is een RUST-stap). Anders is het een voorwaarde met
+ * een FB- of FC-nummer erin ("Vrijgave van FC12").
+ */
+function programHeaders(tokens: Token[], rules: SyntaxKeywords): TokenOf<'Header'>[] {
+  const rest = stepKeywords(rules).rest.map(word => word.toUpperCase());
+  const firstStep = tokens.findIndex(token => token.kind === 'Step');
+  return tokens.filter((token, idx): token is TokenOf<'Header'> => {
+    if (token.kind !== 'Header') return false;
+    if (firstStep < 0 || idx < firstStep) return true;
+    const next = tokens.slice(idx + 1).find(t => !SKIPPED_BEFORE_STEP.includes(t.kind));
+    return next?.kind === 'Step' && rest.includes(next.keyword);
+  });
+}
+
+/**
+ * Splitst een tekst op de programmakoppen ("Menger FB300"). Regels boven de
+ * eerste kop horen bij het eerste programma; zonder kop is de hele tekst
+ * één programma.
+ */
+export function splitPrograms(source: string, rules: SyntaxKeywords = {}): ProgramSource[] {
+  const lines = source.split('\n');
+  const headers = programHeaders(tokenize(source, rules), rules);
+  if (headers.length === 0) return [{ header: null, source, line: 1 }];
+
+  return headers.map((token, idx) => {
+    const from = idx === 0 ? 0 : token.line - 1;
+    const to = idx + 1 < headers.length ? headers[idx + 1].line - 1 : lines.length;
+    return {
+      header: { kind: 'Header', name: token.name, functionBlock: token.functionBlock, span: token.span },
+      source: lines.slice(from, to).join('\n'),
+      line: from + 1,
+    };
+  });
+}
+
+class ProgramParser {
+  private program!: ProgramNode;
+  private step: StepNode | null = null;
+  private variable: VariableDefinitionNode | null = null;
+  private column: 'set' | 'reset' | null = null;      // kolom van de SET/RESET tabel
+  private transitions: TransitionNode[] = [];         // VON SCHRITT regels boven de volgende stap
+  private blocks: ConditionBlockNode[] = [];          // open "[" blokken, binnenste laatst
+  private end: StepNode | null = null;                // eindstap (KLAAR), sluit de keten af
+  private started = false;
+  private headers = new Set<Token>();                 // echte programmakoppen (programHeaders)
+
+  constructor(private readonly rules: SyntaxKeywords, private readonly options: ParseOptions) {}
+
+  parse(source: string): ProgramNode {
+    const tokens = tokenize(source, this.rules);
+    const last = tokens[tokens.length - 1];
+    this.headers = new Set(programHeaders(tokens, this.rules));
+    this.program = {
+      kind: 'Program',
+      header: null,
+      symbolikIDB: null,
+      steps: [],
+      variables: [],
+      counters: [],
+      comments: [],
+      unrecognized: [],
+      diagnostics: [],
+      span: { start: { line: 1, column: 1, offset: 0 }, end: { ...last.span.end, offset: source.length } },
+    };
+
+    tokens.forEach(token => this.accept(token));
+
+    this.closeBlocks();
+    this.transitions.forEach(transition => {
+      this.warn(`VON SCHRITT ${transition.fromStep} staat niet boven een stap`, transition.span);
+    });
+    this.linkSetResetActions();
+    this.resolveImplicitConditions();
+    this.checkBranches();
+    return this.program;
+  }
+
+  private accept(token: Token) {
+    if (token.kind === 'Blank') return;
+    if (token.kind === 'Comment') {
+      this.program.comments.push({ kind: 'Comment', text: token.comment, lineNumber: token.line, span: token.span });
+      return;
+    }
+    if (this.acceptTitle(token)) return;
+    this.started = true;
+
+    switch (token.kind) {
+      case 'BlockOpen':
+        this.acceptBlockOpen(token);
+        return;
+      case 'BlockClose':
+        this.acceptBlockClose(token);
+        return;
+      case 'Condition':
+        break;
+      default:
+        // Een nieuwe constructie sluit de open blokken af
+        this.closeBlocks();
+    }
+
+    switch (token.kind) {
+      case 'SymbolikIDB':
+        this.program.symbolikIDB = { kind: 'SymbolikIDB', name: token.name, span: token.span };
+        return;
+      case 'Header':
+        // Na de eerste stap is een regel met de vorm van een kop een voorwaarde,
+        // tenzij er een nieuwe keten op volgt
+        if (!this.headers.has(token)) break;
+        if (this.program.header || this.program.steps.length > 0) {
+          this.unrecognized(token, `Tweede programmakop "${token.text}" genegeerd; laad de tekst als project voor meerdere programma's`);
+          return;
+        }
+        this.program.header = { kind: 'Header', name: token.name, functionBlock: token.functionBlock, span: token.span };
+        return;
+      case 'Counter':
+        if (this.acceptCounter(token)) return;
+        break;
+      case 'Definition':
+        this.acceptDefinition(token);
+        return;
+      case 'Von':
+        this.variable = null;
+        this.column = null;
+        this.transitions.push({
+          kind: 'Transition',
+          keyword: token.keyword,
+          fromStep: token.fromStep,
+          isOr: token.isOr,
+          conditions: [],
+          implicitConditions: [],
+          lineNumber: token.line,
+          span: token.span,
+        });
+        return;
+      case 'Step':
+        this.acceptStep(token);
+        return;
+      case 'SetReset':
+        if (this.acceptSetReset(token)) return;
+        break;
+    }
+    this.acceptCondition(token);
+  }
+
+  // Een eerste regel zonder ':' die geen andere constructie is, is de titel van het programma
+  private acceptTitle(token: Token): boolean {
+    if (this.started || this.program.header || token.kind !== 'Condition') return false;
+    if (token.indented || token.text.includes(':') || /^[-+]/.test(token.text)) return false;
+    this.started = true;
+    this.program.header = { kind: 'Header', name: token.text, functionBlock: null, span: token.span };
+    return true;
+  }
+
+  /**
+   * "Teller1 = 5" buiten een actie is de voorinstelwaarde; binnen een stap
+   * (ingesprongen of met '-') is "Teller1 +1" of "Teller1 = 0" een actie bij
+   * het binnengaan van die stap. Een tellerregel sluit een open variabele af.
+   */
+  private acceptCounter(token: TokenOf<'Counter'>): boolean {
+    const isAction = !!this.step && (token.marked || token.indented);
+    if (!isAction && token.operation !== 'load') return false;
+
+    this.variable = null;
+    const counter = this.counter(token.name, token.line, token.span);
+    if (!isAction) {
+      counter.preset = token.value;
+      counter.lineNumber = token.line;
+      counter.span = token.span;
+      return true;
+    }
+
+    const step = this.step!;
+    counter.operations.push({
+      type: token.operation,
+      value: token.value,
+      step: step.number,
+      ...(step.branch ? { branch: step.branch } : {}),
+      lineNumber: token.line,
+    });
+    step.actions.push({
+      kind: 'CounterAction',
+      counter: token.name,
+      type: token.operation,
+      value: token.value,
+      lineNumber: token.line,
+      span: token.span,
+    });
+    extend(step, token);
+    return true;
+  }
+
+  private acceptDefinition(token: TokenOf<'Definition'>) {
+    this.column = null;
+    const variable: VariableDefinitionNode = {
+      kind: 'VariableDefinition',
+      name: token.name,
+      prefix: token.prefix,
+      label: token.prefix ? `${token.prefix}: ${token.name}` : token.name,
+      // "STORING 23 = Doseerklep vastgelopen" hoort bij dezelfde groep als "STORING: Doseerklep vastgelopen ="
+      group: determineVariableGroup(token.index === null ? token.text : `${token.prefix}: ${token.name} =`) || 'hulpmerker',
+      ...(token.value ? { value: token.value } : {}),
+      ...(token.index !== null ? { index: token.index } : {}),
+      conditions: [],
+      implicit: false,
+      lineNumber: token.line,
+      span: token.span,
+    };
+    this.variable = variable;
+    this.program.variables.push(variable);
+    if (token.value && !stepRange(token.value)) {
+      this.warn(`"${token.name} = ${token.value}" op regel ${token.line} is geen stapbereik (SCHRITT 2-4); de definitie wordt niet gegenereerd`, token.span);
+    }
+  }
+
+  private acceptStep(token: TokenOf<'Step'>) {
+    const type = normalizeStepType(token.keyword, stepKeywords(this.rules)) as StepNode['type'];
+    if (this.end) {
+      this.warn(`${token.keyword} na ${this.end.keyword} (regel ${this.end.lineNumber}): de eindstap moet de laatste stap zijn`, token.span);
+    }
+    const branch = token.branch && type === STEP_TYPES.SCHRITT ? token.branch : null;
+    if (token.branch && !branch) {
+      this.warn(`${token.keyword} ${token.branch}${token.number}: alleen een SCHRITT kan in een parallelle tak staan`, token.span);
+    }
+    this.step = {
+      kind: 'Step',
+      type,
+      keyword: token.keyword,
+      ...(branch ? { branch } : {}),
+      number: type === STEP_TYPES.RUST ? 0 : token.number ?? (type === STEP_TYPES.KLAAR ? this.nextStepNumber() : 0),
+      description: token.description,
+      entryConditions: [],
+      transitions: this.transitions,
+      implicitConditions: [],
+      actions: [],
+      lineNumber: token.line,
+      span: token.span,
+    };
+    this.program.steps.push(this.step);
+    if (type === STEP_TYPES.KLAAR) this.end = this.end || this.step;
+    this.transitions = [];
+    this.variable = null;
+    this.column = null;
+  }
+
+  private nextStepNumber(): number {
+    return Math.max(0, ...this.program.steps.filter(step => !step.branch).map(step => step.number)) + 1;
+  }
+
+  /**
+   * Iedere takstap bestaat maar één keer (Stap_A[n] is één bit) en een
+   * parallel deel heeft minstens twee takken; anders is het een gewone keten.
+   */
+  private checkBranches() {
+    const seen = new Map<string, StepNode>();
+    let section: StepNode[] = [];
+    const closeSection = () => {
+      const branches = new Set(section.map(step => step.branch));
+      if (branches.size === 1) {
+        this.warn(`Parallel deel vanaf regel ${section[0].lineNumber} heeft alleen tak ${section[0].branch}`, section[0].span);
+      }
+      section = [];
+    };
+
+    this.program.steps.forEach(step => {
+      if (!step.branch) {
+        if (section.length > 0) closeSection();
+        return;
+      }
+      section.push(step);
+      const key = stepReferenceText(step);
+      const first = seen.get(key);
+      if (first) {
+        this.warn(`${key} staat ook op regel ${first.lineNumber}`, step.span);
+      } else {
+        seen.set(key, step);
+      }
+    });
+    if (section.length > 0) closeSection();
+  }
+
+  /**
+   * "SETZEN" / "RÜCKSETZEN" zonder argument onder een variabele is een
+   * kolomkop van de SET/RESET tabel; met argument in een stap een actie
+   * ("- SETZEN Goedkeuring"; "SETZEN Motorstart = FALSE" is een reset).
+   */
+  private acceptSetReset(token: TokenOf<'SetReset'>): boolean {
+    if (this.variable && !token.argument) {
+      this.variable.setReset = this.variable.setReset || { set: [], reset: [] };
+      this.column = token.reset ? 'reset' : 'set';
+      extend(this.variable, token);
+      return true;
+    }
+
+    if (this.step && !this.variable && token.argument) {
+      const [, target, value] = token.argument.match(/^(.+?)(?:\s*=\s*(\S+))?$/)!;
+      const isFalse = /^(FALSE|0)$/i.test(value || '');
+      this.step.actions.push({
+        kind: 'SetResetAction',
+        type: token.reset !== isFalse ? 'reset' : 'set',
+        target: target.trim(),
+        lineNumber: token.line,
+        span: token.span,
+      });
+      extend(this.step, token);
+      return true;
+    }
+    return false;
+  }
+
+  private hasContext(): boolean {
+    return !!this.step || !!this.variable || this.transitions.length > 0;
+  }
+
+  /**
+   * Een voorwaarde hoort bij het binnenste open blok, anders bij de open
+   * variabele-definitie (in de actieve SET/RESET kolom), anders bij de
+   * laatste VON SCHRITT overgang en anders bij de huidige stap.
+   */
+  private acceptCondition(token: Token) {
+    if (!this.hasContext()) {
+      this.unrecognized(token, `Regel "${token.text}" hoort bij geen stap of variabele`);
+      return;
+    }
+
+    const parts = conditionParts(token.text, this.rules);
+    const inBlock = this.blocks.length > 0;
+    if (!this.options.bareConditions && !inBlock && !parts.and && !parts.or && !token.indented && !parts.form) {
+      this.unrecognized(token, `Regel "${token.text}" is geen voorwaarde`);
+      return;
+    }
+
+    this.addTerm(this.condition(token, parts));
+    this.extendOpen(token);
+  }
+
+  private addTerm(term: ConditionTerm) {
+    const block = this.blocks[this.blocks.length - 1];
+    const transition = this.transitions[this.transitions.length - 1];
+    if (block) {
+      this.addToGroups(block.groups, term);
+    } else if (this.variable) {
+      const target = this.column ? this.variable.setReset![this.column] : this.variable.conditions;
+      target.push(term);
+    } else if (transition) {
+      transition.conditions.push(term);
+    } else {
+      this.addToGroups(this.step!.entryConditions, term);
+    }
+  }
+
+  // De open blokken, hun laatste groep en de stap, variabele of overgang
+  // eromheen lopen door tot en met deze regel
+  private extendOpen(token: Token) {
+    const outer = this.variable || this.transitions[this.transitions.length - 1];
+    const lists = [...(outer ? [] : [this.step!.entryConditions]), ...this.blocks.map(block => block.groups)];
+    lists.forEach(groups => {
+      if (groups.length > 0) extend(groups[groups.length - 1], token);
+    });
+    this.blocks.forEach(block => extend(block, token));
+    extend(outer || this.step!, token);
+  }
+
+  // "[", "- [", "+ [" of "NIET [": het blok is zelf een voorwaarde van zijn omgeving
+  private acceptBlockOpen(token: TokenOf<'BlockOpen'>) {
+    if (!this.hasContext()) {
+      this.unrecognized(token, `Blok "${token.text}" hoort bij geen stap of variabele`);
+      return;
+    }
+    const block: ConditionBlockNode = {
+      kind: 'ConditionBlock',
+      negated: token.negated,
+      operator: token.or ? 'OR' : 'AND',
+      groups: [],
+      lineNumber: token.line,
+      span: token.span,
+    };
+    this.addTerm(block);
+    this.extendOpen(token);
+    this.blocks.push(block);
+  }
+
+  private acceptBlockClose(token: Token) {
+    const block = this.blocks.pop();
+    if (!block) {
+      this.unrecognized(token, `"]" zonder open blok`);
+      return;
+    }
+    if (block.groups.length === 0) {
+      this.warn(`Leeg blok op regel ${block.lineNumber}`, block.span);
+    }
+    extend(block, token);
+    this.extendOpen(token);
+  }
+
+  private closeBlocks() {
+    this.blocks.forEach(block => this.warn(`Blok op regel ${block.lineNumber} wordt niet gesloten met "]"`, block.span));
+    this.blocks = [];
+  }
+
+  private condition(token: Token, parts: ConditionParts): ConditionNode {
+    const text = parts.body;
+    const span = spanFrom(token, parts.bodyColumn);
+    const timerMatch = text.match(LINE_PATTERNS.timer);
+    const timer = timerMatch ? timerDuration(timerMatch[1]) : null;
+    if (!timer && LINE_PATTERNS.timerLike.test(text)) {
+      this.error(`"${text}" op regel ${token.line} heeft geen geldige tijdsduur`, span);
+    }
+    const comparison = text.match(LINE_PATTERNS.comparison);
+    const value = comparison ? comparison[3].trim().replace(/["']/g, '') : '';
+    if (comparison && !LINE_PATTERNS.comparisonValue.test(value)) {
+      this.error(`Rechterkant "${value}" van de vergelijking op regel ${token.line} is geen waarde of tag`, span);
+    }
+    return {
+      kind: 'Condition',
+      text,
+      negated: parts.negated,
+      operator: parts.or ? 'OR' : 'AND',
+      timer,
+      comparison: comparison
+        ? { variable: comparison[1].trim(), operator: comparison[2], value }
+        : null,
+      crossReference: this.crossReference(text, token, parts.bodyColumn),
+      externalReference: LINE_PATTERNS.externalReference.test(text),
+      lineNumber: token.line,
+      span,
+    };
+  }
+
+  // "Vulsysteem gereed (Vulsysteem FB200 SCHRITT 3+4)" of alleen "(Vulsysteem SCHRITT 3+4)"
+  private crossReference(text: string, token: Token, column: number): CrossReferenceNode | null {
+    const match = text.match(LINE_PATTERNS.crossReference);
+    if (!match) return null;
+    return {
+      kind: 'CrossReference',
+      description: (match[1] || '').trim(),
+      program: match[2].trim(),
+      ...(match[3] ? { functionBlock: match[3] } : {}),
+      keyword: match[4].toUpperCase(),
+      steps: match[5].split('+').map(step => parseInt(step.trim(), 10)),
+      span: spanFrom(token, column + text.lastIndexOf('(')),
+    };
+  }
+
+  // '+' begint een nieuwe OF-groep, anders komt de voorwaarde in de laatste groep
+  private addToGroups(groups: ConditionGroupNode[], term: ConditionTerm) {
+    if (groups.length === 0 || term.operator === 'OR') {
+      groups.push({
+        kind: 'ConditionGroup',
+        operator: groups.length === 0 ? 'AND' : 'OR',
+        conditions: [term],
+        span: term.span,
+      });
+    } else {
+      groups[groups.length - 1].conditions.push(term);
+    }
+  }
+
+  private counter(name: string, lineNumber: number, span: SourceSpan): CounterNode {
+    let counter = this.program.counters.find(c => counterKey(c.name) === counterKey(name));
+    if (!counter) {
+      counter = { kind: 'Counter', name, preset: null, operations: [], lineNumber, span };
+      this.program.counters.push(counter);
+    }
+    return counter;
+  }
+
+  /**
+   * Zet de SETZEN/RÜCKSETZEN acties uit de stappen in de SET/RESET tabel van
+   * de betreffende variabele; een onbekende naam wordt een nieuwe hulpmerker.
+   * RÜCKSETZEN Teller1 zet de teller op 0, SETZEN op zijn voorinstelwaarde.
+   */
+  private linkSetResetActions() {
+    this.program.steps.forEach(step => {
+      step.actions.forEach(action => {
+        if (action.kind !== 'SetResetAction') return;
+
+        if (COUNTER_NAME.test(action.target)) {
+          const counter = this.counter(action.target, action.lineNumber, action.span);
+          counter.operations.push({
+            type: action.type === 'reset' ? 'reset' : 'load',
+            value: action.type === 'reset' ? 0 : null,
+            step: step.number,
+            ...(step.branch ? { branch: step.branch } : {}),
+            lineNumber: action.lineNumber,
+          });
+          return;
+        }
+
+        const existing = this.program.variables.find(v => v.name.toLowerCase() === action.target.toLowerCase());
+        const variable: VariableDefinitionNode = existing || {
+          kind: 'VariableDefinition',
+          name: action.target,
+          prefix: null,
+          label: action.target,
+          group: determineVariableGroup(`${action.target} =`) || 'hulpmerker',
+          conditions: [],
+          implicit: true,
+          lineNumber: action.lineNumber,
+          span: action.span,
+        };
+        if (!existing) this.program.variables.push(variable);
+
+        variable.setReset = variable.setReset || { set: [], reset: [] };
+        variable.setReset[action.type].push({
+          kind: 'Condition',
+          text: stepReferenceText(step),
+          negated: false,
+          operator: 'OR',
+          timer: null,
+          comparison: null,
+          crossReference: null,
+          externalReference: false,
+          stepReference: step.number,
+          lineNumber: action.lineNumber,
+          span: action.span,
+        });
+      });
+    });
+  }
+
+  // RUST is actief als geen andere stap (ook KLAAR) actief is; VON SCHRITT n:
+  // de overgang geldt als stap n actief is en stap n-1 niet meer
+  private resolveImplicitConditions() {
+    const steps = this.program.steps;
+    steps.forEach(step => {
+      if (step.type === STEP_TYPES.RUST) {
+        step.implicitConditions = steps
+          .filter(s => s.type !== STEP_TYPES.RUST)
+          .map(s => ({ stepReference: s.number, negated: true, text: `NICHT ${stepReferenceText(s)}` }));
+      }
+      step.transitions.forEach(transition => {
+        if (!steps.some(s => !s.branch && s.number === transition.fromStep)) {
+          this.warn(`VON SCHRITT ${transition.fromStep}: stap ${transition.fromStep} bestaat niet`, transition.span);
+          return;
+        }
+        transition.implicitConditions = [
+          { stepReference: transition.fromStep, negated: false, text: `SCHRITT ${transition.fromStep}` },
+          { stepReference: transition.fromStep - 1, negated: true, text: `NICHT SCHRITT ${transition.fromStep - 1}` },
+        ];
+      });
+    });
+  }
+
+  private unrecognized(token: Token, message: string) {
+    this.program.unrecognized.push({ kind: 'Text', text: token.text, lineNumber: token.line, span: token.span });
+    this.warn(message, token.span);
+  }
+
+  private warn(message: string, span: SourceSpan) {
+    this.program.diagnostics.push({ severity: 'warning', message, span });
+  }
+
+  private error(message: string, span: SourceSpan) {
+    this.program.diagnostics.push({ severity: 'error', message, span });
+  }
+}
@@ -0,0 +1,302 @@
+// -------------------
+// filename: src/language/tokenizer.ts
+// -------------------
+// Grammatica van de Standaardwerk taal. Een programma is regelgebaseerd:
+// iedere regel is precies één token. De tokenizer herkent de vorm van een
+// regel; welke betekenis hij heeft (voorwaarde van een stap of van een
+// variabele, telleractie of voorinstelwaarde) bepaalt parser.ts uit de
+// context.
+//
+//   program        = { line } ;
+//   line           = blank | comment | symbolik | header | counter
+//                  | definition | von | step | setreset
+//                  | blockopen | blockclose | condition ;
+//   comment        = "//" text ;
+//   symbolik       = ( "Symbool IDB" | "Symbolik IDB" ) ":" name ;
+//   header         = name fb ;                          (niet ingesprongen, geen stap, zonder '-'/'+')
+//   fb             = ( "FB" | "FC" ) digits ;
+//   counter        = [ "-" ] countername
+//                    ( "++" | "--" | ( "+" | "-" ) digits | "=" [ "+" | "-" ] digits ) ;
+//   countername    = ( "Teller" | "Zähler" | "Zaehler" | "Counter" ) [ digits ] ;
+//   definition     = [ prefix ":" ] name "=" [ steprange ]   (niet ingesprongen)
+//                  | prefix digits "=" name ;              (vast element: STORING 23 = ... is Storing[23])
+//   steprange      = stepword digits ( "-" digits | { "+" digits } ) ;  (merker actief in die stappen)
+//   prefix         = "STORING" | "STÖRUNG" | "FAULT" | "MELDING" | "MELDUNG" | "MESSAGE" ;
+//   von            = [ "+" ] "VON" stepword digits ;
+//   step           = stepkeyword [ branch ] [ digits ] ":" [ description ] ;
+//   branch         = "A" | "B" | "C" ;                 (parallelle tak, alleen met digits)
+//   stepkeyword    = restword | stepword | endword ;    (uit syntaxRules.stepKeywords)
+//   restword       = "RUST" | "RUHE" | "IDLE" ;
+//   stepword       = "STAP" | "SCHRITT" | "STEP" ;
+//   endword        = "KLAAR" | "FERTIG" | "END" ;
+//   setreset       = [ "-" | "+" ] setword [ ":" ] [ name [ "=" value ] ] ;
+//   setword        = "SETZEN" | "ZETTEN" | "RÜCKSETZEN" | "RUCKSETZEN" | "RUECKSETZEN" | "RESETTEN" ;
+//   blockopen      = [ "-" ] [ "+" ] [ negation ] "[" ;
+//   blockclose     = "]" ;
+//   condition      = [ "-" ] [ "+" ] [ negation ] expression ;
+//   negation       = "NIET" | "NICHT" | "NOT" ;          (uit syntaxRules.conditions.notPrefix)
+//   expression     = crossreference | comparison | timer | text ;
+//   crossreference = [ text ] "(" name [ fb ] stepword digits { "+" digits } ")" ;
+//   comparison     = operand ( "==" | "=" | "!=" | "<>" | ">=" | "<=" | ">" | "<" ) value ;
+//   value          = number [ unit ] | "T#" duration | "TRUE" | "FALSE" | operand ;   (geen bereik "7.2 - 7.8")
+//   timer          = ( "TIJD" | "ZEIT" | "TIME" ) [ "~" ] [ name "=" ] duration ;   (ergens in de tekst)
+//   duration       = "T#" { digits ( "D" | "H" | "M" | "S" | "MS" ) } | digits unit { digits unit } ;
+//   unit           = "ms" | "Sek" | "Sec" | "Min" | "Std" | "h" | "s" | "m" ;  (eventueel uitgeschreven: "Minuten")
+//
+// Een kop staat vóór de eerste stap; een regel met de vorm van een kop
+// daarna ("Vrijgave van FC12") is een voorwaarde (zie parser.ts).
+//
+// Een voorwaarde hoort bij de laatste stap of variabele-definitie erboven.
+// Een '+' begint een nieuwe OF-groep; opeenvolgende regels zonder '+' zijn
+// EN. Een niet ingesprongen regel zonder '-' of '+' is alleen een
+// voorwaarde als hij de vorm van een voorwaarde heeft (negatie, tijd,
+// vergelijking, verwijzing); anders is het vrije tekst.
+//
+// Een eindstap (endword) sluit de keten af: zonder nummer krijgt hij het
+// nummer na de hoogste stap. De voorwaarden eronder zijn de overgang terug
+// naar RUST; zonder voorwaarden gaat de keten na één cyclus terug.
+//
+// Een stap met een tak ("SCHRITT A3:") hoort bij een parallel deel: de
+// opeenvolgende takstappen tussen twee stappen van de hoofdketen. Alle
+// takken starten tegelijk vanuit de stap vóór het deel en lopen elk
+// sequentieel (A1, A2, ...) in hun eigen array Stap_A, Stap_B of Stap_C.
+// De hoofdstap na het deel wacht tot alle takken op hun laatste stap staan
+// en hun voorwaarden waar zijn (synchronisatie). Zonder hoofdstap erna gaat
+// iedere tak na zijn laatste stap terug; RUST wordt pas weer actief als alle
+// takken klaar zijn.
+//
+// Tussen "[" en "]" staat een blok: een OF van EN-groepen, met '+' zoals
+// hierboven, dat als één voorwaarde meetelt waar het staat. Zo is
+//
+//   - A              A EN (B OF (C EN D))
+//   [
+//     - B
+//     + C
+//     - D
+//   ]
+//
+// Blokken kunnen genest worden; "NIET [" keert het hele blok om. Binnen een
+// blok is iedere regel een voorwaarde.
+// -------------------
+import { SourceSpan } from './ast';
+
+export interface SyntaxKeywords {
+  stepKeywords?: { rest?: string[]; step?: string[]; end?: string[] };
+  conditions?: { notPrefix?: string[] };
+}
+
+interface TokenBase {
+  line: number;
+  indented: boolean;
+  text: string;        // de regel zonder inspringing en witruimte aan het eind
+  span: SourceSpan;
+}
+
+type TokenBody =
+  | { kind: 'Blank' }
+  | { kind: 'Comment'; comment: string }
+  | { kind: 'SymbolikIDB'; name: string }
+  | { kind: 'Header'; name: string; functionBlock: string }
+  | { kind: 'Counter'; marked: boolean; name: string; operation: 'increment' | 'load'; value: number }
+  | { kind: 'Definition'; prefix: string | null; name: string; value: string; index: number | null }
+  | { kind: 'Von'; isOr: boolean; keyword: string; fromStep: number }
+  | { kind: 'Step'; keyword: string; branch: string | null; number: number | null; description: string }
+  | { kind: 'SetReset'; reset: boolean; argument: string }
+  | { kind: 'BlockOpen'; or: boolean; negated: boolean }
+  | { kind: 'BlockClose' }
+  | { kind: 'Condition' };
+
+export type Token = TokenBase & TokenBody;
+
+export type TokenKind = Token['kind'];
+
+// Onderdelen van een voorwaarderegel; kolommen zijn 0-gebaseerd binnen `text` van het token
+export interface ConditionParts {
+  and: boolean;
+  or: boolean;
+  negated: boolean;
+  body: string;
+  bodyColumn: number;
+  form: boolean;       // heeft de vorm van een voorwaarde, ook zonder inspringing of '-'/'+'
+}
+
+const DEFAULT_STEP_KEYWORDS = { rest: ['RUST', 'RUHE', 'IDLE'], step: ['STAP', 'SCHRITT', 'STEP'], end: ['KLAAR', 'FERTIG', 'END'] };
+const DEFAULT_NEGATIONS = ['NIET', 'NICHT', 'NOT'];
+
+const SET_KEYWORDS = ['SETZEN', 'ZETTEN'];
+const RESET_KEYWORDS = ['RÜCKSETZEN', 'RUCKSETZEN', 'RUECKSETZEN', 'RESETTEN'];
+
+export const LINE_PATTERNS = {
+  comment: /^\/\/\s*(.*)$/,
+  symbolik: /^(?:Symbool|Symbolik) IDB:\s*(.*)$/,
+  header: /^(.+?)\s+((?:FB|FC)\d+)$/,
+  counter: /^(-\s*)?((?:Teller|Zähler|Zaehler|Counter)[\s_]*\d*)\s*(?:(\+\+|--)|([+-])\s*(\d+)|=\s*([+-]?\d+))\s*$/i,
+  definition: /^(?:(STORING|STÖRUNG|FAULT|MELDING|MELDUNG|MESSAGE)\s*:\s*)?([A-Za-zÀ-ÿ][^=:]*?)\s*=\s*$/i,
+  numberedDefinition: /^(STORING|STÖRUNG|FAULT|MELDING|MELDUNG|MESSAGE)\s+(\d+)\s*=\s*(.+?)\s*$/i,
+  assignment: /^([A-Za-z][A-Za-z0-9_]*)\s*=(?!=)\s*(.*)$/,
+  von: /^(\+)?\s*VON\s+(SCHRITT|STAP|STEP)\s+(\d+)\s*$/i,
+  setReset: new RegExp(`^[-+]?\\s*(${[...RESET_KEYWORDS, ...SET_KEYWORDS].join('|')})\\b\\s*:?\\s*(.*?)\\s*$`, 'i'),
+  crossReference: /^(?:(.+?)\s*)?\(([^()]+?)(?:\s+((?:FB|FC)\d+))?\s+(SCHRITT|STAP|STEP)\s+(\d+(?:\s*\+\s*\d+)*)\)\s*$/i,
+  comparison: /^([a-zA-Z0-9_.[\]]+)\s*(==|!=|<>|>=|<=|=|>|<)\s*(.+)$/,
+  // rechterkant: getal (met eenheid, geen bereik), T#-tijd, TRUE/FALSE of een tag (Druk_Max, Motor.Setpoint)
+  comparisonValue: /^(?:[+-]?\d+(?:[.,]\d+)?(?:\s*[^\d\s.,+-].*)?$|T#|(?:TRUE|FALSE)$|[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*$)/i,
+  timer: /(?:TIJD|ZEIT|TIME)\s*~?\s*(?:[A-Za-z_]\w*\s*=\s*)?(T#[\dA-Z_]+|\d+\s*(?:ms|Sek|Sec|Min|Std|Stu|uur|h|s|m)[a-z]*(?:\s*\d+\s*(?:ms|Sek|Sec|Min|Std|Stu|uur|h|s|m)[a-z]*)*)/i,
+  // begint als een tijdvoorwaarde (TIJD 5.., TIJD T#..), ook als de duur niet te lezen is
+  timerLike: /^(?:TIJD|ZEIT|TIME)\s*~?\s*(?:[A-Za-z_]\w*\s*=\s*)?(?:T#|\d)/i,
+  stepRange: /^(?:SCHRITT|STAP|STEP)\s+(\d+)(?:\s*-\s*(\d+)|((?:\s*\+\s*\d+)*))\s*$/i,
+  externalReference: /\*([^*]+)\*/,
+};
+
+const DURATION_PART = /(\d+)\s*(ms|sek|sec|min|std|stu|uur|h|s|m)[a-z]*/gi;
+const T_LITERAL = /^T#(?:\d+(?:MS|D|H|M|S)_?)+$/i;
+const UNIT_MS: Record<string, number> = { ms: 1, d: 86400000, h: 3600000, std: 3600000, stu: 3600000, uur: 3600000, min: 60000, m: 60000 };
+
+/**
+ * Duur van een tijdvoorwaarde (de eerste groep van LINE_PATTERNS.timer):
+ * "5Sek" blijft 5 / Sek, een T#-literaal of samengestelde duur ("2 Min 30 Sek")
+ * wordt het totaal in seconden (of ms). Null als de duur niet te lezen is.
+ */
+export function timerDuration(text: string): { value: number; unit: string } | null {
+  const literal = text.trim().toUpperCase().startsWith('T#');
+  if (literal && !T_LITERAL.test(text.trim())) return null;
+  const parts = [...text.replace(/^T#/i, '').matchAll(DURATION_PART)];
+  if (parts.length === 0) return null;
+  if (!literal && parts.length === 1) return { value: parseInt(parts[0][1], 10), unit: parts[0][2] };
+
+  const ms = parts.reduce((total, [, value, unit]) => total + parseInt(value, 10) * (UNIT_MS[unit.toLowerCase()] ?? 1000), 0);
+  return ms % 1000 === 0 ? { value: ms / 1000, unit: 's' } : { value: ms, unit: 'ms' };
+}
+
+/**
+ * Stapnummers van de waarde van een definitie ("SCHRITT 2-4" -> 2, 3, 4;
+ * "STAP 2+5" -> 2, 5). Null als de waarde geen stapbereik is.
+ */
+export function stepRange(text: string): number[] | null {
+  const match = text.trim().match(LINE_PATTERNS.stepRange);
+  if (!match) return null;
+  const first = parseInt(match[1], 10);
+  if (match[2]) {
+    const last = parseInt(match[2], 10);
+    return last < first ? null : Array.from({ length: last - first + 1 }, (_, i) => first + i);
+  }
+  return [first, ...(match[3] || '').split('+').filter(n => n.trim()).map(n => parseInt(n, 10))];
+}
+
+const escape = (word: string) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export function stepKeywords(rules: SyntaxKeywords = {}) {
+  return { ...DEFAULT_STEP_KEYWORDS, ...(rules.stepKeywords || {}) };
+}
+
+function stepPattern(rules: SyntaxKeywords): RegExp {
+  const { rest, step, end } = stepKeywords(rules);
+  const words = [...rest, ...step, ...end].map(escape).join('|');
+  return new RegExp(`^(${words})(?:\\s*([A-C])(?=\\s*\\d))?(?:\\s*(\\d+))?\\s*:\\s*(.*)$`, 'i');
+}
+
+function negationPattern(rules: SyntaxKeywords): RegExp {
+  const words = rules.conditions?.notPrefix?.length ? rules.conditions.notPrefix : DEFAULT_NEGATIONS;
+  return new RegExp(`^(${words.map(escape).join('|')})\\s+`, 'i');
+}
+
+/**
+ * Splitst een voorwaarderegel in '-', '+', negatie en de eigenlijke tekst.
+ */
+export function conditionParts(text: string, rules: SyntaxKeywords = {}): ConditionParts {
+  const negation = negationPattern(rules);
+  let rest = text;
+  let column = 0;
+  const strip = (pattern: RegExp) => {
+    const match = rest.match(pattern);
+    if (!match) return false;
+    column += match[0].length;
+    rest = rest.slice(match[0].length);
+    return true;
+  };
+
+  const isAnd = strip(/^-\s*/);
+  const isOr = strip(/^\+\s*/);
+  const negated = strip(negation);
+
+  const form = negation.test(text)
+    || /(?:TIJD|ZEIT|TIME)\s+~?\s*\d+/i.test(text)
+    || (text.includes('=') && !stepPattern(rules).test(text))
+    || (text.includes('(') && /SCHRITT|STAP|STEP/i.test(text))
+    || (/:\s*\w+/.test(text) && !/SCHRITT/i.test(text));
+
+  return { and: isAnd, or: isOr, negated, body: rest.trim(), bodyColumn: column, form };
+}
+
+function classify(text: string, indented: boolean, rules: SyntaxKeywords): TokenBody {
+  let match: RegExpMatchArray | null;
+
+  if (!text) return { kind: 'Blank' };
+  if ((match = text.match(LINE_PATTERNS.comment))) return { kind: 'Comment', comment: match[1] };
+  if (!indented && (match = text.match(LINE_PATTERNS.symbolik))) return { kind: 'SymbolikIDB', name: match[1].trim() };
+  // "SCHRITT 1: Start aanvragen bij FB200" en "- Vrijgave van FC12" zijn geen kop
+  if (!indented && !/^[-+]/.test(text) && !stepPattern(rules).test(text) && (match = text.match(LINE_PATTERNS.header))) {
+    return { kind: 'Header', name: match[1].trim(), functionBlock: match[2] };
+  }
+
+  if ((match = text.match(LINE_PATTERNS.counter))) {
+    const [, marker, name, step, sign, amount, value] = match;
+    return value !== undefined
+      ? { kind: 'Counter', marked: !!marker, name: name.trim(), operation: 'load', value: parseInt(value, 10) }
+      : {
+          kind: 'Counter',
+          marked: !!marker,
+          name: name.trim(),
+          operation: 'increment',
+          value: step ? (step === '++' ? 1 : -1) : parseInt(amount, 10) * (sign === '-' ? -1 : 1),
+        };
+  }
+
+  if (!indented) {
+    if ((match = text.match(LINE_PATTERNS.definition))) {
+      return { kind: 'Definition', prefix: match[1] ? match[1].toUpperCase() : null, name: match[2].trim(), value: '', index: null };
+    }
+    if ((match = text.match(LINE_PATTERNS.numberedDefinition))) {
+      return { kind: 'Definition', prefix: match[1].toUpperCase(), name: match[3], value: '', index: parseInt(match[2], 10) };
+    }
+    if ((match = text.match(LINE_PATTERNS.assignment))) {
+      return { kind: 'Definition', prefix: null, name: match[1], value: match[2].trim(), index: null };
+    }
+  }
+
+  if ((match = text.match(LINE_PATTERNS.von))) {
+    return { kind: 'Von', isOr: !!match[1], keyword: match[2].toUpperCase(), fromStep: parseInt(match[3], 10) };
+  }
+  if ((match = text.match(stepPattern(rules)))) {
+    return {
+      kind: 'Step',
+      keyword: match[1].toUpperCase(),
+      branch: match[2] ? match[2].toUpperCase() : null,
+      number: match[3] ? parseInt(match[3], 10) : null,
+      description: match[4].trim(),
+    };
+  }
+  if ((match = text.match(LINE_PATTERNS.setReset))) {
+    return { kind: 'SetReset', reset: RESET_KEYWORDS.some(k => k.toLowerCase() === match![1].toLowerCase()), argument: match[2] };
+  }
+
+  const parts = conditionParts(text, rules);
+  if (parts.body === '[') return { kind: 'BlockOpen', or: parts.or, negated: parts.negated };
+  if (text === ']') return { kind: 'BlockClose' };
+  return { kind: 'Condition' };
+}
+
+/**
+ * Eén token per regel, met de plaats van de regel (zonder inspringing) in de tekst.
+ */
+export function tokenize(source: string, rules: SyntaxKeywords = {}): Token[] {
+  let offset = 0;
+  return source.split('\n').map((raw, index) => {
+    const line = raw.replace(/\r$/, '');
+    const indent = line.length - line.trimStart().length;
+    const text = line.trim();
+    const start = { line: index + 1, column: indent + 1, offset: offset + indent };
+    const end = { line: index + 1, column: indent + text.length + 1, offset: offset + indent + text.length };
+    offset += raw.length + 1;
+    return { ...classify(text, indent > 0, rules), line: index + 1, indented: indent > 0, text, span: { start, end } } as Token;
+  });
+}
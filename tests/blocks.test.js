@@ -0,0 +1,178 @@
+import { describe, expect, it } from 'vitest';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { DEFAULT_VALIDATION_RULES } from '../src/config/validationRules.js';
+import { parseTextProject } from '../src/core/enhancedWordParser.js';
+import { arrayIndexErrors, generateInstanceDBXml, generateStepTextList, generateTIAPortalXML, stepTextListName } from '../src/generator';
+import { arraySizing, sizeArray } from '../src/generator/arrays';
+import { checkUniqueIds, findDuplicateIds } from '../src/generator/uid-check';
+import { parseProgram } from '../src/language';
+
+const parse = text => new FlexibleParser({}, DEFAULT_VALIDATION_RULES).parse(text);
+const network = (xml, title) => xml.split('<SW.Blocks.CompileUnit').find(n => n.includes(`<Text>${title}</Text>`));
+
+const program = () => ({
+  ...parse('Menger FB300\nRUST: Wacht\nSTAP 1: Vullen & spoelen\nSTAP 2: Mengen'),
+  programName: 'Menger 1',
+});
+
+describe('staptekst', () => {
+  it('schrijft het nummer van de actieve stap naar Uit_Stap_Tekst', () => {
+    const moves = network(generateTIAPortalXML(program()), 'Uit_Stap_Tekst: actieve stap')
+      .match(/<Part Name="\w+"|<Component Name="\w+"|<ConstantValue>[^<]+/g);
+    expect(moves).toEqual([0, 1, 2].flatMap(n => [
+      '<Part Name="Move"', '<Component Name="Stap"', `<ConstantValue>${n}`, `<ConstantValue>${n}`, '<Component Name="Uit_Stap_Tekst"',
+    ]));
+  });
+
+  it('exporteert een tekstlijst met één ingang per stap', () => {
+    const result = program();
+    expect(stepTextListName(result)).toBe('Staptekst_Menger_1');
+    const xml = generateStepTextList(result);
+    expect(xml).toContain('<Name>Staptekst_Menger_1</Name>');
+    expect(xml.match(/<From>\d+<\/From>/g)).toEqual(['<From>0</From>', '<From>1</From>', '<From>2</From>']);
+    expect(xml).toContain('&lt;p&gt;STAP 1: Vullen &amp;amp; spoelen&lt;/p&gt;');
+    expect(xml).toContain('&lt;p&gt;RUST: Wacht&lt;/p&gt;');
+  });
+});
+
+describe('arraygrenzen', () => {
+  const members = xml => xml.match(/<Member Name="\w+" Datatype="Array[^"]+"/g).map(m => m.replace(/<Member Name="(\w+)" Datatype="(.+)"/, '$1: $2'));
+
+  it('rondt de hoogste index af op hele blokken', () => {
+    const result = parse('Menger FB300\nRUST: Wacht\nSTAP 1: Vullen\nSTAP 40: Mengen');
+    expect(members(generateTIAPortalXML(result))).toEqual([
+      'Stap: Array[0..63] of Bool',
+      'Hulp: Array[1..32] of Bool',
+      'Storing: Array[1..32] of Bool',
+      'Melding: Array[1..32] of Bool',
+      'Tijd: Array[1..10] of IEC_TIMER',
+      'Teller: Array[1..10] of Int',
+    ]);
+  });
+
+  it('declareert alleen de takken die het programma gebruikt', () => {
+    const xml = generateTIAPortalXML(parseProgram('Menger FB300\nRUST: Wacht\nSTAP 1: Vullen\nSTAP A1: Roeren\nSTAP 2: Legen'));
+    expect(members(xml).filter(m => m.startsWith('Stap'))).toEqual(['Stap: Array[0..31] of Bool', 'Stap_A: Array[0..31] of Bool']);
+  });
+
+  it('gebruikt blokgrootte en maximum uit de validatieregels', () => {
+    const sizing = arraySizing('Tijd', [1, 10], { arraySizing: { Tijd: { blockSize: 4, maxIndex: 12 } } });
+    expect(sizeArray(sizing, 5, 'IEC_TIMER')).toEqual({ name: 'Tijd', first: 1, last: 8, dataType: 'IEC_TIMER' });
+    expect(sizeArray(sizing, 11, 'IEC_TIMER').last).toBe(12);
+    expect(sizeArray(sizing, null, 'IEC_TIMER').last).toBe(4);
+  });
+
+  it('meldt een index boven het maximum', () => {
+    expect(() => generateTIAPortalXML(parse('Menger FB300\nRUST: Wacht\nSTAP 300: Vullen')))
+      .toThrow('Validatiefout: Stap[300] ligt boven het maximum Stap[0..255] (STAP 300).');
+  });
+
+  it('meldt een index boven het maximum al als parsefout', () => {
+    expect(arrayIndexErrors(parse('Menger FB300\nRUST: Wacht\nSTAP 300: Vullen'))).toEqual([
+      { type: 'ARRAY_INDEX', message: 'Validatiefout: Stap[300] ligt boven het maximum Stap[0..255] (STAP 300)' },
+    ]);
+    expect(arrayIndexErrors(parse('Menger FB300\nRUST: Wacht\nSTAP 1: Vullen'))).toEqual([]);
+
+    const project = parseTextProject('Menger FB300\nRUST: Wacht\nSTAP 300: Vullen\n\nPomp FB301\nRUST: Uit\nSTAP 1: Pompen', {});
+    expect(project.errors.map(e => `${e.program}: ${e.type}`)).toEqual(['Menger: ARRAY_INDEX']);
+  });
+});
+
+describe('instance-DB', () => {
+  const members = xml => xml.match(/<Member Name="\w+"[^>]*>/g);
+
+  it('neemt de interface van het gegenereerde FB over', () => {
+    const result = parse('Menger FB300\nRUST: Wacht\nSTAP 1: Vullen\n- 5 Sek\nSTAP 40: Mengen');
+    const idb = generateInstanceDBXml(result, { name: 'Menger_DB', number: 301 });
+    expect(idb).toContain('<SW.Blocks.InstanceDB ID="0">');
+    expect(idb.match(/<(?:Name|Number)>[^<]*/g)).toEqual(['<Name>Menger_DB', '<Number>301']);
+    expect(idb.match(/<Section Name="\w+"/g)).toEqual(['<Section Name="Input"', '<Section Name="Output"', '<Section Name="InOut"', '<Section Name="Static"']);
+    expect(members(idb)).toEqual(members(generateTIAPortalXML(result)));
+    expect(idb).toContain('<MultiLanguageText Lang="nl-NL">STAP 40: Mengen</MultiLanguageText>');
+    expect(idb).toContain('<Member Name="Tijd" Datatype="Array[1..10] of IEC_TIMER" Version="1.0" Remanence="Retain">');
+    expect(idb).toContain('<BooleanAttribute Name="SetPoint" SystemDefined="true">true</BooleanAttribute>');
+  });
+});
+
+describe('LAD', () => {
+  const text = 'Menger FB300\nRUST: Wacht\n- Start\n- NIET Storing\n+ Handstart\nSTAP 1: Vullen\n- TIJD 5 Sek\nSTAP 2: Mengen';
+  // Wires als "Powerrail 2.in 8.in": Parts genummerd in volgorde, met de aansluiting
+  const wires = n => {
+    const parts = [...n.matchAll(/<Part Name="\w+" UId="(\d+)"/g)].map(m => m[1]);
+    return n.split('<Wire UId').slice(1).map(w => [...w.matchAll(/<Powerrail|<NameCon UId="(\d+)" Name="(\w+)"/g)]
+      .map(m => (m[1] ? `${parts.indexOf(m[1]) + 1}.${m[2]}` : 'Powerrail')).join(' '));
+  };
+
+  it('schrijft dezelfde netwerken als contacten en spoelen', () => {
+    const xml = generateTIAPortalXML(parse(text), undefined, { language: 'LAD' });
+    expect(xml.match(/<ProgrammingLanguage>\w+/g).every(l => l === '<ProgrammingLanguage>LAD')).toBe(true);
+    const set = network(xml, 'STAP 1: Vullen');
+    expect(set.match(/<Part Name="\w+"/g)).toEqual([
+      '<Part Name="SCoil"', '<Part Name="Contact"', '<Part Name="Contact"', '<Part Name="Contact"',
+      '<Part Name="Contact"', '<Part Name="Contact"', '<Part Name="RCoil"', '<Part Name="Contact"',
+    ]);
+    expect(set.match(/<Negated Name="operand" \/>/g)).toHaveLength(2);
+    // Stap[0] en (bij reset) Stap[2] aan de stroomrail; Start in serie met NIET Storing, parallel aan Handstart
+    expect(wires(set)).toContain('Powerrail 2.in 8.in');
+    expect(wires(set)).toContain('2.out 3.in 5.in');
+    expect(wires(set)).toContain('3.out 4.in');
+    expect(wires(set)).toContain('4.out 5.out 6.in');
+    expect(wires(set)).toContain('6.out 1.in');
+    expect(wires(set)).toContain('8.out 7.in');
+  });
+
+  it('blijft standaard FBD', () => {
+    const xml = generateTIAPortalXML(parse(text));
+    expect(xml.match(/<ProgrammingLanguage>\w+/g).every(l => l === '<ProgrammingLanguage>FBD')).toBe(true);
+  });
+});
+
+describe('TIA Portal versie', () => {
+  const result = () => parse('Menger FB300\nRUST: Wacht\nSTAP 1: Vullen');
+  const profile = xml => xml.match(/<Engineering version="\w+"|Interface\/v\d|FlgNet\/v\d|<Namespace \/>/g).filter((t, i, all) => all.indexOf(t) === i);
+
+  it('past Engineering versie en namespaces aan de doelversie aan', () => {
+    expect(profile(generateTIAPortalXML(result(), undefined, { tiaVersion: 'V16' }))).toEqual(['<Engineering version="V16"', 'Interface/v4', 'FlgNet/v4']);
+    expect(profile(generateTIAPortalXML(result()))).toEqual(['<Engineering version="V18"', 'Interface/v5', '<Namespace />', 'FlgNet/v4']);
+    expect(profile(generateTIAPortalXML(result(), undefined, { tiaVersion: 'V19' }))).toEqual(['<Engineering version="V19"', 'Interface/v5', '<Namespace />', 'FlgNet/v5']);
+    expect(profile(generateInstanceDBXml(result(), { name: 'Menger_DB', number: 301 }, undefined, { tiaVersion: 'V16' }))).toEqual(['<Engineering version="V16"', 'Interface/v4']);
+    expect(generateStepTextList(result(), 'Staptekst', 'V17')).toContain('<Engineering version="V17" />');
+  });
+
+  it('weigert een onbekende versie', () => {
+    expect(() => generateTIAPortalXML(result(), undefined, { tiaVersion: 'V15' }))
+      .toThrow('Onbekende TIA Portal versie "V15" (ondersteund: V16, V17, V18, V19).');
+  });
+});
+
+describe('ID\'s en UId\'s', () => {
+  const text = 'Menger FB300\nRUST: Wacht\n- Start\n+ Handstart\nSTAP 1: Vullen\n- TIJD 5 Sek\nSTAP 2: Mengen';
+
+  it('geeft voor dezelfde invoer dezelfde export zonder dubbele nummers', () => {
+    const xml = generateTIAPortalXML(parse(text));
+    expect(generateTIAPortalXML(parse(text))).toBe(xml);
+    expect(findDuplicateIds(xml)).toEqual([]);
+    const ids = [...xml.matchAll(/ ID="(\d+)"/g)].map(m => m[1]);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('nummert de UId\'s in ieder netwerk opnieuw vanaf 21', () => {
+    const networks = generateTIAPortalXML(parse(text)).split('<SW.Blocks.CompileUnit').slice(1);
+    networks.forEach(n => expect(n.match(/ UId="(\d+)"/)[1]).toBe('21'));
+  });
+
+  it('noemt dubbele ID\'s en UId\'s met element en regel', () => {
+    const xml = [
+      '<Document>',
+      '<SW.Blocks.CompileUnit ID="3">',
+      '<FlgNet><Parts><Access Scope="LocalVariable" UId="21" /><Part Name="A" UId="21" /></Parts>',
+      '<Wires><Wire UId="22"><NameCon UId="21" Name="in1" /></Wire></Wires></FlgNet>',
+      '</SW.Blocks.CompileUnit>',
+      '<MultilingualText ID="3" />',
+      '</Document>',
+    ].join('\n');
+    expect(() => checkUniqueIds(xml)).toThrow("Dubbele ID's in de gegenereerde XML:\n"
+      + 'ID 3 is dubbel in document: SW.Blocks.CompileUnit (regel 2), MultilingualText (regel 6).\n'
+      + 'UId 21 is dubbel in netwerk 3: Access (regel 3), Part "A" (regel 3).');
+  });
+});
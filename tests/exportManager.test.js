@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { parseTextProject } from '../src/core/enhancedWordParser.js';
+import { ExportManager } from '../src/components/ui/exportManager.js';
+import { generateCallingBlocks } from '../src/generator/project';
+
+const parseResult = new FlexibleParser({}, {}).parse('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\nSCHRITT 2: Legen');
+
+describe('ExportManager', () => {
+  it('exporteert de IDB onder dezelfde naam als het aanroepende blok gebruikt', async () => {
+    const exporter = new ExportManager();
+    const program = { name: 'Menger', type: 'FB', fbNumber: '300', idbName: null, path: ['1 Installatie'], ...parseResult };
+    await exporter.processProgramma(program, { language: 'FBD', generateIDBs: true, generateTextLists: false });
+
+    const idbFile = Object.keys(exporter.zip.files).find(name => / DB300\.xml$/.test(name));
+    expect(idbFile).toBe('1 Installatie/Menger Menger_DB DB300.xml');
+    expect(await exporter.zip.file(idbFile).async('string')).toContain('<Name>Menger_DB</Name>');
+
+    const [, caller] = generateCallingBlocks(exporter.projectPrograms);
+    expect(caller.xml).toContain('Menger_DB');
+  });
+
+  it('neemt de tellers van een tekstproject mee in de export', async () => {
+    const text = 'Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\n  - Teller1 +1\nSCHRITT 2: Mengen\n  - Teller1\nTeller1 = 3';
+    const [program] = parseTextProject(text, {}).programs;
+    const exporter = new ExportManager();
+    await exporter.processProgramma(program, { language: 'SCL', generateIDBs: false, generateTextLists: false });
+
+    const scl = await exporter.zip.file(/ FB300\.scl$/)[0].async('string');
+    expect(scl).toContain('#Teller[1] := #Teller[1] + 1;');
+    expect(scl).toContain('#Teller[1] >= 3');
+  });
+
+  it('exporteert geen stapprogramma als FC', async () => {
+    const program = { name: 'Koeling', type: 'FC', fbNumber: '200', ...parseResult };
+    const result = await new ExportManager().exportToZip({ programs: [program] }, { includeProjectInfo: false });
+    expect(result).toEqual({
+      success: false,
+      filesExported: 0,
+      errors: ['Export fout: Koeling FC200: een stapprogramma heeft statische variabelen en moet een FB zijn, geen FC.'],
+    });
+  });
+
+  it('exporteert niets bij een verwijzing naar een onbekend programma', async () => {
+    const menger = new FlexibleParser({}, {}).parse('Menger FB300\nRUST: Wacht\n  (Doseren SCHRITT 3)\nSCHRITT 1: Mengen');
+    const program = { name: 'Menger', type: 'FB', fbNumber: '300', ...menger };
+    const result = await new ExportManager().exportToZip({ programs: [program] }, { includeProjectInfo: false });
+    expect(result).toEqual({
+      success: false,
+      filesExported: 0,
+      errors: ['Menger: Onbekend programma "Doseren" in verwijzing naar SCHRITT 3 (regel 3)'],
+    });
+  });
+});
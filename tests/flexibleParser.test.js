@@ -0,0 +1,16 @@
+import { describe, expect, it } from 'vitest';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { DEFAULT_VALIDATION_RULES } from '../src/config/validationRules.js';
+
+const parse = (text, metadata) => new FlexibleParser({}, DEFAULT_VALIDATION_RULES).parse(text, 'manual', metadata);
+
+describe('FlexibleParser', () => {
+  it('neemt programmanaam en FB over uit de kop van de tekst', () => {
+    expect(parse('Menger FB300\nRUST: Wacht')).toMatchObject({ programName: 'Menger', functionBlock: 'FB300' });
+  });
+
+  it('laat de metadata voorgaan op de kop', () => {
+    const result = parse('Menger FB300\nRUST: Wacht', { programName: 'Koeling', functionBlock: 'FC200' });
+    expect(result).toMatchObject({ programName: 'Koeling', functionBlock: 'FC200' });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { DEFAULT_VALIDATION_RULES } from '../src/config/validationRules.js';
+import { formatStepLabel } from '../src/config/syntaxRules.js';
+import { generateInstanceDBXml, generateSCL } from '../src/generator';
+import { stepLabel } from '../src/generator/sequence';
+
+const parse = text => new FlexibleParser({}, DEFAULT_VALIDATION_RULES).parse(text);
+
+describe('vergelijkingen', () => {
+  it('vergelijkt met een andere tag', () => {
+    expect(generateSCL(parse('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\n  Druk > Druk_Max'))).toContain('("Druk" > "Druk_Max")');
+  });
+
+  it('compileert een enkele = als Eq', () => {
+    const scl = generateSCL(parse('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\n  - Viscositeit = OK\n  - Niveau = 3\n  - Klep = FALSE\nSCHRITT 2: Legen'));
+    expect(scl).toContain('"Viscositeit" = "OK"');
+    expect(scl).toContain('"Niveau" = 3');
+    expect(scl).toContain('NOT "Klep"');
+    expect(scl).not.toContain('Viscositeit_OK');
+  });
+
+  it('leest een bereik niet als het eerste getal', () => {
+    expect(() => generateSCL({ programName: 'Menger', functionBlock: 'FB300', steps: [
+      { type: 'RUST', number: 0, conditions: [{ text: 'pH = 7.2 - 7.8', comparison: { variable: 'pH', operator: '=', value: '7.2 - 7.8' }, lineNumber: 2 }] },
+      { type: 'SCHRITT', number: 1 },
+    ] })).toThrow('Rechterkant "7.2 - 7.8" van de vergelijking is geen waarde of tag (regel 2).');
+  });
+
+  it('maakt geen tag van een rechterkant die geen naam is', () => {
+    const result = parse('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\n  Druk >= = 10');
+    expect(result.errors.map(e => e.message)).toContain('Rechterkant "= 10" van de vergelijking op regel 4 is geen waarde of tag');
+    expect(() => generateSCL(result)).toThrow('Rechterkant "= 10" van de vergelijking is geen waarde of tag (regel 4).');
+  });
+});
+
+describe('timers', () => {
+  it('maakt van T#-tijden en benoemde tijden een TON in plaats van een tag', () => {
+    const scl = generateSCL(parse('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\n  TIJD T#5s\nSCHRITT 2: Mengen\n  TIJD Mengtijd = T#2m30s\nSCHRITT 3: Legen'));
+    expect(scl).toContain('PT := T#5S');
+    expect(scl).toContain('PT := T#2M30S');
+    expect(scl).not.toContain('TIJD_');
+  });
+
+  it('meldt een onleesbare tijd in plaats van er een tag van te maken', () => {
+    const result = parse('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\n  TIJD 5 jaar\nSCHRITT 2: Mengen');
+    expect(result.errors.map(e => e.message)).toEqual(['"TIJD 5 jaar" op regel 4 heeft geen geldige tijdsduur']);
+    expect(() => generateSCL(result)).toThrow('"TIJD 5 jaar" heeft geen geldige tijdsduur (regel 4).');
+  });
+});
+
+describe('variabelen', () => {
+  it('maakt van een merker met stapbereik Hulp-logica met de voorwaarden eronder', () => {
+    const scl = generateSCL(parse('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\nSCHRITT 2: Mengen\nSCHRITT 3: Legen\nMarker1 = SCHRITT 1-3\n- Mengmotor.Aan\n- Druk < 2.5 bar'));
+    expect(scl).toMatch(/#Hulp\[\d+\] := \(#Stap\[1\] OR #Stap\[2\] OR #Stap\[3\]\) AND "Mengmotor"\.Aan AND \("Druk" < 2\.5\);/);
+  });
+
+  it('schrijft een genummerde storing naar dat element en nummert de rest eromheen', () => {
+    const scl = generateSCL(parse('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\nSTORING 1 = Doseerklep vastgelopen\n- Doseerklep.Fout\nSTORING: Motor overbelast =\n- Motor.Fout'));
+    expect(scl).toContain('#Storing[1] := "Doseerklep".Fout;');
+    expect(scl).toContain('#Storing[2] := "Motor".Fout;');
+    expect(scl).not.toContain('STORING_1');
+  });
+
+  it('meldt een definitie met een waarde die geen stapbereik is', () => {
+    const result = parse('Menger FB300\nRUST: Wacht\nMarker1 = Klep open\n- Mengmotor.Aan');
+    expect(result.warnings.map(w => w.message)).toContain('"Marker1 = Klep open" op regel 3 is geen stapbereik (SCHRITT 2-4); de definitie wordt niet gegenereerd');
+  });
+});
+
+describe('validatieregels', () => {
+  const rules = {
+    ...DEFAULT_VALIDATION_RULES,
+    arraySizing: { ...DEFAULT_VALIDATION_RULES.arraySizing, Hulp: { blockSize: 8, maxIndex: 8 }, Tijd: { blockSize: 4, maxIndex: 4 } },
+  };
+  const text = 'Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\n  TIJD T#5s\nSCHRITT 2: Mengen\nVrijgave =\n- Mengmotor.Aan';
+
+  it('gebruikt de ingestelde arraygrenzen in plaats van de standaard', () => {
+    const scl = generateSCL(parse(text), undefined, { validationRules: rules });
+    expect(scl).toContain('Hulp : Array[1..8] of Bool;');
+    expect(scl).toContain('Tijd : Array[1..4] of IEC_TIMER;');
+    expect(generateSCL(parse(text))).toContain('Hulp : Array[1..32] of Bool;');
+  });
+
+  it('geeft de IDB dezelfde grenzen als het FB', () => {
+    const xml = generateInstanceDBXml(parse(text), { name: 'Menger_DB', number: 300 }, undefined, { validationRules: rules });
+    expect(xml).toContain('Array[1..8] of Bool');
+  });
+});
+
+describe('staplabels', () => {
+  it('gebruikt in de generator dezelfde labels als de Analyse', () => {
+    const steps = [
+      { type: 'RUST', number: 0 },
+      { type: 'RUST', keyword: 'RUHE', number: 0 },
+      { type: 'SCHRITT', number: 3 },
+      { type: 'SCHRITT', keyword: 'SCHRITT', branch: 'A', number: 3 },
+      { type: 'KLAAR', number: 6 },
+    ];
+    expect(steps.map(stepLabel)).toEqual(['RUST', 'RUHE', 'STAP 3', 'SCHRITT A3', 'KLAAR 6']);
+    expect(steps.map(stepLabel)).toEqual(steps.map(formatStepLabel));
+  });
+});
+
+describe('SET/RESET', () => {
+  it('schrijft in SCL geen IF FALSE voor een lege RESET-kolom', () => {
+    const scl = generateSCL(parse('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\nSCHRITT 2: Mengen\n  - SETZEN Goedkeuring'));
+    expect(scl).toContain(':= TRUE;');
+    expect(scl).not.toContain('IF FALSE');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import { EnhancedLogicParser } from '../src/core/EnhancedLogicParser.js';
+import { parseTextProject } from '../src/core/enhancedWordParser.js';
+import { defaultSyntaxRules } from '../src/constants';
+import { generateTIAPortalXML } from '../src/generator';
+import { parseProgram, splitPrograms, tokenize } from '../src/language';
+
+// Syntaxboom zonder posities, lege velden en node-soorten
+const plain = value => JSON.parse(JSON.stringify(value, (key, v) => (key === 'span' || key === 'kind' || v === null || v === false ? undefined : v)));
+
+const text = [
+  'Menger FB300',
+  'RUST: Wacht',
+  '- Start',
+  '- NIET Storing',
+  '+ Handstart',
+  'STAP 1: Vullen',
+  '- TIJD 5 Sek',
+  '- Teller1 +1',
+  'STAP 2: Mengen',
+  '- Temperatuur > 45.5',
+  '- Klaar (Vulsysteem SCHRITT 3+4)',
+  'VON SCHRITT 1',
+  '- Snel',
+  'STAP 3: Legen',
+  'Vrijgave =',
+  '- Motor.Aan',
+  'Teller1 = 3',
+].join('\n');
+
+describe('grammatica', () => {
+  it('deelt iedere regel in één tokensoort in', () => {
+    expect(tokenize(text).map(t => t.kind)).toEqual([
+      'Header', 'Step', 'Condition', 'Condition', 'Condition', 'Step', 'Condition', 'Counter',
+      'Step', 'Condition', 'Condition', 'Von', 'Condition', 'Step', 'Definition', 'Condition', 'Counter',
+    ]);
+  });
+
+  it('bouwt een getypeerde syntaxboom met voorwaardegroepen, acties en definities', () => {
+    const program = parseProgram(text);
+    expect(plain(program.header)).toEqual({ name: 'Menger', functionBlock: 'FB300' });
+    expect(plain(program.steps[0].entryConditions)).toEqual([
+      { operator: 'AND', conditions: [
+        { text: 'Start', operator: 'AND', lineNumber: 3 },
+        { text: 'Storing', negated: true, operator: 'AND', lineNumber: 4 },
+      ] },
+      { operator: 'OR', conditions: [{ text: 'Handstart', operator: 'OR', lineNumber: 5 }] },
+    ]);
+    expect(plain(program.steps[1].actions)).toEqual([{ counter: 'Teller1', type: 'increment', value: 1, lineNumber: 8 }]);
+    const [comparison, reference] = plain(program.steps[2].entryConditions[0].conditions);
+    expect(comparison.comparison).toEqual({ variable: 'Temperatuur', operator: '>', value: '45.5' });
+    expect(reference.crossReference).toEqual({ description: 'Klaar', program: 'Vulsysteem', keyword: 'SCHRITT', steps: [3, 4] });
+    expect(plain(program.variables)).toEqual([
+      { name: 'Vrijgave', label: 'Vrijgave', group: 'hulpmerker', conditions: [{ text: 'Motor.Aan', operator: 'AND', lineNumber: 16 }], lineNumber: 15 },
+    ]);
+    expect(plain(program.counters)).toEqual([
+      { name: 'Teller1', preset: 3, operations: [{ type: 'increment', value: 1, step: 1, lineNumber: 8 }], lineNumber: 17 },
+    ]);
+  });
+
+  it('koppelt VON SCHRITT aan de stap eronder', () => {
+    const [transition] = plain(parseProgram(text).steps[3].transitions);
+    expect(transition).toMatchObject({ fromStep: 1, conditions: [{ text: 'Snel' }] });
+    expect(transition.implicitConditions).toEqual([
+      { stepReference: 1, text: 'SCHRITT 1' },
+      { stepReference: 0, negated: true, text: 'NICHT SCHRITT 0' },
+    ]);
+    expect(plain(parseProgram('RUST: Wacht\nVON SCHRITT 1\n- Snel').diagnostics))
+      .toEqual([{ severity: 'warning', message: 'VON SCHRITT 1 staat niet boven een stap' }]);
+  });
+
+  it('geeft RUST en VON SCHRITT hun impliciete stapvoorwaarden', () => {
+    const program = parseProgram(text);
+    expect(plain(program.steps[0].implicitConditions).map(c => c.text)).toEqual(['NICHT SCHRITT 1', 'NICHT SCHRITT 2', 'NICHT SCHRITT 3']);
+
+    const parsed = new EnhancedLogicParser(defaultSyntaxRules).parse(text);
+    const implicit = conditions => conditions.map(c => ({ type: 'implicit', ...c }));
+    expect(parsed.steps[0].implicitConditions).toEqual(implicit(program.steps[0].implicitConditions));
+    expect(parsed.steps[3].transitions[0].implicitConditions).toEqual(implicit(program.steps[3].transitions[0].implicitConditions));
+    expect(parsed.steps[3].transitions[0].fromStepRef).toBe(parsed.steps[1]);
+  });
+
+  it('geeft de generator dezelfde invoer als de parsers', () => {
+    const parsed = new EnhancedLogicParser(defaultSyntaxRules).parse(text);
+    expect(parsed.ast.kind).toBe('Program');
+    expect(generateTIAPortalXML(parseProgram(text))).toBe(generateTIAPortalXML(parsed));
+  });
+});
+
+describe('meerdere programma\'s in één tekst', () => {
+  const project = '// Installatie\nMenger FB300\nRUST: Wacht\nSTAP 1: Vullen\n\nPomp FB301\nSymbolik IDB: Pomp_DB\nRUST: Uit\nSTAP 1: Pompen\nMenger2 FB300\nRUST: Wacht';
+
+  it('splitst op de programmakoppen; regels boven de eerste kop horen bij het eerste programma', () => {
+    expect(splitPrograms(project).map(p => [p.header.name, p.header.functionBlock, p.line, p.source.split('\n')[0]])).toEqual([
+      ['Menger', 'FB300', 1, '// Installatie'],
+      ['Pomp', 'FB301', 6, 'Pomp FB301'],
+      ['Menger2', 'FB300', 10, 'Menger2 FB300'],
+    ]);
+    expect(splitPrograms('RUST: Wacht')).toEqual([{ header: null, source: 'RUST: Wacht', line: 1 }]);
+  });
+
+  it('leest de tekst als project met één programma per kop', () => {
+    const result = parseTextProject(project, defaultSyntaxRules);
+    expect(result.programs.map(p => [p.name, p.fbNumber, p.steps.length])).toEqual([['Menger', 300, 2], ['Pomp', 301, 2], ['Menger2', 300, 1]]);
+    expect(result.programs[1].idbName).toBe('Pomp_DB');
+    expect(result.warnings).toEqual(['Dubbel FB nummer 300 bij "Menger2" (regel 10)']);
+    expect(parseTextProject('RUST: Wacht\nSTAP 1: Vullen', defaultSyntaxRules).warnings)
+      .toEqual(['Geen programmakop (bijv. "Menger FB300") gevonden; de tekst wordt als één programma ingelezen']);
+  });
+
+  it('wijst los gelezen op een tweede kop', () => {
+    expect(parseProgram('Menger FB300\nPomp FB301\nRUST: Wacht').diagnostics.map(d => d.message)).toContain(
+      'Tweede programmakop "Pomp FB301" genegeerd; laad de tekst als project voor meerdere programma\'s',
+    );
+  });
+});
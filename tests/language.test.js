@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { parseProgram, splitPrograms, timerDuration, tokenize } from '../src/language';
+
+describe('tokenize', () => {
+  it('leest FB- en FC-koppen', () => {
+    const [fb, fc] = tokenize('Menger FB300\nKoeling FC200');
+    expect(fb).toMatchObject({ kind: 'Header', name: 'Menger', functionBlock: 'FB300' });
+    expect(fc).toMatchObject({ kind: 'Header', name: 'Koeling', functionBlock: 'FC200' });
+  });
+});
+
+describe('splitPrograms', () => {
+  it('splitst op iedere programmakop en houdt de regelnummers bij', () => {
+    const parts = splitPrograms('// project\nMenger FB300\nRUST: Wacht\n\nKoeling FC200\nRUST: Uit');
+    expect(parts.map(p => [p.header.functionBlock, p.line, p.source.split('\n')[0]])).toEqual([
+      ['FB300', 1, '// project'],
+      ['FC200', 5, 'Koeling FC200'],
+    ]);
+  });
+
+  it('splitst niet op stappen of voorwaarden die op een FB- of FC-nummer eindigen', () => {
+    const text = 'Menger FB300\nRUST: Wacht\nSCHRITT 1: Start aanvragen bij FB200\n- Vrijgave van FC12\nVrijgave van FB7\nSCHRITT 2: Mengen\n\nKoeling FC200\nRUST: Uit';
+    expect(splitPrograms(text).map(p => [p.header.name, p.line])).toEqual([['Menger', 1], ['Koeling', 8]]);
+  });
+
+  it('geeft zonder kop de hele tekst als één programma', () => {
+    expect(splitPrograms('RUST: Wacht')).toEqual([{ header: null, source: 'RUST: Wacht', line: 1 }]);
+  });
+});
+
+describe('parseProgram', () => {
+  const errors = text => parseProgram(text).diagnostics.filter(d => d.severity === 'error').map(d => d.message);
+
+  it('leest een stap die op een FB-nummer eindigt als stap en niet als kop', () => {
+    const program = parseProgram('Menger FB300\nRUST: Wacht\nSCHRITT 1: Start aanvragen bij FB200\nSCHRITT 2: Mengen');
+    expect(program.header).toMatchObject({ name: 'Menger', functionBlock: 'FB300' });
+    expect(program.steps.map(s => [s.number, s.description])).toEqual([[0, 'Wacht'], [1, 'Start aanvragen bij FB200'], [2, 'Mengen']]);
+    expect(program.diagnostics).toEqual([]);
+  });
+
+  it('leest een voorwaarde die op een FC-nummer eindigt als voorwaarde', () => {
+    const program = parseProgram('Menger FB300\nRUST: Wacht\nSCHRITT 1: Vullen\n- Vrijgave van FC12\nVrijgave van FB7');
+    expect(program.steps[1].entryConditions[0].conditions.map(c => c.text)).toEqual(['Vrijgave van FC12']);
+    expect(program.unrecognized.map(u => u.text)).toEqual(['Vrijgave van FB7']);
+    expect(program.header.functionBlock).toBe('FB300');
+  });
+
+  it('accepteert getallen, tijden, TRUE/FALSE en tags rechts in een vergelijking', () => {
+    expect(errors('RUST: Wacht\nSCHRITT 1: Vullen\n  Druk >= 10 bar\n  Tijd_Vul < T#5s\n  Klep == TRUE\n  Druk > Druk_Max')).toEqual([]);
+  });
+
+  it('leest een genummerde storing als definitie van dat element', () => {
+    const [storing] = parseProgram('RUST: Wacht\nSTORING 23 = Doseerklep vastgelopen\n- Doseerklep.Fout').variables;
+    expect(storing).toMatchObject({ name: 'Doseerklep vastgelopen', prefix: 'STORING', index: 23, group: 'storing' });
+    expect(storing.conditions.map(c => c.text)).toEqual(['Doseerklep.Fout']);
+  });
+
+  it('leest een enkele = als vergelijking', () => {
+    const [condition] = parseProgram('RUST: Wacht\nSCHRITT 1: Vullen\n  - Afvoerklep = OPEN').steps[1].entryConditions[0].conditions;
+    expect(condition.comparison).toEqual({ variable: 'Afvoerklep', operator: '=', value: 'OPEN' });
+  });
+
+  it('meldt een bereik rechts in een vergelijking', () => {
+    expect(errors('RUST: Wacht\nSCHRITT 1: Vullen\n  - pH = 7.2 - 7.8')).toEqual([
+      'Rechterkant "7.2 - 7.8" van de vergelijking op regel 3 is geen waarde of tag',
+    ]);
+  });
+
+  it('meldt een rechterkant die geen waarde of tag is', () => {
+    expect(errors('RUST: Wacht\nSCHRITT 1: Vullen\n  Druk >= = 10')).toEqual([
+      'Rechterkant "= 10" van de vergelijking op regel 3 is geen waarde of tag',
+    ]);
+  });
+});
+
+describe('timerDuration', () => {
+  it('leest eenvoudige, samengestelde en T#-tijden', () => {
+    expect(timerDuration('5Sek')).toEqual({ value: 5, unit: 'Sek' });
+    expect(timerDuration('T#5s')).toEqual({ value: 5, unit: 's' });
+    expect(timerDuration('T#2m30s')).toEqual({ value: 150, unit: 's' });
+    expect(timerDuration('2 Min 30 Sek')).toEqual({ value: 150, unit: 's' });
+    expect(timerDuration('T#1s500ms')).toEqual({ value: 1500, unit: 'ms' });
+    expect(timerDuration('T#abc')).toBeNull();
+  });
+
+  it('meldt een tijdvoorwaarde zonder geldige duur', () => {
+    const { diagnostics } = parseProgram('RUST: Wacht\nSCHRITT 1: Mengen\n  TIJD T#abc');
+    expect(diagnostics.map(d => [d.severity, d.message])).toEqual([['error', '"TIJD T#abc" op regel 3 heeft geen geldige tijdsduur']]);
+  });
+});
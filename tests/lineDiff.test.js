@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { diffLines } from '../src/generator/line-diff';
+
+describe('regelvergelijking', () => {
+  it('negeert inspringing, witruimte en lege regels', () => {
+    expect(diffLines('STAP 1: Vullen\n\n  - Start', 'STAP 1:  Vullen\r\n- Start\n')).toEqual([
+      { kind: 'same', text: 'STAP 1:  Vullen' },
+      { kind: 'same', text: '- Start' },
+    ]);
+  });
+
+  it('markeert regels die alleen in het origineel of alleen in de nieuwe tekst staan', () => {
+    expect(diffLines('RUST: Wacht\n- Start\nSTAP 1: Vullen', 'RUST: Wacht\n- Handstart\nSTAP 1: Vullen\n- TIJD 5 Sek')).toEqual([
+      { kind: 'same', text: 'RUST: Wacht' },
+      { kind: 'removed', text: '- Start' },
+      { kind: 'added', text: '- Handstart' },
+      { kind: 'same', text: 'STAP 1: Vullen' },
+      { kind: 'added', text: '- TIJD 5 Sek' },
+    ]);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, expect, it } from 'vitest';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { UnifiedTextParser } from '../src/core/UnifiedTextParser.js';
+import { DEFAULT_VALIDATION_RULES } from '../src/config/validationRules.js';
+import { defaultSyntaxRules } from '../src/constants';
+import { generateTIAPortalXML } from '../src/generator';
+import { inferLiteral } from '../src/generator/operands';
+
+const parse = text => new FlexibleParser({}, DEFAULT_VALIDATION_RULES).parse(text);
+const parseLogic = text => new UnifiedTextParser(defaultSyntaxRules).parse(text);
+
+// Netwerk met deze titel en de Parts, globale operanden en constanten erin, in volgorde
+const network = (xml, title) => xml.split('<SW.Blocks.CompileUnit').find(n => n.includes(`<Text>${title}</Text>`));
+const parts = text => text.match(/<Part Name="\w+"|<Component Name="(?!Stap")[^"]+"|<ConstantValue>[^<]+/g);
+
+describe('timers', () => {
+  const xml = generateTIAPortalXML(parse('Menger FB300\nRUST: Wacht\nSTAP 1: Vullen\n- TIJD 5 Sek\nSTAP 2: Mengen\n- ZEIT 2 Min\nSTAP 3: Legen'));
+
+  it('maakt per stap en tijd een TON op Tijd[n] die door de stap gestart wordt', () => {
+    const ton = parts(network(xml, 'Tijd[1]: STAP 1 T#5S'));
+    expect(ton).toContain('<Part Name="TON"');
+    expect(ton).toContain('<ConstantValue>T#5S');
+    expect(network(xml, 'Tijd[2]: STAP 2 T#2M')).toBeDefined();
+    expect(xml).toContain('<Member Name="Tijd" Datatype="Array[1..10] of IEC_TIMER" Version="1.0" Remanence="Retain">');
+  });
+
+  it('zet Tijd[n].Q in de overgang naar de volgende stap', () => {
+    expect(network(xml, 'STAP 2: Mengen')).toMatch(/<Component Name="Tijd" AccessModifier="Array">[\s\S]*?<ConstantValue>1<\/ConstantValue>[\s\S]*?<Component Name="Q" \/>/);
+  });
+});
+
+describe('variabelen', () => {
+  const text = 'Menger FB300\nRUST: Wacht\nSTAP 1: Vullen\nSTAP 2: Mengen\nVrijgave_Transport =\n- Mengmotor.Aan\n+ Handbediening\nSTORING: Motor overbelast =\n- Motor.Fout\nMELDING: Tank vol =\n- Niveau.Hoog';
+  const xml = generateTIAPortalXML(parseLogic(text));
+
+  it('schrijft iedere definitie met een spoel naar Hulp, Storing of Melding', () => {
+    expect(parts(network(xml, 'Hulp[1]: Vrijgave_Transport'))).toEqual(['<Part Name="Coil"', '<Part Name="O"', '<Component Name="Mengmotor"', '<Component Name="Aan"', '<Component Name="Handbediening"', '<Component Name="Hulp"', '<ConstantValue>1']);
+    expect(parts(network(xml, 'Storing[1]: Motor overbelast'))).toContain('<Component Name="Storing"');
+    expect(parts(network(xml, 'Melding[1]: Tank vol'))).toContain('<Component Name="Melding"');
+  });
+});
+
+describe('SET/RESET', () => {
+  const text = 'Menger FB300\nRUST: Wacht\nSTAP 1: Vullen\n- SETZEN Goedkeuring\nSTAP 2: Mengen\n- RÜCKSETZEN Goedkeuring\nSTAP 3: Legen';
+
+  it('leest SETZEN en RÜCKSETZEN als set- en resetkolom van een hulpmerker', () => {
+    const [goedkeuring] = parseLogic(text).variables;
+    expect(goedkeuring).toMatchObject({ name: 'Goedkeuring', group: 'hulpmerker' });
+    expect(goedkeuring.setReset.set.map(c => c.text)).toEqual(['SCHRITT 1']);
+    expect(goedkeuring.setReset.reset.map(c => c.text)).toEqual(['SCHRITT 2']);
+  });
+
+  it('maakt er een Sr-netwerk op Hulp[n] van in plaats van een stapvoorwaarde', () => {
+    const xml = generateTIAPortalXML(parseLogic(text));
+    expect(parts(network(xml, 'Hulp[1]: Goedkeuring'))).toEqual(['<Part Name="Sr"', '<ConstantValue>1', '<ConstantValue>2', '<Component Name="Hulp"', '<ConstantValue>1']);
+    expect(xml).not.toContain('SETZEN');
+  });
+});
+
+describe('tellers', () => {
+  const text = 'Menger FB300\nRUST: Wacht\n- Teller1 = 0\nSTAP 1: Vullen\n  - Teller1 +1\nSTAP 2: Mengen\n  - Teller1\nTeller1 = 3';
+
+  it('leest telleracties per stap en de voorinstelwaarde', () => {
+    expect(parseLogic(text).counters).toEqual([{
+      name: 'Teller1',
+      preset: 3,
+      operations: [
+        { type: 'load', value: 0, step: 0, lineNumber: 3 },
+        { type: 'increment', value: 1, step: 1, lineNumber: 5 },
+      ],
+      lineNumber: 8,
+    }]);
+  });
+
+  it('maakt MOVE, ADD en een vergelijking met de voorinstelwaarde op Teller[n]', () => {
+    const xml = generateTIAPortalXML(parseLogic(text));
+    expect(parts(network(xml, 'Teller[1]: Teller1 := 0 (RUST)'))).toContain('<Part Name="Move"');
+    expect(parts(network(xml, 'Teller[1]: Teller1 +1 (STAP 1)'))).toContain('<Part Name="Add"');
+    expect(network(xml, 'STAP 2: Mengen')).toMatch(/<Part Name="Ge"[\s\S]*<Component Name="Teller" AccessModifier="Array">[\s\S]*<ConstantValue>3<\/ConstantValue>/);
+    expect(xml).toContain('<Member Name="Teller" Datatype="Array[1..10] of Int"');
+  });
+
+  it('vergelijkt Teller[n] ook met een tag als waarde', () => {
+    const xml = generateTIAPortalXML(parseLogic(text.replace('  - Teller1\n', '  - Teller1 >= Sollwert\n')));
+    const set = network(xml, 'STAP 2: Mengen');
+    expect(parts(set)).toEqual(expect.arrayContaining(['<Part Name="Ge"', '<Component Name="Teller"', '<Component Name="Sollwert"']));
+    expect(set).not.toContain('<Component Name="Teller1"');
+  });
+});
+
+describe('vergelijkingen', () => {
+  it('leidt het datatype af uit de literaal', () => {
+    expect(inferLiteral('10')).toEqual({ type: 'Int', value: '10' });
+    expect(inferLiteral('45.5 graden')).toEqual({ type: 'Real', value: '45.5' });
+    expect(inferLiteral('2,5')).toEqual({ type: 'Real', value: '2.5' });
+    expect(inferLiteral('T#2m30s')).toEqual({ type: 'Time', value: 'T#2M30S' });
+    expect(inferLiteral('5 Sek')).toEqual({ type: 'Time', value: 'T#5S' });
+    expect(inferLiteral('TRUE')).toEqual({ type: 'Bool', value: 'TRUE' });
+    expect(inferLiteral('Druk_Max')).toBeNull();
+  });
+
+  it('maakt getypeerde vergelijkingsboxen en negeert Bool-vergelijkingen', () => {
+    const compare = (text, variable, operator, value) => ({ text, operator: 'AND', comparison: { variable, operator, value } });
+    const xml = generateTIAPortalXML({
+      functionBlock: 'Menger',
+      steps: [
+        { type: 'RUST', number: 0, description: 'Wacht', conditions: [] },
+        { type: 'SCHRITT', number: 1, description: 'Vullen', conditions: [
+          compare('Temperatuur > 45.5 graden', 'Temperatuur', '>', '45.5 graden'),
+          compare('Niveau == 2', 'Niveau', '==', '2'),
+          compare('Klep == FALSE', 'Klep', '==', 'FALSE'),
+        ] },
+        { type: 'SCHRITT', number: 2, description: 'Mengen', conditions: [] },
+      ],
+      variables: [], errors: [], warnings: [],
+    });
+    const set = network(xml, 'STAP 2: Mengen');
+    expect(parts(set)).toEqual([
+      '<Part Name="Sr"', '<Part Name="A"', '<ConstantValue>1',
+      '<Part Name="Gt"', '<Component Name="Temperatuur"', '<ConstantValue>45.5',
+      '<Part Name="Eq"', '<Component Name="Niveau"', '<ConstantValue>2',
+      '<Component Name="Klep"', '<ConstantValue>2', '<ConstantValue>2', '<ConstantValue>2',
+    ]);
+    expect(set).toMatch(/<Part Name="Gt"[\s\S]*?Type="Type">Real</);
+    expect(set).toMatch(/<Part Name="Eq"[\s\S]*?Type="Type">Int</);
+    expect(set).toContain('<Negated Name="in4" />');
+  });
+});
+
+describe('verwijzingen naar andere programma\'s', () => {
+  const registry = new Map([['Vulsysteem', { idbName: 'Vulsysteem_DB' }], ['Pomp', {}]]);
+  const program = condition => `Menger FB300\nRUST: Wacht\nSTAP 1: Vullen\n- ${condition}\nSTAP 2: Mengen`;
+
+  it('leest de stappen van het verwezen programma uit zijn IDB', () => {
+    const xml = generateTIAPortalXML(parse(program('Vulsysteem klaar (1.2 vulsysteem SCHRITT 3+4)')), registry);
+    expect(network(xml, 'STAP 2: Mengen')).toMatch(
+      /<Part Name="O"[\s\S]*<Component Name="Vulsysteem_DB" \/>\s*<Component Name="Stap" AccessModifier="Array">[\s\S]*<ConstantValue>3<[\s\S]*<Component Name="Vulsysteem_DB" \/>\s*<Component Name="Stap" AccessModifier="Array">[\s\S]*<ConstantValue>4</,
+    );
+  });
+
+  it('meldt een onbekend programma of een programma zonder IDB', () => {
+    expect(() => generateTIAPortalXML(parse(program('Klaar (Onbekend SCHRITT 2)')), registry))
+      .toThrow('Onbekend programma "Onbekend" in verwijzing naar SCHRITT 2 (regel 4).');
+    expect(() => generateTIAPortalXML(parse(program('Klaar (Pomp SCHRITT 2)')), registry))
+      .toThrow('Programma "Pomp" heeft geen instance-DB (regel 4).');
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { DEFAULT_VALIDATION_RULES } from '../src/config/validationRules.js';
+import { generatePLCopenProject, generatePLCopenXML } from '../src/generator/plcopen';
+
+const parse = text => new FlexibleParser({}, DEFAULT_VALIDATION_RULES).parse(text);
+
+const program = () => ({
+  ...parse('Menger FB300\nRUST: Wacht\n- Start\nSTAP 1: Vullen\n- TIJD 5 Sek\nSTAP 2: Mengen'),
+  programName: 'Menger',
+});
+
+describe('PLCopen', () => {
+  it('maakt een SFC met RUST als beginstap en een ST-voorwaarde per overgang', () => {
+    const xml = generatePLCopenXML(program());
+    expect(xml).toContain('<pou name="Menger" pouType="functionBlock">');
+    expect(xml.match(/<(?:step|transition|jumpStep)[^>]*>|<xhtml:p>(?:Start|Tijd\[1\]\.Q|TRUE)</g)).toEqual([
+      '<step localId="1" name="RUST" initialStep="true">',
+      '<transition localId="4">', '<xhtml:p>Start<',
+      '<step localId="5" name="STAP_1">',
+      '<transition localId="8">', '<xhtml:p>Tijd[1].Q<',
+      '<step localId="9" name="STAP_2">',
+      '<transition localId="12">', '<xhtml:p>TRUE<',
+      '<jumpStep localId="13" targetName="RUST">',
+    ]);
+    expect(xml).toContain('Stap[1] := STAP_1.X;');
+    expect(xml).toContain('<derived name="TON" />');
+  });
+
+  it('schrijft met body ST dezelfde statements als de SCL-export', () => {
+    const xml = generatePLCopenXML(program(), undefined, { body: 'ST' });
+    expect(xml).not.toContain('<SFC>');
+    expect(xml).toContain('(* STAP 1: Vullen *)\nIF Stap[0] AND Start AND NOT Stap[1] THEN\n    Stap[1] := TRUE;\nEND_IF;');
+    expect(xml).toContain('Tijd[1](IN := Stap[1],\n        PT := T#5S);');
+  });
+
+  it('maakt een globale instantie per programma met instantienaam', () => {
+    const xml = generatePLCopenProject([{ parseResult: program(), instanceName: 'Menger_DB' }]);
+    expect(xml).toMatch(/<globalVars>\s*<variable name="Menger_DB">\s*<type>\s*<derived name="Menger" \/>/);
+    expect(generatePLCopenXML(program())).toContain('<configurations />');
+  });
+});
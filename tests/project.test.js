@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { DEFAULT_VALIDATION_RULES } from '../src/config/validationRules.js';
+import { checkBlockNumbers, chapterOrder, generateCallingBlocks, generateProjectBlocks, generateProjectXML } from '../src/generator/project';
+
+const parse = text => new FlexibleParser({}, DEFAULT_VALIDATION_RULES).parse(text);
+const program = (name, fbNumber, hoofdstukNummer, text = 'RUST: Wacht\nSTAP 1: Vullen') =>
+  ({ name, fbNumber, hoofdstukNummer, parseResult: parse(text) });
+
+const programs = () => [
+  program('Menger', 300, '1.10'),
+  program('Vulsysteem', 200, '1.2'),
+  program('Leeg', 400, '1.1', 'Geen stappen'),
+];
+
+describe('projectexport', () => {
+  it('sorteert programma\'s op hoofdstuk, zonder hoofdstuk achteraan', () => {
+    const ordered = chapterOrder([
+      { name: 'Los' },
+      { name: 'B', hoofdstukNummer: '1.10' },
+      { name: 'A', path: ['1 Installatie', '1.2 Vulsysteem'] },
+    ]);
+    expect(ordered.map(p => p.name)).toEqual(['A', 'B', 'Los']);
+  });
+
+  it('maakt per programma FB en IDB, dan de Status DB en het aanroepende blok', () => {
+    const blocks = generateProjectBlocks(programs());
+    expect(blocks.map(b => `${b.type} ${b.name} ${b.number}`)).toEqual([
+      'FB FB200 200',
+      'InstanceDB Vulsysteem_DB 200',
+      'FB FB300 300',
+      'InstanceDB Menger_DB 300',
+      'GlobalDB Status 1',
+      'FC Standaardwerk 1',
+    ]);
+    expect(blocks[4].xml.match(/<Member [^>]*>/g)).toEqual([
+      '<Member Name="Staptekst_Vulsysteem" Datatype="Int" />',
+      '<Member Name="Staptekst_Menger" Datatype="Int" />',
+    ]);
+    expect(blocks[5].xml.match(/<CallInfo[^>]*>|<Component Name="[^"]+"/g)).toEqual([
+      '<CallInfo Name="FB200" BlockType="FB">', '<Component Name="Vulsysteem_DB"', '<Component Name="Status"', '<Component Name="Staptekst_Vulsysteem"',
+      '<CallInfo Name="FB300" BlockType="FB">', '<Component Name="Menger_DB"', '<Component Name="Status"', '<Component Name="Staptekst_Menger"',
+    ]);
+  });
+
+  it('schrijft alle blokken voor dezelfde TIA Portal versie', () => {
+    const versions = generateProjectBlocks(programs(), { tiaVersion: 'V16' }).map(b => b.xml.match(/<Engineering version="(\w+)"/)[1]);
+    expect(versions).toEqual(Array(6).fill('V16'));
+  });
+
+  it('zet alle blokken ook in één document', () => {
+    expect(generateProjectXML(programs()).match(/<SW\.Blocks\.(?!CompileUnit)\w+/g)).toEqual([
+      '<SW.Blocks.FB', '<SW.Blocks.InstanceDB', '<SW.Blocks.FB', '<SW.Blocks.InstanceDB', '<SW.Blocks.GlobalDB', '<SW.Blocks.FC',
+    ]);
+  });
+
+  it('schrijft naam en nummer uit het project in de XML van elk blok', () => {
+    const blocks = generateProjectBlocks([...programs(), program('Zonder kop', 7, '1.3')]);
+    blocks.forEach(block => {
+      const name = block.xml.match(/<Name>([^<]+)<\/Name>/)[1];
+      const number = Number(block.xml.match(/<Number>(\d+)<\/Number>/)[1]);
+      expect(`${name} ${number}`).toBe(`${block.name} ${block.number}`);
+    });
+    const [fb, idb] = blocks.filter(b => b.program?.name === 'Zonder kop');
+    expect(`${fb.name} ${fb.number}`).toBe('FB7 7');
+    expect(idb.xml).toContain('<InstanceOfName>FB7</InstanceOfName>');
+  });
+
+  it('meldt dubbele bloknummers per nummerreeks en dubbele namen', () => {
+    expect(() => checkBlockNumbers([
+      { type: 'InstanceDB', name: 'A_DB', number: 1 },
+      { type: 'GlobalDB', name: 'Status', number: 1 },
+      { type: 'FB', name: 'a_db', number: 1 },
+    ])).toThrow('Validatiefout in het project:\n'
+      + 'Bloknummer DB1 is dubbel toegekend: "A_DB" (InstanceDB), "Status" (GlobalDB).\n'
+      + 'Bloknaam is dubbel toegekend: "A_DB" (InstanceDB), "a_db" (FB).');
+    expect(() => generateProjectBlocks([program('Menger', 300), program('Vulsysteem', 300)]))
+      .toThrow('Bloknummer FB300 is dubbel toegekend: "FB300" (FB), "FB300" (FB).');
+  });
+});
+
+describe('aanroepende blokken', () => {
+  const programs = () => [
+    { ...program('Menger', 300), path: ['1 Installatie'] },
+    { ...program('Vulsysteem', 200), path: ['1 Installatie'] },
+    { ...program('Pomp', 10), path: ['2 Pompen'], type: 'FC' },
+  ];
+
+  it('maakt één netwerk per hoofdstuk met een aanroep per programma', () => {
+    const [status, caller] = generateCallingBlocks(programs());
+    expect([status, caller].map(b => `${b.type} ${b.name} ${b.number}`)).toEqual(['GlobalDB Status 1', 'FC Standaardwerk 1']);
+    const networks = caller.xml.split('<SW.Blocks.CompileUnit').slice(1)
+      .map(n => n.match(/<CallInfo Name="\w+"|<Text>[^<]+/g).filter((t, i, all) => all.indexOf(t) === i));
+    expect(networks).toEqual([
+      ['<CallInfo Name="FB300"', '<CallInfo Name="FB200"', '<Text>1 Installatie'],
+      ['<CallInfo Name="FC10"', '<Text>2 Pompen'],
+    ]);
+    expect(caller.xml).not.toContain('Pomp_DB');
+  });
+
+  it('controleert de nummers samen met die van de programma\'s', () => {
+    expect(() => generateCallingBlocks(programs(), { statusDb: { name: 'Status', number: 300 } }))
+      .toThrow('Bloknummer DB300 is dubbel toegekend: "Menger_DB" (InstanceDB), "Status" (GlobalDB).');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { UnifiedTextParser } from '../src/core/UnifiedTextParser.js';
+import { defaultSyntaxRules } from '../src/constants';
+import { generateSCL } from '../src/generator';
+
+const parseLogic = text => new UnifiedTextParser(defaultSyntaxRules).parse(text);
+
+// REGION met deze titel, zonder inspringing
+const region = (scl, title) => {
+  const start = scl.indexOf(`REGION ${title}\n`);
+  return scl.slice(start, scl.indexOf('END_REGION', start)).split('\n').slice(1).map(l => l.trim()).filter(Boolean);
+};
+
+describe('SCL', () => {
+  const text = [
+    'Menger FB300',
+    'RUST: Wacht',
+    '- Teller1 = 0',
+    'STAP 1: Vullen',
+    '- Start',
+    '- NIET Storing',
+    '+ Handstart',
+    '- SETZEN Goedkeuring',
+    'STAP 2: Mengen',
+    '- TIJD 5 Sek',
+    '- RÜCKSETZEN Goedkeuring',
+    'STAP 3: Legen',
+    '- Temperatuur > 45.5',
+    'Vrijgave_Transport =',
+    '- Mengmotor.Aan',
+    'Teller1 = 3',
+  ].join('\n');
+  const scl = generateSCL(parseLogic(text));
+
+  it('schrijft één FUNCTION_BLOCK met dezelfde arrays als het FB', () => {
+    expect(scl).toMatch(/^FUNCTION_BLOCK "FB300"\n/);
+    expect(scl).toContain('Uit_Stap_Tekst : Int;');
+    expect(scl).toContain('Stap : Array[0..31] of Bool;');
+    expect(scl).toContain('Tijd : Array[1..10] of IEC_TIMER;');
+    expect(scl).toContain('Teller : Array[1..10] of Int;');
+    expect(scl).toMatch(/END_FUNCTION_BLOCK\n?$/);
+  });
+
+  it('maakt van iedere stap een set/reset met dominante reset', () => {
+    expect(region(scl, 'STAP 2: Mengen')).toEqual([
+      'IF #Stap[1] AND ("Start" AND NOT "Storing" OR "Handstart") AND NOT #Stap[2] THEN',
+      '#Stap[2] := TRUE;',
+      'END_IF;',
+      'IF #Stap[3] THEN',
+      '#Stap[2] := FALSE;',
+      'END_IF;',
+    ]);
+    expect(region(scl, 'STAP 3: Legen')[0]).toBe('IF #Stap[2] AND #Tijd[1].Q AND NOT #Stap[3] THEN');
+  });
+
+  it('schrijft hulpmerkers, timers, tellers en de staptekst', () => {
+    expect(region(scl, 'Hulp[1]: Goedkeuring')).toEqual([
+      'IF #Stap[1] THEN', '#Hulp[1] := TRUE;', 'END_IF;', 'IF #Stap[2] THEN', '#Hulp[1] := FALSE;', 'END_IF;',
+    ]);
+    expect(region(scl, 'Hulp[2]: Vrijgave_Transport')).toEqual(['#Hulp[2] := "Mengmotor".Aan;']);
+    expect(region(scl, 'Tijd[1]: STAP 2 T#5S')).toEqual(['#Tijd[1](IN := #Stap[2],', 'PT := T#5S);']);
+    expect(region(scl, 'Teller[1]: Teller1 (RUST)')).toContain('#Teller[1] := 0;');
+    expect(scl).toContain('("Temperatuur" > 45.5)');
+    expect(region(scl, 'Uit_Stap_Tekst: actieve stap')).toContain('#Uit_Stap_Tekst := 3;');
+  });
+});
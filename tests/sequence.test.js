@@ -0,0 +1,136 @@
+import { describe, expect, it } from 'vitest';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { DEFAULT_VALIDATION_RULES } from '../src/config/validationRules.js';
+import { normalizeStepType } from '../src/config/syntaxRules.js';
+import { generateTIAPortalXML } from '../src/generator';
+import { parseProgram, stepReferenceText, termText } from '../src/language';
+
+const parse = text => new FlexibleParser({}, DEFAULT_VALIDATION_RULES).parse(text);
+
+// Netwerk met deze titel en de Parts en globale operanden erin, in volgorde
+const network = (xml, title) => xml.split('<SW.Blocks.CompileUnit').find(n => n.includes(`<Text>${title}</Text>`));
+const parts = text => text.match(/<Part Name="\w+"|<Component Name="(?!Stap")[^"]+"/g);
+
+describe('instapvoorwaarden', () => {
+  const xml = generateTIAPortalXML(parse('Menger FB300\nRUST: Wacht\n- Start\n- NIET Storing\n+ Handstart\nSTAP 1: Vullen'));
+
+  it('compileert de voorwaarden van een stap tot poorten in plaats van een vaste FALSE', () => {
+    expect(xml).toContain('<Component Name="Start" />');
+    expect(xml).toContain('<Component Name="Storing" />');
+    expect(xml).toContain('<Component Name="Handstart" />');
+    expect(xml).not.toContain('<ConstantValue>FALSE</ConstantValue>');
+  });
+
+  it('leest - als EN en + als OF-tak', () => {
+    // set van STAP 1: Stap[0] EN NIET Stap[1] EN ((Start EN NIET Storing) OF Handstart)
+    expect(xml).toMatch(/<Part Name="O" UId="\d+">\s+<TemplateValue Name="Card" Type="Cardinality">2<\/TemplateValue>\s+<\/Part>\s+<Part Name="A" UId="\d+">\s+<TemplateValue Name="Card" Type="Cardinality">2<\/TemplateValue>\s+<Negated Name="in2" \/>/);
+  });
+});
+
+describe('VON SCHRITT', () => {
+  const xml = generateTIAPortalXML({ programName: 'Menger', functionBlock: 'FB300', steps: [
+    { type: 'RUST', number: 0, description: 'Wacht', conditions: [] },
+    { type: 'STAP', number: 1, description: 'Vullen', conditions: [{ text: 'Vol', operator: 'AND' }] },
+    { type: 'STAP', number: 2, description: 'Mengen', conditions: [] },
+    { type: 'STAP', number: 3, description: 'Legen', conditions: [], transitions: [
+      { fromStep: 1, isOr: true, conditions: [{ text: 'Snel', operator: 'AND' }] },
+    ] },
+  ] });
+
+  it('voegt een + VON SCHRITT overgang als OF-tak toe aan de setlogica', () => {
+    expect(parts(network(xml, 'STAP 3: Legen'))).toEqual(['<Part Name="Sr"', '<Part Name="A"', '<Part Name="O"', '<Part Name="A"', '<Component Name="Snel"']);
+  });
+
+  it('reset de stap waaruit gesprongen wordt ook bij de sprong', () => {
+    expect(parts(network(xml, 'STAP 1: Vullen'))).toEqual(['<Part Name="Sr"', '<Part Name="A"', '<Part Name="O"']);
+  });
+});
+
+describe('staptypen', () => {
+  it('herleidt ieder stapwoord tot RUST, SCHRITT of KLAAR', () => {
+    expect(['RUHE', 'IDLE', 'STAP', 'step', 'FERTIG', 'END'].map(k => normalizeStepType(k)))
+      .toEqual(['RUST', 'RUST', 'SCHRITT', 'SCHRITT', 'KLAAR', 'KLAAR']);
+  });
+
+  it('houdt het sleutelwoord uit het document vast en gebruikt het in de netwerktitels', () => {
+    const result = parse('Menger FB300\nRUHE: Wacht\nSCHRITT 1: Vullen\nSTAP 2: Mengen\nSTEP 3: Legen');
+    expect(result.steps.map(s => [s.type, s.keyword])).toEqual([['RUST', 'RUHE'], ['SCHRITT', 'SCHRITT'], ['SCHRITT', 'STAP'], ['SCHRITT', 'STEP']]);
+    const xml = generateTIAPortalXML(result);
+    ['SCHRITT 1: Vullen', 'STAP 2: Mengen', 'STEP 3: Legen'].forEach(title => expect(network(xml, title)).toBeDefined());
+  });
+});
+
+describe('voorwaardeblokken', () => {
+  const text = 'Menger FB300\nRUST: Wacht\nSTAP 1: Vullen\n- Start\n[\n  - Niveau hoog\n  + Handbediening\n  - NIET Storing\n]\nSTAP 2: Mengen';
+
+  it('leest [ ... ] als één voorwaarde met een eigen OF van EN-groepen', () => {
+    const [group] = parseProgram(text).steps[1].entryConditions;
+    expect(group.conditions.map(termText)).toEqual(['Start', '[Niveau hoog OF (Handbediening EN NIET Storing)]']);
+    const nested = parseProgram('RUST: Wacht\nSTAP 1: Vullen\nNIET [\n- A\n+ [\n- B\n- C\n]\n]\nSTAP 2: Mengen');
+    expect(termText(nested.steps[1].entryConditions[0].conditions[0])).toBe('NIET [A OF [B EN C]]');
+  });
+
+  it('meldt een blok zonder ] en een ] zonder blok', () => {
+    expect(parseProgram('RUST: Wacht\nSTAP 1: Vullen\n[\n- A\nSTAP 2: Mengen').diagnostics.map(d => d.message))
+      .toEqual(['Blok op regel 3 wordt niet gesloten met "]"']);
+    expect(parseProgram('RUST: Wacht\nSTAP 1: Vullen\n- A\n]\nSTAP 2: Mengen').diagnostics.map(d => d.message))
+      .toEqual(['"]" zonder open blok']);
+  });
+
+  it('compileert een blok als geneste O/A-boom', () => {
+    // set van STAP 2: Stap[1] EN Start EN (Niveau hoog OF (Handbediening EN NIET Storing)) EN NIET Stap[2]
+    expect(parts(network(generateTIAPortalXML(parse(text)), 'STAP 2: Mengen'))).toEqual([
+      '<Part Name="Sr"', '<Part Name="A"', '<Component Name="Start"', '<Part Name="O"',
+      '<Component Name="Niveau_hoog"', '<Part Name="A"', '<Component Name="Handbediening"', '<Component Name="Storing"',
+    ]);
+  });
+});
+
+describe('eindstap', () => {
+  const text = 'Menger FB300\nRUST: Wacht\n- Start\nSTAP 1: Vullen\nSTAP 2: Mengen\n- Gemengd\nKLAAR: Klaar';
+
+  it('nummert KLAAR, FERTIG en END na de hoogste stap, tenzij er een nummer staat', () => {
+    expect(parseProgram(text).steps.map(s => [s.type, s.keyword, s.number])).toEqual([
+      ['RUST', 'RUST', 0], ['SCHRITT', 'STAP', 1], ['SCHRITT', 'STAP', 2], ['KLAAR', 'KLAAR', 3],
+    ]);
+    expect(parseProgram('RUST: Wacht\nSTAP 1: Vullen\nEND 9: Einde').steps[2]).toMatchObject({ type: 'KLAAR', keyword: 'END', number: 9 });
+  });
+
+  it('waarschuwt voor een stap na de eindstap', () => {
+    expect(parseProgram('RUST: Wacht\nSTAP 1: Vullen\nFERTIG: Einde\nSTAP 2: Mengen').diagnostics.map(d => d.message))
+      .toEqual(['STAP na FERTIG (regel 3): de eindstap moet de laatste stap zijn']);
+  });
+
+  it('zet Klaar en Uit_Klaar en valt zonder voorwaarden terug naar RUST', () => {
+    const xml = generateTIAPortalXML(parseProgram(text));
+    expect(xml).toContain('<Member Name="Uit_Klaar" Datatype="Bool" />');
+    expect(xml).toContain('<Member Name="Klaar" Datatype="Bool" Remanence="Retain" />');
+    // set: Stap[2] EN Gemengd EN NIET Stap[3], reset: Klaar
+    expect(parts(network(xml, 'KLAAR 3: Klaar'))).toEqual(['<Part Name="Sr"', '<Part Name="A"', '<Component Name="Gemengd"', '<Component Name="Klaar"']);
+    // Klaar: gezet door KLAAR, gereset als de keten RUST verlaat
+    expect(parts(network(xml, 'Klaar: KLAAR 3 voltooid'))).toEqual([
+      '<Part Name="Sr"', '<Component Name="Klaar"', '<Part Name="Coil"', '<Component Name="Klaar"', '<Component Name="Uit_Klaar"',
+    ]);
+  });
+});
+
+describe('parallelle takken', () => {
+  const text = 'Menger FB300\nRUST: Wacht\n- Start\nSTAP 1: Vullen\nSTAP A1: Roeren\nSTAP A2: Nalopen\n- Tijd_A\nSTAP B1: Verwarmen\n- Warm\nSTAP 2: Legen';
+  // Stapoperanden (met array) en globale operanden, in volgorde
+  const operands = text => text.match(/<Component Name="Stap\w*" AccessModifier="Array">[\s\S]*?<ConstantValue>\d+|<Component Name="(?!Stap)[^"]+"/g)
+    .map(m => m.replace(/<Component Name="(\w+)"(?: AccessModifier="Array">[\s\S]*<ConstantValue>(\d+))?/, (_, name, index) => (index ? `${name}[${index}]` : name)));
+
+  it('leest de tak uit het stapnummer', () => {
+    expect(parseProgram(text).steps.map(stepReferenceText)).toEqual(['RUST', 'SCHRITT 1', 'SCHRITT A1', 'SCHRITT A2', 'SCHRITT B1', 'SCHRITT 2']);
+  });
+
+  it('start alle takken vanuit de stap ervoor en synchroniseert op de volgende hoofdstap', () => {
+    const xml = generateTIAPortalXML(parseProgram(text));
+    // STAP 1 wordt gereset zodra een tak start
+    expect(operands(network(xml, 'STAP 1: Vullen'))).toEqual(['Stap[0]', 'Start', 'Stap[1]', 'Stap_A[1]', 'Stap_B[1]', 'Stap[1]']);
+    expect(operands(network(xml, 'STAP A1: Roeren'))).toEqual(['Stap[1]', 'Stap_A[1]', 'Stap_A[2]', 'Stap_A[1]']);
+    expect(operands(network(xml, 'STAP A2: Nalopen'))).toEqual(['Stap_A[1]', 'Stap_A[2]', 'Stap[2]', 'Stap_A[2]']);
+    // STAP 2 wacht op de laatste stap en voorwaarden van iedere tak
+    expect(operands(network(xml, 'STAP 2: Legen')).slice(0, 5)).toEqual(['Stap_A[2]', 'Tijd_A', 'Stap_B[1]', 'Warm', 'Stap[2]']);
+  });
+});
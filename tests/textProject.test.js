@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { parseTextProject } from '../src/core/enhancedWordParser.js';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { DEFAULT_VALIDATION_RULES } from '../src/config/validationRules.js';
+import { defaultSyntaxRules } from '../src/constants';
+import { generateSCL } from '../src/generator';
+
+const MENGER = `Menger FB300
+RUST: Wacht op start
+SCHRITT 1: Vullen
+  Aantal_Kazen <= 10
+  Motor_Status == 2
+SCHRITT 2: Mengen
+  Teller1 >= 3
+`;
+
+const POMP = `Pomp FB301
+RUST: Uit
+SCHRITT 1: Pompen
+  Druk != 4
+`;
+
+const conditionTexts = result => result.steps.map(step => (step.conditions || []).map(c => c.text || c));
+
+describe('parseTextProject', () => {
+  it('leest ieder programma zoals de Code Editor het los leest', () => {
+    const project = parseTextProject(`${MENGER}\n${POMP}`, defaultSyntaxRules);
+    const single = text => new FlexibleParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(text);
+
+    expect(project.programs.map(p => p.name)).toEqual(['Menger', 'Pomp']);
+    expect(conditionTexts(project.programs[0])).toEqual(conditionTexts(single(MENGER)));
+    expect(conditionTexts(project.programs[1])).toEqual(conditionTexts(single(POMP)));
+  });
+
+  it('houdt vergelijkingsoperatoren intact in de gegenereerde code', () => {
+    const [menger] = parseTextProject(`${MENGER}\n${POMP}`, defaultSyntaxRules).programs;
+    const scl = generateSCL({ ...menger, programName: menger.name, functionBlock: 'FB300' });
+
+    expect(scl).toContain('"Aantal_Kazen" <= 10');
+    expect(scl).toContain('"Motor_Status" = 2');
+    expect(scl).toContain('#Teller[1] >= 3');
+  });
+
+  it('herkent FB- en FC-koppen en neemt het bloktype over', () => {
+    const project = parseTextProject(`${MENGER}\nKoeling FC200\nRUST: Uit\nSCHRITT 1: Koelen\n`, defaultSyntaxRules);
+
+    expect(project.programs.map(p => [p.name, p.type, p.fbNumber])).toEqual([['Menger', 'FB', 300], ['Koeling', 'FC', 200]]);
+    expect(project.programs[0].steps.map(s => s.number)).toEqual([0, 1, 2]);
+    expect(project.warnings).toEqual([]);
+  });
+
+  it('meldt een stapprogramma onder een FC-kop als parsefout', () => {
+    const project = parseTextProject(`${MENGER}\nKoeling FC200\nRUST: Uit\nSCHRITT 1: Koelen\n`, defaultSyntaxRules);
+
+    expect(project.errors).toEqual([{
+      program: 'Koeling',
+      type: 'FC_STEP_PROGRAM',
+      message: 'Koeling FC200: een stapprogramma heeft statische variabelen en moet een FB zijn, geen FC',
+    }]);
+    expect(() => generateSCL({ ...project.programs[1], programName: 'Koeling', functionBlock: 'FC200' }))
+      .toThrow('Koeling FC200: een stapprogramma heeft statische variabelen en moet een FB zijn, geen FC.');
+  });
+});
+
+describe('verwijzingen tussen programma\'s', () => {
+  const project = text => parseTextProject(text, {}, new Map(), DEFAULT_VALIDATION_RULES);
+
+  it('leest een verwijzing zonder omschrijving als verwijzing en niet als tag', () => {
+    const result = project('Vulsysteem FB200\nRUST: Wacht\nSCHRITT 1: Vullen\nSCHRITT 2: Klaar\n\nMenger FB300\nRUST: Wacht\n  (Vulsysteem SCHRITT 1+2)\nSCHRITT 1: Mengen');
+    expect(result.errors).toEqual([]);
+    const condition = result.programs[1].steps[0].conditions[0];
+    expect(condition.crossReference).toMatchObject({ program: 'Vulsysteem', steps: [1, 2] });
+  });
+
+  it('meldt een onbekend programma als parsefout in plaats van bij de export', () => {
+    const result = project('Menger FB300\nRUST: Wacht\n  Vulsysteem gereed (Doseren SCHRITT 3)\nSCHRITT 1: Mengen');
+    expect(result.errors).toEqual([expect.objectContaining({
+      program: 'Menger',
+      type: 'PROGRAM_NOT_FOUND',
+      message: 'Onbekend programma "Doseren" in verwijzing naar SCHRITT 3 (regel 3)',
+    })]);
+    expect(result.programs[0].errors.map(e => e.type)).toContain('PROGRAM_NOT_FOUND');
+  });
+});
@@ -0,0 +1,62 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { DOMParser } from '@xmldom/xmldom';
+import { FlexibleParser } from '../src/core/FlexibleParser.js';
+import { DEFAULT_VALIDATION_RULES } from '../src/config/validationRules.js';
+import { diffLines, generateTIAPortalXML, importTiaFbd } from '../src/generator';
+
+const ORIGINAL = `Menger FB300
+
+RUST: Wacht op start
+- Tank leeg
+- Start knop
+
+SCHRITT 1: Vullen
+- Niveau hoog
++ Vulklep dicht
+
+SCHRITT 2: Mengen
+- NIET Motor storing
+- TIJD 5 Sek
+
+KLAAR: Afgerond
+- Tank leeg
+`;
+
+const exportFbd = text => generateTIAPortalXML(new FlexibleParser({}, DEFAULT_VALIDATION_RULES).parse(text));
+
+describe('importTiaFbd', () => {
+  beforeAll(() => {
+    globalThis.DOMParser = DOMParser;
+  });
+
+  it('geeft bij een ongewijzigd FB geen verschillen met het origineel', () => {
+    const imported = importTiaFbd(exportFbd(ORIGINAL), { original: ORIGINAL });
+    const changes = diffLines(ORIGINAL, imported.text).filter(line => line.kind !== 'same');
+
+    expect(changes).toEqual([]);
+    expect(imported.text.split('\n')[0]).toBe('Menger FB300');
+  });
+
+  it('schrijft zonder origineel Tijd en de eindstap met nummer', () => {
+    const lines = importTiaFbd(exportFbd(ORIGINAL)).text.split('\n');
+    expect(lines).toContain('  Tijd 5 Sek');
+    expect(lines).toContain('KLAAR 3: Afgerond');
+  });
+
+  it('schrijft zonder bekende naam toch een geldige kopregel', () => {
+    const imported = importTiaFbd(exportFbd(ORIGINAL.replace('Menger FB300\n', '')));
+    expect(imported.text.split('\n')[0]).toBe('Programma FB1');
+  });
+});
+
+describe('diffLines', () => {
+  it('ziet een "-" voor een AND-voorwaarde niet als verschil', () => {
+    expect(diffLines('SCHRITT 1: Vullen\n- Start', 'SCHRITT 1: Vullen\n  Start').every(l => l.kind === 'same')).toBe(true);
+    expect(diffLines('+ Start', 'Start').map(l => l.kind)).toEqual(['removed', 'added']);
+  });
+
+  it('ziet een enkele = niet als verschil met ==', () => {
+    expect(diffLines('- Niveau = 3', '  Niveau == 3').every(l => l.kind === 'same')).toBe(true);
+    expect(diffLines('- Niveau >= 3', '  Niveau == 3').map(l => l.kind)).toEqual(['removed', 'added']);
+  });
+});